@@ -3,22 +3,347 @@ Simple presence server:
 - HTTP + WebSocket (ws)
 - Persists active player counts per "room" into MongoDB (using the provided snippet)
 - Tracks connected clients, increments/decrements active count and broadcasts updated counts
+- Relays addressed messages (friend requests, presence requests) to a single target client,
+  acking the sender and queueing requests for recipients that are offline
+- Keeps a persistent friends graph (see server/friends.js) with requests, unfriend and block operations
+- Requires an auth handshake (see server/auth.js) that binds each socket to a persistent account;
+  relayed chat and presence are stamped with the account id and name instead of trusting the client
+- Batches presence into rate-limited per-room delta frames (see server/presence.js)
+- Shards each map into capped instances ("<map>#<n>"), spilling over to a new instance when full
+- Serves the game catalog (built-in and studio-published games, see server/games.js) over REST, with
+  versioned publishing, author ownership and visit counts recorded when players join a map
+- Records one vote per account per game and pushes changed tallies to sockets watching that game
+- Stores rated game reviews with threaded replies, reports and author/admin deletion (see server/reviews.js)
+- Hosts the community forum: categories, paginated threads and replies, author edits, admin pin/lock and
+  a report queue (see server/forum.js)
+- Filters chat on the server (see server/chatFilter.js) and escalates offenders from warnings to mutes and
+  bans (see server/moderation.js); banned accounts can't chat or join maps
+- Keeps recent chat per room (see server/chatLog.js), sends it to players as they join and persists it to
+  MongoDB with TTL retention for moderation review; takes player reports with that chat attached as
+  evidence (see server/playerReports.js) and serves an admin console at /admin for reports, chat logs and
+  warnings, mutes, kicks and bans that apply to connected sockets immediately
+- Chat channels: room chat, team chat (players in a room sharing a team name) and whispers delivered only to
+  the target socket; server notices use their own "system" message type
+- Keeps each account's wallet (points, coins, candy, chirps) with an append-only ledger (see server/wallet.js);
+  playtime is paid by the server and other awards are claims it validates against the player's map visit
+- Sells avatar items (hats, shirts, faces, pets, emotes) from a catalog with limited and seasonal stock,
+  paid and refunded through the wallet (see server/catalog.js)
+- Keeps each account's pets (see server/pets.js): granted by catalog purchases, equipped up to a limit and
+  shown to the room through the owner's presence
+- Lets two players in the same room trade items and currency (see server/trades.js); both confirm, the swap
+  runs all-or-nothing and is logged, and live trades end when either player leaves or disconnects
+- Stores uploaded avatar images (shirts, faces) by content hash and serves them at /assets/:id (see
+  server/assets.js); presence carries those ids and hat part lists instead of inline images
 */
 
 const http = require('http');
+const path = require('path');
 const WebSocket = require('ws');
 const express = require('express');
 const { MongoClient, ServerApiVersion } = require('mongodb');
+const { createFriendsStore } = require('./server/friends');
+const { createAccountStore, httpSession, isAdmin } = require('./server/auth');
+const { createPresenceHub } = require('./server/presence');
+const { createGameStore } = require('./server/games');
+const { createReviewStore } = require('./server/reviews');
+const { createForumStore } = require('./server/forum');
+const { createChatFilter } = require('./server/chatFilter');
+const { createModerationStore } = require('./server/moderation');
+const { createChatLog } = require('./server/chatLog');
+const { createPlayerReportStore } = require('./server/playerReports');
+const { createWalletStore, checkAward, newVisit, PLAYTIME_SECONDS } = require('./server/wallet');
+const { createPetStore } = require('./server/pets');
+const { createCatalogStore, ITEM_TYPES, REFUND_WINDOW_HOURS } = require('./server/catalog');
+const { createTradeStore } = require('./server/trades');
+const { createAssetStore, MAX_ASSET_BYTES } = require('./server/assets');
 
 const MONGO_URI = process.env.MONGO_URI || 'mongodb+srv://admin:<db_password>@cluster0.4mtgvw1.mongodb.net/?appName=Cluster0';
 const MONGO_DB = process.env.MONGO_DB || 'chirpless';
 const PRESENCE_COLLECTION = process.env.PRESENCE_COLLECTION || 'presence';
+const RELAY_COLLECTION = process.env.RELAY_COLLECTION || 'pending_relays';
+// How long a queued request for an offline player is kept before it expires
+const RELAY_TTL_SECONDS = parseInt(process.env.RELAY_TTL_SECONDS || String(7 * 24 * 60 * 60), 10);
 
 const PORT = process.env.PORT || 3000;
+const MAX_PLAYERS_PER_INSTANCE = Math.max(1, parseInt(process.env.MAX_PLAYERS_PER_INSTANCE || '20', 10));
+// Menu players share this room; it is never sharded
+const LOBBY_ROOM = 'global';
+// Published games embed their music as data URLs, so they need a much larger body than other requests
+const GAME_MAX_BYTES = process.env.GAME_MAX_BYTES || '12mb';
+// Presence fields a client may set for itself with presence_update
+const CLIENT_PRESENCE_FIELDS = ['position', 'rotation', 'animState', 'map', 'isDead', 'appearance'];
+// Chat lines sent to a player joining a room
+const CHAT_BACKLOG_SIZE = Math.max(0, parseInt(process.env.CHAT_BACKLOG_SIZE || '50', 10));
 
 const app = express();
+app.use('/games', express.json({ limit: GAME_MAX_BYTES }));
 app.use(express.json());
 app.get('/', (req, res) => res.send('Chirpless presence server running'));
+// Live instances of a map for the game detail page
+app.get('/instances/:map', (req, res) => {
+  const list = instancesOf(req.params.map).map((i) => Object.assign(i, {
+    full: i.players >= MAX_PLAYERS_PER_INSTANCE,
+    names: Array.from(rooms.get(i.id) || []).map((id) => (sockets.get(id) || {})._username).filter(Boolean)
+  }));
+  res.json({ map: req.params.map, maxPlayers: MAX_PLAYERS_PER_INSTANCE, players: list.reduce((n, i) => n + i.players, 0), instances: list });
+});
+
+// Game catalog and published games. Writes require a session token (Authorization: Bearer) and only the author may change a game.
+// Store results are { ok, reason }; these are the HTTP statuses for each failure reason
+const RESULT_ERROR_STATUS = { insufficient_funds: 402, inventory_full: 409, equip_limit: 409, sold_out: 409, already_owned: 409, unavailable: 409, refund_expired: 409, invalid_currency: 400, invalid_amount: 400, invalid_name: 400, invalid_data: 400, invalid_vote: 400, invalid_rating: 400, invalid_category: 400, empty: 400, too_large: 413, invalid_type: 415, asset_quota: 409, own_content: 400, locked: 403, forbidden: 403, not_found: 404, version_conflict: 409, storage_failed: 503 };
+// field: which property of a successful result is the response body
+function sendResult(res, result, okStatus = 200, field = 'game') {
+  if (result.ok) return res.status(okStatus).json(result[field] || {});
+  res.status(RESULT_ERROR_STATUS[result.reason] || 400).json({ error: result.reason, version: result.version });
+}
+// Route handlers are async; a rejected store call goes to the error handler below instead of leaving the request hanging
+const asyncRoute = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+
+// GET /games?search=&sort=popular|most_upvoted|most_downvoted|newest&page=1&limit=20&author=<accountId>
+// Signed-in callers also get their own vote on each game as myVote
+app.get('/games', httpSession(false), asyncRoute(async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page || '1', 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit || '20', 10) || 20));
+  const result = await games.list({
+    search: req.query.search || '',
+    sort: req.query.sort,
+    authorId: req.query.author || null,
+    limit,
+    skip: (page - 1) * limit
+  });
+  if (req.account) {
+    const mine = await games.votesOf(req.account.id, result.games.map((g) => g.id));
+    result.games.forEach((g) => { g.myVote = mine[g.id] || null; });
+  }
+  res.json({ games: result.games, total: result.total, page, limit });
+}));
+app.get('/games/:id', httpSession(false), asyncRoute(async (req, res) => {
+  const game = await games.get(req.params.id, req.query.version != null ? parseInt(req.query.version, 10) : null);
+  if (!game) return res.status(404).json({ error: 'not_found' });
+  if (req.account) game.myVote = (await games.votesOf(req.account.id, [game.id]))[game.id] || null;
+  res.json(game);
+}));
+// PUT /games/:id/vote {"vote":"up"|"down"|null}; DELETE retracts. Both answer { id, up, down, myVote }.
+async function handleVote(req, res, value) {
+  const result = await games.vote(req.params.id, req.account.id, value);
+  if (!result.ok) return sendResult(res, result);
+  res.json(result.tally);
+  const { id, up, down } = result.tally;
+  for (const ws of sockets.values()) {
+    if (ws._watchedGames && ws._watchedGames.has(id)) sendJSON(ws, { type: 'game_votes', id, up, down });
+  }
+}
+app.put('/games/:id/vote', httpSession(), asyncRoute((req, res) => handleVote(req, res, (req.body || {}).vote === undefined ? null : req.body.vote)));
+app.delete('/games/:id/vote', httpSession(), asyncRoute((req, res) => handleVote(req, res, null)));
+app.post('/games', httpSession(), asyncRoute(async (req, res) => {
+  sendResult(res, await games.create(req.account, req.body || {}), 201);
+}));
+app.put('/games/:id', httpSession(), asyncRoute(async (req, res) => {
+  sendResult(res, await games.update(req.params.id, req.account, req.body || {}));
+}));
+app.delete('/games/:id', httpSession(), asyncRoute(async (req, res) => {
+  sendResult(res, await games.remove(req.params.id, req.account));
+}));
+// Reviews: GET /games/:id/reviews?page=&limit=; POST {"text","rating":1-5} or {"text","parentId"} for a reply;
+// POST /games/:id/reviews/:rid/report {"reason"}; DELETE /games/:id/reviews/:rid (author or admin)
+app.get('/games/:id/reviews', httpSession(false), asyncRoute(async (req, res) => {
+  res.json(await reviews.list(req.params.id, req.account, { page: parseInt(req.query.page || '1', 10), limit: parseInt(req.query.limit || '20', 10) }));
+}));
+app.post('/games/:id/reviews', httpSession(), asyncRoute(async (req, res) => {
+  if (!(await games.exists(req.params.id))) return res.status(404).json({ error: 'not_found' });
+  const result = await reviews.post(req.params.id, req.account, req.body || {});
+  if (!result.ok) return sendResult(res, result);
+  res.status(201).json({ id: result.review.id });
+}));
+app.post('/games/:id/reviews/:rid/report', httpSession(), asyncRoute(async (req, res) => {
+  sendResult(res, await reviews.report(req.params.id, req.params.rid, req.account, (req.body || {}).reason));
+}));
+app.delete('/games/:id/reviews/:rid', httpSession(), asyncRoute(async (req, res) => {
+  sendResult(res, await reviews.remove(req.params.id, req.params.rid, req.account));
+}));
+// Wallet: balances and the caller's ledger (newest first, ?before=<ISO date>)
+app.get('/wallet', httpSession(), asyncRoute(async (req, res) => {
+  res.json({ balances: await wallet.balances(req.account.id) });
+}));
+app.get('/wallet/ledger', httpSession(), asyncRoute(async (req, res) => {
+  res.json({ entries: await wallet.history(req.account.id, { before: req.query.before, limit: parseInt(req.query.limit || '50', 10) }) });
+}));
+// Avatar images: POST /assets with the raw image as the body (Content-Type image/*) answers
+// { id, contentType, size, url }; GET /assets/:id serves it. Ids are content hashes, so responses never change.
+app.post('/assets', httpSession(), express.raw({ type: 'image/*', limit: MAX_ASSET_BYTES }), asyncRoute(async (req, res) => {
+  sendResult(res, await assets.put(req.account.id, req.body), 201, 'asset');
+}));
+app.get('/assets/:id', asyncRoute(async (req, res) => {
+  const asset = await assets.get(req.params.id);
+  if (!asset) return res.status(404).json({ error: 'not_found' });
+  res.set({ 'Content-Type': asset.contentType, 'Cache-Control': 'public, max-age=31536000, immutable', 'X-Content-Type-Options': 'nosniff' });
+  res.send(asset.data);
+}));
+// Avatar shop: GET /catalog?type=<ITEM_TYPES key>&all=1 (all includes out-of-season items), the caller's
+// owned items, purchases and refunds (within REFUND_WINDOW_HOURS of buying)
+app.get('/catalog', asyncRoute(async (req, res) => {
+  const type = Object.prototype.hasOwnProperty.call(ITEM_TYPES, req.query.type) ? req.query.type : null;
+  const items = await catalog.list({ type, includeUnavailable: req.query.all === '1' });
+  res.json({ items, types: Object.keys(ITEM_TYPES), refundWindowHours: REFUND_WINDOW_HOURS });
+}));
+app.get('/catalog/inventory', httpSession(), asyncRoute(async (req, res) => {
+  res.json({ items: await catalog.owned(req.account.id) });
+}));
+app.post('/catalog/inventory/:id/refund', httpSession(), asyncRoute(async (req, res) => {
+  const result = await catalog.refund(req.account.id, req.params.id);
+  if (!result.ok) return sendResult(res, result);
+  if (result.entry) pushWallet(req.account.id, result);
+  // A refunded pet may have been out
+  await syncPetPresence(req.account.id);
+  res.json({ balances: result.balances });
+}));
+app.post('/catalog/:id/purchase', httpSession(), asyncRoute(async (req, res) => {
+  const result = await catalog.purchase(req.account.id, req.params.id);
+  if (!result.ok) return sendResult(res, result);
+  if (result.entry) pushWallet(req.account.id, result);
+  res.status(201).json({ owned: result.owned, balances: result.balances });
+}));
+// The caller's finished trades, newest first
+app.get('/trades', httpSession(), asyncRoute(async (req, res) => {
+  res.json({ trades: await trades.history(req.account.id, { limit: parseInt(req.query.limit || '50', 10) }) });
+}));
+// Pets: the caller's pets (bought from the catalog) and equipping them
+app.get('/pets', httpSession(), asyncRoute(async (req, res) => {
+  res.json({ pets: await pets.list(req.account.id), maxEquipped: pets.maxEquipped });
+}));
+app.post('/pets/:id/:op(equip|unequip)', httpSession(), asyncRoute(async (req, res) => {
+  const result = await pets.setEquipped(req.account.id, req.params.id, req.params.op === 'equip');
+  if (!result.ok) return sendResult(res, result);
+  await syncPetPresence(req.account.id);
+  res.json({ pets: result.pets });
+}));
+// Forum. Listings take ?page=&limit=; writes need a session, and pin/lock plus the report queue need an admin.
+function requireAdmin(req, res, next) {
+  if (!req.account || !req.account.admin) return res.status(403).json({ error: 'forbidden' });
+  next();
+}
+const pageOpts = (req) => ({ page: parseInt(req.query.page || '1', 10), limit: parseInt(req.query.limit || '20', 10) });
+app.get('/forum/categories', asyncRoute(async (req, res) => res.json({ categories: await forum.categories() })));
+app.get('/forum/threads', httpSession(false), asyncRoute(async (req, res) => {
+  res.json(await forum.listThreads(req.query.category || null, req.account, pageOpts(req)));
+}));
+app.post('/forum/threads', httpSession(), asyncRoute(async (req, res) => {
+  sendResult(res, await forum.createThread(req.account, req.body || {}), 201, 'thread');
+}));
+app.get('/forum/threads/:id', httpSession(false), asyncRoute(async (req, res) => {
+  const result = await forum.getThread(req.params.id, req.account, pageOpts(req));
+  if (!result) return res.status(404).json({ error: 'not_found' });
+  res.json(result);
+}));
+app.patch('/forum/threads/:id', httpSession(), asyncRoute(async (req, res) => {
+  sendResult(res, await forum.editThread(req.params.id, req.account, req.body || {}), 200, 'thread');
+}));
+app.delete('/forum/threads/:id', httpSession(), asyncRoute(async (req, res) => {
+  sendResult(res, await forum.deleteThread(req.params.id, req.account));
+}));
+app.post('/forum/threads/:id/replies', httpSession(), asyncRoute(async (req, res) => {
+  sendResult(res, await forum.reply(req.params.id, req.account, (req.body || {}).text), 201, 'post');
+}));
+app.patch('/forum/posts/:id', httpSession(), asyncRoute(async (req, res) => {
+  sendResult(res, await forum.editPost(req.params.id, req.account, (req.body || {}).text), 200, 'post');
+}));
+app.delete('/forum/posts/:id', httpSession(), asyncRoute(async (req, res) => {
+  sendResult(res, await forum.deletePost(req.params.id, req.account));
+}));
+app.post('/forum/:kind(threads|posts)/:id/report', httpSession(), asyncRoute(async (req, res) => {
+  sendResult(res, await forum.report(req.params.kind === 'threads' ? 'thread' : 'post', req.params.id, req.account, (req.body || {}).reason));
+}));
+app.get('/forum/reports', httpSession(), requireAdmin, asyncRoute(async (req, res) => {
+  res.json(await forum.reportQueue(pageOpts(req)));
+}));
+// POST /forum/reports/resolve {"kind":"thread"|"post","id","action":"dismiss"|"delete"}
+app.post('/forum/reports/resolve', httpSession(), requireAdmin, asyncRoute(async (req, res) => {
+  const { kind, id, action } = req.body || {};
+  sendResult(res, await forum.resolveReport(kind === 'thread' ? 'thread' : 'post', id, req.account, action));
+}));
+// Admin console: a static page whose script calls /admin/api/* with the admin's own session token
+app.get('/admin', (req, res) => res.sendFile(path.join(__dirname, 'server', 'admin.html')));
+app.use('/admin/api', httpSession(), requireAdmin);
+app.get('/admin/api/reports', asyncRoute(async (req, res) => {
+  const status = ['open', 'resolved'].includes(req.query.status) ? req.query.status : null;
+  res.json(await playerReports.list(Object.assign({ status }, pageOpts(req))));
+}));
+app.post('/admin/api/reports/:id/resolve', asyncRoute(async (req, res) => {
+  sendResult(res, await playerReports.resolve(req.params.id, req.account, (req.body || {}).resolution), 200, 'report');
+}));
+// Every room that is occupied or has recent chat
+app.get('/admin/api/rooms', (req, res) => {
+  const logged = new Map(chatLog.list().map((r) => [r.room, r]));
+  const names = new Set([...rooms.keys(), ...logged.keys()]);
+  res.json({
+    rooms: Array.from(names).map((room) => ({
+      room,
+      players: (rooms.get(room) || new Set()).size,
+      lines: logged.has(room) ? logged.get(room).lines : 0,
+      lastAt: logged.has(room) ? logged.get(room).lastAt : null
+    }))
+  });
+});
+// ?before=<line id> pages back through the persisted log (lines are oldest first either way)
+app.get('/admin/api/rooms/:room/chat', asyncRoute(async (req, res) => {
+  const room = req.params.room;
+  const limit = parseInt(req.query.limit || '200', 10);
+  const players = Array.from(rooms.get(room) || []).map((id) => ({ id, username: sockets.has(id) ? sockets.get(id)._username : null }));
+  const lines = req.query.before
+    ? (await chatLog.search({ room, before: parseInt(req.query.before, 10), limit })).reverse()
+    : chatLog.recent(room, limit);
+  res.json({ room, players, lines });
+}));
+// ?name= looks an account up by username
+app.get('/admin/api/accounts', asyncRoute(async (req, res) => {
+  const account = req.query.name ? await accounts.findByName(String(req.query.name)) : null;
+  if (!account) return res.status(404).json({ error: 'not_found' });
+  res.json({ account });
+}));
+app.get('/admin/api/accounts/:id', asyncRoute(async (req, res) => {
+  const account = await accounts.findById(req.params.id);
+  if (!account) return res.status(404).json({ error: 'not_found' });
+  const ws = sockets.get(account.id);
+  res.json({ account, online: !!ws, room: ws ? ws._room : null, moderation: await moderation.history(account.id), balances: await wallet.balances(account.id) });
+}));
+app.get('/admin/api/accounts/:id/ledger', asyncRoute(async (req, res) => {
+  res.json({ entries: await wallet.history(req.params.id, { before: req.query.before, limit: parseInt(req.query.limit || '50', 10) }) });
+}));
+app.get('/admin/api/accounts/:id/trades', asyncRoute(async (req, res) => {
+  res.json({ trades: await trades.history(req.params.id, { limit: parseInt(req.query.limit || '50', 10) }) });
+}));
+// POST {"currency","amount","reason"}: grants (or with a negative amount, takes back) currency
+app.post('/admin/api/accounts/:id/wallet', asyncRoute(async (req, res) => {
+  const { currency, amount, reason } = req.body || {};
+  const account = await accounts.findById(req.params.id);
+  if (!account) return res.status(404).json({ error: 'not_found' });
+  const result = await wallet.apply(account.id, currency, amount, { reason: 'admin:' + String(reason || '').slice(0, 80), ref: req.account.id });
+  if (!result.ok) return sendResult(res, result);
+  pushWallet(account.id, result);
+  res.json({ balances: result.balances, entry: result.entry });
+}));
+// Everything an account said in any room, newest first; ?before=<line id> pages back
+app.get('/admin/api/accounts/:id/chat', asyncRoute(async (req, res) => {
+  const before = req.query.before ? parseInt(req.query.before, 10) : null;
+  res.json({ lines: await chatLog.search({ accountId: req.params.id, before, limit: parseInt(req.query.limit || '100', 10) }) });
+}));
+// POST {"action":"warn"|"kick"|"mute"|"unmute"|"ban"|"unban","minutes","reason","reportId"?}
+app.post('/admin/api/accounts/:id/actions', asyncRoute(async (req, res) => {
+  const { action, minutes, reason, reportId } = req.body || {};
+  if (!ADMIN_ACTIONS.includes(action)) return res.status(400).json({ error: 'invalid_action' });
+  const account = await accounts.findById(req.params.id);
+  if (!account) return res.status(404).json({ error: 'not_found' });
+  const applied = await applyAdminAction(account.id, { action, minutes: Number(minutes) || 0, reason: String(reason || '').slice(0, 200) }, req.account);
+  if (reportId) await playerReports.resolve(String(reportId), req.account, action + (applied.until ? ' until ' + new Date(applied.until).toISOString() : ''));
+  res.json(Object.assign({ ok: true, online: sockets.has(account.id) }, applied));
+}));
+app.use((err, req, res, next) => {
+  if (err && err.type === 'entity.too.large') return res.status(413).json({ error: 'too_large' });
+  if (err && err.status >= 400 && err.status < 500) return res.status(err.status).json({ error: 'bad_request' });
+  console.error('request failed', req.method, req.path, err);
+  if (res.headersSent) return next(err);
+  res.status(503).json({ error: 'unavailable' });
+});
 
 const server = http.createServer(app);
 const wss = new WebSocket.Server({ server });
@@ -33,6 +358,21 @@ const client = new MongoClient(MONGO_URI, {
 });
 
 let mongoColl = null;
+let relayColl = null;
+const friends = createFriendsStore();
+const accounts = createAccountStore();
+const games = createGameStore();
+const reviews = createReviewStore();
+const forum = createForumStore();
+const moderation = createModerationStore();
+const chatFilter = createChatFilter();
+const chatLog = createChatLog();
+const playerReports = createPlayerReportStore();
+const wallet = createWalletStore();
+const pets = createPetStore();
+const catalog = createCatalogStore({ wallet, grants: { pet: pets } });
+const trades = createTradeStore({ wallet, catalog });
+const assets = createAssetStore();
 async function initMongo() {
   try {
     await client.connect();
@@ -40,10 +380,27 @@ async function initMongo() {
     mongoColl = db.collection(PRESENCE_COLLECTION);
     // Ensure index for room
     await mongoColl.createIndex({ room: 1 }, { unique: true });
+    relayColl = db.collection(RELAY_COLLECTION);
+    await relayColl.createIndex({ to: 1, createdAt: 1 });
+    await relayColl.createIndex({ createdAt: 1 }, { expireAfterSeconds: RELAY_TTL_SECONDS });
+    await friends.init(db);
+    await accounts.init(db);
+    await games.init(db);
+    await reviews.init(db);
+    await forum.init(db);
+    await moderation.init(db);
+    await playerReports.init(db);
+    await chatLog.init(db);
+    await wallet.init(db);
+    await pets.init(db);
+    await catalog.init(db);
+    await trades.init(db);
+    await assets.init(db);
     console.log('MongoDB connected for presence.');
   } catch (e) {
     console.error('MongoDB init failed', e);
     mongoColl = null;
+    relayColl = null;
   }
 }
 initMongo().catch(console.error);
@@ -56,6 +413,45 @@ function ensureRoom(room) {
   return rooms.get(room);
 }
 
+// Live map instances: roomId ("<map>#<n>") -> { map, number, createdAt }
+const instances = new Map();
+
+function roomSize(room) {
+  return (rooms.get(room) || new Set()).size;
+}
+
+function instancesOf(map) {
+  const list = [];
+  instances.forEach((meta, id) => {
+    if (meta.map === map) list.push({ id, instance: meta.number, players: roomSize(id), createdAt: meta.createdAt });
+  });
+  return list.sort((a, b) => a.instance - b.instance);
+}
+
+// Picks the instance a player should join: the requested one if it has space, otherwise the fullest
+// instance that still has space (so players end up together), otherwise a new instance. Returns { id, instance, spilled }.
+function allocateInstance(map, requestedId, clientId) {
+  const list = instancesOf(map);
+  const fits = (i) => i.players < MAX_PLAYERS_PER_INSTANCE || (rooms.get(i.id) || new Set()).has(clientId);
+  const requested = requestedId ? list.find((i) => i.id === requestedId) : null;
+  if (requested && fits(requested)) return { id: requested.id, instance: requested.instance, spilled: false };
+  const open = list.filter(fits).sort((a, b) => b.players - a.players);
+  if (open.length) return { id: open[0].id, instance: open[0].instance, spilled: !!requestedId };
+  const used = new Set(list.map((i) => i.instance));
+  let n = 1;
+  while (used.has(n)) n++;
+  const id = `${map}#${n}`;
+  instances.set(id, { map, number: n, createdAt: Date.now() });
+  return { id, instance: n, spilled: !!requestedId };
+}
+
+// Forget instances (and their room sets) once the last player has left
+function pruneRoom(room) {
+  if (room === LOBBY_ROOM || roomSize(room) > 0) return;
+  rooms.delete(room);
+  instances.delete(room);
+}
+
 async function persistCount(room) {
   if (!mongoColl) return;
   try {
@@ -70,6 +466,447 @@ async function persistCount(room) {
   }
 }
 
+// clientId -> socket, used to route addressed messages to a single player
+const sockets = new Map();
+
+// Addressed message types the server relays to one target client.
+// Queued types are stored for offline recipients and delivered when they rejoin;
+// the rest are ephemeral and fail immediately if the target is not connected.
+const RELAY_TYPES = {
+  friend_request: { queue: true },
+  friend_accept: { queue: true },
+  presence_request: { queue: false }
+};
+
+// Fallback queue used when MongoDB is unavailable: clientId -> [{ payload, createdAt }]
+const pendingRelays = new Map();
+
+function sendJSON(ws, obj) {
+  if (!ws || ws.readyState !== WebSocket.OPEN) return false;
+  try {
+    ws.send(JSON.stringify(obj));
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+async function queueRelay(to, payload) {
+  if (relayColl) {
+    try {
+      await relayColl.insertOne({ to, payload, createdAt: new Date() });
+      return true;
+    } catch (e) {
+      console.warn('Failed to persist queued relay', e);
+    }
+  }
+  if (!pendingRelays.has(to)) pendingRelays.set(to, []);
+  pendingRelays.get(to).push({ payload, createdAt: Date.now() });
+  return true;
+}
+
+// Deliver any requests that were queued while this client was offline
+async function flushPendingRelays(ws, clientId) {
+  const queued = [];
+  if (relayColl) {
+    try {
+      const docs = await relayColl.find({ to: clientId }).sort({ createdAt: 1 }).toArray();
+      if (docs.length) {
+        await relayColl.deleteMany({ _id: { $in: docs.map((d) => d._id) } });
+        docs.forEach((d) => queued.push(d.payload));
+      }
+    } catch (e) {
+      console.warn('Failed to load queued relays', e);
+    }
+  }
+  const mem = pendingRelays.get(clientId);
+  if (mem) {
+    pendingRelays.delete(clientId);
+    const cutoff = Date.now() - RELAY_TTL_SECONDS * 1000;
+    mem.forEach((m) => { if (m.createdAt >= cutoff) queued.push(m.payload); });
+  }
+  queued.forEach((payload) => sendJSON(ws, Object.assign({}, payload, { queued: true })));
+}
+
+async function relayAddressed(ws, data) {
+  const rule = RELAY_TYPES[data.type];
+  const from = ws._clientId;
+  const to = data.targetId || data.to;
+  const ack = { type: 'ack', for: data.type, requestId: data.requestId || null, to: to || null };
+  if (!from || !to) {
+    sendJSON(ws, Object.assign(ack, { status: 'failed', reason: 'missing_target' }));
+    return;
+  }
+  if (to === from) {
+    sendJSON(ws, Object.assign(ack, { status: 'failed', reason: 'self' }));
+    return;
+  }
+
+  if (await friends.isBlocked(from, to)) {
+    sendJSON(ws, Object.assign(ack, { status: 'failed', reason: 'blocked' }));
+    return;
+  }
+
+  // Stamp the sender from the socket rather than trusting the payload
+  const payload = Object.assign({}, data, { clientId: from, from, to, targetId: to, sentAt: Date.now() });
+  delete payload.requestId;
+
+  // Friend requests and accepts update the persistent graph before they are relayed
+  if (data.type === 'friend_request') {
+    const result = await friends.request(from, to, ws._username || data.username, (sockets.get(to) || {})._username);
+    if (result !== 'pending' && result !== 'accepted') {
+      sendJSON(ws, Object.assign(ack, { status: 'failed', reason: result }));
+      return;
+    }
+    // Both players asked each other: tell the target it was accepted instead of prompting again
+    if (result === 'accepted') payload.type = 'friend_accept';
+  } else if (data.type === 'friend_accept') {
+    if (!(await friends.accept(from, to, ws._username || data.username, (sockets.get(to) || {})._username))) {
+      sendJSON(ws, Object.assign(ack, { status: 'failed', reason: 'no_request' }));
+      return;
+    }
+  }
+  if (data.type === 'friend_request' || data.type === 'friend_accept') {
+    await Promise.all([pushFriendsList(from), pushFriendsList(to)]);
+  }
+
+  const target = sockets.get(to);
+  if (target && sendJSON(target, payload)) {
+    sendJSON(ws, Object.assign(ack, { status: 'delivered' }));
+  } else if (rule.queue) {
+    await queueRelay(to, payload);
+    sendJSON(ws, Object.assign(ack, { status: 'queued' }));
+  } else {
+    sendJSON(ws, Object.assign(ack, { status: 'failed', reason: 'offline' }));
+  }
+}
+
+async function pushFriendsList(clientId) {
+  const ws = sockets.get(clientId);
+  if (!ws) return;
+  const list = await friends.snapshot(clientId, (id) => sockets.has(id));
+  sendJSON(ws, Object.assign({ type: 'friends_list' }, list));
+}
+
+// Tell online friends that `clientId` came online or went offline
+async function notifyFriendsPresence(clientId, online) {
+  const ids = await friends.friendIds(clientId);
+  ids.forEach((id) => sendJSON(sockets.get(id), { type: 'friend_presence', id: clientId, online }));
+}
+
+// Graph operations that are not relayed to the other player: list, decline, unfriend, block, unblock
+const FRIEND_OPS = {
+  friends_list: null,
+  friend_decline: (me, other) => friends.decline(me, other),
+  unfriend: (me, other) => friends.unfriend(me, other),
+  block: (me, other, data) => friends.block(me, other, data.username || (sockets.get(other) || {})._username),
+  unblock: (me, other) => friends.unblock(me, other)
+};
+
+async function handleFriendOp(ws, data) {
+  const me = ws._clientId;
+  if (!me) return;
+  const op = FRIEND_OPS[data.type];
+  const other = data.targetId || data.to;
+  if (op) {
+    if (!other || other === me) {
+      sendJSON(ws, { type: 'ack', for: data.type, requestId: data.requestId || null, to: other || null, status: 'failed', reason: 'missing_target' });
+      return;
+    }
+    await op(me, other, data);
+    await pushFriendsList(other);
+  }
+  await pushFriendsList(me);
+}
+
+const presenceHub = createPresenceHub({
+  socketsInRoom: (room) => Array.from(wss.clients).filter((c) => c._room === room)
+});
+presenceHub.start();
+
+// Takes the socket out of its room. Its map visit ends too, so playtime and awards stop with it
+function leaveRoom(ws) {
+  const room = ws._room;
+  const cid = ws._clientId;
+  ws._visit = null;
+  if (!room || !cid) {
+    ws._room = null;
+    return null;
+  }
+  // Trades are only between players in the same room
+  const trade = trades.cancel(cid);
+  if (trade) closeTrade(trade, 'left', cid);
+  presenceHub.exit(ws, room);
+  ws._room = null;
+  ensureRoom(room).delete(cid);
+  pruneRoom(room);
+  return room;
+}
+
+// Moves the socket into `room`, updating counts for both the old and the new room.
+// Ends any map visit; join_map starts a new one after the move.
+async function switchRoom(ws, room, encoding) {
+  const previousRoom = leaveRoom(ws);
+  ensureRoom(room).add(ws._clientId);
+  ws._room = room;
+  if (encoding) ws._presenceEncoding = encoding === 'binary' ? 'binary' : 'json';
+  presenceHub.enter(ws, room);
+  if (previousRoom && previousRoom !== room) {
+    await persistCount(previousRoom);
+    broadcastRoomCount(previousRoom);
+  }
+  await persistCount(room);
+  broadcastRoomCount(room);
+  // Catch the player up on what was said before they arrived
+  if (CHAT_BACKLOG_SIZE > 0) {
+    sendJSON(ws, { type: 'chat_backlog', room, lines: await chatLog.backlog(room, CHAT_BACKLOG_SIZE) });
+  }
+}
+
+// Caches an account's mute/ban deadlines on its socket (checked on every chat and join) and tells the client.
+// Called on login and whenever a sanction is applied or lifted.
+function applyRestrictions(ws, status, notify = true) {
+  ws._muteUntil = status.muteUntil ? new Date(status.muteUntil).getTime() : 0;
+  ws._banUntil = status.banUntil ? new Date(status.banUntil).getTime() : 0;
+  if (!notify) return;
+  if (ws._banUntil) sendJSON(ws, { type: 'moderation', action: 'ban', until: status.banUntil, reason: status.banReason });
+  else if (ws._muteUntil) sendJSON(ws, { type: 'moderation', action: 'mute', until: status.muteUntil, reason: status.muteReason });
+}
+
+const isBanned = (ws) => ws._banUntil > Date.now();
+const isMuted = (ws) => ws._muteUntil > Date.now();
+
+// Sends a fresh sanction to the account's socket and, for bans, pulls it out of any map back to the lobby
+async function enforceSanction(ws, applied, reason) {
+  if (!ws) return;
+  if (applied.action === 'mute') ws._muteUntil = new Date(applied.until).getTime();
+  if (applied.action === 'ban') ws._banUntil = new Date(applied.until).getTime();
+  sendJSON(ws, { type: 'moderation', action: applied.action, until: applied.until, reason });
+  if (applied.action === 'ban' && ws._room && ws._room !== LOBBY_ROOM) await switchRoom(ws, LOBBY_ROOM);
+}
+
+const ADMIN_ACTIONS = ['warn', 'kick', 'mute', 'unmute', 'ban', 'unban'];
+
+// Records an admin's sanction and applies it to the account's socket right away if it's connected.
+// Kicks close the socket; lifting a mute or ban refreshes the cached deadlines.
+async function applyAdminAction(accountId, { action, minutes, reason }, admin) {
+  const applied = await moderation.sanction(accountId, { action, minutes, reason, by: admin.id });
+  const ws = sockets.get(accountId);
+  if (!ws) return applied;
+  if (action === 'mute' || action === 'ban' || action === 'warn') {
+    await enforceSanction(ws, applied, reason);
+  } else if (action === 'kick') {
+    sendJSON(ws, { type: 'moderation', action: 'kick', reason });
+    try { ws.close(4003, 'kicked'); } catch (e) { /* ignore */ }
+  } else {
+    applyRestrictions(ws, await moderation.status(accountId), false);
+    sendJSON(ws, { type: 'moderation', action, reason });
+  }
+  return applied;
+}
+
+const MAX_CHAT_LENGTH = 300;
+
+// Server-originated notices. Players can't send this type, so clients can trust it.
+function sendSystem(ws, message) {
+  sendJSON(ws, { type: 'system', message });
+}
+
+// Runs a chat, team or whisper message through mutes/bans and the chat filter, striking blocked content.
+// Resolves to the text to deliver (masked if needed) or null after telling the sender why it was refused.
+async function moderateChat(ws, data, roomName, channel) {
+  if (isBanned(ws) || isMuted(ws)) {
+    const banned = isBanned(ws);
+    sendJSON(ws, { type: 'chat_error', reason: banned ? 'banned' : 'muted', until: new Date(banned ? ws._banUntil : ws._muteUntil) });
+    return null;
+  }
+  const message = String(data.message || '').slice(0, MAX_CHAT_LENGTH);
+  if (!message.trim()) return null;
+  // Age-limited rules use the age the player declared on the start screen
+  const verdict = chatFilter.check(message, { declaredAge: data.age });
+  if (verdict.action !== 'block') return verdict.text;
+  sendJSON(ws, { type: 'chat_error', reason: 'blocked', rule: verdict.hits[0].id });
+  chatLog.record(roomName, { accountId: ws._clientId, username: ws._username, channel, message, blocked: verdict.hits.map((h) => h.id) });
+  const worst = verdict.hits.reduce((a, b) => (b.severity > a.severity ? b : a));
+  if (worst.severity > 0) {
+    const applied = await moderation.strike(ws._clientId, { rule: worst.id, severity: worst.severity, message, room: roomName });
+    if (applied.action !== 'none') await enforceSanction(ws, applied, 'chat:' + worst.id);
+  }
+  return null;
+}
+
+// Private message to one online player by username, delivered to that socket only.
+// A target that blocked the sender (or was blocked by them) looks offline.
+async function handleWhisper(ws, data) {
+  const name = String(data.to || '').trim().toLowerCase();
+  let target = null;
+  sockets.forEach((c) => { if (!target && c._username && c._username.toLowerCase() === name) target = c; });
+  if (target === ws) {
+    sendJSON(ws, { type: 'chat_error', reason: 'whisper_self' });
+    return;
+  }
+  if (!target || target.readyState !== WebSocket.OPEN || await friends.isBlocked(ws._clientId, target._clientId)) {
+    sendJSON(ws, { type: 'chat_error', reason: 'not_online', to: String(data.to || '').slice(0, 20) });
+    return;
+  }
+  const roomName = ws._room || LOBBY_ROOM;
+  const text = await moderateChat(ws, data, roomName, 'whisper');
+  if (text === null) return;
+  const typed = String(data.message).slice(0, MAX_CHAT_LENGTH);
+  const line = chatLog.record(roomName, { accountId: ws._clientId, username: ws._username, channel: 'whisper', to: target._clientId, toName: target._username, message: text, original: text !== typed ? typed : undefined });
+  sendJSON(target, { type: 'whisper', id: line.id, clientId: ws._clientId, username: ws._username, message: text });
+  sendJSON(ws, { type: 'whisper_sent', toId: target._clientId, to: target._username, message: text });
+}
+
+const MAX_TEAM_NAME = 20;
+
+// Joins (or with an empty name, leaves) a team. Teams are just a shared name within a room: team chat
+// reaches players in the same room with the same team, and the team is shown in presence.
+async function setTeam(ws, team) {
+  const name = String(team || '').replace(/[^A-Za-z0-9 _-]/g, '').trim().slice(0, MAX_TEAM_NAME) || null;
+  const previous = ws._team || null;
+  if (name === previous) return;
+  const teammates = (t) => Array.from(wss.clients).filter((c) => c !== ws && c._room === ws._room && c._team === t);
+  if (previous) teammates(previous).forEach((c) => sendSystem(c, `${ws._username} left your team.`));
+  ws._team = name;
+  presenceHub.update(ws, { team: name });
+  if (name) teammates(name).forEach((c) => sendSystem(c, `${ws._username} joined your team.`));
+  sendJSON(ws, { type: 'team', team: name });
+  sendSystem(ws, name ? `You joined team ${name}.` : 'You left your team.');
+}
+
+// Sends the account's socket its new balances and what changed
+function pushWallet(accountId, result) {
+  const ws = sockets.get(accountId);
+  if (!ws) return;
+  const { currency, amount, reason } = result.entry;
+  sendJSON(ws, { type: 'wallet', balances: result.balances, change: { currency, amount, reason } });
+}
+
+const TRADE_OPS = ['trade_request', 'trade_accept', 'trade_decline', 'trade_offer', 'trade_confirm', 'trade_cancel'];
+
+function sendTradeUpdate(trade) {
+  const view = trades.view(trade);
+  trade.parties.forEach((p) => sendJSON(sockets.get(p.id), { type: 'trade_update', trade: view }));
+}
+
+// reason: 'declined'|'cancelled'|'left'|'disconnected'|'completed'|'failed'; by: who ended it, if anyone
+function closeTrade(trade, reason, by = null, detail = null) {
+  trade.parties.forEach((p) => sendJSON(sockets.get(p.id), { type: 'trade_closed', tradeId: trade.id, reason, by, detail }));
+}
+
+// Trades between two players in the same room (see server/trades.js). Both sides get "trade_update" after
+// every change; a refused step is answered with "trade_error" to the sender only.
+async function handleTrade(ws, data) {
+  const me = ws._clientId;
+  const tradeId = String(data.tradeId || '');
+  const refuse = (reason) => sendJSON(ws, { type: 'trade_error', tradeId: tradeId || null, reason });
+  if (data.type === 'trade_request') {
+    const target = sockets.get(String(data.targetId || ''));
+    // Players who blocked each other can't trade; like whispers, the reason isn't given away
+    if (!target || !ws._room || target._room !== ws._room || await friends.isBlocked(me, target._clientId)) return refuse('not_available');
+    const result = trades.request({ id: me, username: ws._username }, { id: target._clientId, username: target._username }, ws._room);
+    if (!result.ok) return refuse(result.reason);
+    sendTradeUpdate(result.trade);
+    return;
+  }
+  if (data.type === 'trade_decline' || data.type === 'trade_cancel') {
+    const trade = trades.cancel(me, tradeId);
+    if (!trade) return refuse('not_found');
+    closeTrade(trade, data.type === 'trade_decline' ? 'declined' : 'cancelled', me);
+    return;
+  }
+  let result;
+  if (data.type === 'trade_accept') result = trades.accept(me, tradeId);
+  else if (data.type === 'trade_offer') result = await trades.setOffer(me, tradeId, { items: data.items, currency: data.currency });
+  else result = trades.confirm(me, tradeId);
+  if (!result.ok) return refuse(result.reason);
+  sendTradeUpdate(result.trade);
+  if (!result.ready) return;
+  const trade = result.trade;
+  const done = await trades.execute(trade);
+  closeTrade(trade, done.ok ? 'completed' : 'failed', null, done.ok ? null : done.reason);
+  for (const p of trade.parties) {
+    const c = sockets.get(p.id);
+    if (c) sendJSON(c, { type: 'wallet', balances: await wallet.balances(p.id) });
+    await syncPetPresence(p.id);
+  }
+}
+
+// Puts the account's equipped pets in its presence so the room draws them
+async function syncPetPresence(accountId) {
+  const ws = sockets.get(accountId);
+  if (ws) presenceHub.update(ws, { pets: await pets.equippedKinds(accountId) });
+}
+
+// {"type":"award","rule","ref"?,"amount"?}: a claim checked against AWARD_RULES and the current map visit
+async function handleAward(ws, data) {
+  const check = checkAward(ws._visit, String(data.rule || ''), { ref: data.ref, amount: data.amount });
+  if (!check.ok) {
+    sendJSON(ws, { type: 'award_error', rule: data.rule, reason: check.reason });
+    return;
+  }
+  const result = await wallet.apply(ws._clientId, check.currency, check.amount, { reason: data.rule, ref: data.ref || ws._visit.map });
+  if (result.ok) pushWallet(ws._clientId, result);
+  else sendJSON(ws, { type: 'award_error', rule: data.rule, reason: result.reason });
+}
+
+// Files a player report with the evidence taken from the reporter's room chat log.
+// data: {"targetId","reason","messageId"?}; messageId must be a line the target said in that room or
+// whispered to the reporter.
+async function handlePlayerReport(ws, data) {
+  const room = ws._room || LOBBY_ROOM;
+  const targetWs = sockets.get(String(data.targetId || ''));
+  const target = targetWs ? { id: targetWs._clientId, username: targetWs._username } : await accounts.findById(String(data.targetId || ''));
+  let message = null;
+  if (data.messageId != null) {
+    message = chatLog.find(null, Number(data.messageId));
+    // Only lines the reporter could have seen: the target's chat in this room or a whisper to the reporter
+    const seen = message && (message.channel === 'whisper' ? message.to === ws._clientId : message.room === room);
+    if (!seen || !target || message.accountId !== target.id) {
+      sendJSON(ws, { type: 'report_ack', ok: false, reason: 'not_found' });
+      return;
+    }
+  }
+  const result = await playerReports.file({ id: ws._clientId, username: ws._username }, target, {
+    reason: data.reason,
+    room,
+    message,
+    context: chatLog.recent(room, 30)
+  });
+  sendJSON(ws, { type: 'report_ack', ok: result.ok, reason: result.reason, duplicate: !!result.duplicate, targetId: target ? target.id : null });
+}
+
+// Binds an authenticated account to this socket. A second connection for the same account
+// replaces the first, which is told why and closed.
+async function bindSession(ws, account, token) {
+  const previous = sockets.get(account.id);
+  if (previous && previous !== ws) {
+    sendJSON(previous, { type: 'session_replaced' });
+    const oldRoom = leaveRoom(previous);
+    previous._clientId = null;
+    try { previous.close(4001, 'session_replaced'); } catch (e) { /* ignore */ }
+    if (oldRoom) {
+      await persistCount(oldRoom);
+      broadcastRoomCount(oldRoom);
+    }
+  }
+  const firstBind = !ws._clientId;
+  ws._clientId = account.id;
+  ws._username = account.username;
+  sockets.set(account.id, ws);
+  presenceHub.update(ws, { username: account.username });
+  sendJSON(ws, { type: 'session', token, accountId: account.id, username: account.username, presenceTickHz: presenceHub.tickHz, admin: isAdmin(account.id) });
+  applyRestrictions(ws, await moderation.status(account.id));
+  await syncPetPresence(account.id);
+  if (firstBind) {
+    sendJSON(ws, { type: 'wallet', balances: await wallet.balances(account.id) });
+    await flushPendingRelays(ws, account.id);
+    await pushFriendsList(account.id);
+    await notifyFriendsPresence(account.id, true);
+  }
+}
+
 function broadcastRoomCount(room) {
   const count = (rooms.get(room) || new Set()).size;
   const payload = JSON.stringify({ type: 'presence_count', room, count });
@@ -80,76 +917,220 @@ function broadcastRoomCount(room) {
   });
 }
 
-// WebSocket protocol: client sends {"type":"join","room":"<name>","clientId":"<id>"} and {"type":"leave","room":"<name>","clientId":"<id>"}
-// Server will broadcast presence_count updates.
+// WebSocket protocol: client first sends {"type":"auth","token":"<saved token or null>","username":"<wanted name>"}
+// and receives {"type":"session","token","accountId","username","admin"}; the account id is its clientId from then on.
+// Names change with {"type":"set_username","username"} (answered by a new "session" or "username_error").
+// Then {"type":"join","room":"<name>","encoding":"json"|"binary"} and {"type":"leave","room":"<name>"}; "join"
+// refuses map instance rooms with a "join_error" (reason "invalid_room"): maps are joined with {"type":"join_map","map":"<map>","instance":"<optional room id>"}, answered by
+// {"type":"joined","room":"<map>#<n>","map","instance":<n>,"maxPlayers","spilled"} (spilled = requested one was full);
+// any clientId in a payload is ignored. Server will broadcast presence_count updates.
+// Presence: clients send partial {"type":"presence_update","presence":{...changed fields}} at most once per tick
+// (the rate is announced as presenceTickHz in "session") and receive batched "presence_delta" frames
+// (plus binary frames when joined with encoding "binary"). Only CLIENT_PRESENCE_FIELDS are taken from the payload.
+// Addressed messages ({"type":"friend_request","targetId":"<id>","requestId":"<optional>"}, friend_accept,
+// presence_request with "to") are routed to the target socket only, and the sender receives
+// {"type":"ack","for":"<type>","requestId":...,"to":"<id>","status":"delivered"|"queued"|"failed"}.
+// Friends: {"type":"friends_list"} returns the caller's graph; friend_decline, unfriend, block and unblock
+// take a "targetId". The server pushes "friends_list" after every change and "friend_presence"
+// ({"id","online"}) when a friend connects or disconnects.
+// Chat: {"type":"chat","message","age","channel":"room"|"team"} is filtered and relayed to the room (or the
+// sender's teammates in it); {"type":"set_team","team":"<name>"|null} joins or leaves a team (answered by
+// {"type":"team","team"}). {"type":"whisper","to":"<username>","message","age"} goes to that socket only as
+// {"type":"whisper","id","clientId","username","message"}, and the sender gets "whisper_sent". A refused
+// message is answered by {"type":"chat_error","reason":"muted"|"banned"|"blocked"|"no_team"|"not_online"|
+// "whisper_self","until"?}. Server notices arrive as {"type":"system","message"}, which players can't send. Sanctions arrive as
+// {"type":"moderation","action":"warn"|"mute"|"ban","until","reason"} (also on login while one is active;
+// admins can also send "kick", "unmute" and "unban"). Relayed chat carries an "id" that
+// {"type":"report_player","targetId","reason","messageId"?} can point at; the reporter gets a "report_ack".
+// Every join is followed by {"type":"chat_backlog","room","lines":[{"id","clientId","username","message","at"}]}
+// with the room's recent chat, oldest first.
+// Wallet: {"type":"wallet","balances":{points,coins,candy,chirps},"change"?:{"currency","amount","reason"}} is
+// pushed on login and after every change. {"type":"award","rule","ref"?,"amount"?} claims an AWARD_RULES
+// award for the current map visit (refused with {"type":"award_error","rule","reason"}).
+// Appearance: presence "appearance" is {colors, shirt, face, hat} with shirt/face as /assets ids; anything else
+// in it is dropped (see server/appearance.js).
+// Pets: each presence carries "pets", the owner's equipped pet kinds; only REST (/pets) changes them.
+// Trades: {"type":"trade_request","targetId"} (same room), then trade_accept / trade_decline / trade_cancel /
+// trade_confirm with a "tradeId", and {"type":"trade_offer","tradeId","items":[inventory ids],"currency":{coins,
+// candy,chirps}} to replace one's offer. Both sides get {"type":"trade_update","trade"} after each change and
+// {"type":"trade_closed","tradeId","reason","by","detail"} at the end; refusals are {"type":"trade_error","reason"}.
+// Game votes: {"type":"watch_games","ids":[...]} replaces the set of games whose tallies this socket is shown;
+// the server pushes {"type":"game_votes","id","up","down"} whenever one of them changes.
+// A message the server failed to handle (store unavailable etc.) is answered by {"type":"error","reason","for"}.
 wss.on('connection', (ws) => {
   ws.isAlive = true;
   ws.on('pong', () => ws.isAlive = true);
 
-  ws.on('message', async (msg) => {
-    let data = null;
-    try { data = JSON.parse(msg); } catch (e) { return; }
-    if (!data || !data.type) return;
+  const handleMessage = async (data) => {
+    if (data.type === 'ping') {
+      ws.send(JSON.stringify({ type: 'pong' }));
+      return;
+    }
+    if (data.type === 'auth') {
+      if (ws._clientId) return;
+      try {
+        const session = await accounts.login({ token: data.token, username: data.username, legacyId: data.legacyClientId });
+        await bindSession(ws, session.account, session.token);
+      } catch (e) {
+        console.warn('Auth failed', e);
+        sendJSON(ws, { type: 'auth_error', reason: 'server_error' });
+      }
+      return;
+    }
+    // Everything below acts on behalf of an account, so the handshake must have completed
+    if (!ws._clientId) {
+      sendJSON(ws, { type: 'auth_error', reason: 'auth_required', for: data.type });
+      return;
+    }
+    const me = ws._clientId;
 
-    if (data.type === 'join' && data.room && data.clientId) {
-      const set = ensureRoom(data.room);
-      set.add(data.clientId);
-      await persistCount(data.room);
-      broadcastRoomCount(data.room);
-      ws._room = data.room;
-      ws._clientId = data.clientId;
-    } else if (data.type === 'leave' && data.room && data.clientId) {
-      const set = ensureRoom(data.room);
-      set.delete(data.clientId);
+    if (data.type === 'join' && data.room) {
+      const room = String(data.room).slice(0, 64);
+      // Map instances ("<map>#<n>") are only entered through join_map, which enforces capacity and starts the visit
+      if (room.includes('#')) {
+        sendJSON(ws, { type: 'join_error', room, reason: 'invalid_room' });
+        return;
+      }
+      // Banned accounts may only sit in the lobby
+      if (isBanned(ws) && room !== LOBBY_ROOM) {
+        sendJSON(ws, { type: 'join_error', room, reason: 'banned', until: new Date(ws._banUntil) });
+        return;
+      }
+      await switchRoom(ws, room, data.encoding);
+    } else if (data.type === 'join_map' && typeof data.map === 'string') {
+      const map = data.map.slice(0, 64);
+      if (!map || map.includes('#') || map === LOBBY_ROOM) {
+        sendJSON(ws, { type: 'join_error', map, reason: 'invalid_map' });
+        return;
+      }
+      if (isBanned(ws)) {
+        sendJSON(ws, { type: 'join_error', map, reason: 'banned', until: new Date(ws._banUntil) });
+        return;
+      }
+      // Allocation and membership happen before any await so two joiners can't both take the last slot
+      const { id, instance, spilled } = allocateInstance(map, data.instance, me);
+      await switchRoom(ws, id, data.encoding);
+      ws._visit = newVisit(map);
+      // Every game start joins a map, so this is the visit count (unknown maps are ignored by the store)
+      games.recordVisit(map).catch(() => {});
+      sendJSON(ws, { type: 'joined', room: id, map, instance, maxPlayers: MAX_PLAYERS_PER_INSTANCE, spilled });
+    } else if (data.type === 'leave' && data.room) {
+      if (ws._room === data.room) leaveRoom(ws);
+      else if (rooms.has(data.room)) rooms.get(data.room).delete(me);
       await persistCount(data.room);
       broadcastRoomCount(data.room);
-    } else if (data.type === 'ping') {
-      ws.send(JSON.stringify({ type: 'pong' }));
-    } else if (data.type === 'presence_update' && data.clientId) {
-      // Relay presence updates only to clients in the same room so players in the same game see each other.
-      const roomName = ws._room || data.room || 'global';
-      const payload = JSON.stringify({
-        type: 'presence_update',
-        clientId: data.clientId,
-        presence: data.presence || {},
-        room: roomName
-      });
-      wss.clients.forEach((c) => {
-        if (c.readyState === WebSocket.OPEN && c._room === roomName) {
-          try { c.send(payload); } catch (e) { /* ignore per-client send errors */ }
-        }
+    } else if (data.type === 'set_username') {
+      const result = await accounts.rename(me, data.username);
+      if (!result.ok) {
+        sendJSON(ws, { type: 'username_error', reason: result.reason });
+        return;
+      }
+      ws._username = result.account.username;
+      presenceHub.update(ws, { username: ws._username });
+      await friends.rename(me, ws._username);
+      sendJSON(ws, { type: 'session', token: accounts.issueToken(result.account), accountId: me, username: ws._username });
+    } else if (data.type === 'watch_games') {
+      const ids = Array.isArray(data.ids) ? data.ids.filter((id) => typeof id === 'string').slice(0, 100) : [];
+      ws._watchedGames = new Set(ids);
+    } else if (data.type === 'presence_update') {
+      // Merged now and relayed on the next presence tick to clients in the same room. Only the fields a client
+      // owns are taken; identity, team and pets come from the server, and anything else is dropped.
+      const presence = data.presence && typeof data.presence === 'object' ? data.presence : {};
+      const fields = {};
+      CLIENT_PRESENCE_FIELDS.forEach((key) => {
+        if (Object.prototype.hasOwnProperty.call(presence, key)) fields[key] = presence[key];
       });
-    } else if (data.type === 'chat' && data.clientId) {
-      // Relay chat messages to only clients in the same room.
-      const roomName = ws._room || data.room || 'global';
+      presenceHub.update(ws, fields);
+    } else if (RELAY_TYPES[data.type]) {
+      await relayAddressed(ws, data);
+    } else if (TRADE_OPS.includes(data.type)) {
+      await handleTrade(ws, data);
+    } else if (Object.prototype.hasOwnProperty.call(FRIEND_OPS, data.type)) {
+      await handleFriendOp(ws, data);
+    } else if (data.type === 'award') {
+      await handleAward(ws, data);
+    } else if (data.type === 'report_player') {
+      await handlePlayerReport(ws, data);
+    } else if (data.type === 'set_team') {
+      await setTeam(ws, data.team);
+    } else if (data.type === 'whisper') {
+      await handleWhisper(ws, data);
+    } else if (data.type === 'chat') {
+      // Relay chat to clients in the same room (or, on the team channel, the sender's teammates in it)
+      const roomName = ws._room || LOBBY_ROOM;
+      const channel = data.channel === 'team' ? 'team' : 'room';
+      if (channel === 'team' && !ws._team) {
+        sendJSON(ws, { type: 'chat_error', reason: 'no_team' });
+        return;
+      }
+      const text = await moderateChat(ws, data, roomName, channel);
+      if (text === null) return;
+      // Admins see what was actually typed behind any masking
+      const typed = String(data.message).slice(0, MAX_CHAT_LENGTH);
+      const line = chatLog.record(roomName, { accountId: me, username: ws._username, channel, team: ws._team || undefined, message: text, original: text !== typed ? typed : undefined });
       const payload = JSON.stringify({
         type: 'chat',
-        clientId: data.clientId,
-        username: data.username || 'Player',
-        message: data.message || '',
-        room: roomName
+        id: line.id,
+        clientId: me,
+        username: ws._username,
+        message: text,
+        room: roomName,
+        channel,
+        team: channel === 'team' ? ws._team : undefined
       });
       wss.clients.forEach((c) => {
-        if (c.readyState === WebSocket.OPEN && c._room === roomName) {
+        if (c.readyState === WebSocket.OPEN && c._room === roomName && (channel === 'room' || c._team === ws._team)) {
           try { c.send(payload); } catch (e) { /* ignore per-client send errors */ }
         }
       });
     }
+  };
+  ws.on('message', (msg) => {
+    let data = null;
+    try { data = JSON.parse(msg); } catch (e) { return; }
+    if (!data || !data.type) return;
+    handleMessage(data).catch((e) => {
+      console.error('message failed', data.type, ws._clientId, e);
+      sendJSON(ws, { type: 'error', reason: 'server_error', for: String(data.type) });
+    });
   });
 
   ws.on('close', async () => {
-    // Remove from any tracked room for this socket
-    const room = ws._room;
     const cid = ws._clientId;
-    if (room && cid) {
-      const set = ensureRoom(room);
-      set.delete(cid);
+    const trade = cid && sockets.get(cid) === ws ? trades.cancel(cid) : null;
+    if (trade) closeTrade(trade, 'disconnected', cid);
+    // Remove from any tracked room for this socket
+    const room = leaveRoom(ws);
+    if (cid && sockets.get(cid) === ws) {
+      sockets.delete(cid);
+      await notifyFriendsPresence(cid, false);
+    }
+    if (room) {
       await persistCount(room);
       broadcastRoomCount(room);
     }
   });
 });
 
+// Playtime: every socket in a map earns a point per PLAYTIME_SECONDS[map] seconds there
+const PLAYTIME_TICK_MS = 5000;
+setInterval(() => {
+  sockets.forEach((ws, accountId) => {
+    const visit = ws._visit;
+    if (!visit) return;
+    const now = Date.now();
+    visit.playAcc += (now - (visit.playTickAt || visit.since)) / 1000;
+    visit.playTickAt = now;
+    const every = PLAYTIME_SECONDS[visit.map] || PLAYTIME_SECONDS.default;
+    const gain = Math.floor(visit.playAcc / every);
+    if (gain <= 0) return;
+    visit.playAcc -= gain * every;
+    wallet.apply(accountId, 'points', gain, { reason: 'playtime', ref: visit.map })
+      .then((result) => { if (result.ok) pushWallet(accountId, result); })
+      .catch((e) => console.warn('Playtime award failed', e));
+  });
+}, PLAYTIME_TICK_MS);
+
 // Health ping to close dead sockets
 setInterval(() => {
   wss.clients.forEach((ws) => {
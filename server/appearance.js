@@ -0,0 +1,71 @@
+/*
+Avatar appearance as it travels in presence.
+- { colors: { head, torso, leftArm, rightArm, leftLeg, rightLeg }, shirt, face, hat }
+- shirt and face are asset ids (server/assets.js); inline images are dropped so presence stays small
+- hat is either a simple hat ({ color, size, offset?, rot? }) or one built in the hat editor
+  ({ constructed: true, parts: [{ type, pos, rot, scale, color }], offset, rot }) with at most MAX_HAT_PARTS parts
+- normalizeAppearance keeps only those fields, with numbers clamped, so other clients can rebuild the
+  avatar without trusting what the sender put there
+*/
+
+const { ASSET_ID_PATTERN } = require('./assets');
+
+const BODY_PARTS = ['head', 'torso', 'leftArm', 'rightArm', 'leftLeg', 'rightLeg'];
+const MAX_HAT_PARTS = 32;
+const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+const PART_TYPE = /^[a-z]{1,16}$/;
+
+function num(v, limit, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.max(-limit, Math.min(limit, n)) : fallback;
+}
+
+function color(v) {
+  return typeof v === 'string' && HEX_COLOR.test(v) ? v.toLowerCase() : null;
+}
+
+function vec3(v, limit, fallback) {
+  return Array.isArray(v) ? [0, 1, 2].map((i) => num(v[i], limit, fallback)) : [fallback, fallback, fallback];
+}
+
+function xyz(v, limit) {
+  if (!v || typeof v !== 'object') return null;
+  return { x: num(v.x, limit), y: num(v.y, limit), z: num(v.z, limit) };
+}
+
+function normalizeHat(hat) {
+  if (!hat || typeof hat !== 'object') return null;
+  const out = {};
+  const offset = xyz(hat.offset, 10);
+  const rot = xyz(hat.rot, 360);
+  if (offset) out.offset = offset;
+  if (rot) out.rot = rot;
+  if (hat.constructed) {
+    const parts = (Array.isArray(hat.parts) ? hat.parts : []).slice(0, MAX_HAT_PARTS)
+      .filter((p) => p && typeof p === 'object')
+      .map((p) => ({
+        type: typeof p.type === 'string' && PART_TYPE.test(p.type) ? p.type : 'box',
+        pos: vec3(p.pos, 10, 0),
+        rot: vec3(p.rot, Math.PI * 2, 0),
+        scale: vec3(p.scale, 10, 1),
+        color: color(p.color) || '#333333'
+      }));
+    if (!parts.length) return null;
+    return Object.assign({ constructed: true, parts }, out);
+  }
+  return Object.assign({ color: color(hat.color) || '#333333', size: Math.max(0.1, num(hat.size, 6, 1.5)) }, out);
+}
+
+// Returns the cleaned appearance, or undefined when the value isn't an object
+function normalizeAppearance(app) {
+  if (!app || typeof app !== 'object') return undefined;
+  const colors = {};
+  BODY_PARTS.forEach((part) => {
+    const c = app.colors && typeof app.colors === 'object' ? color(app.colors[part]) : null;
+    if (c) colors[part] = c;
+  });
+  const asset = (v) => (typeof v === 'string' && ASSET_ID_PATTERN.test(v) ? v : null);
+  return { colors, shirt: asset(app.shirt), face: asset(app.face), hat: normalizeHat(app.hat) };
+}
+
+module.exports = { normalizeAppearance, MAX_HAT_PARTS };
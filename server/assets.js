@@ -0,0 +1,110 @@
+/*
+Uploaded image assets (avatar shirts and faces) for the presence server.
+- Images are stored once per content hash in MongoDB (memory fallback) and served from GET /assets/:id, so
+  presence and saved appearances carry a short asset id instead of an inline data URL
+- Only PNG, JPEG, GIF and WebP are accepted, recognised by their leading bytes rather than the
+  client's Content-Type, and at most MAX_ASSET_BYTES each
+- Ids are derived from the bytes, so an asset never changes and can be cached forever; uploading an
+  image that already exists returns the existing id
+- Each account may upload at most MAX_ASSETS_PER_ACCOUNT distinct images
+*/
+
+const crypto = require('crypto');
+
+const ASSETS_COLLECTION = process.env.ASSETS_COLLECTION || 'assets';
+const MAX_ASSET_BYTES = Math.max(1024, parseInt(process.env.MAX_ASSET_BYTES || String(512 * 1024), 10));
+const MAX_ASSETS_PER_ACCOUNT = Math.max(1, parseInt(process.env.MAX_ASSETS_PER_ACCOUNT || '200', 10));
+const ASSET_ID_PATTERN = /^as-[0-9a-f]{32}$/;
+
+// Leading bytes -> content type
+function sniffImageType(buf) {
+  if (buf.length >= 8 && buf.readUInt32BE(0) === 0x89504e47 && buf.readUInt32BE(4) === 0x0d0a1a0a) return 'image/png';
+  if (buf.length >= 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return 'image/jpeg';
+  if (buf.length >= 6 && /^GIF8[79]a$/.test(buf.toString('latin1', 0, 6))) return 'image/gif';
+  if (buf.length >= 12 && buf.toString('latin1', 0, 4) === 'RIFF' && buf.toString('latin1', 8, 12) === 'WEBP') return 'image/webp';
+  return null;
+}
+
+function publicAsset(doc) {
+  return { id: doc.id, contentType: doc.contentType, size: doc.size, url: '/assets/' + doc.id };
+}
+
+function createAssetStore() {
+  let coll = null;
+  // Fallback store: id -> doc
+  const mem = new Map();
+
+  async function init(db) {
+    try {
+      coll = db.collection(ASSETS_COLLECTION);
+      await coll.createIndex({ id: 1 }, { unique: true });
+      await coll.createIndex({ ownerId: 1 });
+    } catch (e) {
+      console.warn('Assets collection init failed; using memory store', e);
+      coll = null;
+    }
+  }
+
+  async function find(id) {
+    if (coll) {
+      try {
+        return await coll.findOne({ id }, { projection: { _id: 0 } });
+      } catch (e) {
+        console.warn('Asset lookup failed', e);
+      }
+    }
+    return mem.get(id) || null;
+  }
+
+  async function countOwned(ownerId) {
+    if (coll) {
+      try {
+        return await coll.countDocuments({ ownerId });
+      } catch (e) {
+        console.warn('Asset lookup failed', e);
+      }
+    }
+    return Array.from(mem.values()).filter((d) => d.ownerId === ownerId).length;
+  }
+
+  // data: Buffer. Resolves to { ok: true, asset } or { ok: false, reason: 'empty'|'too_large'|'invalid_type'|
+  // 'asset_quota'|'storage_failed' }
+  async function put(ownerId, data) {
+    if (!Buffer.isBuffer(data) || !data.length) return { ok: false, reason: 'empty' };
+    if (data.length > MAX_ASSET_BYTES) return { ok: false, reason: 'too_large' };
+    const contentType = sniffImageType(data);
+    if (!contentType) return { ok: false, reason: 'invalid_type' };
+    const id = 'as-' + crypto.createHash('sha256').update(data).digest('hex').slice(0, 32);
+    const existing = await find(id);
+    if (existing) return { ok: true, asset: publicAsset(existing) };
+    if ((await countOwned(ownerId)) >= MAX_ASSETS_PER_ACCOUNT) return { ok: false, reason: 'asset_quota' };
+    const doc = { id, ownerId, contentType, size: data.length, data, createdAt: new Date() };
+    if (coll) {
+      try {
+        await coll.insertOne(Object.assign({}, doc));
+      } catch (e) {
+        // Someone uploaded the same bytes at the same moment
+        if (e && e.code === 11000) return { ok: true, asset: publicAsset(doc) };
+        console.warn('Asset write failed', e);
+        return { ok: false, reason: 'storage_failed' };
+      }
+    } else {
+      mem.set(id, doc);
+    }
+    return { ok: true, asset: publicAsset(doc) };
+  }
+
+  // Resolves to { contentType, data: Buffer } or null
+  async function get(id) {
+    if (!ASSET_ID_PATTERN.test(String(id))) return null;
+    const doc = await find(id);
+    if (!doc) return null;
+    // The driver hands binary fields back as a BSON Binary
+    const data = Buffer.isBuffer(doc.data) ? doc.data : Buffer.from(doc.data.buffer);
+    return { contentType: doc.contentType, data };
+  }
+
+  return { init, put, get };
+}
+
+module.exports = { createAssetStore, ASSET_ID_PATTERN, MAX_ASSET_BYTES };
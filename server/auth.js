@@ -0,0 +1,208 @@
+/*
+Player accounts and session tokens for the presence server.
+- An account is a persistent id plus a unique display name, stored in MongoDB (memory fallback)
+- Sessions are stateless HMAC-signed tokens: base64url(JSON { aid, name, iat, exp }) + '.' + signature
+- Tokens are re-issued whenever the account name changes so the name carried in a token is always current
+- Admins are configured by account id (ADMIN_ACCOUNT_IDS)
+*/
+
+const crypto = require('crypto');
+
+const ACCOUNTS_COLLECTION = process.env.ACCOUNTS_COLLECTION || 'accounts';
+const SESSION_TTL_SECONDS = parseInt(process.env.SESSION_TTL_SECONDS || String(90 * 24 * 60 * 60), 10);
+const USERNAME_RE = /^[A-Za-z0-9_ ]{3,20}$/;
+// Ids minted by older clients before accounts existed; still accepted so friends keyed by them carry over
+const LEGACY_ID_RE = /^c-[a-z0-9]{6,12}$/;
+// Comma-separated account ids allowed to moderate (delete others' content, etc.)
+const ADMIN_ACCOUNT_IDS = new Set((process.env.ADMIN_ACCOUNT_IDS || '').split(',').map((s) => s.trim()).filter(Boolean));
+
+let SESSION_SECRET = process.env.SESSION_SECRET;
+if (!SESSION_SECRET) {
+  SESSION_SECRET = crypto.randomBytes(32).toString('hex');
+  console.warn('SESSION_SECRET not set; using a random secret. Sessions will not survive a restart.');
+}
+
+function b64url(buf) {
+  return Buffer.from(buf).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function sign(body) {
+  return b64url(crypto.createHmac('sha256', SESSION_SECRET).update(body).digest());
+}
+
+function issueToken(account) {
+  const now = Math.floor(Date.now() / 1000);
+  const body = b64url(JSON.stringify({ aid: account.id, name: account.username, iat: now, exp: now + SESSION_TTL_SECONDS }));
+  return body + '.' + sign(body);
+}
+
+// Returns the token claims if the signature is valid and the token has not expired, else null
+function verifyToken(token) {
+  if (typeof token !== 'string') return null;
+  const parts = token.split('.');
+  if (parts.length !== 2) return null;
+  const expected = Buffer.from(sign(parts[0]));
+  const actual = Buffer.from(parts[1]);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  let claims = null;
+  try {
+    claims = JSON.parse(Buffer.from(parts[0].replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+  if (!claims || !claims.aid || !claims.exp || claims.exp * 1000 < Date.now()) return null;
+  return claims;
+}
+
+function isAdmin(accountId) {
+  return !!accountId && ADMIN_ACCOUNT_IDS.has(accountId);
+}
+
+// Express middleware resolving `Authorization: Bearer <session token>` to req.account ({ id, username, admin }).
+// With required=false anonymous requests pass through with req.account = null.
+function httpSession(required = true) {
+  return (req, res, next) => {
+    const header = req.get('authorization') || '';
+    const claims = header.startsWith('Bearer ') ? verifyToken(header.slice(7).trim()) : null;
+    req.account = claims ? { id: claims.aid, username: claims.name, admin: isAdmin(claims.aid) } : null;
+    if (required && !req.account) return res.status(401).json({ error: 'auth_required' });
+    next();
+  };
+}
+
+function normalizeUsername(name) {
+  return String(name || '').trim().replace(/\s+/g, ' ');
+}
+
+function isValidUsername(name) {
+  return USERNAME_RE.test(name) && name.toLowerCase() !== 'system';
+}
+
+function createAccountStore() {
+  let coll = null;
+  // Fallback store: id -> account
+  const mem = new Map();
+
+  async function init(db) {
+    try {
+      coll = db.collection(ACCOUNTS_COLLECTION);
+      await coll.createIndex({ usernameLower: 1 }, { unique: true });
+    } catch (e) {
+      console.warn('Accounts collection init failed; using memory store', e);
+      coll = null;
+    }
+  }
+
+  function toAccount(doc) {
+    return doc ? { id: doc._id, username: doc.username, createdAt: doc.createdAt } : null;
+  }
+
+  async function findById(id) {
+    if (coll) {
+      try { return toAccount(await coll.findOne({ _id: id })); } catch (e) { console.warn('Account lookup failed', e); }
+    }
+    return toAccount(mem.get(id));
+  }
+
+  async function findByName(username) {
+    const lower = username.toLowerCase();
+    if (coll) {
+      try { return toAccount(await coll.findOne({ usernameLower: lower })); } catch (e) { console.warn('Account lookup failed', e); }
+    }
+    for (const doc of mem.values()) if (doc.usernameLower === lower) return toAccount(doc);
+    return null;
+  }
+
+  async function isNameFree(username, exceptId) {
+    const existing = await findByName(username);
+    return !existing || existing.id === exceptId;
+  }
+
+  async function insert(doc) {
+    if (coll) {
+      try { await coll.insertOne(doc); return true; } catch (e) {
+        // Duplicate key means the name or id was taken between our check and the insert
+        if (e && e.code === 11000) return false;
+        console.warn('Account insert failed', e);
+      }
+    }
+    if (mem.has(doc._id)) return false;
+    mem.set(doc._id, doc);
+    return true;
+  }
+
+  async function uniqueGuestName() {
+    for (let i = 0; i < 20; i++) {
+      const name = 'Guest' + (1000 + Math.floor(Math.random() * 9000));
+      if (await isNameFree(name)) return name;
+    }
+    return 'Guest' + Date.now().toString(36);
+  }
+
+  // Creates an account, keeping the requested name if it is valid and free, otherwise assigning a guest name.
+  // `preferredId` is used when it is not already taken (legacy client ids, or ids from a still-valid token).
+  async function create(requestedName, preferredId) {
+    let username = normalizeUsername(requestedName);
+    if (!isValidUsername(username) || username.toLowerCase() === 'guest' || !(await isNameFree(username))) {
+      username = await uniqueGuestName();
+    }
+    let id = null;
+    if (preferredId && !(await findById(preferredId))) id = preferredId;
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const doc = {
+        _id: id || ('u-' + crypto.randomBytes(8).toString('hex')),
+        username,
+        usernameLower: username.toLowerCase(),
+        createdAt: new Date()
+      };
+      if (await insert(doc)) return toAccount(doc);
+      id = null;
+      username = await uniqueGuestName();
+    }
+    throw new Error('Could not create account');
+  }
+
+  // Resolves to { ok: true, account } or { ok: false, reason: 'invalid_name' | 'name_taken' | 'no_account' }
+  async function rename(id, requestedName) {
+    const username = normalizeUsername(requestedName);
+    if (!isValidUsername(username)) return { ok: false, reason: 'invalid_name' };
+    const account = await findById(id);
+    if (!account) return { ok: false, reason: 'no_account' };
+    if (account.username === username) return { ok: true, account };
+    if (!(await isNameFree(username, id))) return { ok: false, reason: 'name_taken' };
+    if (coll) {
+      try {
+        await coll.updateOne({ _id: id }, { $set: { username, usernameLower: username.toLowerCase() } });
+        return { ok: true, account: Object.assign(account, { username }) };
+      } catch (e) {
+        if (e && e.code === 11000) return { ok: false, reason: 'name_taken' };
+        console.warn('Account rename failed', e);
+      }
+    }
+    const doc = mem.get(id);
+    if (doc) {
+      doc.username = username;
+      doc.usernameLower = username.toLowerCase();
+    }
+    return { ok: true, account: Object.assign(account, { username }) };
+  }
+
+  // Handshake: resume the account named by a valid token, or create a new one.
+  // Resolves to { account, token, created }.
+  async function login({ token, username, legacyId } = {}) {
+    const claims = verifyToken(token);
+    if (claims) {
+      const existing = await findById(claims.aid);
+      if (existing) return { account: existing, token: issueToken(existing), created: false };
+      // Signed by us but unknown (e.g. the memory store was reset): restore the account under the same id
+      const restored = await create(claims.name || username, claims.aid);
+      return { account: restored, token: issueToken(restored), created: restored.id !== claims.aid };
+    }
+    const account = await create(username, legacyId && LEGACY_ID_RE.test(legacyId) ? legacyId : null);
+    return { account, token: issueToken(account), created: true };
+  }
+
+  return { init, login, rename, findById, findByName, issueToken };
+}
+
+module.exports = { createAccountStore, verifyToken, httpSession, isAdmin, isValidUsername };
@@ -0,0 +1,366 @@
+/*
+Avatar shop catalog and owned items for the presence server.
+- Items (hats, shirts, faces, pets, emotes) are defined in CATALOG_ITEMS, plus any JSON list named by
+  CATALOG_ITEMS_FILE; each has a price in one wallet currency and `data` that the client knows how to
+  wear for its type (see ITEM_TYPES)
+- Items can be limited (a fixed stock shared by every account, counted atomically in CATALOG_STOCK_COLLECTION)
+  and/or seasonal (only on sale between two month-days each year, UTC)
+- Buying reserves stock, debits the wallet (server/wallet.js) and records the item in the owner's inventory;
+  a failed step undoes the earlier ones. Types with a grant hook (pets) also create their own record, which
+  the inventory entry points at
+- Refunds are allowed within REFUND_WINDOW_HOURS: the full price goes back to the wallet, stock is returned
+  and the grant is revoked. Refunded entries stay in the collection, flagged, so purchases can be audited
+- Entries can change owner in a trade (server/trades.js); a traded entry can't be refunded by anyone
+*/
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const INVENTORY_COLLECTION = process.env.INVENTORY_COLLECTION || 'inventory';
+const CATALOG_STOCK_COLLECTION = process.env.CATALOG_STOCK_COLLECTION || 'catalog_stock';
+const REFUND_WINDOW_HOURS = Math.max(0, parseInt(process.env.REFUND_WINDOW_HOURS || '24', 10));
+const CURRENCIES = ['points', 'coins', 'candy', 'chirps'];
+
+// type -> unique: an account owns at most one of each item of this type
+const ITEM_TYPES = {
+  hat: { unique: true },
+  shirt: { unique: true },
+  face: { unique: true },
+  pet: { unique: false },
+  emote: { unique: true }
+};
+
+// data by type: hat -> Player.createHat data; shirt -> { pattern: 'solid'|'stripes'|'dots', colors };
+// face -> { eyes, mouth: 'smile'|'grin'|'o'|'flat' }; pet -> { kind } (see src/pets.js); emote -> { emote }
+const CATALOG_ITEMS = [
+  {
+    id: 'hat-duck', type: 'hat', name: 'Duck Hat', currency: 'coins', price: 15,
+    data: {
+      constructed: true,
+      parts: [
+        { type: 'cylinder', pos: [0, 0.9, 0], rot: [0, 0, 0], scale: [1.3, 1.3, 1.3], color: '#FFE44D' },
+        { type: 'box', pos: [0, 0.75, 0.8], rot: [0, 0, 0], scale: [0.6, 0.3, 0.9], color: '#FF8C00' },
+        { type: 'box', pos: [-0.28, 1.05, 0.5], rot: [0, 0, 0], scale: [0.18, 0.18, 0.02], color: '#000000' },
+        { type: 'box', pos: [0.28, 1.05, 0.5], rot: [0, 0, 0], scale: [0.18, 0.18, 0.02], color: '#000000' }
+      ],
+      offset: { x: 0, y: 0.6, z: 0 },
+      rot: { x: 0, y: 0, z: 0 }
+    }
+  },
+  { id: 'hat-top', type: 'hat', name: 'Top Hat', currency: 'coins', price: 25, data: { color: '#222222', size: 1.6 } },
+  {
+    id: 'hat-pumpkin', type: 'hat', name: 'Pumpkin Cap', currency: 'candy', price: 20,
+    season: { from: '10-01', until: '11-07' }, data: { color: '#FF7518', size: 1.8 }
+  },
+  {
+    id: 'hat-crown', type: 'hat', name: 'Golden Crown', currency: 'points', price: 500,
+    limited: { stock: 100 }, data: { color: '#FFD700', size: 1.4 }
+  },
+  { id: 'shirt-stripes', type: 'shirt', name: 'Striped Shirt', currency: 'coins', price: 10, data: { pattern: 'stripes', colors: ['#2B5797', '#FFFFFF'] } },
+  { id: 'shirt-polka', type: 'shirt', name: 'Polka Dot Shirt', currency: 'points', price: 40, data: { pattern: 'dots', colors: ['#CC3366', '#FFE4EE'] } },
+  {
+    id: 'shirt-spooky', type: 'shirt', name: 'Spooky Stripes', currency: 'candy', price: 15,
+    season: { from: '10-01', until: '11-07' }, data: { pattern: 'stripes', colors: ['#111111', '#FF7518'] }
+  },
+  { id: 'face-grin', type: 'face', name: 'Big Grin', currency: 'points', price: 30, data: { eyes: '#000000', mouth: 'grin' } },
+  { id: 'face-surprised', type: 'face', name: 'Surprised', currency: 'coins', price: 8, data: { eyes: '#000000', mouth: 'o' } },
+  { id: 'pet-bunny', type: 'pet', name: 'Bunny', currency: 'coins', price: 5, data: { kind: 'pet-bunny' } },
+  { id: 'pet-drake', type: 'pet', name: 'Drake', currency: 'coins', price: 12, data: { kind: 'pet-drake' } },
+  { id: 'pet-fox', type: 'pet', name: 'Lucky Fox', currency: 'coins', price: 20, data: { kind: 'pet-fox' } },
+  { id: 'emote-trip', type: 'emote', name: 'Trip Over', currency: 'points', price: 25, data: { emote: 'trip' } }
+];
+
+function validItem(item) {
+  return item && typeof item.id === 'string' && Object.prototype.hasOwnProperty.call(ITEM_TYPES, item.type) &&
+    typeof item.name === 'string' && CURRENCIES.includes(item.currency) && Number.isInteger(item.price) && item.price >= 0;
+}
+
+// Built-in items plus CATALOG_ITEMS_FILE (a JSON array in the same shape; entries with a built-in id replace it)
+function loadItems() {
+  const byId = new Map(CATALOG_ITEMS.map((item) => [item.id, item]));
+  if (process.env.CATALOG_ITEMS_FILE) {
+    try {
+      const extra = JSON.parse(fs.readFileSync(process.env.CATALOG_ITEMS_FILE, 'utf8'));
+      if (!Array.isArray(extra)) throw new Error('expected an array');
+      extra.forEach((item) => {
+        if (validItem(item)) byId.set(item.id, item);
+        else console.warn('Skipping invalid catalog item', item && item.id);
+      });
+    } catch (e) {
+      console.warn('Invalid CATALOG_ITEMS_FILE; using the built-in catalog', e);
+    }
+  }
+  return byId;
+}
+
+// 'MM-DD' for a date, in UTC
+function monthDay(date) {
+  return String(date.getUTCMonth() + 1).padStart(2, '0') + '-' + String(date.getUTCDate()).padStart(2, '0');
+}
+
+function inSeason(item, now) {
+  if (!item.season) return true;
+  const today = monthDay(now);
+  const { from, until } = item.season;
+  // A season such as 12-20..01-05 wraps past new year
+  return from <= until ? today >= from && today <= until : today >= from || today <= until;
+}
+
+function createCatalogStore({ wallet, grants = {} }) {
+  const items = loadItems();
+  let inventory = null;
+  let stock = null;
+  // Fallback stores: inventory id -> doc, itemId -> sold
+  const memInventory = new Map();
+  const memSold = new Map();
+
+  async function init(db) {
+    try {
+      inventory = db.collection(INVENTORY_COLLECTION);
+      stock = db.collection(CATALOG_STOCK_COLLECTION);
+      await inventory.createIndex({ id: 1 }, { unique: true });
+      await inventory.createIndex({ accountId: 1, acquiredAt: 1 });
+      await stock.createIndex({ itemId: 1 }, { unique: true });
+    } catch (e) {
+      console.warn('Catalog collections init failed; using memory store', e);
+      inventory = null;
+      stock = null;
+    }
+  }
+
+  async function soldCount(itemId) {
+    if (stock) {
+      try {
+        const doc = await stock.findOne({ itemId });
+        return doc ? doc.sold : 0;
+      } catch (e) {
+        console.warn('Catalog stock lookup failed', e);
+      }
+    }
+    return memSold.get(itemId) || 0;
+  }
+
+  // Takes one unit of a limited item. Resolves to null, or the reason it couldn't ('sold_out'|'storage_failed')
+  async function reserve(item) {
+    if (stock) {
+      try {
+        await stock.updateOne({ itemId: item.id }, { $setOnInsert: { sold: 0 } }, { upsert: true });
+        const res = await stock.updateOne({ itemId: item.id, sold: { $lt: item.limited.stock } }, { $inc: { sold: 1 } });
+        return res.modifiedCount === 1 ? null : 'sold_out';
+      } catch (e) {
+        console.warn('Catalog stock write failed', e);
+        return 'storage_failed';
+      }
+    }
+    const sold = memSold.get(item.id) || 0;
+    if (sold >= item.limited.stock) return 'sold_out';
+    memSold.set(item.id, sold + 1);
+    return null;
+  }
+
+  async function release(item) {
+    if (stock) {
+      try {
+        await stock.updateOne({ itemId: item.id, sold: { $gt: 0 } }, { $inc: { sold: -1 } });
+      } catch (e) {
+        console.warn('Catalog stock write failed', e);
+      }
+      return;
+    }
+    memSold.set(item.id, Math.max(0, (memSold.get(item.id) || 0) - 1));
+  }
+
+  // What the shop shows: the item plus whether it can be bought now and, for limited items, how many are left
+  async function describe(item, now) {
+    const out = Object.assign({}, item, { available: inSeason(item, now) });
+    if (item.limited) {
+      out.remaining = Math.max(0, item.limited.stock - (await soldCount(item.id)));
+      if (!out.remaining) out.available = false;
+    }
+    return out;
+  }
+
+  // type: one of ITEM_TYPES or null for all. Out-of-season items are only listed (as unavailable) when
+  // includeUnavailable is set, so the shop doesn't fill up with things nobody can buy; sold-out limited
+  // items stay listed while in season.
+  async function list({ type = null, includeUnavailable = false } = {}) {
+    const now = new Date();
+    const out = [];
+    for (const item of items.values()) {
+      if (type && item.type !== type) continue;
+      const entry = await describe(item, now);
+      if (entry.available || includeUnavailable || (item.limited && inSeason(item, now))) out.push(entry);
+    }
+    return out;
+  }
+
+  async function ownedDocs(accountId) {
+    if (inventory) {
+      try {
+        return await inventory.find({ accountId, refundedAt: null }, { projection: { _id: 0 } }).sort({ acquiredAt: 1 }).toArray();
+      } catch (e) {
+        console.warn('Inventory lookup failed', e);
+      }
+    }
+    return Array.from(memInventory.values())
+      .filter((d) => d.accountId === accountId && !d.refundedAt)
+      .sort((a, b) => a.acquiredAt - b.acquiredAt);
+  }
+
+  function refundableUntil(doc) {
+    if (doc.tradedAt) return new Date(0);
+    return new Date(new Date(doc.acquiredAt).getTime() + REFUND_WINDOW_HOURS * 60 * 60 * 1000);
+  }
+
+  // The account's items, oldest first, each with its catalog entry (null if it was since removed) and refund deadline
+  async function owned(accountId) {
+    const now = new Date();
+    return (await ownedDocs(accountId)).map((doc) => {
+      const until = refundableUntil(doc);
+      return Object.assign({}, doc, { item: items.get(doc.itemId) || null, refundableUntil: until > now ? until : null });
+    });
+  }
+
+  // Resolves to { ok: true, owned, balances, entry } or { ok: false, reason: 'not_found'|'unavailable'|
+  // 'sold_out'|'already_owned'|'insufficient_funds'|'storage_failed'|<grant hook reasons> }
+  async function purchase(accountId, itemId) {
+    const item = items.get(itemId);
+    if (!item) return { ok: false, reason: 'not_found' };
+    if (!inSeason(item, new Date())) return { ok: false, reason: 'unavailable' };
+    if (ITEM_TYPES[item.type].unique && (await ownedDocs(accountId)).some((d) => d.itemId === itemId)) {
+      return { ok: false, reason: 'already_owned' };
+    }
+    if (item.limited) {
+      const refused = await reserve(item);
+      if (refused) return { ok: false, reason: refused };
+    }
+    let charge = { ok: true, balances: null, entry: null };
+    if (item.price > 0) {
+      charge = await wallet.apply(accountId, item.currency, -item.price, { reason: 'purchase', ref: item.id });
+      if (!charge.ok) {
+        if (item.limited) await release(item);
+        return charge;
+      }
+    }
+    // Undoes the charge and the reservation when a later step fails
+    const undo = async (reason) => {
+      if (item.price > 0) await wallet.apply(accountId, item.currency, item.price, { reason: 'refund', ref: item.id });
+      if (item.limited) await release(item);
+      return { ok: false, reason };
+    };
+    let grantRef = null;
+    const hook = grants[item.type];
+    if (hook) {
+      const granted = await hook.grant(accountId, item);
+      if (!granted.ok) return undo(granted.reason);
+      grantRef = granted.ref;
+    }
+    const doc = {
+      id: 'inv-' + crypto.randomBytes(6).toString('hex'),
+      accountId,
+      itemId: item.id,
+      type: item.type,
+      currency: item.currency,
+      price: item.price,
+      ledgerId: charge.entry ? charge.entry.id : null,
+      grantRef,
+      acquiredAt: new Date(),
+      refundedAt: null
+    };
+    if (inventory) {
+      try {
+        await inventory.insertOne(Object.assign({}, doc));
+      } catch (e) {
+        console.warn('Inventory write failed; refunding', e);
+        if (hook) await hook.revoke(accountId, grantRef);
+        return undo('storage_failed');
+      }
+    } else {
+      memInventory.set(doc.id, doc);
+    }
+    return {
+      ok: true,
+      owned: Object.assign({}, doc, { item, refundableUntil: refundableUntil(doc) }),
+      balances: charge.balances || (await wallet.balances(accountId)),
+      entry: charge.entry
+    };
+  }
+
+  // inventoryId: an owned entry's id. Resolves to { ok: true, balances, entry } or
+  // { ok: false, reason: 'not_found'|'refund_expired'|'storage_failed' }
+  async function refund(accountId, inventoryId) {
+    const doc = (await ownedDocs(accountId)).find((d) => d.id === inventoryId);
+    if (!doc) return { ok: false, reason: 'not_found' };
+    if (refundableUntil(doc) <= new Date()) return { ok: false, reason: 'refund_expired' };
+    const refundedAt = new Date();
+    if (inventory) {
+      try {
+        // Flagging first (only if still unflagged) means two racing refunds can't both pay out
+        const res = await inventory.updateOne({ id: inventoryId, refundedAt: null }, { $set: { refundedAt } });
+        if (res.modifiedCount !== 1) return { ok: false, reason: 'not_found' };
+      } catch (e) {
+        console.warn('Inventory write failed', e);
+        return { ok: false, reason: 'storage_failed' };
+      }
+    } else {
+      if (memInventory.get(inventoryId).refundedAt) return { ok: false, reason: 'not_found' };
+      memInventory.get(inventoryId).refundedAt = refundedAt;
+    }
+    const item = items.get(doc.itemId);
+    const hook = grants[doc.type];
+    if (hook && doc.grantRef) await hook.revoke(accountId, doc.grantRef);
+    if (item && item.limited) await release(item);
+    if (!doc.price) return { ok: true, balances: await wallet.balances(accountId), entry: null };
+    const credit = await wallet.apply(accountId, doc.currency, doc.price, { reason: 'refund', ref: doc.itemId });
+    if (!credit.ok) return credit;
+    return { ok: true, balances: credit.balances, entry: credit.entry };
+  }
+
+  // One of the account's current entries, or null
+  async function entry(accountId, inventoryId) {
+    return (await ownedDocs(accountId)).find((d) => d.id === inventoryId) || null;
+  }
+
+  // Moves an owned entry to another account, marking it traded (or, to undo a move, restoring the
+  // tradedAt it had). Resolves to { ok: true, previousTradedAt } or
+  // { ok: false, reason: 'not_found'|'already_owned'|'storage_failed'|<grant hook reasons> }
+  async function transfer(fromId, toId, inventoryId, { tradedAt = new Date() } = {}) {
+    const doc = await entry(fromId, inventoryId);
+    if (!doc) return { ok: false, reason: 'not_found' };
+    const type = ITEM_TYPES[doc.type];
+    if (type && type.unique && (await ownedDocs(toId)).some((d) => d.itemId === doc.itemId)) {
+      return { ok: false, reason: 'already_owned' };
+    }
+    const hook = grants[doc.type];
+    if (hook && doc.grantRef) {
+      const moved = await hook.transfer(fromId, toId, doc.grantRef);
+      if (!moved.ok) return moved;
+    }
+    const undoHook = () => (hook && doc.grantRef ? hook.transfer(toId, fromId, doc.grantRef) : null);
+    const $set = { accountId: toId, tradedAt };
+    if (inventory) {
+      try {
+        const res = await inventory.updateOne({ id: inventoryId, accountId: fromId, refundedAt: null }, { $set });
+        if (res.modifiedCount !== 1) {
+          await undoHook();
+          return { ok: false, reason: 'not_found' };
+        }
+      } catch (e) {
+        console.warn('Inventory write failed', e);
+        await undoHook();
+        return { ok: false, reason: 'storage_failed' };
+      }
+    } else {
+      Object.assign(memInventory.get(inventoryId), $set);
+    }
+    return { ok: true, previousTradedAt: doc.tradedAt || null };
+  }
+
+  function get(itemId) {
+    return items.get(itemId) || null;
+  }
+
+  return { init, list, owned, purchase, refund, entry, transfer, get };
+}
+
+module.exports = { createCatalogStore, ITEM_TYPES, REFUND_WINDOW_HOURS };
@@ -0,0 +1,163 @@
+/*
+Chat content filter.
+- Rules come from CHAT_FILTER_FILE (a JSON array) or DEFAULT_RULES below. Each rule has an id, either
+  "words" (whole words/phrases) or "pattern" (a regex source), a mode and a severity:
+    { "id": "profanity", "words": ["heck"], "mode": "mask", "severity": 0 }
+    { "id": "slur", "pattern": "...", "mode": "block", "severity": 9, "squash": true }
+  mode "mask" replaces the matched characters with '*' and delivers the message; "block" drops it.
+  severity feeds the escalation ladder in server/moderation.js (0 = no strike).
+  "squash": true also matches with spaces/punctuation removed ("n.a.m.e") at the cost of ignoring word
+  boundaries, so use it only for terms that never appear inside ordinary words.
+  "maxDeclaredAge": n limits the rule to senders whose self-declared age is at most n.
+  "allow": ["up to date", ...] lists ordinary words and phrases the rule must not fire inside: a match that
+  overlaps one of them (found the same way, squashed too for squash rules) is ignored.
+- Text is normalized before matching: lowercased, leetspeak digits/symbols mapped to letters, and repeated
+  letters tolerated (word rules match "heeeck"). Matches are mapped back to the original characters.
+*/
+
+const fs = require('fs');
+
+const LEET = { '0': 'o', '1': 'i', '!': 'i', '|': 'i', '3': 'e', '4': 'a', '@': 'a', '5': 's', '$': 's', '7': 't', '+': 't', '8': 'b', '9': 'g' };
+
+// Slur pattern is kept as character classes so the word itself never appears in the repo
+// (the doubled g keeps "Niger" and "Nigeria" out of it)
+const DEFAULT_RULES = [
+  { id: 'slur', pattern: 'n+[il]+gg+(?:e+r+|a+)', mode: 'block', severity: 9, squash: true, allow: ['snigger'] },
+  { id: 'dating_minor', words: ['date', 'dating', 'meet up', 'meetup', 'kissing', 'relationship', 'romantic', 'boyfriend', 'girlfriend'], mode: 'block', severity: 12, maxDeclaredAge: 13,
+    allow: ['up to date', 'out of date', 'due date', 'release date', 'birth date', 'what date is it'] },
+  { id: 'profanity', words: ['damn', 'crap', 'hell', 'shit', 'fuck', 'bitch', 'bastard', 'ass', 'asshole', 'dick'], mode: 'mask', severity: 0 }
+];
+
+function escapeRe(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Same length as the input so match offsets map straight back to the original text
+function normalize(text) {
+  let out = '';
+  for (const ch of text) {
+    const lower = ch.toLowerCase();
+    const mapped = LEET[lower] || lower;
+    // Keep one UTF-16 unit per original unit (astral characters become two placeholders)
+    out += mapped.length === ch.length ? mapped : ' '.repeat(ch.length);
+  }
+  return out;
+}
+
+// Letters only, with the original index of each kept letter
+function squash(norm) {
+  let letters = '';
+  const pos = [];
+  for (let i = 0; i < norm.length; i++) {
+    if (norm[i] >= 'a' && norm[i] <= 'z') {
+      letters += norm[i];
+      pos.push(i);
+    }
+  }
+  return { letters, pos };
+}
+
+// "meet up" -> m+e+e+t+\s+u+p+ so stretched letters and extra spaces still match
+function wordSources(words) {
+  return words.map((w) => String(w).toLowerCase().trim().split(/\s+/)
+    .map((part) => Array.from(part).map((c) => escapeRe(c) + '+').join(''))
+    .join('\\s+'));
+}
+
+function compileRule(rule) {
+  let source;
+  if (Array.isArray(rule.words) && rule.words.length) {
+    const words = wordSources(rule.words);
+    source = rule.squash ? '(?:' + words.join('|') + ')' : '\\b(?:' + words.join('|') + ')\\b';
+    if (rule.squash) source = source.replace(/\\s\+/g, '');
+  } else if (rule.pattern) {
+    source = rule.pattern;
+  } else {
+    throw new Error('Chat filter rule ' + rule.id + ' needs "words" or "pattern"');
+  }
+  let allow = null;
+  if (Array.isArray(rule.allow) && rule.allow.length) {
+    const words = wordSources(rule.allow).join('|');
+    allow = {
+      text: new RegExp('(?:' + words + ')', 'gi'),
+      squashed: rule.squash ? new RegExp('(?:' + words.replace(/\\s\+/g, '') + ')', 'gi') : null
+    };
+  }
+  return {
+    id: String(rule.id),
+    mode: rule.mode === 'mask' ? 'mask' : 'block',
+    severity: Math.max(0, Number(rule.severity) || 0),
+    squash: !!rule.squash,
+    maxDeclaredAge: rule.maxDeclaredAge != null ? Number(rule.maxDeclaredAge) : null,
+    re: new RegExp(source, 'gi'),
+    allow
+  };
+}
+
+// [start, end) of every non-empty match of `re` in `text`
+function matchRanges(re, text) {
+  const ranges = [];
+  re.lastIndex = 0;
+  let m;
+  while ((m = re.exec(text))) {
+    if (!m[0].length) { re.lastIndex++; continue; }
+    ranges.push([m.index, m.index + m[0].length]);
+  }
+  return ranges;
+}
+
+// Drops ranges overlapping any allowed range
+function withoutAllowed(ranges, allowed) {
+  if (!allowed.length) return ranges;
+  return ranges.filter(([a, b]) => !allowed.some(([x, y]) => a < y && x < b));
+}
+
+function loadRules() {
+  const file = process.env.CHAT_FILTER_FILE;
+  if (!file) return DEFAULT_RULES;
+  try {
+    const rules = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(rules)) throw new Error('expected an array of rules');
+    return rules;
+  } catch (e) {
+    console.warn('Failed to load CHAT_FILTER_FILE; using default chat rules', e);
+    return DEFAULT_RULES;
+  }
+}
+
+function createChatFilter(rules = loadRules()) {
+  const compiled = rules.map(compileRule);
+
+  // Resolves a message to { action: 'allow'|'mask'|'block', text, hits: [{ id, severity }], severity }.
+  // ctx.declaredAge enables age-limited rules.
+  function check(text, ctx = {}) {
+    const original = String(text || '');
+    const norm = normalize(original);
+    const squashed = squash(norm);
+    const masked = Array.from({ length: original.length }, () => false);
+    const hits = [];
+    let blocked = false;
+    for (const rule of compiled) {
+      if (rule.maxDeclaredAge != null && !(Number(ctx.declaredAge) <= rule.maxDeclaredAge)) continue;
+      const ranges = withoutAllowed(matchRanges(rule.re, norm), rule.allow ? matchRanges(rule.allow.text, norm) : []);
+      if (rule.squash) {
+        const allowed = rule.allow ? matchRanges(rule.allow.squashed, squashed.letters) : [];
+        withoutAllowed(matchRanges(rule.re, squashed.letters), allowed)
+          .forEach(([a, b]) => ranges.push([squashed.pos[a], squashed.pos[b - 1] + 1]));
+      }
+      if (!ranges.length) continue;
+      hits.push({ id: rule.id, severity: rule.severity });
+      if (rule.mode === 'block') blocked = true;
+      else ranges.forEach(([a, b]) => { for (let i = a; i < b; i++) masked[i] = true; });
+    }
+    if (blocked) return { action: 'block', text: original, hits, severity: Math.max(...hits.map((h) => h.severity)) };
+    if (!hits.length) return { action: 'allow', text: original, hits, severity: 0 };
+    let out = '';
+    for (let i = 0; i < original.length; i++) out += masked[i] && !/\s/.test(original[i]) ? '*' : original[i];
+    return { action: 'mask', text: out, hits, severity: Math.max(...hits.map((h) => h.severity)) };
+  }
+
+  return { check, rules: compiled.map((r) => ({ id: r.id, mode: r.mode, severity: r.severity })) };
+}
+
+module.exports = { createChatFilter, normalize };
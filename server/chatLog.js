@@ -0,0 +1,135 @@
+/*
+Chat log per room: a recent-lines ring buffer in memory, persisted to MongoDB for moderation review.
+- Each room holds a ring buffer of its last CHAT_LOG_SIZE lines; rooms with no chat for CHAT_LOG_IDLE_MINUTES
+  are dropped from memory so finished instances don't pile up, and reloaded from MongoDB if they come back
+- Every line is also written to CHAT_LOG_COLLECTION, which a TTL index empties after CHAT_LOG_TTL_DAYS
+- Every line gets an increasing id (continuing from the stored ones after a restart), which clients echo
+  back to report a specific message
+- Blocked messages are logged too (flagged `blocked`) so admins see what the filter caught; backlog() only
+  returns what everyone in the room was shown
+*/
+
+const CHAT_LOG_COLLECTION = process.env.CHAT_LOG_COLLECTION || 'chat_log';
+const CHAT_LOG_SIZE = Math.max(10, parseInt(process.env.CHAT_LOG_SIZE || '200', 10));
+const CHAT_LOG_IDLE_MINUTES = Math.max(1, parseInt(process.env.CHAT_LOG_IDLE_MINUTES || '120', 10));
+const CHAT_LOG_TTL_DAYS = Math.max(1, parseInt(process.env.CHAT_LOG_TTL_DAYS || '30', 10));
+
+function createChatLog() {
+  // room -> { lines: [], lastAt }
+  const rooms = new Map();
+  let seq = 0;
+  let coll = null;
+
+  async function init(db) {
+    try {
+      coll = db.collection(CHAT_LOG_COLLECTION);
+      await coll.createIndex({ id: 1 }, { unique: true });
+      await coll.createIndex({ room: 1, id: -1 });
+      await coll.createIndex({ accountId: 1, id: -1 });
+      await coll.createIndex({ at: 1 }, { expireAfterSeconds: CHAT_LOG_TTL_DAYS * 24 * 60 * 60 });
+      const last = await coll.find({}, { projection: { id: 1 } }).sort({ id: -1 }).limit(1).toArray();
+      if (last.length) seq = Math.max(seq, last[0].id);
+    } catch (e) {
+      console.warn('Chat log collection init failed; keeping chat in memory only', e);
+      coll = null;
+    }
+  }
+
+  function prune() {
+    const cutoff = Date.now() - CHAT_LOG_IDLE_MINUTES * 60 * 1000;
+    rooms.forEach((log, room) => { if (log.lastAt < cutoff) rooms.delete(room); });
+  }
+
+  // entry: { accountId, username, channel, message, blocked? }. Returns the stored line (with id, room and at).
+  // The MongoDB write happens in the background.
+  function record(room, entry) {
+    if (!rooms.has(room)) {
+      prune();
+      rooms.set(room, { lines: [], lastAt: 0 });
+    }
+    const log = rooms.get(room);
+    const line = Object.assign({ id: ++seq, room, at: new Date() }, entry);
+    log.lines.push(line);
+    if (log.lines.length > CHAT_LOG_SIZE) log.lines.shift();
+    log.lastAt = Date.now();
+    if (coll) {
+      coll.insertOne(Object.assign({}, line)).catch((e) => console.warn('Chat log write failed', e));
+    }
+    return line;
+  }
+
+  // Oldest first
+  function recent(room, limit = CHAT_LOG_SIZE) {
+    const log = rooms.get(room);
+    return log ? log.lines.slice(-Math.max(1, limit)) : [];
+  }
+
+  // Reloads a room's buffer from MongoDB when it isn't in memory (after a restart or idle pruning)
+  async function warm(room) {
+    if (rooms.has(room) || !coll) return;
+    try {
+      const docs = await coll.find({ room }, { projection: { _id: 0 } }).sort({ id: -1 }).limit(CHAT_LOG_SIZE).toArray();
+      if (!docs.length || rooms.has(room)) return;
+      rooms.set(room, { lines: docs.reverse(), lastAt: new Date(docs[docs.length - 1].at).getTime() });
+    } catch (e) {
+      console.warn('Chat log lookup failed', e);
+    }
+  }
+
+  // What a player joining the room should see: the last `limit` room-channel lines that were delivered,
+  // without team chat, whispers or what sat behind masking. Oldest first.
+  async function backlog(room, limit) {
+    await warm(room);
+    const log = rooms.get(room);
+    if (!log) return [];
+    return log.lines
+      .filter((l) => !l.blocked && (l.channel || 'room') === 'room')
+      .slice(-Math.max(1, limit))
+      .map((l) => ({ id: l.id, clientId: l.accountId, username: l.username, message: l.message, at: l.at }));
+  }
+
+  // Moderation review, newest first: lines for a room and/or an account, older than `before` (a line id).
+  // Reads MongoDB so it reaches past the in-memory buffer; without it only the buffers are searched.
+  async function search({ room = null, accountId = null, before = null, limit = 100 } = {}) {
+    limit = Math.min(500, Math.max(1, limit | 0));
+    const query = {};
+    if (room) query.room = room;
+    if (accountId) query.accountId = accountId;
+    if (before) query.id = { $lt: before };
+    if (coll) {
+      try {
+        return await coll.find(query, { projection: { _id: 0 } }).sort({ id: -1 }).limit(limit).toArray();
+      } catch (e) {
+        console.warn('Chat log query failed', e);
+      }
+    }
+    const logs = room ? [rooms.get(room)].filter(Boolean) : Array.from(rooms.values());
+    return logs
+      .reduce((all, log) => all.concat(log.lines), [])
+      .filter((l) => (!accountId || l.accountId === accountId) && (!before || l.id < before))
+      .sort((a, b) => b.id - a.id)
+      .slice(0, limit);
+  }
+
+  // room null searches every room (whispers are logged in the sender's room)
+  function find(room, id) {
+    const logs = room === null ? Array.from(rooms.values()) : [rooms.get(room)].filter(Boolean);
+    for (const log of logs) {
+      const line = log.lines.find((l) => l.id === id);
+      if (line) return line;
+    }
+    return null;
+  }
+
+  // [{ room, lines, lastAt }] with the most recently active room first
+  function list() {
+    prune();
+    return Array.from(rooms.entries())
+      .map(([room, log]) => ({ room, lines: log.lines.length, lastAt: new Date(log.lastAt) }))
+      .sort((a, b) => b.lastAt - a.lastAt);
+  }
+
+  return { init, record, recent, backlog, search, find, list };
+}
+
+module.exports = { createChatLog };
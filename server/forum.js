@@ -0,0 +1,332 @@
+/*
+Community forum for the presence server.
+- Categories are fixed (FORUM_CATEGORIES); threads and replies are documents in MongoDB (memory fallback)
+- Threads list pinned first, then by latest activity; replies list oldest first; both are paginated
+- Authors may edit or delete their own posts; admins may also pin, lock, delete anything and work the report queue
+- Deletes are soft so reply counts and report history survive; deleted threads disappear from listings and
+  deleted replies show as "[deleted]"
+- Locked threads accept no new replies except from admins
+*/
+
+const crypto = require('crypto');
+
+const THREADS_COLLECTION = process.env.FORUM_THREADS_COLLECTION || 'forum_threads';
+const POSTS_COLLECTION = process.env.FORUM_POSTS_COLLECTION || 'forum_posts';
+const FORUM_CATEGORIES = [
+  { id: 'general', name: 'General Discussion', description: 'Anything about Chirpless.' },
+  { id: 'help', name: 'Help', description: 'Questions about playing and building.' },
+  { id: 'creations', name: 'Creations', description: 'Show off the games and builds you made.' },
+  { id: 'offtopic', name: 'Off Topic', description: 'Everything else. Be nice.' }
+];
+const MAX_TITLE = 80;
+const MAX_BODY = 4000;
+const MAX_REPORT_REASON = 200;
+
+// Minimal collection wrapper: Mongo when available, otherwise an in-memory Map filtered by equality queries
+function createTable(name) {
+  let coll = null;
+  const mem = new Map();
+
+  const matches = (doc, query) => Object.keys(query).every((k) => {
+    const want = query[k];
+    if (want && typeof want === 'object' && '$gt' in want) return (doc[k] || 0) > want.$gt;
+    return doc[k] === want;
+  });
+  const compare = (sort) => (a, b) => {
+    for (const k of Object.keys(sort)) {
+      const x = a[k] instanceof Date ? a[k].getTime() : Number(a[k]) || 0;
+      const y = b[k] instanceof Date ? b[k].getTime() : Number(b[k]) || 0;
+      if (x !== y) return (x - y) * sort[k];
+    }
+    return 0;
+  };
+
+  return {
+    async init(db, indexes) {
+      try {
+        coll = db.collection(name);
+        await coll.createIndex({ id: 1 }, { unique: true });
+        for (const idx of indexes) await coll.createIndex(idx);
+      } catch (e) {
+        console.warn(`Forum collection ${name} init failed; using memory store`, e);
+        coll = null;
+      }
+    },
+    async get(id) {
+      if (coll) {
+        try { return await coll.findOne({ id }, { projection: { _id: 0 } }); } catch (e) { console.warn('Forum lookup failed', e); }
+      }
+      return mem.get(id) || null;
+    },
+    async find(query, sort, skip, limit) {
+      if (coll) {
+        try {
+          const [docs, total] = await Promise.all([
+            coll.find(query, { projection: { _id: 0 } }).sort(sort).skip(skip).limit(limit).toArray(),
+            coll.countDocuments(query)
+          ]);
+          return { docs, total };
+        } catch (e) {
+          console.warn('Forum query failed', e);
+        }
+      }
+      const all = Array.from(mem.values()).filter((d) => matches(d, query)).sort(compare(sort));
+      return { docs: all.slice(skip, skip + limit), total: all.length };
+    },
+    async insert(doc) {
+      if (coll) {
+        try {
+          await coll.insertOne(Object.assign({}, doc));
+          return true;
+        } catch (e) {
+          console.warn('Forum write failed', e);
+          return false;
+        }
+      }
+      mem.set(doc.id, doc);
+      return true;
+    },
+    async update(id, update) {
+      if (coll) {
+        try {
+          await coll.updateOne({ id }, update);
+          return true;
+        } catch (e) {
+          console.warn('Forum write failed', e);
+          return false;
+        }
+      }
+      const doc = mem.get(id);
+      if (!doc) return false;
+      Object.assign(doc, update.$set || {});
+      for (const k of Object.keys(update.$inc || {})) doc[k] = (doc[k] || 0) + update.$inc[k];
+      if (update.$push) for (const k of Object.keys(update.$push)) (doc[k] = doc[k] || []).push(update.$push[k]);
+      return true;
+    }
+  };
+}
+
+function cleanText(text, max) {
+  return String(text || '').trim().slice(0, max);
+}
+
+function threadView(t, viewer) {
+  const view = {
+    id: t.id,
+    categoryId: t.categoryId,
+    title: t.title,
+    authorId: t.authorId,
+    author: t.authorName,
+    pinned: !!t.pinned,
+    locked: !!t.locked,
+    replyCount: t.replyCount || 0,
+    lastPostAt: t.lastPostAt,
+    createdAt: t.createdAt,
+    editedAt: t.editedAt || null,
+    canEdit: !!viewer && viewer.id === t.authorId,
+    canDelete: !!viewer && (viewer.admin || viewer.id === t.authorId)
+  };
+  if (viewer && viewer.admin) view.reportCount = t.reportCount || 0;
+  return view;
+}
+
+function postView(p, viewer) {
+  const view = {
+    id: p.id,
+    threadId: p.threadId,
+    authorId: p.deleted ? null : p.authorId,
+    author: p.deleted ? null : p.authorName,
+    text: p.deleted ? '[deleted]' : p.text,
+    deleted: !!p.deleted,
+    createdAt: p.createdAt,
+    editedAt: p.editedAt || null,
+    canEdit: !p.deleted && !!viewer && viewer.id === p.authorId,
+    canDelete: !p.deleted && !!viewer && (viewer.admin || viewer.id === p.authorId)
+  };
+  if (viewer && viewer.admin) view.reportCount = p.reportCount || 0;
+  return view;
+}
+
+function createForumStore() {
+  const threads = createTable(THREADS_COLLECTION);
+  const posts = createTable(POSTS_COLLECTION);
+
+  async function init(db) {
+    await threads.init(db, [{ categoryId: 1, deleted: 1, pinned: -1, lastPostAt: -1 }, { reportCount: -1 }]);
+    await posts.init(db, [{ threadId: 1, createdAt: 1 }, { reportCount: -1 }]);
+  }
+
+  async function categories() {
+    const out = [];
+    for (const c of FORUM_CATEGORIES) {
+      const { total } = await threads.find({ categoryId: c.id, deleted: false }, { lastPostAt: -1 }, 0, 1);
+      out.push(Object.assign({ threadCount: total }, c));
+    }
+    return out;
+  }
+
+  async function listThreads(categoryId, viewer, { page = 1, limit = 20 } = {}) {
+    limit = Math.min(50, Math.max(1, limit | 0));
+    page = Math.max(1, page | 0);
+    const query = { deleted: false };
+    if (categoryId) query.categoryId = categoryId;
+    const { docs, total } = await threads.find(query, { pinned: -1, lastPostAt: -1 }, (page - 1) * limit, limit);
+    return { threads: docs.map((t) => threadView(t, viewer)), total, page, limit };
+  }
+
+  // Resolves to { thread (with content), replies, total, page, limit } or null
+  async function getThread(id, viewer, { page = 1, limit = 20 } = {}) {
+    const t = await threads.get(id);
+    if (!t || (t.deleted && !(viewer && viewer.admin))) return null;
+    limit = Math.min(50, Math.max(1, limit | 0));
+    page = Math.max(1, page | 0);
+    const { docs, total } = await posts.find({ threadId: id }, { createdAt: 1 }, (page - 1) * limit, limit);
+    return {
+      thread: Object.assign(threadView(t, viewer), { content: t.content, deleted: !!t.deleted }),
+      replies: docs.map((p) => postView(p, viewer)),
+      total,
+      page,
+      limit
+    };
+  }
+
+  // author: { id, username }. Resolves to { ok: true, thread } or { ok: false, reason }
+  async function createThread(author, { categoryId, title, content } = {}) {
+    if (!FORUM_CATEGORIES.some((c) => c.id === categoryId)) return { ok: false, reason: 'invalid_category' };
+    title = cleanText(title, MAX_TITLE);
+    content = cleanText(content, MAX_BODY);
+    if (!title || !content) return { ok: false, reason: 'empty' };
+    const now = new Date();
+    const doc = {
+      id: 't-' + crypto.randomBytes(6).toString('hex'),
+      categoryId,
+      title,
+      content,
+      authorId: author.id,
+      authorName: author.username,
+      pinned: false,
+      locked: false,
+      deleted: false,
+      replyCount: 0,
+      reports: [],
+      reportCount: 0,
+      lastPostAt: now,
+      createdAt: now
+    };
+    if (!(await threads.insert(doc))) return { ok: false, reason: 'storage_failed' };
+    return { ok: true, thread: threadView(doc, author) };
+  }
+
+  // Authors change title/content; admins also pinned/locked (and may edit anything)
+  async function editThread(id, actor, { title, content, pinned, locked } = {}) {
+    const t = await threads.get(id);
+    if (!t || t.deleted) return { ok: false, reason: 'not_found' };
+    const $set = {};
+    if (title != null || content != null) {
+      if (t.authorId !== actor.id && !actor.admin) return { ok: false, reason: 'forbidden' };
+      if (title != null) $set.title = cleanText(title, MAX_TITLE);
+      if (content != null) $set.content = cleanText(content, MAX_BODY);
+      if ($set.title === '' || $set.content === '') return { ok: false, reason: 'empty' };
+      $set.editedAt = new Date();
+    }
+    if (pinned != null || locked != null) {
+      if (!actor.admin) return { ok: false, reason: 'forbidden' };
+      if (pinned != null) $set.pinned = !!pinned;
+      if (locked != null) $set.locked = !!locked;
+    }
+    if (!(await threads.update(id, { $set }))) return { ok: false, reason: 'storage_failed' };
+    return { ok: true, thread: threadView(Object.assign({}, t, $set), actor) };
+  }
+
+  async function deleteThread(id, actor) {
+    const t = await threads.get(id);
+    if (!t || t.deleted) return { ok: false, reason: 'not_found' };
+    if (t.authorId !== actor.id && !actor.admin) return { ok: false, reason: 'forbidden' };
+    const ok = await threads.update(id, { $set: { deleted: true, deletedBy: actor.id, deletedAt: new Date() } });
+    return ok ? { ok: true } : { ok: false, reason: 'storage_failed' };
+  }
+
+  async function reply(threadId, author, text) {
+    const t = await threads.get(threadId);
+    if (!t || t.deleted) return { ok: false, reason: 'not_found' };
+    if (t.locked && !author.admin) return { ok: false, reason: 'locked' };
+    text = cleanText(text, MAX_BODY);
+    if (!text) return { ok: false, reason: 'empty' };
+    const now = new Date();
+    const doc = {
+      id: 'p-' + crypto.randomBytes(6).toString('hex'),
+      threadId,
+      authorId: author.id,
+      authorName: author.username,
+      text,
+      deleted: false,
+      reports: [],
+      reportCount: 0,
+      createdAt: now
+    };
+    if (!(await posts.insert(doc))) return { ok: false, reason: 'storage_failed' };
+    await threads.update(threadId, { $set: { lastPostAt: now }, $inc: { replyCount: 1 } });
+    return { ok: true, post: postView(doc, author) };
+  }
+
+  async function editPost(id, actor, text) {
+    const p = await posts.get(id);
+    if (!p || p.deleted) return { ok: false, reason: 'not_found' };
+    if (p.authorId !== actor.id && !actor.admin) return { ok: false, reason: 'forbidden' };
+    text = cleanText(text, MAX_BODY);
+    if (!text) return { ok: false, reason: 'empty' };
+    const $set = { text, editedAt: new Date() };
+    if (!(await posts.update(id, { $set }))) return { ok: false, reason: 'storage_failed' };
+    return { ok: true, post: postView(Object.assign({}, p, $set), actor) };
+  }
+
+  async function deletePost(id, actor) {
+    const p = await posts.get(id);
+    if (!p || p.deleted) return { ok: false, reason: 'not_found' };
+    if (p.authorId !== actor.id && !actor.admin) return { ok: false, reason: 'forbidden' };
+    const ok = await posts.update(id, { $set: { deleted: true, deletedBy: actor.id, deletedAt: new Date() } });
+    return ok ? { ok: true } : { ok: false, reason: 'storage_failed' };
+  }
+
+  // kind: 'thread' | 'post'. One report per account per item.
+  async function report(kind, id, reporter, reason) {
+    const table = kind === 'thread' ? threads : posts;
+    const doc = await table.get(id);
+    if (!doc || doc.deleted) return { ok: false, reason: 'not_found' };
+    if (doc.authorId === reporter.id) return { ok: false, reason: 'own_content' };
+    if ((doc.reports || []).some((r) => r.by === reporter.id)) return { ok: true, duplicate: true };
+    const entry = { by: reporter.id, reason: cleanText(reason, MAX_REPORT_REASON), at: new Date() };
+    const ok = await table.update(id, { $push: { reports: entry }, $inc: { reportCount: 1 }, $set: { reportsResolved: false } });
+    return ok ? { ok: true } : { ok: false, reason: 'storage_failed' };
+  }
+
+  // Admin report queue: reported, unresolved threads and replies, most reported first
+  async function reportQueue({ page = 1, limit = 50 } = {}) {
+    limit = Math.min(100, Math.max(1, limit | 0));
+    page = Math.max(1, page | 0);
+    const query = { reportCount: { $gt: 0 }, reportsResolved: false };
+    const [t, p] = await Promise.all([
+      threads.find(query, { reportCount: -1 }, 0, page * limit),
+      posts.find(query, { reportCount: -1 }, 0, page * limit)
+    ]);
+    const items = t.docs.map((d) => ({ kind: 'thread', id: d.id, threadId: d.id, author: d.authorName, authorId: d.authorId, text: d.title + '\n' + d.content, deleted: !!d.deleted, reports: d.reports, reportCount: d.reportCount }))
+      .concat(p.docs.map((d) => ({ kind: 'post', id: d.id, threadId: d.threadId, author: d.authorName, authorId: d.authorId, text: d.text, deleted: !!d.deleted, reports: d.reports, reportCount: d.reportCount })))
+      .sort((a, b) => b.reportCount - a.reportCount);
+    return { items: items.slice((page - 1) * limit, page * limit), total: t.total + p.total, page, limit };
+  }
+
+  // action: 'dismiss' keeps the content, 'delete' removes it; either way it leaves the queue
+  async function resolveReport(kind, id, admin, action) {
+    const table = kind === 'thread' ? threads : posts;
+    const doc = await table.get(id);
+    if (!doc) return { ok: false, reason: 'not_found' };
+    const $set = { reportsResolved: true, resolvedBy: admin.id, resolvedAt: new Date() };
+    if (action === 'delete' && !doc.deleted) Object.assign($set, { deleted: true, deletedBy: admin.id, deletedAt: new Date() });
+    const ok = await table.update(id, { $set });
+    return ok ? { ok: true } : { ok: false, reason: 'storage_failed' };
+  }
+
+  return { init, categories, listThreads, getThread, createThread, editThread, deleteThread, reply, editPost, deletePost, report, reportQueue, resolveReport };
+}
+
+module.exports = { createForumStore };
@@ -0,0 +1,167 @@
+/*
+Friends graph for the presence server.
+- Stored as directed edges: one document per (owner, other) pair in MongoDB, falling back to memory
+  when Mongo is unavailable so the protocol keeps working in local development
+- Edge status is one of: 'friend', 'pending_out' (owner asked other), 'pending_in' (other asked owner), 'blocked'
+- A friendship is two 'friend' edges; a pending request is a 'pending_out'/'pending_in' pair
+*/
+
+const FRIENDS_COLLECTION = process.env.FRIENDS_COLLECTION || 'friends';
+
+function createFriendsStore() {
+  let coll = null;
+  // Fallback store: owner -> Map(other -> edge)
+  const mem = new Map();
+
+  async function init(db) {
+    try {
+      coll = db.collection(FRIENDS_COLLECTION);
+      await coll.createIndex({ owner: 1, other: 1 }, { unique: true });
+      await coll.createIndex({ owner: 1, status: 1 });
+    } catch (e) {
+      console.warn('Friends collection init failed; using memory store', e);
+      coll = null;
+    }
+  }
+
+  async function getEdge(owner, other) {
+    if (coll) {
+      try { return await coll.findOne({ owner, other }); } catch (e) { console.warn('Friends lookup failed', e); }
+    }
+    const m = mem.get(owner);
+    return (m && m.get(other)) || null;
+  }
+
+  async function setEdge(owner, other, status, name) {
+    const now = new Date();
+    if (coll) {
+      try {
+        const $set = { owner, other, status, updatedAt: now };
+        if (name) $set.name = name;
+        await coll.updateOne({ owner, other }, { $set, $setOnInsert: { createdAt: now } }, { upsert: true });
+        return;
+      } catch (e) {
+        console.warn('Friends write failed', e);
+      }
+    }
+    if (!mem.has(owner)) mem.set(owner, new Map());
+    const prev = mem.get(owner).get(other);
+    mem.get(owner).set(other, {
+      owner,
+      other,
+      status,
+      name: name || (prev && prev.name) || null,
+      createdAt: (prev && prev.createdAt) || now,
+      updatedAt: now
+    });
+  }
+
+  async function deleteEdge(owner, other) {
+    if (coll) {
+      try { await coll.deleteOne({ owner, other }); return; } catch (e) { console.warn('Friends delete failed', e); }
+    }
+    const m = mem.get(owner);
+    if (m) m.delete(other);
+  }
+
+  async function listEdges(owner) {
+    if (coll) {
+      try { return await coll.find({ owner }).toArray(); } catch (e) { console.warn('Friends list failed', e); }
+    }
+    const m = mem.get(owner);
+    return m ? Array.from(m.values()) : [];
+  }
+
+  // Returns true if either side has blocked the other
+  async function isBlocked(a, b) {
+    const [ab, ba] = await Promise.all([getEdge(a, b), getEdge(b, a)]);
+    return !!((ab && ab.status === 'blocked') || (ba && ba.status === 'blocked'));
+  }
+
+  // Records a request from `from` to `to`. If `to` had already asked `from`, the two requests
+  // cancel out into a friendship. Resolves to 'pending', 'accepted', 'already_friends' or 'blocked'.
+  async function request(from, to, fromName, toName) {
+    if (await isBlocked(from, to)) return 'blocked';
+    const mine = await getEdge(from, to);
+    if (mine && mine.status === 'friend') return 'already_friends';
+    if (mine && mine.status === 'pending_in') {
+      await accept(from, to, fromName, toName);
+      return 'accepted';
+    }
+    await setEdge(from, to, 'pending_out', toName);
+    await setEdge(to, from, 'pending_in', fromName);
+    return 'pending';
+  }
+
+  // `owner` accepts a pending request from `other`. Resolves to false if there was nothing to accept.
+  async function accept(owner, other, ownerName, otherName) {
+    const mine = await getEdge(owner, other);
+    if (!mine || mine.status !== 'pending_in') return false;
+    await setEdge(owner, other, 'friend', otherName);
+    await setEdge(other, owner, 'friend', ownerName);
+    return true;
+  }
+
+  async function decline(owner, other) {
+    const mine = await getEdge(owner, other);
+    if (!mine || mine.status !== 'pending_in') return false;
+    await deleteEdge(owner, other);
+    await deleteEdge(other, owner);
+    return true;
+  }
+
+  // Removes a friendship or withdraws/declines a pending request. Blocks are left untouched.
+  async function unfriend(owner, other) {
+    const [mine, theirs] = await Promise.all([getEdge(owner, other), getEdge(other, owner)]);
+    if (mine && mine.status !== 'blocked') await deleteEdge(owner, other);
+    if (theirs && theirs.status !== 'blocked') await deleteEdge(other, owner);
+  }
+
+  async function block(owner, other, otherName) {
+    await setEdge(owner, other, 'blocked', otherName);
+    const theirs = await getEdge(other, owner);
+    if (theirs && theirs.status !== 'blocked') await deleteEdge(other, owner);
+  }
+
+  async function unblock(owner, other) {
+    const mine = await getEdge(owner, other);
+    if (mine && mine.status === 'blocked') await deleteEdge(owner, other);
+  }
+
+  // Ids that should be told when `owner` comes online or goes offline
+  async function friendIds(owner) {
+    const edges = await listEdges(owner);
+    return edges.filter((e) => e.status === 'friend').map((e) => e.other);
+  }
+
+  // Rename the owner on every edge that points at them, so friend lists show current names
+  async function rename(owner, name) {
+    if (!name) return;
+    if (coll) {
+      try { await coll.updateMany({ other: owner }, { $set: { name } }); return; } catch (e) { console.warn('Friends rename failed', e); }
+    }
+    mem.forEach((m) => {
+      const e = m.get(owner);
+      if (e) e.name = name;
+    });
+  }
+
+  // Client-facing snapshot grouped by status. `isOnline(id)` decorates entries with live status.
+  async function snapshot(owner, isOnline) {
+    const edges = await listEdges(owner);
+    const out = { friends: [], incoming: [], outgoing: [], blocked: [] };
+    edges.forEach((e) => {
+      const entry = { id: e.other, name: e.name || 'Player', since: e.updatedAt ? new Date(e.updatedAt).getTime() : null };
+      if (e.status === 'friend') out.friends.push(Object.assign(entry, { online: !!isOnline(e.other) }));
+      else if (e.status === 'pending_in') out.incoming.push(entry);
+      else if (e.status === 'pending_out') out.outgoing.push(entry);
+      else if (e.status === 'blocked') out.blocked.push(entry);
+    });
+    out.friends.sort((a, b) => (b.online - a.online) || a.name.localeCompare(b.name));
+    return out;
+  }
+
+  return { init, request, accept, decline, unfriend, block, unblock, isBlocked, friendIds, rename, snapshot };
+}
+
+module.exports = { createFriendsStore };
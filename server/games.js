@@ -0,0 +1,441 @@
+/*
+Game catalog for the presence server: the built-in games plus published (user-made) ones.
+- One document per game in MongoDB (memory fallback) holding the metadata, current version number,
+  visit count and vote tallies
+- Built-in games are seeded on startup (official: true); their worlds ship with the client so they have no versions
+- Every publish stores the serialized world as a new numbered version in a separate collection, so large
+  maps (BGM data URLs) stay out of listings and older builds can still be fetched
+- Only the author may update or delete a game; updates may pass baseVersion to reject stale overwrites
+- Votes are one document per (game, account) so each account counts once; the tallies on the game document
+  are adjusted by the difference between an account's previous and new vote
+*/
+
+const crypto = require('crypto');
+
+const GAMES_COLLECTION = process.env.GAMES_COLLECTION || 'published_games';
+const GAME_VERSIONS_COLLECTION = process.env.GAME_VERSIONS_COLLECTION || 'published_game_versions';
+const GAME_VOTES_COLLECTION = process.env.GAME_VOTES_COLLECTION || 'game_votes';
+const MAX_GAME_VERSIONS = Math.max(1, parseInt(process.env.MAX_GAME_VERSIONS || '10', 10));
+// MongoDB's duplicate key error code; the memory store throws the same for an existing version
+const DUPLICATE_KEY = 11000;
+// Same rule the studio publish prompt enforces
+const GAME_NAME_RE = /^[A-Za-z ]{1,30}$/;
+const MAX_DESCRIPTION = 500;
+const SORTS = {
+  popular: { visits: -1, up: -1 },
+  most_upvoted: { up: -1, visits: -1 },
+  most_downvoted: { down: -1, visits: -1 },
+  newest: { createdAt: -1 }
+};
+// Built-in games (ids are the World.loadMap names). Keep in sync with the fallback list in src/gamesData.js.
+const OFFICIAL_GAMES = [
+  { id: 'chirpless_puzzles', name: 'Chirpless Puzzles' },
+  { id: 'platform', name: 'Hub' },
+  { id: 'chirpless_hunt', name: 'Chirpless Hunt 2026' },
+  { id: 'lucky_world', name: 'Lucky World' },
+  { id: 'sillyville', name: 'SillyVille V1' },
+  { id: 'chirpcity', name: 'ChirpCity 1.1V' },
+  { id: 'memories', name: 'Memories' },
+  { id: 'easter_2026', name: 'Easter 2026' },
+  { id: 'blocks', name: 'Blocks' },
+  { id: 'rocket_olympics', name: 'Rocket Olympics' },
+  { id: 'home', name: 'Home' }
+];
+const OFFICIAL_AUTHOR = { id: 'system', username: 'Chirpless Admin' };
+const DEFAULT_THUMB = '/DefaultThumb.png';
+
+// findOneAnd* resolve to { value } on driver 5 and to the document itself on driver 6
+function unwrap(res) {
+  return res && typeof res === 'object' && 'ok' in res && 'value' in res ? res.value : res;
+}
+
+function normalizeName(name) {
+  return String(name || '').trim().replace(/\s+/g, ' ');
+}
+
+function isValidWorldData(data) {
+  return !!data && typeof data === 'object' && Array.isArray(data.items);
+}
+
+// Public shape of a game (never includes world data)
+function summary(doc) {
+  return {
+    id: doc.id,
+    name: doc.name,
+    description: doc.description || '',
+    authorId: doc.authorId,
+    author: doc.authorName,
+    official: !!doc.official,
+    thumb: doc.thumb || DEFAULT_THUMB,
+    visits: doc.visits || 0,
+    up: doc.up || 0,
+    down: doc.down || 0,
+    version: doc.version,
+    size: doc.size || 0,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt
+  };
+}
+
+function createGameStore() {
+  let coll = null;
+  let versionsColl = null;
+  let votesColl = null;
+  // Fallback stores: id -> game doc, id -> [{ version, data, size, createdAt }], 'gameId|accountId' -> 'up'|'down'
+  const mem = new Map();
+  const memVersions = new Map();
+  const memVotes = new Map();
+
+  function officialDoc(g, now) {
+    return {
+      id: g.id,
+      name: g.name,
+      description: '',
+      authorId: OFFICIAL_AUTHOR.id,
+      authorName: OFFICIAL_AUTHOR.username,
+      official: true,
+      thumb: DEFAULT_THUMB,
+      version: 0,
+      visits: 0,
+      up: 0,
+      down: 0,
+      createdAt: now,
+      updatedAt: now
+    };
+  }
+  OFFICIAL_GAMES.forEach((g) => mem.set(g.id, officialDoc(g, new Date(0))));
+
+  async function init(db) {
+    try {
+      coll = db.collection(GAMES_COLLECTION);
+      versionsColl = db.collection(GAME_VERSIONS_COLLECTION);
+      votesColl = db.collection(GAME_VOTES_COLLECTION);
+      await coll.createIndex({ id: 1 }, { unique: true });
+      await coll.createIndex({ authorId: 1, updatedAt: -1 });
+      await coll.createIndex({ updatedAt: -1 });
+      await coll.createIndex({ visits: -1 });
+      await versionsColl.createIndex({ gameId: 1, version: -1 }, { unique: true });
+      await votesColl.createIndex({ gameId: 1, accountId: 1 }, { unique: true });
+      await votesColl.createIndex({ accountId: 1 });
+      for (const g of OFFICIAL_GAMES) {
+        const doc = officialDoc(g, new Date(0));
+        // Names may change between releases; counters must survive restarts
+        const { name, ...insertOnly } = doc;
+        await coll.updateOne({ id: g.id }, { $set: { name }, $setOnInsert: insertOnly }, { upsert: true });
+      }
+    } catch (e) {
+      console.warn('Games collection init failed; using memory store', e);
+      coll = null;
+      versionsColl = null;
+      votesColl = null;
+    }
+  }
+
+  async function findDoc(id) {
+    if (coll) {
+      try { return await coll.findOne({ id }, { projection: { _id: 0 } }); } catch (e) { console.warn('Game lookup failed', e); }
+    }
+    return mem.get(id) || null;
+  }
+
+  // Throws a duplicate key error (code 11000, as Mongo's unique index does) when the version already exists
+  async function saveVersion(gameId, version, data, size, now) {
+    if (versionsColl) {
+      try {
+        await versionsColl.insertOne({ gameId, version, data, size, createdAt: now });
+        return;
+      } catch (e) {
+        if (e.code !== DUPLICATE_KEY) console.warn('Game version write failed', e);
+        throw e;
+      }
+    }
+    const list = memVersions.get(gameId) || [];
+    if (list.some((v) => v.version === version)) throw Object.assign(new Error('duplicate game version'), { code: DUPLICATE_KEY });
+    list.push({ version, data, size, createdAt: now });
+    memVersions.set(gameId, list);
+  }
+
+  // Drops versions that fell out of the history once `version` is the current one
+  async function pruneVersions(gameId, version) {
+    if (versionsColl) {
+      try {
+        await versionsColl.deleteMany({ gameId, version: { $lte: version - MAX_GAME_VERSIONS } });
+      } catch (e) {
+        console.warn('Game version prune failed', e);
+      }
+      return;
+    }
+    const list = memVersions.get(gameId) || [];
+    memVersions.set(gameId, list.filter((v) => v.version > version - MAX_GAME_VERSIONS));
+  }
+
+  // Removes a version written by a publish that then lost the race to claim it
+  async function dropVersion(gameId, version) {
+    if (versionsColl) {
+      try {
+        await versionsColl.deleteOne({ gameId, version });
+      } catch (e) {
+        console.warn('Game version cleanup failed', e);
+      }
+      return;
+    }
+    const list = memVersions.get(gameId) || [];
+    memVersions.set(gameId, list.filter((v) => v.version !== version));
+  }
+
+  async function loadVersion(gameId, version) {
+    if (versionsColl) {
+      try {
+        return await versionsColl.findOne({ gameId, version }, { projection: { _id: 0 } });
+      } catch (e) {
+        console.warn('Game version lookup failed', e);
+      }
+    }
+    return (memVersions.get(gameId) || []).find((v) => v.version === version) || null;
+  }
+
+  // author: { id, username }. Resolves to { ok: true, game } or { ok: false, reason }
+  async function create(author, { name, description, data } = {}) {
+    const clean = normalizeName(name);
+    if (!GAME_NAME_RE.test(clean)) return { ok: false, reason: 'invalid_name' };
+    if (!isValidWorldData(data)) return { ok: false, reason: 'invalid_data' };
+    const now = new Date();
+    const size = Buffer.byteLength(JSON.stringify(data));
+    const doc = {
+      id: 'g-' + crypto.randomBytes(6).toString('hex'),
+      name: clean,
+      description: String(description || '').slice(0, MAX_DESCRIPTION),
+      authorId: author.id,
+      authorName: author.username,
+      version: 1,
+      visits: 0,
+      up: 0,
+      down: 0,
+      size,
+      createdAt: now,
+      updatedAt: now
+    };
+    try {
+      await saveVersion(doc.id, 1, data, size, now);
+    } catch (e) {
+      return { ok: false, reason: 'storage_failed' };
+    }
+    if (coll) {
+      try {
+        await coll.insertOne(Object.assign({}, doc));
+        return { ok: true, game: summary(doc) };
+      } catch (e) {
+        console.warn('Game write failed', e);
+        return { ok: false, reason: 'storage_failed' };
+      }
+    }
+    mem.set(doc.id, doc);
+    return { ok: true, game: summary(doc) };
+  }
+
+  // Publishes a new version and/or edits metadata. baseVersion, when given, must match the current version.
+  async function update(id, author, { name, description, data, baseVersion } = {}) {
+    const doc = await findDoc(id);
+    if (!doc) return { ok: false, reason: 'not_found' };
+    if (doc.authorId !== author.id) return { ok: false, reason: 'forbidden' };
+    if (baseVersion != null && Number(baseVersion) !== doc.version) return { ok: false, reason: 'version_conflict', version: doc.version };
+    const current = doc.version;
+    const $set = { updatedAt: new Date(), authorName: author.username };
+    if (name != null) {
+      const clean = normalizeName(name);
+      if (!GAME_NAME_RE.test(clean)) return { ok: false, reason: 'invalid_name' };
+      $set.name = clean;
+    }
+    if (description != null) $set.description = String(description).slice(0, MAX_DESCRIPTION);
+    if (data != null) {
+      if (!isValidWorldData(data)) return { ok: false, reason: 'invalid_data' };
+      $set.version = doc.version + 1;
+      $set.size = Buffer.byteLength(JSON.stringify(data));
+      try {
+        await saveVersion(id, $set.version, data, $set.size, $set.updatedAt);
+      } catch (e) {
+        // A concurrent publish already wrote this version number
+        return { ok: false, reason: e.code === DUPLICATE_KEY ? 'version_conflict' : 'storage_failed' };
+      }
+    }
+    // Guard on the version we read so two concurrent publishes can't both win; the loser's version is dropped
+    let claimed = false;
+    if (coll) {
+      try {
+        const res = await coll.updateOne({ id, version: current }, { $set });
+        claimed = res.matchedCount > 0;
+      } catch (e) {
+        console.warn('Game update failed', e);
+        if (data != null) await dropVersion(id, $set.version);
+        return { ok: false, reason: 'storage_failed' };
+      }
+    } else if (doc.version === current) {
+      Object.assign(doc, $set);
+      claimed = true;
+    }
+    if (!claimed) {
+      if (data != null) await dropVersion(id, $set.version);
+      return { ok: false, reason: 'version_conflict' };
+    }
+    if (data != null) await pruneVersions(id, $set.version);
+    return { ok: true, game: summary(Object.assign({}, doc, $set)) };
+  }
+
+  // Resolves to the game summary plus world data (current version unless one is requested), or null.
+  // Built-in games resolve with data: null since the client builds them itself.
+  async function get(id, version = null) {
+    const doc = await findDoc(id);
+    if (!doc) return null;
+    if (doc.official) return Object.assign(summary(doc), { data: null });
+    const v = version == null ? doc.version : Number(version);
+    const stored = await loadVersion(id, v);
+    if (!stored) return null;
+    return Object.assign(summary(doc), { version: v, latestVersion: doc.version, data: stored.data });
+  }
+
+  async function exists(id) {
+    return !!(await findDoc(id));
+  }
+
+  // Catalog query. Resolves to { games, total } where games is one page of summaries.
+  async function list({ search = '', sort = 'popular', authorId = null, limit = 50, skip = 0 } = {}) {
+    limit = Math.min(100, Math.max(1, limit | 0));
+    skip = Math.max(0, skip | 0);
+    const q = String(search || '').trim().slice(0, 60);
+    const order = SORTS[sort] || SORTS.popular;
+    if (coll) {
+      try {
+        const query = {};
+        if (authorId) query.authorId = authorId;
+        if (q) {
+          const re = new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+          query.$or = [{ name: re }, { authorName: re }, { id: re }];
+        }
+        const [docs, total] = await Promise.all([
+          coll.find(query, { projection: { _id: 0 } }).sort(Object.assign({}, order, { id: 1 })).skip(skip).limit(limit).toArray(),
+          coll.countDocuments(query)
+        ]);
+        return { games: docs.map(summary), total };
+      } catch (e) {
+        console.warn('Game list failed', e);
+      }
+    }
+    const ql = q.toLowerCase();
+    const keys = Object.keys(order);
+    const matches = Array.from(mem.values())
+      .filter((d) => !authorId || d.authorId === authorId)
+      .filter((d) => !ql || [d.name, d.authorName, d.id].some((f) => String(f || '').toLowerCase().includes(ql)))
+      .sort((a, b) => {
+        for (const k of keys) {
+          const diff = (Number(b[k]) || 0) - (Number(a[k]) || 0);
+          if (diff) return diff;
+        }
+        return a.id < b.id ? -1 : 1;
+      });
+    return { games: matches.slice(skip, skip + limit).map(summary), total: matches.length };
+  }
+
+  async function recordVisit(id) {
+    if (coll) {
+      try {
+        await coll.updateOne({ id }, { $inc: { visits: 1 } });
+        return;
+      } catch (e) {
+        console.warn('Game visit write failed', e);
+      }
+    }
+    const doc = mem.get(id);
+    if (doc) doc.visits = (doc.visits || 0) + 1;
+  }
+
+  // Sets (vote 'up'/'down') or retracts (vote null) an account's vote.
+  // Resolves to { ok: true, tally: { id, up, down, myVote } } or { ok: false, reason }.
+  async function vote(gameId, accountId, value) {
+    if (value !== null && value !== 'up' && value !== 'down') return { ok: false, reason: 'invalid_vote' };
+    const doc = await findDoc(gameId);
+    if (!doc) return { ok: false, reason: 'not_found' };
+    let prev = null;
+    if (votesColl) {
+      try {
+        // Atomic swap so concurrent votes from one account each see the true previous value
+        const res = value === null
+          ? await votesColl.findOneAndDelete({ gameId, accountId })
+          : await votesColl.findOneAndUpdate(
+            { gameId, accountId },
+            { $set: { vote: value, updatedAt: new Date() }, $setOnInsert: { createdAt: new Date() } },
+            { upsert: true, returnDocument: 'before' }
+          );
+        const before = unwrap(res);
+        prev = before ? before.vote : null;
+      } catch (e) {
+        console.warn('Game vote write failed', e);
+        return { ok: false, reason: 'storage_failed' };
+      }
+    } else {
+      const key = gameId + '|' + accountId;
+      prev = memVotes.get(key) || null;
+      if (value === null) memVotes.delete(key);
+      else memVotes.set(key, value);
+    }
+    const $inc = { up: (value === 'up') - (prev === 'up'), down: (value === 'down') - (prev === 'down') };
+    let tallies = doc;
+    if ($inc.up || $inc.down) {
+      if (coll) {
+        try {
+          tallies = unwrap(await coll.findOneAndUpdate({ id: gameId }, { $inc }, { returnDocument: 'after', projection: { up: 1, down: 1 } })) || doc;
+        } catch (e) {
+          console.warn('Game tally write failed', e);
+        }
+      } else {
+        doc.up = Math.max(0, (doc.up || 0) + $inc.up);
+        doc.down = Math.max(0, (doc.down || 0) + $inc.down);
+      }
+    }
+    return { ok: true, tally: { id: gameId, up: tallies.up || 0, down: tallies.down || 0, myVote: value } };
+  }
+
+  // Resolves to { gameId: 'up'|'down' } for the games this account has voted on
+  async function votesOf(accountId, gameIds) {
+    const out = {};
+    if (!accountId || !gameIds.length) return out;
+    if (votesColl) {
+      try {
+        const docs = await votesColl.find({ accountId, gameId: { $in: gameIds } }).toArray();
+        docs.forEach((d) => { out[d.gameId] = d.vote; });
+        return out;
+      } catch (e) {
+        console.warn('Game vote lookup failed', e);
+      }
+    }
+    gameIds.forEach((id) => {
+      const v = memVotes.get(id + '|' + accountId);
+      if (v) out[id] = v;
+    });
+    return out;
+  }
+
+  async function remove(id, author) {
+    const doc = await findDoc(id);
+    if (!doc) return { ok: false, reason: 'not_found' };
+    if (doc.authorId !== author.id) return { ok: false, reason: 'forbidden' };
+    if (coll) {
+      try {
+        await coll.deleteOne({ id });
+        await versionsColl.deleteMany({ gameId: id });
+        await votesColl.deleteMany({ gameId: id });
+        return { ok: true };
+      } catch (e) {
+        console.warn('Game delete failed', e);
+        return { ok: false, reason: 'storage_failed' };
+      }
+    }
+    mem.delete(id);
+    memVersions.delete(id);
+    Array.from(memVotes.keys()).filter((k) => k.startsWith(id + '|')).forEach((k) => memVotes.delete(k));
+    return { ok: true };
+  }
+
+  return { init, create, update, get, exists, list, recordVisit, vote, votesOf, remove };
+}
+
+module.exports = { createGameStore };
@@ -0,0 +1,153 @@
+/*
+Moderation records for the presence server.
+- One document per account in MongoDB (memory fallback) with its strikes, sanctions and the current
+  muteUntil / banUntil deadlines
+- Filtered chat adds a strike worth the rule's severity. Strike points inside STRIKE_WINDOW_DAYS are summed
+  and the highest ESCALATION step reached is applied (a warning, a mute or a ban of that length), so repeat
+  offenders escalate while old strikes age out. The first strike in the window is only ever a warning, so
+  one filter false positive can't mute or ban anyone
+- Sanctions only ever extend an existing deadline; lifting one is an explicit action
+- Admin actions from the console (warnings, kicks, mutes, bans and lifting them) land in the same history
+*/
+
+const MODERATION_COLLECTION = process.env.MODERATION_COLLECTION || 'moderation_records';
+const STRIKE_WINDOW_DAYS = Math.max(1, parseInt(process.env.STRIKE_WINDOW_DAYS || '30', 10));
+const MAX_HISTORY = 100;
+const MINUTE = 60 * 1000;
+// points -> sanction; override with MODERATION_LADDER='[{"points":2,"action":"mute","minutes":10},...]'
+const DEFAULT_ESCALATION = [
+  { points: 1, action: 'warn' },
+  { points: 2, action: 'mute', minutes: 10 },
+  { points: 4, action: 'mute', minutes: 60 },
+  { points: 6, action: 'ban', minutes: 24 * 60 },
+  { points: 9, action: 'ban', minutes: 3 * 24 * 60 },
+  { points: 12, action: 'ban', minutes: 7 * 24 * 60 },
+  { points: 18, action: 'ban', minutes: 30 * 24 * 60 }
+];
+
+function loadEscalation() {
+  if (!process.env.MODERATION_LADDER) return DEFAULT_ESCALATION;
+  try {
+    const ladder = JSON.parse(process.env.MODERATION_LADDER);
+    if (!Array.isArray(ladder)) throw new Error('expected an array');
+    return ladder.slice().sort((a, b) => a.points - b.points);
+  } catch (e) {
+    console.warn('Invalid MODERATION_LADDER; using the default escalation', e);
+    return DEFAULT_ESCALATION;
+  }
+}
+
+function createModerationStore() {
+  const escalation = loadEscalation();
+  let coll = null;
+  // Fallback store: accountId -> record
+  const mem = new Map();
+
+  async function init(db) {
+    try {
+      coll = db.collection(MODERATION_COLLECTION);
+      await coll.createIndex({ accountId: 1 }, { unique: true });
+      await coll.createIndex({ banUntil: 1 });
+    } catch (e) {
+      console.warn('Moderation collection init failed; using memory store', e);
+      coll = null;
+    }
+  }
+
+  async function load(accountId) {
+    if (coll) {
+      try { return await coll.findOne({ accountId }, { projection: { _id: 0 } }); } catch (e) { console.warn('Moderation lookup failed', e); }
+    }
+    return mem.get(accountId) || null;
+  }
+
+  async function save(record) {
+    record.strikes = record.strikes.slice(-MAX_HISTORY);
+    record.sanctions = record.sanctions.slice(-MAX_HISTORY);
+    if (coll) {
+      try {
+        await coll.replaceOne({ accountId: record.accountId }, record, { upsert: true });
+        return;
+      } catch (e) {
+        console.warn('Moderation write failed', e);
+      }
+    }
+    mem.set(record.accountId, record);
+  }
+
+  function blank(accountId) {
+    return { accountId, strikes: [], sanctions: [], muteUntil: null, muteReason: null, banUntil: null, banReason: null };
+  }
+
+  // Current restrictions: { muted, muteUntil, muteReason, banned, banUntil, banReason }
+  async function status(accountId) {
+    const r = (await load(accountId)) || blank(accountId);
+    const now = Date.now();
+    const muted = !!r.muteUntil && new Date(r.muteUntil).getTime() > now;
+    const banned = !!r.banUntil && new Date(r.banUntil).getTime() > now;
+    return {
+      muted,
+      muteUntil: muted ? r.muteUntil : null,
+      muteReason: muted ? r.muteReason : null,
+      banned,
+      banUntil: banned ? r.banUntil : null,
+      banReason: banned ? r.banReason : null
+    };
+  }
+
+  // Applies (or for 'unmute'/'unban', lifts) a sanction. action: 'warn'|'kick'|'mute'|'ban'|'unmute'|'unban';
+  // warnings and kicks are only recorded. Resolves to { action, until } describing what now applies.
+  async function sanction(accountId, { action, minutes = 0, reason = '', by = 'system' } = {}, record = null) {
+    const r = record || (await load(accountId)) || blank(accountId);
+    const now = new Date();
+    let until = null;
+    if (action === 'mute' || action === 'ban') {
+      const field = action === 'mute' ? 'muteUntil' : 'banUntil';
+      until = new Date(now.getTime() + Math.max(1, minutes) * MINUTE);
+      const current = r[field] ? new Date(r[field]) : null;
+      if (current && current > until) until = current;
+      r[field] = until;
+      r[action === 'mute' ? 'muteReason' : 'banReason'] = reason;
+    } else if (action === 'unmute') {
+      r.muteUntil = null;
+    } else if (action === 'unban') {
+      r.banUntil = null;
+    }
+    r.sanctions.push({ at: now, action, until, reason, by });
+    await save(r);
+    return { action, until };
+  }
+
+  // Records filtered chat. Resolves to the escalation applied: { action: 'none'|'warn'|'mute'|'ban', until, points }.
+  async function strike(accountId, { rule, severity, message, room }) {
+    const r = (await load(accountId)) || blank(accountId);
+    const now = Date.now();
+    r.strikes.push({ at: new Date(now), rule, severity, message: String(message || '').slice(0, 300), room });
+    const windowStart = now - STRIKE_WINDOW_DAYS * 24 * 60 * MINUTE;
+    const recent = r.strikes.filter((s) => new Date(s.at).getTime() >= windowStart);
+    const points = recent.reduce((n, s) => n + (s.severity || 0), 0);
+    let step = null;
+    escalation.forEach((e) => { if (points >= e.points) step = e; });
+    if (step && recent.length === 1) step = { action: 'warn' };
+    if (!step) {
+      await save(r);
+      return { action: 'none', until: null, points };
+    }
+    const applied = await sanction(accountId, { action: step.action, minutes: step.minutes, reason: 'chat:' + rule }, r);
+    return Object.assign(applied, { points });
+  }
+
+  // Full record for the admin console: current restrictions plus strike and sanction history, newest first
+  async function history(accountId) {
+    const r = (await load(accountId)) || blank(accountId);
+    return Object.assign(await status(accountId), {
+      accountId,
+      strikes: r.strikes.slice().reverse(),
+      sanctions: r.sanctions.slice().reverse()
+    });
+  }
+
+  return { init, status, strike, sanction, history };
+}
+
+module.exports = { createModerationStore };
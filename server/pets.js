@@ -0,0 +1,144 @@
+/*
+Pet inventory for the presence server.
+- One document per owned pet in MongoDB (memory fallback), so an account can own several of the same kind
+- Pets are sold through the catalog (server/catalog.js), which calls grant() after charging the wallet,
+  revoke() when the purchase is refunded and transfer() when the pet is traded
+- At most MAX_EQUIPPED_PETS are equipped at once. Equipped pets travel in the owner's presence as `pets`
+  (their kinds, in the order they were equipped) so every client in the room draws them
+*/
+
+const crypto = require('crypto');
+
+const PETS_COLLECTION = process.env.PETS_COLLECTION || 'pet_inventory';
+const MAX_EQUIPPED_PETS = Math.max(1, parseInt(process.env.MAX_EQUIPPED_PETS || '3', 10));
+const MAX_OWNED_PETS = 100;
+
+function publicPet(doc) {
+  return { id: doc.id, kind: doc.kind, itemId: doc.itemId, equipped: !!doc.equippedAt, equippedAt: doc.equippedAt, acquiredAt: doc.acquiredAt };
+}
+
+function createPetStore() {
+  let coll = null;
+  // Fallback store: id -> doc
+  const mem = new Map();
+
+  async function init(db) {
+    try {
+      coll = db.collection(PETS_COLLECTION);
+      await coll.createIndex({ id: 1 }, { unique: true });
+      await coll.createIndex({ accountId: 1, acquiredAt: 1 });
+    } catch (e) {
+      console.warn('Pet inventory collection init failed; using memory store', e);
+      coll = null;
+    }
+  }
+
+  async function owned(accountId) {
+    if (coll) {
+      try {
+        return await coll.find({ accountId }, { projection: { _id: 0 } }).sort({ acquiredAt: 1 }).toArray();
+      } catch (e) {
+        console.warn('Pet inventory lookup failed', e);
+      }
+    }
+    return Array.from(mem.values()).filter((d) => d.accountId === accountId).sort((a, b) => a.acquiredAt - b.acquiredAt);
+  }
+
+  // Oldest first
+  async function list(accountId) {
+    return (await owned(accountId)).map(publicPet);
+  }
+
+  // What goes in the owner's presence: equipped kinds, first equipped first
+  async function equippedKinds(accountId) {
+    return (await owned(accountId))
+      .filter((d) => d.equippedAt)
+      .sort((a, b) => a.equippedAt - b.equippedAt)
+      .map((d) => d.kind);
+  }
+
+  // Catalog grant hook: item is a catalog entry of type 'pet' ({ id, data: { kind } }).
+  // Resolves to { ok: true, ref: <pet id> } or { ok: false, reason: 'inventory_full'|'storage_failed' }
+  async function grant(accountId, item) {
+    if ((await owned(accountId)).length >= MAX_OWNED_PETS) return { ok: false, reason: 'inventory_full' };
+    const doc = {
+      id: 'pet-' + crypto.randomBytes(6).toString('hex'),
+      accountId,
+      kind: item.data.kind,
+      itemId: item.id,
+      equippedAt: null,
+      acquiredAt: new Date()
+    };
+    if (coll) {
+      try {
+        await coll.insertOne(Object.assign({}, doc));
+      } catch (e) {
+        console.warn('Pet inventory write failed', e);
+        return { ok: false, reason: 'storage_failed' };
+      }
+    } else {
+      mem.set(doc.id, doc);
+    }
+    return { ok: true, ref: doc.id };
+  }
+
+  // Catalog revoke hook: removes a refunded pet (equipped or not)
+  async function revoke(accountId, petId) {
+    if (coll) {
+      try {
+        await coll.deleteOne({ id: petId, accountId });
+        return;
+      } catch (e) {
+        console.warn('Pet inventory write failed', e);
+      }
+    }
+    const doc = mem.get(petId);
+    if (doc && doc.accountId === accountId) mem.delete(petId);
+  }
+
+  // Catalog transfer hook: gives a pet to another account, unequipped.
+  // Resolves to { ok: true } or { ok: false, reason: 'not_found'|'inventory_full'|'storage_failed' }
+  async function transfer(fromId, toId, petId) {
+    if ((await owned(toId)).length >= MAX_OWNED_PETS) return { ok: false, reason: 'inventory_full' };
+    const $set = { accountId: toId, equippedAt: null };
+    if (coll) {
+      try {
+        const res = await coll.updateOne({ id: petId, accountId: fromId }, { $set });
+        return res.modifiedCount === 1 ? { ok: true } : { ok: false, reason: 'not_found' };
+      } catch (e) {
+        console.warn('Pet inventory write failed', e);
+        return { ok: false, reason: 'storage_failed' };
+      }
+    }
+    const doc = mem.get(petId);
+    if (!doc || doc.accountId !== fromId) return { ok: false, reason: 'not_found' };
+    Object.assign(doc, $set);
+    return { ok: true };
+  }
+
+  // Resolves to { ok: true, pets } (the whole inventory) or { ok: false, reason: 'not_found'|'equip_limit'|'storage_failed' }
+  async function setEquipped(accountId, petId, equipped) {
+    const all = await owned(accountId);
+    const doc = all.find((d) => d.id === petId);
+    if (!doc) return { ok: false, reason: 'not_found' };
+    if (!!doc.equippedAt === !!equipped) return { ok: true, pets: all.map(publicPet) };
+    if (equipped && all.filter((d) => d.equippedAt).length >= MAX_EQUIPPED_PETS) return { ok: false, reason: 'equip_limit' };
+    const equippedAt = equipped ? new Date() : null;
+    if (coll) {
+      try {
+        await coll.updateOne({ id: petId, accountId }, { $set: { equippedAt } });
+      } catch (e) {
+        console.warn('Pet inventory write failed', e);
+        return { ok: false, reason: 'storage_failed' };
+      }
+    } else {
+      mem.get(petId).equippedAt = equippedAt;
+    }
+    doc.equippedAt = equippedAt;
+    return { ok: true, pets: all.map(publicPet) };
+  }
+
+  return { init, list, equippedKinds, grant, revoke, transfer, setEquipped, maxEquipped: MAX_EQUIPPED_PETS };
+}
+
+module.exports = { createPetStore };
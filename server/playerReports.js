@@ -0,0 +1,131 @@
+/*
+Player reports for the admin console.
+- One document per report in MongoDB (memory fallback) naming the reported account, the reporter, their
+  reason and the room it happened in
+- The server attaches the evidence itself: the reported chat line (when a message was reported) and the
+  room's recent chat from server/chatLog.js, so clients can't fabricate context
+- A reporter has at most one open report per target; reporting again while it's open is a no-op
+- Admins resolve reports with a short note of what was done
+*/
+
+const crypto = require('crypto');
+
+const PLAYER_REPORTS_COLLECTION = process.env.PLAYER_REPORTS_COLLECTION || 'player_reports';
+const MAX_REPORT_REASON = 200;
+const MAX_CONTEXT_LINES = 30;
+
+function createPlayerReportStore() {
+  let coll = null;
+  // Fallback store: id -> doc
+  const mem = new Map();
+
+  async function init(db) {
+    try {
+      coll = db.collection(PLAYER_REPORTS_COLLECTION);
+      await coll.createIndex({ id: 1 }, { unique: true });
+      await coll.createIndex({ status: 1, createdAt: -1 });
+      await coll.createIndex({ targetId: 1, reporterId: 1, status: 1 });
+    } catch (e) {
+      console.warn('Player reports collection init failed; using memory store', e);
+      coll = null;
+    }
+  }
+
+  async function findOne(query) {
+    if (coll) {
+      try { return await coll.findOne(query, { projection: { _id: 0 } }); } catch (e) { console.warn('Player report lookup failed', e); }
+    }
+    return Array.from(mem.values()).find((d) => Object.keys(query).every((k) => d[k] === query[k])) || null;
+  }
+
+  // reporter/target: { id, username }. details: { reason, room, message, context }.
+  // Resolves to { ok: true, report } or { ok: false, reason }
+  async function file(reporter, target, { reason, room = null, message = null, context = [] } = {}) {
+    if (!target || !target.id) return { ok: false, reason: 'not_found' };
+    if (target.id === reporter.id) return { ok: false, reason: 'own_content' };
+    const clean = String(reason || '').trim().slice(0, MAX_REPORT_REASON);
+    if (!clean) return { ok: false, reason: 'empty' };
+    const open = await findOne({ targetId: target.id, reporterId: reporter.id, status: 'open' });
+    if (open) return { ok: true, duplicate: true, report: open };
+    const doc = {
+      id: 'pr-' + crypto.randomBytes(6).toString('hex'),
+      targetId: target.id,
+      targetName: target.username,
+      reporterId: reporter.id,
+      reporterName: reporter.username,
+      reason: clean,
+      room,
+      message,
+      context: context.slice(-MAX_CONTEXT_LINES),
+      status: 'open',
+      resolution: null,
+      resolvedBy: null,
+      createdAt: new Date(),
+      resolvedAt: null
+    };
+    if (coll) {
+      try {
+        await coll.insertOne(Object.assign({}, doc));
+        return { ok: true, report: doc };
+      } catch (e) {
+        console.warn('Player report write failed', e);
+        return { ok: false, reason: 'storage_failed' };
+      }
+    }
+    mem.set(doc.id, doc);
+    return { ok: true, report: doc };
+  }
+
+  // Newest first. status: 'open' | 'resolved' | null (all). Resolves to { reports, total, page, limit }
+  async function list({ status = 'open', page = 1, limit = 20 } = {}) {
+    limit = Math.min(50, Math.max(1, limit | 0));
+    page = Math.max(1, page | 0);
+    const query = status ? { status } : {};
+    if (coll) {
+      try {
+        const [reports, total] = await Promise.all([
+          coll.find(query, { projection: { _id: 0 } }).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).toArray(),
+          coll.countDocuments(query)
+        ]);
+        return { reports, total, page, limit };
+      } catch (e) {
+        console.warn('Player report query failed', e);
+      }
+    }
+    const all = Array.from(mem.values())
+      .filter((d) => !status || d.status === status)
+      .sort((a, b) => b.createdAt - a.createdAt);
+    return { reports: all.slice((page - 1) * limit, page * limit), total: all.length, page, limit };
+  }
+
+  async function get(id) {
+    return findOne({ id });
+  }
+
+  // admin: { id, username }. resolution: free text such as "muted 60 min" or "no action"
+  async function resolve(id, admin, resolution) {
+    const doc = await findOne({ id });
+    if (!doc) return { ok: false, reason: 'not_found' };
+    const $set = {
+      status: 'resolved',
+      resolution: String(resolution || 'no action').slice(0, MAX_REPORT_REASON),
+      resolvedBy: admin.username || admin.id,
+      resolvedAt: new Date()
+    };
+    if (coll) {
+      try {
+        await coll.updateOne({ id }, { $set });
+      } catch (e) {
+        console.warn('Player report write failed', e);
+        return { ok: false, reason: 'storage_failed' };
+      }
+    } else {
+      Object.assign(mem.get(id), $set);
+    }
+    return { ok: true, report: Object.assign(doc, $set) };
+  }
+
+  return { init, file, list, get, resolve };
+}
+
+module.exports = { createPlayerReportStore };
@@ -0,0 +1,301 @@
+/*
+Presence pipeline for the presence server.
+- Clients send partial presence_update messages; the server merges them into per-socket state
+- A fixed-rate tick (PRESENCE_TICK_HZ) batches what changed per room into one frame, so a room of N
+  players costs N sends per tick instead of N^2 sends per client frame
+- Only fields that changed since the last tick are sent, with positions/rotations quantized so that
+  sub-quantum jitter does not count as a change
+- Each recipient chooses JSON ('presence_delta') or a compact binary frame for the hot fields;
+  see encodeBinaryFrame for the layout (decoded by src/presenceCodec.js)
+- Recipients whose socket is backed up are skipped and get a full snapshot once they drain
+- `appearance` is cleaned by normalizeAppearance (server/appearance.js) before it is stored or relayed
+*/
+
+const WebSocket = require('ws');
+const { normalizeAppearance } = require('./appearance');
+
+const PRESENCE_TICK_HZ = Math.max(1, Math.min(60, parseInt(process.env.PRESENCE_TICK_HZ || '15', 10)));
+// Skip a recipient for a tick once this many bytes are waiting in its socket buffer
+const PRESENCE_MAX_BUFFERED = parseInt(process.env.PRESENCE_MAX_BUFFERED || String(256 * 1024), 10);
+
+const POSITION_SCALE = 100; // 1/100 stud
+const ROTATION_SCALE = 1000; // 1/1000 rad
+// Largest coordinate the binary frame's i32 (position * POSITION_SCALE) can carry
+const MAX_COORD = Math.floor(0x7fffffff / POSITION_SCALE);
+// Order matters: the index is the wire value. Keep in sync with ANIM_STATES in src/presenceCodec.js.
+const ANIM_STATES = ['idle', 'walk', 'fall', 'dance', 'stumble', 'jump', 'sit', 'swim'];
+const FRAME_PRESENCE_DELTA = 1;
+
+const FIELD_POSITION = 1;
+const FIELD_ROTATION = 2;
+const FIELD_ANIM = 4;
+const FIELD_DEAD = 8;
+
+function quantize(v, scale) {
+  return Math.round(Number(v) * scale) / scale;
+}
+
+function wrapAngle(r) {
+  let a = (Number(r) || 0) % (Math.PI * 2);
+  if (a > Math.PI) a -= Math.PI * 2;
+  if (a < -Math.PI) a += Math.PI * 2;
+  return a;
+}
+
+// Normalizes a client-supplied field so equal-after-quantization values compare equal
+function normalizeField(key, value) {
+  if (key === 'position') {
+    if (!value || typeof value !== 'object') return undefined;
+    const x = Number(value.x), y = Number(value.y), z = Number(value.z);
+    if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) return undefined;
+    // Out of range for the binary frame (and any map); dropped rather than clamped so nobody is teleported
+    if (Math.abs(x) > MAX_COORD || Math.abs(y) > MAX_COORD || Math.abs(z) > MAX_COORD) return undefined;
+    return { x: quantize(x, POSITION_SCALE), y: quantize(y, POSITION_SCALE), z: quantize(z, POSITION_SCALE) };
+  }
+  if (key === 'rotation') {
+    const r = Number(value);
+    return Number.isFinite(r) ? quantize(wrapAngle(r), ROTATION_SCALE) : undefined;
+  }
+  if (key === 'isDead') return !!value;
+  if (key === 'appearance') return normalizeAppearance(value);
+  return value;
+}
+
+function sameValue(a, b) {
+  if (a === b) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Hot fields that the binary frame can carry for this value
+function binaryMask(key, value) {
+  if (key === 'position') return FIELD_POSITION;
+  if (key === 'rotation') return FIELD_ROTATION;
+  if (key === 'isDead') return FIELD_DEAD;
+  if (key === 'animState' && ANIM_STATES.indexOf(value) !== -1) return FIELD_ANIM;
+  return 0;
+}
+
+/*
+Binary frame layout (big-endian):
+  u8  frame kind (1 = presence delta)
+  u32 tick
+  u16 entry count
+  per entry:
+    u16 slot (see 'slots' in JSON frames for slot -> clientId)
+    u8  field mask (1 position, 2 rotation, 4 animState, 8 isDead)
+    i32 x, i32 y, i32 z   position * 100        if mask & 1
+    i16 rotation * 1000                          if mask & 2
+    u8  animState index into ANIM_STATES         if mask & 4
+    u8  isDead (0/1)                              if mask & 8
+*/
+function encodeBinaryFrame(tick, entries) {
+  let size = 7;
+  entries.forEach((e) => {
+    size += 3;
+    if (e.mask & FIELD_POSITION) size += 12;
+    if (e.mask & FIELD_ROTATION) size += 2;
+    if (e.mask & FIELD_ANIM) size += 1;
+    if (e.mask & FIELD_DEAD) size += 1;
+  });
+  const buf = Buffer.alloc(size);
+  let o = 0;
+  o = buf.writeUInt8(FRAME_PRESENCE_DELTA, o);
+  o = buf.writeUInt32BE(tick >>> 0, o);
+  o = buf.writeUInt16BE(entries.length, o);
+  entries.forEach((e) => {
+    o = buf.writeUInt16BE(e.slot, o);
+    o = buf.writeUInt8(e.mask, o);
+    if (e.mask & FIELD_POSITION) {
+      o = buf.writeInt32BE(Math.round(e.fields.position.x * POSITION_SCALE), o);
+      o = buf.writeInt32BE(Math.round(e.fields.position.y * POSITION_SCALE), o);
+      o = buf.writeInt32BE(Math.round(e.fields.position.z * POSITION_SCALE), o);
+    }
+    if (e.mask & FIELD_ROTATION) o = buf.writeInt16BE(Math.round(e.fields.rotation * ROTATION_SCALE), o);
+    if (e.mask & FIELD_ANIM) o = buf.writeUInt8(ANIM_STATES.indexOf(e.fields.animState), o);
+    if (e.mask & FIELD_DEAD) o = buf.writeUInt8(e.fields.isDead ? 1 : 0, o);
+  });
+  return buf;
+}
+
+function createPresenceHub({ socketsInRoom }) {
+  // room -> { members: Map(clientId -> member), removed: [clientId], freeSlots: [slot], nextSlot }
+  // member: { ws, slot, dirty: Set(field), isNew }
+  const rooms = new Map();
+  let tick = 0;
+  let timer = null;
+
+  function ensure(room) {
+    if (!rooms.has(room)) rooms.set(room, { members: new Map(), removed: [], freeSlots: [], nextSlot: 0 });
+    return rooms.get(room);
+  }
+
+  function stateOf(ws) {
+    if (!ws._presence) ws._presence = {};
+    return ws._presence;
+  }
+
+  function send(ws, data) {
+    if (!ws || ws.readyState !== WebSocket.OPEN) return;
+    try { ws.send(data); } catch (e) { /* ignore per-client send errors */ }
+  }
+
+  function fullSnapshot(room) {
+    const r = rooms.get(room);
+    const entries = {};
+    const slots = {};
+    if (r) {
+      r.members.forEach((m, id) => {
+        entries[id] = Object.assign({}, stateOf(m.ws));
+        slots[id] = m.slot;
+      });
+    }
+    return { type: 'presence_delta', room, tick, t: Date.now(), full: true, entries, slots, removed: [] };
+  }
+
+  // Adds the socket's presence to a room; everyone else sees it next tick, the socket gets the whole room now
+  function enter(ws, room) {
+    const r = ensure(room);
+    const id = ws._clientId;
+    if (!id) return;
+    const existing = r.members.get(id);
+    if (existing) {
+      existing.ws = ws;
+      Object.keys(stateOf(ws)).forEach((k) => existing.dirty.add(k));
+    } else {
+      const slot = r.freeSlots.length ? r.freeSlots.shift() : r.nextSlot++;
+      r.members.set(id, { ws, slot, dirty: new Set(Object.keys(stateOf(ws))), isNew: true });
+      r.removed = r.removed.filter((rid) => rid !== id);
+    }
+    ws._needsFullPresence = false;
+    send(ws, JSON.stringify(fullSnapshot(room)));
+  }
+
+  function exit(ws, room) {
+    const r = rooms.get(room);
+    const id = ws._clientId;
+    if (!r || !id) return;
+    const m = r.members.get(id);
+    if (!m || m.ws !== ws) return;
+    r.members.delete(id);
+    // Slots are recycled after this tick's frame so in-flight binary frames never point at a new player
+    r.removed.push(id);
+    r.pendingFree = (r.pendingFree || []).concat(m.slot);
+  }
+
+  // Merges a partial presence update from the socket's owner
+  function update(ws, fields) {
+    if (!fields || typeof fields !== 'object') return;
+    const state = stateOf(ws);
+    const r = ws._room ? rooms.get(ws._room) : null;
+    const member = r && ws._clientId ? r.members.get(ws._clientId) : null;
+    Object.keys(fields).forEach((key) => {
+      const value = normalizeField(key, fields[key]);
+      if (value === undefined || sameValue(state[key], value)) return;
+      state[key] = value;
+      if (member) member.dirty.add(key);
+    });
+  }
+
+  function tickRoom(room, r) {
+    const changed = [];
+    const slots = {};
+    r.members.forEach((m, id) => {
+      if (m.isNew) {
+        slots[id] = m.slot;
+        m.isNew = false;
+      }
+      if (!m.dirty.size) return;
+      const state = stateOf(m.ws);
+      const fields = {};
+      m.dirty.forEach((k) => { fields[k] = state[k]; });
+      m.dirty.clear();
+      changed.push({ id, slot: m.slot, fields });
+    });
+    const removed = r.removed;
+    r.removed = [];
+    if (!changed.length && !removed.length && !Object.keys(slots).length) return;
+
+    const t = Date.now();
+    let jsonFrame = null;
+    let binaryFrame = null;
+    let coldFrame = null;
+    const jsonOf = (entries) => JSON.stringify({ type: 'presence_delta', room, tick, t, entries, slots, removed });
+    const getJson = () => {
+      if (!jsonFrame) {
+        const entries = {};
+        changed.forEach((c) => { entries[c.id] = c.fields; });
+        jsonFrame = jsonOf(entries);
+      }
+      return jsonFrame;
+    };
+    // Binary recipients get hot fields in the binary frame and everything else in a small JSON frame
+    const getBinary = () => {
+      if (!binaryFrame) {
+        const hot = [];
+        const cold = {};
+        changed.forEach((c) => {
+          let mask = 0;
+          Object.keys(c.fields).forEach((k) => {
+            const bit = binaryMask(k, c.fields[k]);
+            if (bit) mask |= bit;
+            else (cold[c.id] = cold[c.id] || {})[k] = c.fields[k];
+          });
+          if (mask) hot.push({ slot: c.slot, mask, fields: c.fields });
+        });
+        binaryFrame = hot.length ? encodeBinaryFrame(tick, hot) : null;
+        coldFrame = (Object.keys(cold).length || removed.length || Object.keys(slots).length) ? jsonOf(cold) : null;
+      }
+      return { binary: binaryFrame, cold: coldFrame };
+    };
+
+    socketsInRoom(room).forEach((ws) => {
+      if (ws.readyState !== WebSocket.OPEN) return;
+      if (ws.bufferedAmount > PRESENCE_MAX_BUFFERED) {
+        ws._needsFullPresence = true;
+        return;
+      }
+      // This runs on a timer: a throw here would take the whole server down, so one bad recipient or
+      // entry only costs that recipient its frame (and a full snapshot next tick)
+      try {
+        if (ws._needsFullPresence) {
+          ws._needsFullPresence = false;
+          send(ws, JSON.stringify(fullSnapshot(room)));
+          return;
+        }
+        if (ws._presenceEncoding === 'binary') {
+          const frames = getBinary();
+          // Slots/cold fields first so the binary frame never references an unknown slot
+          if (frames.cold) send(ws, frames.cold);
+          if (frames.binary) send(ws, frames.binary);
+        } else {
+          send(ws, getJson());
+        }
+      } catch (e) {
+        console.error('presence frame failed for', ws._clientId, e);
+        ws._needsFullPresence = true;
+      }
+    });
+  }
+
+  function step() {
+    tick++;
+    rooms.forEach((r, room) => {
+      tickRoom(room, r);
+      if (r.pendingFree) {
+        r.freeSlots.push(...r.pendingFree);
+        r.pendingFree = null;
+      }
+      if (!r.members.size && !r.removed.length) rooms.delete(room);
+    });
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(step, Math.round(1000 / PRESENCE_TICK_HZ));
+  }
+
+  return { enter, exit, update, start, tickHz: PRESENCE_TICK_HZ };
+}
+
+module.exports = { createPresenceHub, ANIM_STATES };
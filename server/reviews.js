@@ -0,0 +1,237 @@
+/*
+Game reviews for the presence server.
+- One document per review or reply in MongoDB (memory fallback), keyed by catalog game id
+- A review is top-level (parentId null) with a 1-5 star rating; each account has at most one review per game
+  and posting again replaces it. Replies point at any review or reply of the same game, forming a thread
+- Deleting keeps a "[deleted]" placeholder while replies hang off it so threads stay intact
+- Reports are one per account; content with REVIEW_HIDE_REPORTS reports is hidden from everyone but admins
+*/
+
+const crypto = require('crypto');
+
+const REVIEWS_COLLECTION = process.env.REVIEWS_COLLECTION || 'game_reviews';
+const REVIEW_HIDE_REPORTS = Math.max(1, parseInt(process.env.REVIEW_HIDE_REPORTS || '3', 10));
+const MAX_REVIEW_TEXT = 500;
+const MAX_REPORT_REASON = 200;
+
+function createReviewStore() {
+  let coll = null;
+  // Fallback store: id -> doc
+  const mem = new Map();
+
+  async function init(db) {
+    try {
+      coll = db.collection(REVIEWS_COLLECTION);
+      await coll.createIndex({ id: 1 }, { unique: true });
+      await coll.createIndex({ gameId: 1, parentId: 1, createdAt: -1 });
+      await coll.createIndex({ gameId: 1, authorId: 1, parentId: 1 });
+      await coll.createIndex({ reportCount: -1 });
+    } catch (e) {
+      console.warn('Reviews collection init failed; using memory store', e);
+      coll = null;
+    }
+  }
+
+  async function findDoc(id) {
+    if (coll) {
+      try { return await coll.findOne({ id }, { projection: { _id: 0 } }); } catch (e) { console.warn('Review lookup failed', e); }
+    }
+    return mem.get(id) || null;
+  }
+
+  async function findAll(query) {
+    if (coll) {
+      try { return await coll.find(query, { projection: { _id: 0 } }).toArray(); } catch (e) { console.warn('Review query failed', e); }
+    }
+    return Array.from(mem.values()).filter((d) => Object.keys(query).every((k) => d[k] === query[k]));
+  }
+
+  async function write(id, $set) {
+    if (coll) {
+      try {
+        await coll.updateOne({ id }, { $set });
+        return true;
+      } catch (e) {
+        console.warn('Review write failed', e);
+        return false;
+      }
+    }
+    const doc = mem.get(id);
+    if (doc) Object.assign(doc, $set);
+    return !!doc;
+  }
+
+  // author: { id, username }. Resolves to { ok: true, review } or { ok: false, reason }
+  async function post(gameId, author, { text, rating, parentId = null } = {}) {
+    const clean = String(text || '').trim().slice(0, MAX_REVIEW_TEXT);
+    if (!clean) return { ok: false, reason: 'empty' };
+    const now = new Date();
+    if (parentId) {
+      const parent = await findDoc(parentId);
+      if (!parent || parent.gameId !== gameId || parent.deleted) return { ok: false, reason: 'not_found' };
+    } else {
+      rating = Number(rating);
+      if (!Number.isInteger(rating) || rating < 1 || rating > 5) return { ok: false, reason: 'invalid_rating' };
+      // One review per account per game: replace the existing one
+      const existing = (await findAll({ gameId, authorId: author.id, parentId: null })).find((d) => !d.deleted);
+      if (existing) {
+        const $set = { text: clean, rating, authorName: author.username, updatedAt: now };
+        if (!(await write(existing.id, $set))) return { ok: false, reason: 'storage_failed' };
+        return { ok: true, review: Object.assign(existing, $set) };
+      }
+    }
+    const doc = {
+      id: 'r-' + crypto.randomBytes(6).toString('hex'),
+      gameId,
+      parentId: parentId || null,
+      authorId: author.id,
+      authorName: author.username,
+      rating: parentId ? null : rating,
+      text: clean,
+      reports: [],
+      reportCount: 0,
+      deleted: false,
+      createdAt: now,
+      updatedAt: now
+    };
+    if (coll) {
+      try {
+        await coll.insertOne(Object.assign({}, doc));
+        return { ok: true, review: doc };
+      } catch (e) {
+        console.warn('Review write failed', e);
+        return { ok: false, reason: 'storage_failed' };
+      }
+    }
+    mem.set(doc.id, doc);
+    return { ok: true, review: doc };
+  }
+
+  // actor: { id, admin }. Authors may delete their own content, admins anything.
+  async function remove(gameId, id, actor) {
+    const doc = await findDoc(id);
+    if (!doc || doc.gameId !== gameId || doc.deleted) return { ok: false, reason: 'not_found' };
+    if (doc.authorId !== actor.id && !actor.admin) return { ok: false, reason: 'forbidden' };
+    const ok = await write(id, { deleted: true, text: '', deletedBy: actor.id, updatedAt: new Date() });
+    return ok ? { ok: true } : { ok: false, reason: 'storage_failed' };
+  }
+
+  async function report(gameId, id, reporter, reason) {
+    const doc = await findDoc(id);
+    if (!doc || doc.gameId !== gameId || doc.deleted) return { ok: false, reason: 'not_found' };
+    if (doc.authorId === reporter.id) return { ok: false, reason: 'own_content' };
+    if ((doc.reports || []).some((r) => r.by === reporter.id)) return { ok: true, duplicate: true };
+    const entry = { by: reporter.id, reason: String(reason || '').slice(0, MAX_REPORT_REASON), at: new Date() };
+    if (coll) {
+      try {
+        await coll.updateOne({ id, 'reports.by': { $ne: reporter.id } }, { $push: { reports: entry }, $inc: { reportCount: 1 } });
+        return { ok: true };
+      } catch (e) {
+        console.warn('Review report failed', e);
+        return { ok: false, reason: 'storage_failed' };
+      }
+    }
+    doc.reports.push(entry);
+    doc.reportCount = doc.reports.length;
+    return { ok: true };
+  }
+
+  // Replies (any depth) whose parent is one of parentIds
+  async function findReplies(gameId, parentIds) {
+    if (coll) {
+      try { return await coll.find({ gameId, parentId: { $in: parentIds } }, { projection: { _id: 0 } }).toArray(); } catch (e) { console.warn('Review query failed', e); }
+    }
+    const ids = new Set(parentIds);
+    return Array.from(mem.values()).filter((d) => d.gameId === gameId && ids.has(d.parentId));
+  }
+
+  // One page of the top-level reviews a viewer sees, newest first: reported ones are left out unless `admin`,
+  // deleted ones are only kept while replies hang off them. Resolves to { docs, total, rated: { count, sum } }
+  async function topLevelPage(gameId, admin, skip, limit) {
+    if (coll) {
+      try {
+        const withReplies = await coll.distinct('parentId', { gameId, parentId: { $ne: null } });
+        const query = { gameId, parentId: null, $or: [{ deleted: { $ne: true } }, { id: { $in: withReplies } }] };
+        if (!admin) query.reportCount = { $lt: REVIEW_HIDE_REPORTS };
+        const [docs, total, stats] = await Promise.all([
+          coll.find(query, { projection: { _id: 0 } }).sort({ createdAt: -1, id: 1 }).skip(skip).limit(limit).toArray(),
+          coll.countDocuments(query),
+          coll.aggregate([
+            { $match: { gameId, parentId: null, deleted: { $ne: true }, rating: { $ne: null } } },
+            { $group: { _id: null, count: { $sum: 1 }, sum: { $sum: '$rating' } } }
+          ]).toArray()
+        ]);
+        return { docs, total, rated: stats[0] || { count: 0, sum: 0 } };
+      } catch (e) {
+        console.warn('Review list failed', e);
+      }
+    }
+    const all = Array.from(mem.values()).filter((d) => d.gameId === gameId);
+    const withReplies = new Set(all.map((d) => d.parentId).filter(Boolean));
+    const top = all.filter((d) => !d.parentId);
+    const rated = top.filter((d) => !d.deleted && d.rating);
+    const shown = top
+      .filter((d) => (!d.deleted || withReplies.has(d.id)) && (admin || (d.reportCount || 0) < REVIEW_HIDE_REPORTS))
+      .sort((a, b) => b.createdAt - a.createdAt);
+    return { docs: shown.slice(skip, skip + limit), total: shown.length, rated: { count: rated.length, sum: rated.reduce((n, d) => n + d.rating, 0) } };
+  }
+
+  // One page of top-level reviews (newest first) with their reply threads nested under `replies`.
+  // viewer: { id, admin } or null; decides canDelete and whether reported content is shown.
+  // Only the page's reviews and their replies are loaded.
+  async function list(gameId, viewer, { page = 1, limit = 20 } = {}) {
+    limit = Math.min(50, Math.max(1, limit | 0));
+    page = Math.max(1, page | 0);
+    const admin = !!(viewer && viewer.admin);
+    const { docs, total, rated } = await topLevelPage(gameId, admin, (page - 1) * limit, limit);
+    const visible = (d) => admin || (d.reportCount || 0) < REVIEW_HIDE_REPORTS;
+    // Replies to this page's reviews, a thread level at a time
+    const children = new Map();
+    for (let parents = docs.map((d) => d.id); parents.length;) {
+      const replies = await findReplies(gameId, parents);
+      replies.forEach((d) => {
+        if (!children.has(d.parentId)) children.set(d.parentId, []);
+        children.get(d.parentId).push(d);
+      });
+      parents = replies.map((d) => d.id);
+    }
+    const toView = (d) => {
+      const replies = (children.get(d.id) || [])
+        .sort((a, b) => a.createdAt - b.createdAt)
+        .filter(visible)
+        .map(toView)
+        .filter(Boolean);
+      // Deleted content only stays as a placeholder for the replies under it
+      if (d.deleted && replies.length === 0) return null;
+      const view = {
+        id: d.id,
+        parentId: d.parentId,
+        authorId: d.deleted ? null : d.authorId,
+        author: d.deleted ? null : d.authorName,
+        rating: d.deleted ? null : d.rating,
+        text: d.deleted ? '[deleted]' : d.text,
+        deleted: !!d.deleted,
+        createdAt: d.createdAt,
+        updatedAt: d.updatedAt,
+        canDelete: !d.deleted && !!viewer && (viewer.admin || viewer.id === d.authorId),
+        replies
+      };
+      if (viewer && viewer.admin) view.reportCount = d.reportCount || 0;
+      return view;
+    };
+    return {
+      reviews: docs.map(toView).filter(Boolean),
+      total,
+      page,
+      limit,
+      rating: {
+        count: rated.count,
+        average: rated.count ? Math.round((rated.sum / rated.count) * 10) / 10 : null
+      }
+    };
+  }
+
+  return { init, post, remove, report, list };
+}
+
+module.exports = { createReviewStore };
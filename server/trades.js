@@ -0,0 +1,252 @@
+/*
+Player-to-player trades for the presence server.
+- A trade is between two players in the same room: one requests, the other accepts, then each side sets
+  an offer of owned catalog entries (server/catalog.js) and TRADABLE_CURRENCIES amounts
+- Both sides must confirm the current offers; changing either offer clears both confirmations so nobody
+  confirms a deal that was swapped under them
+- A player is in at most one trade at a time. Live trades are kept in memory only: the server cancels them
+  when a player disconnects or leaves the room
+- Executing a trade debits both wallets, moves the items and credits both wallets, undoing the finished
+  steps in reverse if any step fails, so either the whole swap happens or none of it does. Every executed
+  or failed trade is logged to TRADE_LOG_COLLECTION (memory fallback)
+*/
+
+const crypto = require('crypto');
+
+const TRADE_LOG_COLLECTION = process.env.TRADE_LOG_COLLECTION || 'trade_log';
+const TRADABLE_CURRENCIES = ['coins', 'candy', 'chirps'];
+const MAX_TRADE_ITEMS = 12;
+const MAX_TRADE_AMOUNT = 1000000;
+const MAX_LOG = 1000;
+
+function emptyOffer() {
+  return { items: [], currency: {} };
+}
+
+function createTradeStore({ wallet, catalog }) {
+  // tradeId -> trade; accountId -> tradeId
+  const trades = new Map();
+  const byAccount = new Map();
+  let coll = null;
+  const memLog = [];
+
+  async function init(db) {
+    try {
+      coll = db.collection(TRADE_LOG_COLLECTION);
+      await coll.createIndex({ id: 1 }, { unique: true });
+      await coll.createIndex({ accountIds: 1, at: -1 });
+    } catch (e) {
+      console.warn('Trade log collection init failed; using memory store', e);
+      coll = null;
+    }
+  }
+
+  function partyOf(trade, accountId) {
+    return trade.parties.find((p) => p.id === accountId) || null;
+  }
+
+  function otherParty(trade, accountId) {
+    return trade.parties.find((p) => p.id !== accountId);
+  }
+
+  // What clients are shown: { id, state, room, parties: [{ id, username, offer, confirmed }] }.
+  // Offer items carry the catalog name and type so the other side sees what they'd get.
+  function view(trade) {
+    return {
+      id: trade.id,
+      state: trade.state,
+      room: trade.room,
+      parties: trade.parties.map((p) => ({
+        id: p.id,
+        username: p.username,
+        confirmed: p.confirmed,
+        offer: {
+          currency: Object.assign({}, p.offer.currency),
+          items: p.offer.items.map((e) => ({ id: e.id, itemId: e.itemId, type: e.type, name: e.name }))
+        }
+      }))
+    };
+  }
+
+  function current(accountId) {
+    const id = byAccount.get(accountId);
+    return id ? trades.get(id) || null : null;
+  }
+
+  function get(tradeId) {
+    return trades.get(tradeId) || null;
+  }
+
+  function close(trade) {
+    trades.delete(trade.id);
+    trade.parties.forEach((p) => { if (byAccount.get(p.id) === trade.id) byAccount.delete(p.id); });
+  }
+
+  // from/to: { id, username }. Returns { ok: true, trade } or { ok: false, reason: 'trade_self'|'busy'|'target_busy' }
+  function request(from, to, room) {
+    if (from.id === to.id) return { ok: false, reason: 'trade_self' };
+    if (current(from.id)) return { ok: false, reason: 'busy' };
+    if (current(to.id)) return { ok: false, reason: 'target_busy' };
+    const trade = {
+      id: 'tr-' + crypto.randomBytes(6).toString('hex'),
+      state: 'pending',
+      room,
+      createdAt: new Date(),
+      parties: [from, to].map((p) => ({ id: p.id, username: p.username, offer: emptyOffer(), confirmed: false }))
+    };
+    trades.set(trade.id, trade);
+    byAccount.set(from.id, trade.id);
+    byAccount.set(to.id, trade.id);
+    return { ok: true, trade };
+  }
+
+  // Only the invited player (the second party) can accept
+  function accept(accountId, tradeId) {
+    const trade = get(tradeId);
+    if (!trade || trade.state !== 'pending' || trade.parties[1].id !== accountId) return { ok: false, reason: 'not_found' };
+    trade.state = 'open';
+    return { ok: true, trade };
+  }
+
+  // Replaces the account's offer. offer: { items: [inventory entry ids], currency: { coins, candy, chirps } }.
+  // Ownership and balances are checked now for quick feedback and again when the trade executes.
+  // Resolves to { ok: true, trade } or { ok: false, reason: 'not_found'|'invalid_item'|'invalid_amount'|
+  // 'too_many_items'|'insufficient_funds'|'already_owned' }
+  async function setOffer(accountId, tradeId, offer) {
+    const trade = get(tradeId);
+    const party = trade && trade.state === 'open' ? partyOf(trade, accountId) : null;
+    if (!party) return { ok: false, reason: 'not_found' };
+    const ids = Array.from(new Set((Array.isArray(offer.items) ? offer.items : []).map(String)));
+    if (ids.length > MAX_TRADE_ITEMS) return { ok: false, reason: 'too_many_items' };
+    const currency = {};
+    const source = offer.currency && typeof offer.currency === 'object' ? offer.currency : {};
+    for (const c of Object.keys(source)) {
+      const amount = Number(source[c]);
+      if (!amount) continue;
+      if (!TRADABLE_CURRENCIES.includes(c) || !Number.isInteger(amount) || amount < 0 || amount > MAX_TRADE_AMOUNT) {
+        return { ok: false, reason: 'invalid_amount' };
+      }
+      currency[c] = amount;
+    }
+    const balances = await wallet.balances(accountId);
+    if (Object.keys(currency).some((c) => balances[c] < currency[c])) return { ok: false, reason: 'insufficient_funds' };
+    const receiver = otherParty(trade, accountId);
+    const theirs = await catalog.owned(receiver.id);
+    const items = [];
+    for (const id of ids) {
+      const doc = await catalog.entry(accountId, id);
+      if (!doc) return { ok: false, reason: 'invalid_item' };
+      const item = catalog.get(doc.itemId);
+      if (doc.type !== 'pet' && theirs.some((o) => o.itemId === doc.itemId)) return { ok: false, reason: 'already_owned' };
+      items.push({ id: doc.id, itemId: doc.itemId, type: doc.type, name: item ? item.name : doc.itemId });
+    }
+    // The trade may have been cancelled while we were checking
+    if (trades.get(tradeId) !== trade || trade.state !== 'open') return { ok: false, reason: 'not_found' };
+    party.offer = { items, currency };
+    trade.parties.forEach((p) => { p.confirmed = false; });
+    return { ok: true, trade };
+  }
+
+  // Returns { ok: true, trade, ready } where ready means both sides have now confirmed
+  function confirm(accountId, tradeId) {
+    const trade = get(tradeId);
+    const party = trade && trade.state === 'open' ? partyOf(trade, accountId) : null;
+    if (!party) return { ok: false, reason: 'not_found' };
+    if (!trade.parties.some((p) => p.offer.items.length || Object.keys(p.offer.currency).length)) {
+      return { ok: false, reason: 'empty' };
+    }
+    party.confirmed = true;
+    const ready = trade.parties.every((p) => p.confirmed);
+    if (ready) trade.state = 'executing';
+    return { ok: true, trade, ready };
+  }
+
+  // Ends the account's trade (tradeId optional). Trades already executing can't be cancelled.
+  // Returns the closed trade or null.
+  function cancel(accountId, tradeId = null) {
+    const trade = current(accountId);
+    if (!trade || (tradeId && trade.id !== tradeId) || trade.state === 'executing') return null;
+    close(trade);
+    return trade;
+  }
+
+  async function log(trade, status, reason) {
+    const doc = {
+      id: trade.id,
+      accountIds: trade.parties.map((p) => p.id),
+      parties: view(trade).parties.map((p) => ({ id: p.id, username: p.username, offer: p.offer })),
+      room: trade.room,
+      status,
+      reason: reason || null,
+      at: new Date()
+    };
+    if (coll) {
+      try {
+        await coll.insertOne(Object.assign({}, doc));
+        return;
+      } catch (e) {
+        console.warn('Trade log write failed', e);
+      }
+    }
+    memLog.push(doc);
+    if (memLog.length > MAX_LOG) memLog.shift();
+  }
+
+  // Runs a confirmed trade. Resolves to { ok: true } or { ok: false, reason } with every finished step undone.
+  async function execute(trade) {
+    const undo = [];
+    const meta = { reason: 'trade', ref: trade.id };
+    const fail = async (reason) => {
+      for (const step of undo.reverse()) {
+        try { await step(); } catch (e) { console.warn('Trade rollback step failed', trade.id, e); }
+      }
+      await log(trade, 'failed', reason);
+      close(trade);
+      return { ok: false, reason };
+    };
+
+    for (const p of trade.parties) {
+      for (const [c, amount] of Object.entries(p.offer.currency)) {
+        const res = await wallet.apply(p.id, c, -amount, meta);
+        if (!res.ok) return fail(res.reason);
+        undo.push(() => wallet.apply(p.id, c, amount, { reason: 'trade_rollback', ref: trade.id }));
+      }
+    }
+    for (const p of trade.parties) {
+      const to = otherParty(trade, p.id);
+      for (const e of p.offer.items) {
+        const res = await catalog.transfer(p.id, to.id, e.id);
+        if (!res.ok) return fail(res.reason);
+        undo.push(() => catalog.transfer(to.id, p.id, e.id, { tradedAt: res.previousTradedAt }));
+      }
+    }
+    for (const p of trade.parties) {
+      const to = otherParty(trade, p.id);
+      for (const [c, amount] of Object.entries(p.offer.currency)) {
+        const res = await wallet.apply(to.id, c, amount, meta);
+        if (!res.ok) return fail(res.reason);
+        undo.push(() => wallet.apply(to.id, c, -amount, { reason: 'trade_rollback', ref: trade.id }));
+      }
+    }
+    await log(trade, 'completed');
+    close(trade);
+    return { ok: true };
+  }
+
+  // Logged trades involving the account, newest first
+  async function history(accountId, { limit = 50 } = {}) {
+    limit = Math.min(200, Math.max(1, limit | 0));
+    if (coll) {
+      try {
+        return await coll.find({ accountIds: accountId }, { projection: { _id: 0 } }).sort({ at: -1 }).limit(limit).toArray();
+      } catch (e) {
+        console.warn('Trade log query failed', e);
+      }
+    }
+    return memLog.filter((d) => d.accountIds.includes(accountId)).reverse().slice(0, limit);
+  }
+
+  return { init, view, current, get, request, accept, setOffer, confirm, cancel, execute, history };
+}
+
+module.exports = { createTradeStore, TRADABLE_CURRENCIES };
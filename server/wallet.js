@@ -0,0 +1,191 @@
+/*
+Account wallets for the presence server.
+- One balance document per account in MongoDB (memory fallback) holding every currency in CURRENCIES
+- Every change is also appended to the ledger collection (never updated or deleted) with the amount, the
+  balance after it, a reason and an optional reference, so any balance can be audited
+- Debits only succeed while the balance covers them; the check and the change are one atomic update
+- Clients never send amounts for most awards: AWARD_RULES fixes what each rule pays, where it can be
+  earned and how often, and checkAward() validates a claim against the socket's current map visit.
+  Playtime is accrued by the server itself from how long a socket has been in a map (PLAYTIME_SECONDS)
+*/
+
+const crypto = require('crypto');
+
+const WALLETS_COLLECTION = process.env.WALLETS_COLLECTION || 'wallets';
+const LEDGER_COLLECTION = process.env.LEDGER_COLLECTION || 'wallet_ledger';
+const CURRENCIES = ['points', 'coins', 'candy', 'chirps'];
+const MAX_REASON = 100;
+
+// Seconds in a map per playtime point; maps not listed use `default`
+const PLAYTIME_SECONDS = { default: 10, rocket_olympics: 3 };
+
+// rule -> what it pays and when it's allowed:
+// - map: only while in an instance of this map
+// - perVisit: most claims per map visit; unique: each claim names a distinct ref (a coin, a door...)
+// - minSeconds: time that must be spent in the map before the first claim
+// - maxRate: claims carry an amount of at most maxRate per second since the previous claim (or the visit start)
+const AWARD_RULES = {
+  coin_pickup: { currency: 'coins', amount: 1, map: 'lucky_world', perVisit: 100, unique: true },
+  egg_found: { currency: 'points', amount: 1, map: 'chirpless_hunt', perVisit: 50, unique: true },
+  candy_door: { currency: 'candy', amount: 1, map: 'chirpless_halloween', perVisit: 30, unique: true },
+  puzzle_complete: { currency: 'points', amount: 10, map: 'chirpless_puzzles', perVisit: 1, minSeconds: 60 },
+  // SillyVille seeds pay a point per planted seed per second, at most 6 seeds
+  seed_harvest: { currency: 'points', map: 'sillyville', maxRate: 6 }
+};
+
+// A socket's map visit, reset whenever it joins a map
+function newVisit(map) {
+  return { map, since: Date.now(), lastClaimAt: Date.now(), counts: {}, refs: new Set(), playAcc: 0 };
+}
+
+// Validates a claim against the visit and records it there. Returns { ok: true, currency, amount } or { ok: false, reason }
+function checkAward(visit, ruleId, { ref, amount } = {}) {
+  const rule = Object.prototype.hasOwnProperty.call(AWARD_RULES, ruleId) ? AWARD_RULES[ruleId] : null;
+  if (!rule) return { ok: false, reason: 'invalid_rule' };
+  if (!visit || visit.map !== rule.map) return { ok: false, reason: 'wrong_map' };
+  const now = Date.now();
+  if (rule.minSeconds && now - visit.since < rule.minSeconds * 1000) return { ok: false, reason: 'too_soon' };
+  const count = visit.counts[ruleId] || 0;
+  if (rule.perVisit && count >= rule.perVisit) return { ok: false, reason: 'limit_reached' };
+  let key = null;
+  if (rule.unique) {
+    if (!ref) return { ok: false, reason: 'invalid_ref' };
+    key = ruleId + ':' + String(ref).slice(0, 64);
+    if (visit.refs.has(key)) return { ok: false, reason: 'already_claimed' };
+  }
+  let pay = rule.amount;
+  if (rule.maxRate) {
+    const allowed = Math.floor(((now - visit.lastClaimAt) / 1000) * rule.maxRate);
+    pay = Math.min(Math.max(0, Math.floor(Number(amount) || 0)), allowed);
+    if (pay <= 0) return { ok: false, reason: 'too_soon' };
+  }
+  visit.counts[ruleId] = count + 1;
+  visit.lastClaimAt = now;
+  if (key) visit.refs.add(key);
+  return { ok: true, currency: rule.currency, amount: pay };
+}
+
+// findOneAnd* resolve to { value } on driver 5 and to the document itself on driver 6
+function unwrap(res) {
+  return res && typeof res === 'object' && 'ok' in res && 'value' in res ? res.value : res;
+}
+
+function emptyBalances() {
+  const out = {};
+  CURRENCIES.forEach((c) => { out[c] = 0; });
+  return out;
+}
+
+function createWalletStore() {
+  let wallets = null;
+  let ledger = null;
+  // Fallback stores: accountId -> balances, and the ledger as an array
+  const memBalances = new Map();
+  const memLedger = [];
+
+  async function init(db) {
+    try {
+      wallets = db.collection(WALLETS_COLLECTION);
+      ledger = db.collection(LEDGER_COLLECTION);
+      await wallets.createIndex({ accountId: 1 }, { unique: true });
+      await ledger.createIndex({ id: 1 }, { unique: true });
+      await ledger.createIndex({ accountId: 1, at: -1 });
+    } catch (e) {
+      console.warn('Wallet collections init failed; using memory store', e);
+      wallets = null;
+      ledger = null;
+    }
+  }
+
+  async function balances(accountId) {
+    if (wallets) {
+      try {
+        const doc = await wallets.findOne({ accountId }, { projection: { _id: 0, balances: 1 } });
+        return Object.assign(emptyBalances(), doc ? doc.balances : {});
+      } catch (e) {
+        console.warn('Wallet lookup failed', e);
+      }
+    }
+    return Object.assign(emptyBalances(), memBalances.get(accountId) || {});
+  }
+
+  async function appendLedger(entry) {
+    if (ledger) {
+      try {
+        await ledger.insertOne(Object.assign({}, entry));
+        return;
+      } catch (e) {
+        console.warn('Ledger write failed', e);
+      }
+    }
+    memLedger.push(entry);
+  }
+
+  // Credits (amount > 0) or debits (amount < 0) one currency. meta: { reason, ref }.
+  // Resolves to { ok: true, balances, entry } or { ok: false, reason: 'invalid_currency'|'invalid_amount'|
+  // 'insufficient_funds'|'storage_failed' }
+  async function apply(accountId, currency, amount, { reason = '', ref = null } = {}) {
+    if (!CURRENCIES.includes(currency)) return { ok: false, reason: 'invalid_currency' };
+    amount = Math.trunc(Number(amount));
+    if (!amount) return { ok: false, reason: 'invalid_amount' };
+    const field = 'balances.' + currency;
+    let after;
+    if (wallets) {
+      try {
+        const filter = amount < 0 ? { accountId, [field]: { $gte: -amount } } : { accountId };
+        const res = await wallets.findOneAndUpdate(
+          filter,
+          { $inc: { [field]: amount }, $set: { updatedAt: new Date() }, $setOnInsert: { accountId } },
+          { upsert: amount > 0, returnDocument: 'after', projection: { _id: 0, balances: 1 } }
+        );
+        const doc = unwrap(res);
+        if (!doc) return { ok: false, reason: 'insufficient_funds' };
+        after = Object.assign(emptyBalances(), doc.balances);
+      } catch (e) {
+        console.warn('Wallet write failed', e);
+        return { ok: false, reason: 'storage_failed' };
+      }
+    } else {
+      const current = Object.assign(emptyBalances(), memBalances.get(accountId) || {});
+      if (current[currency] + amount < 0) return { ok: false, reason: 'insufficient_funds' };
+      current[currency] += amount;
+      memBalances.set(accountId, current);
+      after = Object.assign({}, current);
+    }
+    const entry = {
+      id: 'tx-' + crypto.randomBytes(8).toString('hex'),
+      accountId,
+      currency,
+      amount,
+      balance: after[currency],
+      reason: String(reason).slice(0, MAX_REASON),
+      ref: ref == null ? null : String(ref).slice(0, MAX_REASON),
+      at: new Date()
+    };
+    await appendLedger(entry);
+    return { ok: true, balances: after, entry };
+  }
+
+  // Newest first; `before` is a date (ISO string) to page back from
+  async function history(accountId, { before = null, limit = 50 } = {}) {
+    limit = Math.min(200, Math.max(1, limit | 0));
+    const beforeDate = before ? new Date(before) : null;
+    if (ledger) {
+      try {
+        const query = { accountId };
+        if (beforeDate && !isNaN(beforeDate)) query.at = { $lt: beforeDate };
+        return await ledger.find(query, { projection: { _id: 0 } }).sort({ at: -1 }).limit(limit).toArray();
+      } catch (e) {
+        console.warn('Ledger query failed', e);
+      }
+    }
+    return memLedger
+      .filter((e) => e.accountId === accountId && (!beforeDate || isNaN(beforeDate) || e.at < beforeDate))
+      .reverse()
+      .slice(0, limit);
+  }
+
+  return { init, balances, apply, history };
+}
+
+module.exports = { createWalletStore, checkAward, newVisit, AWARD_RULES, PLAYTIME_SECONDS, CURRENCIES };
@@ -0,0 +1,113 @@
+import * as THREE from 'three';
+
+/*
+  Fixed-rate simulation for gameplay physics.
+  FixedTimestep turns variable frame times into whole SIM_STEP steps (accumulator), so jump heights,
+  drag and stumble thresholds are the same at any frame rate. Time left over after the last whole step
+  becomes `alpha`, and TransformInterpolator draws each simulated object that fraction of the way from
+  its previous step's transform to its latest one, so motion stays smooth when frames and steps don't line up.
+*/
+
+export const SIM_STEP = 1 / 60;
+// At most this many steps per frame; after a long stall the simulation slows down instead of spiralling
+const MAX_STEPS = 8;
+// Moves larger than this in one step are teleports/respawns and are drawn without interpolation
+const SNAP_DISTANCE = 20;
+
+export class FixedTimestep {
+    constructor(step = SIM_STEP, maxSteps = MAX_STEPS) {
+        this.step = step;
+        this.maxSteps = maxSteps;
+        this.accumulator = 0;
+    }
+
+    // Runs stepFn(step) once per whole step that fits in the elapsed time. Returns alpha in [0, 1): how far
+    // the frame is between the last two simulated states.
+    advance(frameDt, stepFn) {
+        this.accumulator += frameDt;
+        let steps = 0;
+        while (this.accumulator >= this.step && steps < this.maxSteps) {
+            stepFn(this.step);
+            this.accumulator -= this.step;
+            steps++;
+        }
+        if (steps === this.maxSteps) this.accumulator = Math.min(this.accumulator, this.step);
+        return this.accumulator / this.step;
+    }
+
+    reset() {
+        this.accumulator = 0;
+    }
+}
+
+export class TransformInterpolator {
+    constructor() {
+        // object -> { prevPos, prevQuat, pos, quat, shownPos, shownQuat, seen }
+        this.states = new Map();
+        this._frame = 0;
+    }
+
+    _state(object) {
+        let s = this.states.get(object);
+        if (!s) {
+            s = {
+                prevPos: object.position.clone(), prevQuat: object.quaternion.clone(),
+                pos: object.position.clone(), quat: object.quaternion.clone(),
+                shownPos: new THREE.Vector3(), shownQuat: new THREE.Quaternion(), shown: false, seen: 0
+            };
+            this.states.set(object, s);
+        }
+        return s;
+    }
+
+    // Puts back the simulated transforms before stepping. Objects something else moved since the last
+    // frame (a teleport, a studio edit) keep the new transform.
+    restore() {
+        this.states.forEach((s, object) => {
+            if (!s.shown) return;
+            if (object.position.equals(s.shownPos) && object.quaternion.equals(s.shownQuat)) {
+                object.position.copy(s.pos);
+                object.quaternion.copy(s.quat);
+            }
+            s.shown = false;
+        });
+    }
+
+    // Call before each step with the objects the step moves
+    beginStep(objects) {
+        for (const object of objects) {
+            const s = this._state(object);
+            s.prevPos.copy(object.position);
+            s.prevQuat.copy(object.quaternion);
+        }
+    }
+
+    // Call once after stepping: records the latest transforms and draws every object `alpha` of the way
+    // there from the previous step. Objects no longer listed are forgotten.
+    apply(objects, alpha) {
+        const frame = ++this._frame;
+        for (const object of objects) {
+            const s = this._state(object);
+            s.seen = frame;
+            s.pos.copy(object.position);
+            s.quat.copy(object.quaternion);
+            if (s.prevPos.distanceToSquared(s.pos) > SNAP_DISTANCE * SNAP_DISTANCE) {
+                s.prevPos.copy(s.pos);
+                s.prevQuat.copy(s.quat);
+            }
+            object.position.lerpVectors(s.prevPos, s.pos, alpha);
+            object.quaternion.slerpQuaternions(s.prevQuat, s.quat, alpha);
+            s.shownPos.copy(object.position);
+            s.shownQuat.copy(object.quaternion);
+            s.shown = true;
+        }
+        this.states.forEach((s, object) => {
+            if (s.seen !== frame) this.states.delete(object);
+        });
+    }
+
+    clear() {
+        this.restore();
+        this.states.clear();
+    }
+}
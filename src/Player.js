@@ -2,6 +2,9 @@ import * as THREE from 'three';
 import { OBB } from 'three/addons/math/OBB.js';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { createTorsoTexture, createFaceTexture, boxUnwrapUVs, surfaceManager } from './utils.js';
+import { queryWorldParts } from './world/SpatialGrid.js';
+import { findPlatform } from './world/platforms.js';
+import { bodyOf } from './world/rigidBodies.js';
 
 /*
   TOMBSTONE / REFACTOR NOTE
@@ -119,6 +122,171 @@ function createTintedFaceTexture(imageOrCanvas, colorHex) {
     return tex;
 }
 
+// The helpers below dress a rig made by createPlayerMesh; Player and RemotePlayer both use them so everyone
+// sees the same avatar. `materials` is the store createPlayerMesh filled in.
+
+// Composites a face image onto the head color and puts it on the head's front. No image: the default face.
+export function applyFaceImage(materials, image, headColor) {
+    const mats = materials.head;
+    const source = image || _defaultFaceImage;
+    // The default face may still be loading; createPlayerMesh puts it on once it has
+    if (!mats || !mats[4] || (source === _defaultFaceImage && !_defaultFaceImage.complete)) return;
+    const mat = mats[4];
+    mat.map = createTintedFaceTexture(source, headColor || '#ffffff');
+    // After compositing we don't need transparent blending on the material itself,
+    // but keep transparent true so any leftover alpha still works.
+    mat.transparent = true;
+    mat.color = new THREE.Color(0xffffff); // Reset tint for face
+    mat.needsUpdate = true;
+}
+
+// Covers every torso slot with the shirt image
+export function applyShirtImage(materials, image) {
+    const tex = new THREE.CanvasTexture(image);
+    tex.minFilter = THREE.LinearFilter;
+    tex.magFilter = THREE.LinearFilter;
+    tex.colorSpace = THREE.SRGBColorSpace;
+    tex.needsUpdate = true;
+    (materials.torso || []).forEach((m) => {
+        if (m) {
+            m.map = tex;
+            m.color = new THREE.Color(0xffffff);
+            m.needsUpdate = true;
+        }
+    });
+}
+
+// Undoes applyShirtImage: the torso's own textures, tinted with its color
+export function clearShirtImage(materials, colorHex) {
+    const mats = materials.torso;
+    if (!mats) return;
+    const col = new THREE.Color(colorHex);
+    const maps = [null, null, surfaceManager.textures.studs, surfaceManager.textures.inlet, createTorsoTexture(colorHex), null];
+    mats.forEach((m, i) => {
+        if (!m) return;
+        m.map = maps[i];
+        m.color = i === 4 ? new THREE.Color(0xffffff) : col.clone();
+        m.needsUpdate = true;
+    });
+}
+
+// Builds a hat from appearance data (a simple hat or hat-editor parts) and attaches it to the rig.
+// Returns the hat group.
+export function attachHat(mesh, head, hatData) {
+    const hatGroup = new THREE.Group();
+    hatGroup.name = 'hat';
+
+    if (hatData.constructed && hatData.parts && hatData.parts.length > 0) {
+        // Load custom composed hat
+        hatData.parts.forEach((p) => {
+            let geo;
+            const size = p.scale || [1, 1, 1];
+            const color = p.color || '#333333';
+
+            if (p.type === 'box') {
+                geo = new THREE.BoxGeometry(1, 0.5, 1);
+            } else if (p.type === 'cylinder') {
+                geo = new THREE.CylinderGeometry(0.5, 0.5, 0.6, 16);
+            } else {
+                geo = new THREE.BoxGeometry(1, 0.5, 1);
+            }
+            
+            // Material needs to be cloned if it came from the editor material store, 
+            // but here we just create a new one based on color string
+            const mat = new THREE.MeshStandardMaterial({ color: new THREE.Color(color) });
+            
+            const partMesh = new THREE.Mesh(geo, mat);
+            if (p.pos) partMesh.position.fromArray(p.pos);
+            // Rotation arrays are [x, y, z] in radians when coming from Player.js rotation property
+            if (p.rot) partMesh.rotation.set(p.rot[0], p.rot[1], p.rot[2]);
+            if (p.scale) partMesh.scale.set(size[0], size[1], size[2]);
+            
+            hatGroup.add(partMesh);
+        });
+        // Apply a base scale common to all hats (0.6 for player head size)
+        hatGroup.scale.set(0.6, 0.6, 0.6);
+
+    } else {
+        // Create simple default hat (backwards compatibility/simple mode)
+        const colorHex = hatData.color || '#333333';
+        const size = hatData.size || 1.5;
+
+        // Simple brim
+        const brimGeo = new THREE.CylinderGeometry(size * 1.4, size * 1.4, 0.15, 24);
+        const brimMat = new THREE.MeshStandardMaterial({ color: new THREE.Color(colorHex) });
+        const brim = new THREE.Mesh(brimGeo, brimMat);
+        brim.rotation.x = Math.PI / 2;
+        brim.position.y = 0.05;
+        hatGroup.add(brim);
+
+        // Top (cap)
+        const capGeo = new THREE.CylinderGeometry(size * 0.8, size * 0.8, size * 0.9, 24);
+        const capMat = new THREE.MeshStandardMaterial({ color: new THREE.Color(colorHex) });
+        const cap = new THREE.Mesh(capGeo, capMat);
+        cap.position.y = 0.6;
+        hatGroup.add(cap);
+
+        // Scale down proportional to size parameter
+        hatGroup.scale.set(0.6 * (size / 1.5), 0.6 * (size / 1.5), 0.6 * (size / 1.5));
+    }
+
+    // Determine attachment point
+    let attachTarget = head;
+    if (mesh && mesh.children && mesh.children.length > 0) {
+        for (const c of mesh.children) {
+            if (c === head) continue;
+            if (c.isObject3D && (!head.visible || c.name.toLowerCase().includes('head') || c.type === 'Group' || c.isMesh)) {
+                attachTarget = c;
+                break;
+            }
+        }
+    }
+
+    // Apply stored transforms (offset/rotation)
+    const offset = hatData.offset || { x: 0, y: 0.6, z: 0 };
+    const rot = hatData.rot || { x: 0, y: 0, z: 0 };
+
+    // If simple hat with no custom offset/rot, use default placement:
+    if (!hatData.constructed && (!hatData.offset || !hatData.rot)) {
+        if (attachTarget === head) {
+             // Use hardcoded offset used previously for cube head alignment
+            hatGroup.position.set(0, 5.3 - head.position.y, 0); 
+        } else {
+            // Default offset for GLB head
+            hatGroup.position.set(0, 0.6, 0); 
+        }
+        // For simple hats created outside the editor, ensure we save the determined position back
+        offset.x = hatGroup.position.x;
+        offset.y = hatGroup.position.y;
+        offset.z = hatGroup.position.z;
+
+    } else {
+        // Use custom/saved offsets/rotations
+        hatGroup.position.set(offset.x, offset.y, offset.z);
+        hatGroup.rotation.set(
+            THREE.MathUtils.degToRad(rot.x),
+            THREE.MathUtils.degToRad(rot.y),
+            THREE.MathUtils.degToRad(rot.z)
+        );
+    }
+    
+    attachTarget.add(hatGroup);
+    return hatGroup;
+}
+
+// Disposes a hat made by attachHat
+export function disposeHat(hatGroup) {
+    if (!hatGroup) return;
+    if (hatGroup.parent) hatGroup.parent.remove(hatGroup);
+    hatGroup.traverse(c => {
+        if (c.geometry) c.geometry.dispose();
+        if (c.material) {
+            if (Array.isArray(c.material)) c.material.forEach(m => m.dispose && m.dispose());
+            else c.material.dispose && c.material.dispose();
+        }
+    });
+}
+
 export function createPlayerMesh(materialsStore) {
     const group = new THREE.Group();
 
@@ -292,6 +460,16 @@ export class Player {
         this.raycaster = new THREE.Raycaster();
         this.downVector = new THREE.Vector3(0, -1, 0);
         this.tempRayOrigin = new THREE.Vector3();
+        this.groundNormal = new THREE.Vector3(0, 1, 0);
+        this._groundHit = { y: 0, normal: new THREE.Vector3(), object: null };
+        this.platform = null; // KinematicPlatform we're standing on, see world/platforms.js
+        this._platformVel = new THREE.Vector3();
+
+        // Slopes: ground steeper than maxSlopeAngle can't be stood on and the player slides down it.
+        // Ledges up to maxStepHeight are stepped onto while walking
+        this.maxSlopeAngle = THREE.MathUtils.degToRad(50);
+        this.maxStepHeight = 1.5;
+        this.onSteepSlope = false;
 
         // Animation State
         this.animTime = 0;
@@ -394,10 +572,16 @@ export class Player {
         // Re-usable Box3 for collision checks to reduce garbage
         this.playerBox = new THREE.Box3();
         this.tempBox = new THREE.Box3();
+        this.overlapBox = new THREE.Box3();
+        this.nearbyParts = []; // reused { object, box } results of world part queries
+        this.nearbyObjects = [];
         
         // Re-usable OBBs
         this.playerOBB = new OBB();
         this.tempOBB = new OBB();
+        this._wedgeBox = new THREE.Box3();
+        this._wedgeInverse = new THREE.Matrix4();
+        this.blockedBy = null; // Part the last blocked checkCollision hit
 
         // Stuck detection
         this.stuckTimer = 0;
@@ -485,19 +669,11 @@ export class Player {
             this.walkSource = null;
         }
 
-        // Add a small randomized fling impulse when stumbling so the player is knocked back slightly.
-        // Severity scales the impulse magnitude.
-        try {
-            const angle = Math.random() * Math.PI * 2;
-            const horizontalSpeed = 6 * severity; // horizontal fling magnitude
-            const upSpeed = 6 * Math.min(1.5, severity); // upward bounce
-            this.velocity.x += Math.cos(angle) * horizontalSpeed;
-            this.velocity.z += Math.sin(angle) * horizontalSpeed;
-            this.velocity.y = Math.max(this.velocity.y, upSpeed);
-        } catch (e) {
-            // fallback: ensure at least an upward nudge
-            this.velocity.y = Math.max(this.velocity.y, 4);
-        }
+        // Bounce the player up a little when stumbling; severity scales the bounce. Horizontal velocity is
+        // applied to movement, so it's cleared rather than flung to keep the stumble in place.
+        this.velocity.x = 0;
+        this.velocity.z = 0;
+        this.velocity.y = Math.max(this.velocity.y, 6 * Math.min(1.5, severity));
     }
 
     setPartColor(part, colorHex) {
@@ -540,38 +716,22 @@ export class Player {
     }
 
     setFaceTexture(image, dataUrl = null) {
-        const texApply = (tex) => {
-            // Head is index 4 (Front)
-            const mats = this.materials.head;
-            if (mats && mats[4]) {
-                const mat = mats[4];
-                mat.map = tex;
-                // After compositing we don't need transparent blending on the material itself,
-                // but keep transparent true so any leftover alpha still works.
-                mat.transparent = true;
-                mat.color = new THREE.Color(0xffffff); // Reset tint for face
-                mat.needsUpdate = true;
-            }
-        };
-
         // Helper to get current head color (fallback white)
         const headCol = (this.appearance && this.appearance.colors && this.appearance.colors.head) ? this.appearance.colors.head : '#ffffff';
 
         if (!image && !dataUrl) {
             // Use preloaded default face image, composite onto current head color
             if (_defaultFaceImage && _defaultFaceImage.complete) {
-                const tex = createTintedFaceTexture(_defaultFaceImage, headCol);
                 // Save state: clear stored data url so presence summary stays small
                 this.appearance.faceUrl = null;
-                texApply(tex);
+                applyFaceImage(this.materials, _defaultFaceImage, headCol);
             } else {
                 // If image not yet loaded, wait for it
                 const img = new Image();
                 img.crossOrigin = 'anonymous';
                 img.onload = () => {
-                    const tex = createTintedFaceTexture(img, headCol);
                     this.appearance.faceUrl = null;
-                    texApply(tex);
+                    applyFaceImage(this.materials, img, headCol);
                 };
                 img.src = defaultFaceUrl;
             }
@@ -580,11 +740,10 @@ export class Player {
 
         // If provided an Image element or a canvas element, composite onto head color
         if (image && (image instanceof HTMLImageElement || image instanceof HTMLCanvasElement)) {
-            const tex = createTintedFaceTexture(image, headCol);
             // Save state
             if (dataUrl) this.appearance.faceUrl = dataUrl;
             else if (image.src && image.src.startsWith('data:')) this.appearance.faceUrl = image.src;
-            texApply(tex);
+            applyFaceImage(this.materials, image, headCol);
             return;
         }
 
@@ -593,9 +752,8 @@ export class Player {
             const img = new Image();
             img.crossOrigin = 'anonymous';
             img.onload = () => {
-                const tex = createTintedFaceTexture(img, headCol);
                 this.appearance.faceUrl = dataUrl;
-                texApply(tex);
+                applyFaceImage(this.materials, img, headCol);
             };
             img.src = dataUrl;
             return;
@@ -606,32 +764,12 @@ export class Player {
         // Support being passed either an HTMLImageElement / Canvas OR a data URL string.
         const applyTexture = (img, srcUrl = null) => {
             try {
-                const tex = new THREE.CanvasTexture(img);
-                tex.minFilter = THREE.LinearFilter;
-                tex.magFilter = THREE.LinearFilter;
-                tex.colorSpace = THREE.SRGBColorSpace;
-                tex.needsUpdate = true;
-
                 // Save state (store only data URL when provided to keep presence lightweight)
                 if (srcUrl) this.appearance.shirtUrl = srcUrl;
                 else if (img.src && typeof img.src === 'string' && img.src.startsWith('data:')) this.appearance.shirtUrl = img.src;
 
                 // Apply the uploaded texture to the entire torso (all material slots) so the shirt image covers the whole torso
-                const mats = this.materials.torso;
-                if (mats && Array.isArray(mats)) {
-                    mats.forEach((m) => {
-                        if (m) {
-                            m.map = tex;
-                            m.color = new THREE.Color(0xffffff);
-                            m.needsUpdate = true;
-                        }
-                    });
-                } else if (mats && mats[4]) {
-                    // Fallback: if structure differs, at least set the front
-                    mats[4].map = tex;
-                    mats[4].color = new THREE.Color(0xffffff);
-                    mats[4].needsUpdate = true;
-                }
+                applyShirtImage(this.materials, img);
             } catch (err) {
                 console.warn('Failed to apply shirt texture:', err);
             }
@@ -681,126 +819,17 @@ export class Player {
         // Remove existing hat first
         this.removeHat();
 
-        // 1. Determine hat data source
         const hatData = data || this.appearance.hat;
-        
         if (!hatData) return;
 
-        const hatGroup = new THREE.Group();
-        hatGroup.name = 'hat';
-
-        if (hatData.constructed && hatData.parts && hatData.parts.length > 0) {
-            // Load custom composed hat
-            hatData.parts.forEach((p) => {
-                let geo;
-                const size = p.scale || [1, 1, 1];
-                const color = p.color || '#333333';
-
-                if (p.type === 'box') {
-                    geo = new THREE.BoxGeometry(1, 0.5, 1);
-                } else if (p.type === 'cylinder') {
-                    geo = new THREE.CylinderGeometry(0.5, 0.5, 0.6, 16);
-                } else {
-                    geo = new THREE.BoxGeometry(1, 0.5, 1);
-                }
-                
-                // Material needs to be cloned if it came from the editor material store, 
-                // but here we just create a new one based on color string
-                const mat = new THREE.MeshStandardMaterial({ color: new THREE.Color(color) });
-                
-                const mesh = new THREE.Mesh(geo, mat);
-                if (p.pos) mesh.position.fromArray(p.pos);
-                // Rotation arrays are [x, y, z] in radians when coming from Player.js rotation property
-                if (p.rot) mesh.rotation.set(p.rot[0], p.rot[1], p.rot[2]);
-                if (p.scale) mesh.scale.set(size[0], size[1], size[2]);
-                
-                hatGroup.add(mesh);
-            });
-            // Apply a base scale common to all hats (0.6 for player head size)
-            hatGroup.scale.set(0.6, 0.6, 0.6);
-
-        } else {
-            // Create simple default hat (backwards compatibility/simple mode)
-            const colorHex = hatData.color || '#333333';
-            const size = hatData.size || 1.5;
-
-            // Simple brim
-            const brimGeo = new THREE.CylinderGeometry(size * 1.4, size * 1.4, 0.15, 24);
-            const brimMat = new THREE.MeshStandardMaterial({ color: new THREE.Color(colorHex) });
-            const brim = new THREE.Mesh(brimGeo, brimMat);
-            brim.rotation.x = Math.PI / 2;
-            brim.position.y = 0.05;
-            hatGroup.add(brim);
-
-            // Top (cap)
-            const capGeo = new THREE.CylinderGeometry(size * 0.8, size * 0.8, size * 0.9, 24);
-            const capMat = new THREE.MeshStandardMaterial({ color: new THREE.Color(colorHex) });
-            const cap = new THREE.Mesh(capGeo, capMat);
-            cap.position.y = 0.6;
-            hatGroup.add(cap);
-
-            // Scale down proportional to size parameter
-            hatGroup.scale.set(0.6 * (size / 1.5), 0.6 * (size / 1.5), 0.6 * (size / 1.5));
-        }
-
-        // 2. Determine attachment point
-        let attachTarget = this.head;
-        if (this.mesh && this.mesh.children && this.mesh.children.length > 0) {
-            for (const c of this.mesh.children) {
-                if (c === this.head) continue;
-                if (c.isObject3D && (!this.head.visible || c.name.toLowerCase().includes('head') || c.type === 'Group' || c.isMesh)) {
-                    attachTarget = c;
-                    break;
-                }
-            }
-        }
-
-        // 3. Apply stored transforms (offset/rotation)
-        const offset = hatData.offset || { x: 0, y: 0.6, z: 0 };
-        const rot = hatData.rot || { x: 0, y: 0, z: 0 };
-
-        // If simple hat with no custom offset/rot, use default placement:
-        if (!hatData.constructed && (!hatData.offset || !hatData.rot)) {
-            if (attachTarget === this.head) {
-                 // Use hardcoded offset used previously for cube head alignment
-                hatGroup.position.set(0, 5.3 - this.head.position.y, 0); 
-            } else {
-                // Default offset for GLB head
-                hatGroup.position.set(0, 0.6, 0); 
-            }
-            // For simple hats created outside the editor, ensure we save the determined position back
-            offset.x = hatGroup.position.x;
-            offset.y = hatGroup.position.y;
-            offset.z = hatGroup.position.z;
-
-        } else {
-            // Use custom/saved offsets/rotations
-            hatGroup.position.set(offset.x, offset.y, offset.z);
-            hatGroup.rotation.set(
-                THREE.MathUtils.degToRad(rot.x),
-                THREE.MathUtils.degToRad(rot.y),
-                THREE.MathUtils.degToRad(rot.z)
-            );
-        }
-        
-        attachTarget.add(hatGroup);
-
+        this._hat = attachHat(this.mesh, this.head, hatData);
         // Update appearance state only if we explicitly passed data
         if (data) this.appearance.hat = data;
-        this._hat = hatGroup;
     }
 
     removeHat() {
         if (this._hat && this._hat.parent) {
-            this._hat.parent.remove(this._hat);
-            // Dispose geometry/materials
-            this._hat.traverse(c => {
-                if (c.geometry) c.geometry.dispose();
-                if (c.material) {
-                    if (Array.isArray(c.material)) c.material.forEach(m => m.dispose && m.dispose());
-                    else c.material.dispose && c.material.dispose();
-                }
-            });
+            disposeHat(this._hat);
             this._hat = null;
         }
         this.appearance.hat = null;
@@ -1118,6 +1147,7 @@ export class Player {
 
         this.position.copy(spawnPos);
         this.velocity.set(0, 0, 0);
+        this.platform = null;
         this.mesh.position.copy(this.position);
         this.mesh.rotation.set(0,0,0);
 
@@ -1172,9 +1202,6 @@ export class Player {
             return;
         }
 
-        const killBricks = world && world.killBricks ? world.killBricks : [];
-        const collidables = world && world.collidables ? world.collidables : [];
-
         // Handle Death State
         if (this.isDead) {
             this.respawnTimer -= dt;
@@ -1209,81 +1236,79 @@ export class Player {
                     }
 
                     // Debris Collision
-                    const dBox = new THREE.Box3().setFromObject(d.mesh);
-                    for (const col of collidables) {
-                        const cBox = new THREE.Box3().setFromObject(col);
-                        if (dBox.intersectsBox(cBox)) {
-                            // Find intersection
-                            const inter = dBox.clone().intersect(cBox);
-                            const w = inter.max.x - inter.min.x;
-                            const h = inter.max.y - inter.min.y;
-                            const dep = inter.max.z - inter.min.z;
+                    const dBox = this.tempBox.setFromObject(d.mesh);
+                    this.nearbyParts.length = 0;
+                    for (const { object: col, box: cBox } of queryWorldParts(world, 'static', dBox, this.nearbyParts)) {
+                        // Find intersection
+                        const inter = this.overlapBox.copy(dBox).intersect(cBox);
+                        const w = inter.max.x - inter.min.x;
+                        const h = inter.max.y - inter.min.y;
+                        const dep = inter.max.z - inter.min.z;
+                        
+                        // Find min axis to resolve
+                        if (w < h && w < dep) {
+                            // X collision
+                            const sign = d.mesh.position.x > col.position.x ? 1 : -1;
+                            d.mesh.position.x += sign * w;
+                            d.velocity.x *= -0.5;
+                        } else if (h < w && h < dep) {
+                            // Y collision
+                            const sign = d.mesh.position.y > col.position.y ? 1 : -1;
                             
-                            // Find min axis to resolve
-                            if (w < h && w < dep) {
-                                // X collision
-                                const sign = d.mesh.position.x > col.position.x ? 1 : -1;
-                                d.mesh.position.x += sign * w;
-                                d.velocity.x *= -0.5;
-                            } else if (h < w && h < dep) {
-                                // Y collision
-                                const sign = d.mesh.position.y > col.position.y ? 1 : -1;
+                            // Center of Mass Check: Only rest on top if center is within horizontal bounds
+                            if (d.mesh.position.x >= cBox.min.x && d.mesh.position.x <= cBox.max.x &&
+                                d.mesh.position.z >= cBox.min.z && d.mesh.position.z <= cBox.max.z) {
                                 
-                                // Center of Mass Check: Only rest on top if center is within horizontal bounds
-                                if (d.mesh.position.x >= cBox.min.x && d.mesh.position.x <= cBox.max.x &&
-                                    d.mesh.position.z >= cBox.min.z && d.mesh.position.z <= cBox.max.z) {
+                                d.mesh.position.y += sign * h;
+                                d.velocity.y *= -0.5;
+                                d.velocity.x *= 0.8; // Friction
+                                d.velocity.z *= 0.8;
+                                d.angularVelocity.multiplyScalar(0.6); // Ground friction for rotation
+
+                                // Flatten logic: Snap to nearest axis-aligned rotation when on ground
+                                if (sign > 0) {
+                                    const up = new THREE.Vector3(0, 1, 0);
+                                    const q = d.mesh.quaternion;
                                     
-                                    d.mesh.position.y += sign * h;
-                                    d.velocity.y *= -0.5;
-                                    d.velocity.x *= 0.8; // Friction
-                                    d.velocity.z *= 0.8;
-                                    d.angularVelocity.multiplyScalar(0.6); // Ground friction for rotation
-
-                                    // Flatten logic: Snap to nearest axis-aligned rotation when on ground
-                                    if (sign > 0) {
-                                        const up = new THREE.Vector3(0, 1, 0);
-                                        const q = d.mesh.quaternion;
-                                        
-                                        // Check axes
-                                        const axes = [
-                                            new THREE.Vector3(1, 0, 0).applyQuaternion(q),
-                                            new THREE.Vector3(0, 1, 0).applyQuaternion(q),
-                                            new THREE.Vector3(0, 0, 1).applyQuaternion(q)
-                                        ];
-                                        
-                                        // Find most vertical axis
-                                        let bestAxis = axes[0];
-                                        let maxDot = Math.abs(bestAxis.dot(up));
-                                        
-                                        for (let i = 1; i < 3; i++) {
-                                            const dot = Math.abs(axes[i].dot(up));
-                                            if (dot > maxDot) {
-                                                maxDot = dot;
-                                                bestAxis = axes[i];
-                                            }
+                                    // Check axes
+                                    const axes = [
+                                        new THREE.Vector3(1, 0, 0).applyQuaternion(q),
+                                        new THREE.Vector3(0, 1, 0).applyQuaternion(q),
+                                        new THREE.Vector3(0, 0, 1).applyQuaternion(q)
+                                    ];
+                                    
+                                    // Find most vertical axis
+                                    let bestAxis = axes[0];
+                                    let maxDot = Math.abs(bestAxis.dot(up));
+                                    
+                                    for (let i = 1; i < 3; i++) {
+                                        const dot = Math.abs(axes[i].dot(up));
+                                        if (dot > maxDot) {
+                                            maxDot = dot;
+                                            bestAxis = axes[i];
                                         }
+                                    }
 
-                                        // If not flat, push towards flat
-                                        if (maxDot < 0.995) {
-                                            // Target direction: closest world up/down
-                                            const targetDir = up.clone().multiplyScalar(Math.sign(bestAxis.dot(up)));
-                                            const correction = new THREE.Quaternion().setFromUnitVectors(bestAxis, targetDir);
-                                            
-                                            // Slap rotation instantly
-                                            const targetQ = correction.multiply(q);
-                                            d.mesh.quaternion.copy(targetQ);
-                                            
-                                            // Stabilize
-                                            d.angularVelocity.multiplyScalar(0.5);
-                                        }
+                                    // If not flat, push towards flat
+                                    if (maxDot < 0.995) {
+                                        // Target direction: closest world up/down
+                                        const targetDir = up.clone().multiplyScalar(Math.sign(bestAxis.dot(up)));
+                                        const correction = new THREE.Quaternion().setFromUnitVectors(bestAxis, targetDir);
+                                        
+                                        // Slap rotation instantly
+                                        const targetQ = correction.multiply(q);
+                                        d.mesh.quaternion.copy(targetQ);
+                                        
+                                        // Stabilize
+                                        d.angularVelocity.multiplyScalar(0.5);
                                     }
                                 }
-                            } else {
-                                // Z collision
-                                const sign = d.mesh.position.z > col.position.z ? 1 : -1;
-                                d.mesh.position.z += sign * dep;
-                                d.velocity.z *= -0.5;
                             }
+                        } else {
+                            // Z collision
+                            const sign = d.mesh.position.z > col.position.z ? 1 : -1;
+                            d.mesh.position.z += sign * dep;
+                            d.velocity.z *= -0.5;
                         }
                     }
                     
@@ -1317,31 +1342,61 @@ export class Player {
             }
         }
 
+        // Ride the platform we stood on last step; once off it (jumped or walked off) keep its momentum
+        if (this.platform) {
+            if (this.onGround) {
+                this.platform.carry(this.position);
+                this.mesh.rotation.y += this.platform.yawDelta;
+            } else {
+                this.velocity.add(this.platform.velocityAt(this.position, this._platformVel));
+                this.platform = null;
+            }
+        }
+
         // Physics
         this.velocity.y += this.gravity * dt;
 
         // Horizontal Movement
         const moveVec = new THREE.Vector3(move.x, 0, move.z).normalize().multiplyScalar(this.speed);
 
-        // Apply movement with Collision Detection
+        // On walkable ground, walk along the surface instead of flat so slopes are followed both ways
+        const wasOnGround = this.onGround;
+        let climb = 0;
+        if (wasOnGround && moveVec.lengthSq() > 0) {
+            const n = this.groundNormal;
+            const along = moveVec.clone().addScaledVector(n, -moveVec.dot(n));
+            if (along.lengthSq() > 0.000001) {
+                along.setLength(this.speed);
+                moveVec.x = along.x;
+                moveVec.z = along.z;
+                climb = along.y;
+            }
+        }
+
+        // Apply movement with Collision Detection (velocity.x/z is only non-zero while sliding off a slope or
+        // flying off a moving platform; landing and stumbling clear it)
+        let moved = false;
         // X Axis
-        const nextX = this.position.x + moveVec.x * dt;
-        if (this.checkCollision(nextX, this.position.y, this.position.z, collidables)) {
+        const nextX = this.position.x + (moveVec.x + this.velocity.x) * dt;
+        if (this.tryMove(nextX, this.position.z, wasOnGround, world)) {
+            moved = true;
+        } else {
             // Collision on X, don't move X
             this.velocity.x = 0;
-        } else {
-            this.position.x = nextX;
+            this.pushBlocker(moveVec.x, 0, world);
         }
 
         // Z Axis
-        const nextZ = this.position.z + moveVec.z * dt;
-        if (this.checkCollision(this.position.x, this.position.y, nextZ, collidables)) {
+        const nextZ = this.position.z + (moveVec.z + this.velocity.z) * dt;
+        if (this.tryMove(this.position.x, nextZ, wasOnGround, world)) {
+            moved = true;
+        } else {
             // Collision on Z, don't move Z
             this.velocity.z = 0;
-        } else {
-            this.position.z = nextZ;
+            this.pushBlocker(0, moveVec.z, world);
         }
-        
+        if (moved) this.position.y += climb * dt;
+
         // Y Axis (Gravity)
         this.position.y += this.velocity.y * dt;
 
@@ -1364,56 +1419,50 @@ export class Player {
 
         // Ground Collision (Raycast from Center of Mass)
         let foundGround = false;
+        this.onSteepSlope = false;
 
         // Only check ground if falling or standing
         if (this.velocity.y <= 0) {
             // Dynamic raycast origin to prevent falling through floor at high speeds
             const fallDist = Math.abs(this.velocity.y * dt);
             const rayOriginOffset = Math.max(2.5, fallDist + 1.5);
-            
-            this.tempRayOrigin.copy(this.position);
-            this.tempRayOrigin.y += rayOriginOffset;
-            
-            this.raycaster.set(this.tempRayOrigin, this.downVector);
-            // Recursive check to ensure we hit child meshes of groups
-            const intersects = this.raycaster.intersectObjects(collidables, true);
-
-            if (intersects.length > 0) {
-                const hit = intersects[0];
-                
-                // Valid ground check:
-                // 1. Floor is slightly below feet (standard standing/walking)
-                // 2. Floor is above feet (we penetrated the floor due to gravity/lag)
-                // Range: [feet - 0.5, rayOrigin]
-                
-                // Note: intersectObjects returns hits sorted by distance.
-                // Since we cast from above, the first hit is the highest surface.
-                
-                if (hit.point.y > this.position.y - 0.6 && hit.point.y <= this.tempRayOrigin.y) {
-                    this.position.y = hit.point.y;
-                    // If we hit ground hard enough (preVy was large negative), trip
-                    if (preVy < this.stumbleThreshold && !this.isDead) {
-                        // Zero vertical velocity but mark as stumbled
-                        this.velocity.y = 0;
-                        this.onGround = true;
-                        foundGround = true;
-                        this.coyoteTimer = this.coyoteMaxTime;
-                        // severity scales with impact speed
-                        const severity = Math.min(2, Math.abs(preVy) / Math.abs(this.stumbleThreshold));
-                        this.triggerStumble(severity);
-                    } else {
-                        this.velocity.y = 0;
-                        this.onGround = true;
-                        foundGround = true;
-                        this.coyoteTimer = this.coyoteMaxTime;
-                    }
+            const ground = this.probeGround(this.position.x, this.position.y, this.position.z, rayOriginOffset, world);
+
+            if (ground && ground.normal.y < Math.cos(this.maxSlopeAngle)) {
+                // Too steep to stand on: rest on the surface but keep only the velocity along it, so
+                // gravity slides the player down (and off) instead of letting them walk or jump up it
+                this.position.y = ground.y;
+                this.onSteepSlope = true;
+                const into = this.velocity.dot(ground.normal);
+                if (into < 0) this.velocity.addScaledVector(ground.normal, -into);
+            } else if (ground) {
+                this.position.y = ground.y;
+                this.groundNormal.copy(ground.normal);
+                this.platform = findPlatform(ground.object);
+                this.velocity.x = 0;
+                this.velocity.z = 0;
+                // If we hit ground hard enough (preVy was large negative), trip
+                if (preVy < this.stumbleThreshold && !this.isDead) {
+                    // Zero vertical velocity but mark as stumbled
+                    this.velocity.y = 0;
+                    this.onGround = true;
+                    foundGround = true;
+                    this.coyoteTimer = this.coyoteMaxTime;
+                    // severity scales with impact speed
+                    const severity = Math.min(2, Math.abs(preVy) / Math.abs(this.stumbleThreshold));
+                    this.triggerStumble(severity);
+                } else {
+                    this.velocity.y = 0;
+                    this.onGround = true;
+                    foundGround = true;
+                    this.coyoteTimer = this.coyoteMaxTime;
                 }
             }
         }
         
         // Head collision (Ceiling)
         if (this.velocity.y > 0) {
-             if (this.checkCollision(this.position.x, this.position.y + 1, this.position.z, collidables)) {
+             if (this.checkCollision(this.position.x, this.position.y + 1, this.position.z, world)) {
                  this.velocity.y = 0;
              }
         }
@@ -1473,7 +1522,7 @@ export class Player {
         this.mesh.position.copy(this.position);
 
         // Stuck detection: if we are inside a part for more than 12 seconds, teleport up
-        if (!this.isDead && !this.vehicle && this.checkCollision(this.position.x, this.position.y, this.position.z, collidables)) {
+        if (!this.isDead && !this.vehicle && this.checkCollision(this.position.x, this.position.y, this.position.z, world)) {
             this.stuckTimer += dt;
             if (this.stuckTimer >= 12) {
                 this.teleport(this.position.clone().add(new THREE.Vector3(0, 15, 0)));
@@ -1485,47 +1534,31 @@ export class Player {
         }
 
         // Hazard Check
-        if (killBricks.length > 0) {
-            const pBox = new THREE.Box3().setFromObject(this.mesh);
-            pBox.expandByScalar(-0.5); // Forgive slightly
-
-            for (const brick of killBricks) {
-                const bBox = new THREE.Box3().setFromObject(brick);
-                if (pBox.intersectsBox(bBox)) {
-                    this.fallApart();
-                    return;
-                }
-            }
+        const pBox = this.tempBox.setFromObject(this.mesh);
+        this.overlapBox.copy(pBox).expandByScalar(-0.5); // Forgive slightly
+        this.nearbyParts.length = 0;
+        if (queryWorldParts(world, 'kill', this.overlapBox, this.nearbyParts).length > 0) {
+            this.fallApart();
+            return;
         }
 
         // Launch Pad Check
-        const launchPads = world && world.launchPads ? world.launchPads : [];
-        if (launchPads.length > 0) {
-            const pBox = new THREE.Box3().setFromObject(this.mesh);
-            pBox.expandByScalar(-0.1); 
-
-            for (const pad of launchPads) {
-                const bBox = new THREE.Box3().setFromObject(pad);
-                if (pBox.intersectsBox(bBox)) {
-                    this.velocity.y = 800;
-                    this.onGround = false;
-                    this.playSound(this.jumpBuffer, false, 0.6);
-                }
-            }
+        this.overlapBox.copy(pBox).expandByScalar(-0.1);
+        this.nearbyParts.length = 0;
+        if (queryWorldParts(world, 'launch', this.overlapBox, this.nearbyParts).length > 0) {
+            this.velocity.y = 800;
+            this.onGround = false;
+            this.playSound(this.jumpBuffer, false, 0.6);
         }
 
         // Teleporter Check
-        if (world && world.teleporters) {
-             const pBox = new THREE.Box3().setFromObject(this.mesh);
-             for(const tp of world.teleporters) {
-                 const tBox = new THREE.Box3().setFromObject(tp);
-                 tBox.expandByScalar(0.5); // Ensure trigger detection when standing on it
-                 if (pBox.intersectsBox(tBox)) {
-                     if (tp.userData.destination) {
-                         this.teleport(tp.userData.destination);
-                     }
-                 }
-             }
+        // Growing the player box by 0.5 is the same as growing each teleporter's; ensures trigger detection when standing on it
+        this.overlapBox.copy(pBox).expandByScalar(0.5);
+        this.nearbyParts.length = 0;
+        for (const { object: tp } of queryWorldParts(world, 'teleport', this.overlapBox, this.nearbyParts)) {
+            if (tp.userData.destination) {
+                this.teleport(tp.userData.destination);
+            }
         }
 
         const isMoving = moveVec.lengthSq() > 0.1;
@@ -1628,7 +1661,91 @@ export class Player {
         this.updateGlitches(dt);
     }
 
-    checkCollision(x, y, z, collidables) {
+    // Highest surface under (x, z) from `rayOriginOffset` above the feet at y down to `depth` below them, as
+    // { y, normal } with a world-space normal (reused between calls), or null if there is none
+    probeGround(x, y, z, rayOriginOffset, world, depth = 0.6) {
+        this.tempRayOrigin.set(x, y + rayOriginOffset, z);
+        this.raycaster.set(this.tempRayOrigin, this.downVector);
+        // Only hits between the feet and the ray origin count (see below), so only parts overlapping that
+        // column are tested. Recursive check to ensure we hit child meshes of groups
+        this.tempBox.min.set(x - 0.01, y - depth, z - 0.01);
+        this.tempBox.max.set(x + 0.01, this.tempRayOrigin.y, z + 0.01);
+        this.nearbyParts.length = 0;
+        this.nearbyObjects.length = 0;
+        queryWorldParts(world, 'static', this.tempBox, this.nearbyParts).forEach(e => this.nearbyObjects.push(e.object));
+        const intersects = this.raycaster.intersectObjects(this.nearbyObjects, true);
+        if (intersects.length === 0) return null;
+
+        // Valid ground check:
+        // 1. Floor is slightly below feet (standard standing/walking)
+        // 2. Floor is above feet (we penetrated the floor due to gravity/lag)
+        // Range: [feet - 0.5, rayOrigin]
+
+        // Note: intersectObjects returns hits sorted by distance.
+        // Since we cast from above, the first hit is the highest surface.
+        const hit = intersects[0];
+        if (hit.point.y <= y - depth || hit.point.y > this.tempRayOrigin.y) return null;
+
+        this._groundHit.y = hit.point.y;
+        this._groundHit.object = hit.object;
+        if (hit.face) {
+            this._groundHit.normal.copy(hit.face.normal).transformDirection(hit.object.matrixWorld);
+        } else {
+            this._groundHit.normal.set(0, 1, 0);
+        }
+        return this._groundHit;
+    }
+
+    // Moves the feet to (x, z) at the current height if nothing is in the way. When walking on the ground
+    // and blocked by a ledge no higher than maxStepHeight with walkable ground on top, steps up onto it.
+    // When blocked, blockedBy is what was in the way.
+    tryMove(x, z, canStep, world) {
+        if (!this.checkCollision(x, this.position.y, z, world)) {
+            this.position.x = x;
+            this.position.z = z;
+            return true;
+        }
+        const blocker = this.blockedBy;
+        if (canStep && this.stepUp(x, z, world)) return true;
+        this.blockedBy = blocker;
+        return false;
+    }
+
+    stepUp(x, z, world) {
+        const lifted = this.position.y + this.maxStepHeight;
+        if (this.checkCollision(x, lifted, z, world)) return false;
+        const ledge = this.probeGround(x, lifted, z, 0.5, world, this.maxStepHeight);
+        if (!ledge || ledge.y <= this.position.y || ledge.y > lifted) return false;
+        if (ledge.normal.y < Math.cos(this.maxSlopeAngle)) return false;
+        if (this.checkCollision(x, ledge.y, z, world)) return false;
+        this.position.set(x, ledge.y, z);
+        this.groundNormal.copy(ledge.normal);
+        return true;
+    }
+
+    // Walking into an unanchored part (see world/rigidBodies.js) pushes it along the walk direction
+    pushBlocker(dirX, dirZ, world) {
+        const body = this.blockedBy && bodyOf(this.blockedBy);
+        if (body && world && world.physics) world.physics.push(body, dirX, dirZ, this.speed);
+    }
+
+    // Wedges (see World.createPart) are walked up via the ground probe, so their sloped face only blocks
+    // where it rises above the player box under its centre; the back, sides and bottom block like a box's
+    overlapsWedge(obj) {
+        if (!obj.geometry.boundingBox) obj.geometry.computeBoundingBox();
+        const geoBox = obj.geometry.boundingBox;
+        const local = this._wedgeBox.copy(this.playerBox).applyMatrix4(this._wedgeInverse.copy(obj.matrixWorld).invert());
+        if (!local.intersectsBox(geoBox)) return false;
+
+        // The top face falls from max.y at the back (-z) to min.y at the front (+z)
+        const z = THREE.MathUtils.clamp((local.min.z + local.max.z) / 2, geoBox.min.z, geoBox.max.z);
+        const t = (z - geoBox.min.z) / (geoBox.max.z - geoBox.min.z);
+        const surfaceY = geoBox.max.y - t * (geoBox.max.y - geoBox.min.y);
+        return local.min.y < surfaceY;
+    }
+
+    // world: the World (or anything with collidables) to test against
+    checkCollision(x, y, z, world) {
         // Player Bounding Box
         // Width 3, Height 5, Depth 1.5 relative to feet (y)
         // Lift 'y' slightly (use slightly higher offset to reduce getting stuck on small details)
@@ -1643,54 +1760,56 @@ export class Player {
         this.playerOBB.halfSize.copy(pHalfSize);
         this.playerOBB.rotation.identity(); // Player is always upright/axis aligned (mostly)
 
-        for (const obj of collidables) {
+        // 1. Broadphase: parts whose cached world-space AABB overlaps the player's
+        this.nearbyParts.length = 0;
+        for (const { object: obj } of queryWorldParts(world, 'static', this.playerBox, this.nearbyParts)) {
             // Ignore self/parts of self if any
             if (obj === this.mesh || obj.parent === this.mesh) continue;
-            
-            // Basic Distance Check Optimization
-            // Objects > 50 studs away probably don't collide
-            if (Math.abs(obj.position.x - x) > 50 || Math.abs(obj.position.z - z) > 50) continue;
 
-            // 1. Broadphase AABB Check (World Space)
-            this.tempBox.setFromObject(obj);
-            
-            if (this.playerBox.intersectsBox(this.tempBox)) {
-                // Collision detected in AABB
+            if (obj.userData.serial && obj.userData.serial.type === 'wedge') {
+                if (this.overlapsWedge(obj)) {
+                    this.blockedBy = obj;
+                    return true;
+                }
+                continue;
+            }
+
+            // 2. Narrowphase: Handle Rotated Objects with OBB
+            if (obj.rotation.x !== 0 || obj.rotation.y !== 0 || obj.rotation.z !== 0) {
+                if (!obj.geometry.boundingBox) obj.geometry.computeBoundingBox();
                 
-                // 2. Narrowphase: Handle Rotated Objects with OBB
-                if (obj.rotation.x !== 0 || obj.rotation.y !== 0 || obj.rotation.z !== 0) {
-                    if (!obj.geometry.boundingBox) obj.geometry.computeBoundingBox();
-                    
-                    const geoBox = obj.geometry.boundingBox;
-                    const center = new THREE.Vector3();
-                    geoBox.getCenter(center);
-                    const size = new THREE.Vector3();
-                    geoBox.getSize(size);
-                    
-                    // Half size scaled
-                    const halfSize = size.multiply(obj.scale).multiplyScalar(0.5);
-                    
-                    this.tempOBB.center.copy(center);
-                    this.tempOBB.halfSize.copy(halfSize);
-                    this.tempOBB.rotation.identity(); // Local rotation is identity
-                    
-                    // Apply object world matrix to OBB
-                    // OBB.applyMatrix4 expects the OBB to be defined in local space initially relative to the matrix origin?
-                    // Actually OBB implementation transforms center and extracts basis from matrix
-                    this.tempOBB.applyMatrix4(obj.matrixWorld);
-                    
-                    if (this.playerOBB.intersectsOBB(this.tempOBB)) {
-                        return true;
-                    }
-                    
-                    // If OBB check fails, we are inside AABB but not OBB -> No collision
-                    continue; 
+                const geoBox = obj.geometry.boundingBox;
+                const center = new THREE.Vector3();
+                geoBox.getCenter(center);
+                const size = new THREE.Vector3();
+                geoBox.getSize(size);
+                
+                // Half size scaled
+                const halfSize = size.multiply(obj.scale).multiplyScalar(0.5);
+                
+                this.tempOBB.center.copy(center);
+                this.tempOBB.halfSize.copy(halfSize);
+                this.tempOBB.rotation.identity(); // Local rotation is identity
+                
+                // Apply object world matrix to OBB
+                // OBB.applyMatrix4 expects the OBB to be defined in local space initially relative to the matrix origin?
+                // Actually OBB implementation transforms center and extracts basis from matrix
+                this.tempOBB.applyMatrix4(obj.matrixWorld);
+                
+                if (this.playerOBB.intersectsOBB(this.tempOBB)) {
+                    this.blockedBy = obj;
+                    return true;
                 }
                 
-                // If not rotated, AABB intersection is sufficient
-                return true;
+                // If OBB check fails, we are inside AABB but not OBB -> No collision
+                continue; 
             }
+            
+            // If not rotated, AABB intersection is sufficient
+            this.blockedBy = obj;
+            return true;
         }
+        this.blockedBy = null;
         return false;
     }
 
@@ -1759,6 +1878,7 @@ export class Player {
         this.mesh.position.copy(pos);
         this.velocity.set(0, 0, 0);
         this.onGround = false;
+        this.platform = null;
         // Reset rotation if needed, or keep
         this.playSound(this.jumpBuffer, false, 1.5); // high pitch jump for tp
     }
@@ -1769,12 +1889,14 @@ export class Player {
         this.onGround = false;
     }
 
-    serializeAppearance() {
-        // Return only lightweight metadata for presence (avoid embedding large data URLs)
+    // What goes in presence (see server/appearance.js). Images are never inlined: assetId(url) returns the
+    // server asset id that url was uploaded as, or null while it hasn't been.
+    serializeAppearance(assetId = () => null) {
         return {
             colors: this.appearance.colors || {},
-            hasFace: !!this.appearance.faceUrl,
-            hasShirt: !!this.appearance.shirtUrl
+            shirt: this.appearance.shirtUrl ? assetId(this.appearance.shirtUrl) : null,
+            face: this.appearance.faceUrl ? assetId(this.appearance.faceUrl) : null,
+            hat: this.appearance.hat || null
         };
     }
 
@@ -1,5 +1,8 @@
 import * as THREE from 'three';
-import { createPlayerMesh } from './Player.js';
+import { createPlayerMesh, applyFaceImage, applyShirtImage, clearShirtImage, attachHat, disposeHat } from './Player.js';
+import { SnapshotBuffer, SNAP_DISTANCE } from './remote/SnapshotBuffer.js';
+import { PetGroup } from './pets.js';
+import { queryWorldParts } from './world/SpatialGrid.js';
 
 /*
   TOMBSTONE / REFACTOR NOTE
@@ -15,6 +18,25 @@ import { createPlayerMesh } from './Player.js';
   // removed large inline helper blocks for modularization
 */
 
+// Uploaded shirt/face images (GET /assets/:id never changes), shared by every player wearing them
+const assetImages = new Map();
+
+function loadAssetImage(id) {
+    if (!assetImages.has(id)) {
+        assetImages.set(id, new Promise((resolve, reject) => {
+            const img = new Image();
+            img.crossOrigin = 'anonymous';
+            img.onload = () => resolve(img);
+            img.onerror = () => {
+                assetImages.delete(id);
+                reject(new Error(`Failed to load asset ${id}`));
+            };
+            img.src = `/assets/${encodeURIComponent(id)}`;
+        }));
+    }
+    return assetImages.get(id);
+}
+
 export class RemotePlayer {
     constructor(scene, initialData = {}) {
         this.scene = scene;
@@ -35,9 +57,28 @@ export class RemotePlayer {
 
         this.addNameTag();
 
-        // State for interpolation
+        // Equipped pets, from the `pets` presence field the server fills in
+        this.pets = new PetGroup(scene);
+
+        // What applyAppearance last built, so unchanged presence doesn't rebuild it
+        this.colors = {};
+        this._hat = null;
+        this._hatKey = '';
+        this._shirtId = null;
+        this._shirtImage = null;
+        this._faceId = null;
+        this._faceImage = null;
+
+        // State for interpolation: targetPos/targetRot are sampled from the snapshot buffer each frame
+        // (or set directly from presence when no server timestamps are available)
         this.targetPos = new THREE.Vector3();
         this.targetRot = 0;
+        this.snapshots = new SnapshotBuffer();
+        this._samplePos = new THREE.Vector3();
+        this._debrisBox = new THREE.Box3();
+        this._debrisOverlap = new THREE.Box3();
+        this._debrisHits = [];
+        this._snapNext = true;
         this.animState = 'idle';
         this.animTime = 0;
         
@@ -93,14 +134,23 @@ export class RemotePlayer {
         source.start(0);
     }
 
-    updateData(presence) {
+    // `serverTime` (ms) is when the server sent the latest change for this player; the same value is
+    // passed again until something new arrives, and only newer times add a snapshot
+    updateData(presence, serverTime) {
         if (!presence) return;
         
-        if (presence.position) {
-            this.targetPos.copy(presence.position);
-        }
-        if (presence.rotation !== undefined) {
-            this.targetRot = presence.rotation;
+        if (serverTime !== undefined && (presence.position || presence.rotation !== undefined)) {
+            const latest = this.snapshots.latest();
+            const pos = presence.position || (latest ? latest.position : this.targetPos);
+            const rot = presence.rotation !== undefined ? presence.rotation : (latest ? latest.rotation : this.targetRot);
+            if (this.snapshots.push(serverTime, pos, rot)) this._snapNext = true;
+        } else {
+            if (presence.position) {
+                this.targetPos.copy(presence.position);
+            }
+            if (presence.rotation !== undefined) {
+                this.targetRot = presence.rotation;
+            }
         }
         // Always update animState, default to idle if missing
         this.animState = presence.animState || 'idle';
@@ -118,6 +168,10 @@ export class RemotePlayer {
         if (presence.appearance) {
             this.applyAppearance(presence.appearance);
         }
+
+        if (presence.pets) {
+            this.pets.setKinds(presence.pets);
+        }
     }
 
     fallApart() {
@@ -195,16 +249,63 @@ export class RemotePlayer {
         this.removeDanceElement();
         
         // Snap to target to prevent lerping from death spot
+        const latest = this.snapshots.latest();
+        if (latest) this.targetPos.copy(latest.position);
+        this.snapshots.clear();
         this.mesh.position.copy(this.targetPos);
     }
 
+    // app: { colors, shirt, face, hat } as cleaned by the server (server/appearance.js)
     applyAppearance(app) {
         if (app.colors) {
             for (const [part, col] of Object.entries(app.colors)) {
                 this.setPartColor(part, col);
             }
+            this.colors = Object.assign({}, this.colors, app.colors);
+        }
+        const hatKey = app.hat ? JSON.stringify(app.hat) : '';
+        if (hatKey !== this._hatKey) {
+            this._hatKey = hatKey;
+            disposeHat(this._hat);
+            this._hat = app.hat ? attachHat(this.mesh, this.head, app.hat) : null;
+        }
+        this.setShirtAsset(app.shirt || null);
+        this.setFaceAsset(app.face || null);
+        // Recoloring tints every slot, so put the images back on top
+        if (app.colors) {
+            if (this._shirtImage) applyShirtImage(this.materials, this._shirtImage);
+            applyFaceImage(this.materials, this._faceImage, this.colors.head);
         }
-        // Handle textures if implemented (data URLs might be heavy)
+    }
+
+    setShirtAsset(id) {
+        if (id === this._shirtId) return;
+        this._shirtId = id;
+        this._shirtImage = null;
+        if (!id) {
+            clearShirtImage(this.materials, this.colors.torso || '#ff0000');
+            return;
+        }
+        loadAssetImage(id).then((img) => {
+            if (this._shirtId !== id) return;
+            this._shirtImage = img;
+            applyShirtImage(this.materials, img);
+        }).catch((e) => console.warn(e.message));
+    }
+
+    setFaceAsset(id) {
+        if (id === this._faceId) return;
+        this._faceId = id;
+        this._faceImage = null;
+        if (!id) {
+            applyFaceImage(this.materials, null, this.colors.head);
+            return;
+        }
+        loadAssetImage(id).then((img) => {
+            if (this._faceId !== id) return;
+            this._faceImage = img;
+            applyFaceImage(this.materials, img, this.colors.head);
+        }).catch((e) => console.warn(e.message));
     }
 
     setBodyVisible(visible) {
@@ -264,81 +365,92 @@ export class RemotePlayer {
         this.head.add(sprite);
     }
 
-    update(dt, camera, world) {
-        if (this.isDead) {
-            // Debris Physics
-            const gravity = -100;
-            const collidables = world && world.collidables ? world.collidables : [];
-
-            for (const d of this.debris) {
-                d.velocity.y += gravity * dt;
-                d.mesh.position.addScaledVector(d.velocity, dt);
-                
-                // Rotation
-                const rotMag = d.angularVelocity.length();
-                if (rotMag > 0.0001) {
-                    const axis = d.angularVelocity.clone().normalize();
-                    const angle = rotMag * dt;
-                    const deltaRot = new THREE.Quaternion().setFromAxisAngle(axis, angle);
-                    d.mesh.quaternion.premultiply(deltaRot);
-                }
-                d.angularVelocity.multiplyScalar(0.98);
-                d.velocity.multiplyScalar(0.995);
+    // Debris physics while dead. Runs on the fixed simulation step (see FixedTimestep.js), not per frame.
+    stepDebris(dt, world) {
+        if (!this.isDead) return;
+        const gravity = -100;
 
-                // Stop if slow/low
-                if (d.velocity.lengthSq() < 0.5 && d.angularVelocity.lengthSq() < 0.5 && d.mesh.position.y < 5) {
-                    d.velocity.set(0,0,0);
-                    d.angularVelocity.set(0,0,0);
-                }
+        for (const d of this.debris) {
+            d.velocity.y += gravity * dt;
+            d.mesh.position.addScaledVector(d.velocity, dt);
+            
+            // Rotation
+            const rotMag = d.angularVelocity.length();
+            if (rotMag > 0.0001) {
+                const axis = d.angularVelocity.clone().normalize();
+                const angle = rotMag * dt;
+                const deltaRot = new THREE.Quaternion().setFromAxisAngle(axis, angle);
+                d.mesh.quaternion.premultiply(deltaRot);
+            }
+            d.angularVelocity.multiplyScalar(0.98);
+            d.velocity.multiplyScalar(0.995);
+
+            // Stop if slow/low
+            if (d.velocity.lengthSq() < 0.5 && d.angularVelocity.lengthSq() < 0.5 && d.mesh.position.y < 5) {
+                d.velocity.set(0,0,0);
+                d.angularVelocity.set(0,0,0);
+            }
 
-                // Simple collision check against world
-                const dBox = new THREE.Box3().setFromObject(d.mesh);
-                for (const col of collidables) {
-                    // Optimization: Distance check
-                    if (Math.abs(col.position.x - d.mesh.position.x) > 20 || Math.abs(col.position.z - d.mesh.position.z) > 20) continue;
-
-                    const cBox = new THREE.Box3().setFromObject(col);
-                    if (dBox.intersectsBox(cBox)) {
-                        const inter = dBox.clone().intersect(cBox);
-                        const w = inter.max.x - inter.min.x;
-                        const h = inter.max.y - inter.min.y;
-                        const dep = inter.max.z - inter.min.z;
-                        
-                        // Bounce
-                        if (w < h && w < dep) {
-                            const sign = d.mesh.position.x > col.position.x ? 1 : -1;
-                            d.mesh.position.x += sign * w;
-                            d.velocity.x *= -0.5;
-                        } else if (h < w && h < dep) {
-                            const sign = d.mesh.position.y > col.position.y ? 1 : -1;
-                            if (d.mesh.position.x >= cBox.min.x && d.mesh.position.x <= cBox.max.x &&
-                                d.mesh.position.z >= cBox.min.z && d.mesh.position.z <= cBox.max.z) {
-                                d.mesh.position.y += sign * h;
-                                d.velocity.y *= -0.5;
-                                d.velocity.x *= 0.8;
-                                d.velocity.z *= 0.8;
-                            }
-                        } else {
-                            const sign = d.mesh.position.z > col.position.z ? 1 : -1;
-                            d.mesh.position.z += sign * dep;
-                            d.velocity.z *= -0.5;
-                        }
+            // Simple collision check against world
+            const dBox = this._debrisBox.setFromObject(d.mesh);
+            this._debrisHits.length = 0;
+            for (const { object: col, box: cBox } of queryWorldParts(world, 'static', dBox, this._debrisHits)) {
+                const inter = this._debrisOverlap.copy(dBox).intersect(cBox);
+                const w = inter.max.x - inter.min.x;
+                const h = inter.max.y - inter.min.y;
+                const dep = inter.max.z - inter.min.z;
+                
+                // Bounce
+                if (w < h && w < dep) {
+                    const sign = d.mesh.position.x > col.position.x ? 1 : -1;
+                    d.mesh.position.x += sign * w;
+                    d.velocity.x *= -0.5;
+                } else if (h < w && h < dep) {
+                    const sign = d.mesh.position.y > col.position.y ? 1 : -1;
+                    if (d.mesh.position.x >= cBox.min.x && d.mesh.position.x <= cBox.max.x &&
+                        d.mesh.position.z >= cBox.min.z && d.mesh.position.z <= cBox.max.z) {
+                        d.mesh.position.y += sign * h;
+                        d.velocity.y *= -0.5;
+                        d.velocity.x *= 0.8;
+                        d.velocity.z *= 0.8;
                     }
+                } else {
+                    const sign = d.mesh.position.z > col.position.z ? 1 : -1;
+                    d.mesh.position.z += sign * dep;
+                    d.velocity.z *= -0.5;
                 }
-                if (d.mesh.position.y < -50) d.mesh.position.y = -50; // Cap fall
             }
-            return;
+            if (d.mesh.position.y < -50) d.mesh.position.y = -50; // Cap fall
         }
+    }
 
-        // Interpolate Position
-        const lerpFactor = 10 * dt;
-        this.mesh.position.lerp(this.targetPos, lerpFactor);
+    update(dt, camera, world) {
+        if (this.isDead) return; // Debris moves in stepDebris
+
+        // Interpolate Position: sample the snapshot buffer (rendered slightly in the past)
+        const sampledRot = this.snapshots.sample(this._samplePos, this.animState === 'walk' || this.animState === 'fall');
+        let lerpFactor = Math.min(1, 10 * dt);
+        if (sampledRot !== null) {
+            this.targetPos.copy(this._samplePos);
+            this.targetRot = sampledRot;
+            // The samples are already smooth; only soften the small pops when extrapolation is corrected
+            lerpFactor = 1 - Math.exp(-25 * dt);
+        }
+        if (this._snapNext || this.mesh.position.distanceTo(this.targetPos) > SNAP_DISTANCE) {
+            this._snapNext = false;
+            this.mesh.position.copy(this.targetPos);
+            this.mesh.rotation.y = this.targetRot;
+        } else {
+            this.mesh.position.lerp(this.targetPos, lerpFactor);
         
-        // Interpolate Rotation (Y only)
-        let diff = this.targetRot - this.mesh.rotation.y;
-        while (diff > Math.PI) diff -= Math.PI * 2;
-        while (diff < -Math.PI) diff += Math.PI * 2;
-        this.mesh.rotation.y += diff * lerpFactor;
+            // Interpolate Rotation (Y only)
+            let diff = this.targetRot - this.mesh.rotation.y;
+            while (diff > Math.PI) diff -= Math.PI * 2;
+            while (diff < -Math.PI) diff += Math.PI * 2;
+            this.mesh.rotation.y += diff * lerpFactor;
+        }
+
+        this.pets.update(dt, this.mesh.position, this.mesh.rotation.y, world);
 
         // Handle Dance State visibility
         if (this.animState === 'dance') {
@@ -517,6 +629,8 @@ export class RemotePlayer {
 
     dispose() {
         this.removeDanceElement();
+        this.pets.dispose();
+        disposeHat(this._hat);
         this.scene.remove(this.mesh);
     }
 }
\ No newline at end of file
@@ -1,5 +1,7 @@
 import * as THREE from 'three';
 import { boxUnwrapUVs, surfaceManager } from './utils.js';
+import { queryWorldParts } from './world/SpatialGrid.js';
+import { findPlatform } from './world/platforms.js';
 
 export class Vehicle {
     constructor(scene, x, y, z, color = 0xff0000) {
@@ -51,15 +53,26 @@ export class Vehicle {
         this.steering = 0;
         this.verticalVel = 0;
         this.driver = null;
+        this.platform = null; // KinematicPlatform the wheels are on, see world/platforms.js
         
         // Raycaster for ground
         this.raycaster = new THREE.Raycaster();
         this.down = new THREE.Vector3(0, -1, 0);
+        this._groundBox = new THREE.Box3();
+        this._groundParts = [];
+        this._groundObjects = [];
 
         this.scene.add(this.mesh);
     }
 
-    update(dt, collidables) {
+    // world: the World (or anything with collidables) the car drives on
+    update(dt, world) {
+        // Ride the platform we were on (World.update has just stepped it)
+        if (this.platform) {
+            this.platform.carry(this.mesh.position);
+            this.mesh.rotateY(this.platform.yawDelta);
+        }
+
         // Apply Drag
         this.velocity *= 0.98;
         this.steering *= 0.9;
@@ -84,8 +97,16 @@ export class Vehicle {
         });
 
         // Ground Collision
-        this.raycaster.set(new THREE.Vector3(this.mesh.position.x, this.mesh.position.y + 2, this.mesh.position.z), this.down);
-        const hits = this.raycaster.intersectObjects(collidables);
+        // Only parts under the car can count as ground (see below), so only those are ray-tested
+        const p = this.mesh.position;
+        this._groundBox.min.set(p.x - 0.01, p.y - 0.2, p.z - 0.01);
+        this._groundBox.max.set(p.x + 0.01, p.y + 2, p.z + 0.01);
+        this._groundParts.length = 0;
+        this._groundObjects.length = 0;
+        queryWorldParts(world, 'static', this._groundBox, this._groundParts).forEach(e => this._groundObjects.push(e.object));
+        this.raycaster.set(new THREE.Vector3(p.x, p.y + 2, p.z), this.down);
+        const hits = this.raycaster.intersectObjects(this._groundObjects);
+        this.platform = null;
         
         if (hits.length > 0) {
             const dist = hits[0].distance;
@@ -95,6 +116,7 @@ export class Vehicle {
             if (groundH >= this.mesh.position.y - 0.2) {
                 this.mesh.position.y = groundH;
                 this.verticalVel = 0;
+                this.platform = findPlatform(hits[0].object);
                 // Add slope handling for ramp?
                 // Simple tilt based on normal
                 // const normal = hits[0].face.normal;
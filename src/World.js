@@ -1,6 +1,9 @@
 import * as THREE from 'three';
 import { boxUnwrapUVs, surfaceManager } from './utils.js';
 import { Vehicle } from './Vehicle.js';
+import { SpatialGrid } from './world/SpatialGrid.js';
+import { KinematicPlatform, platformOf } from './world/platforms.js';
+import { RigidBodies, bodyOf } from './world/rigidBodies.js';
 
 /*
   TOMBSTONE / REFACTOR NOTE
@@ -35,9 +38,20 @@ export class World {
         this.collidables = [];
         this.launchPads = [];
         this.teleporters = [];
+        // Broadphase per part type (see queryParts). Parts are indexed lazily on the first query after
+        // they're added, so builders can still position and rotate a part after addToWorld.
+        this.partIndex = {
+            static: new SpatialGrid(),
+            kill: new SpatialGrid(),
+            launch: new SpatialGrid(),
+            teleport: new SpatialGrid()
+        };
+        this._unindexedParts = new Map(); // mesh -> types
         
         this.vehicles = [];
         this.animated = [];
+        this.platforms = []; // KinematicPlatform, see makePlatform
+        this.physics = new RigidBodies(this); // Parts with the 'unanchored' flag
         // Rocket Olympics helpers
         this._rocketNPCs = [];
         this._rockets = [];
@@ -97,12 +111,16 @@ export class World {
         });
         this.vehicles = [];
         this.animated = [];
+        this.platforms = [];
+        this.physics.clear();
 
         this.items = [];
         this.collidables = [];
         this.killBricks = [];
         this.launchPads = [];
         this.teleporters = [];
+        Object.values(this.partIndex).forEach(grid => grid.clear());
+        this._unindexedParts.clear();
     }
 
     loadMap(name) {
@@ -135,21 +153,36 @@ export class World {
         this.items.forEach(obj => {
             if (obj.userData && obj.userData.serial) {
                 const s = obj.userData.serial;
-                data.push({
+                // Platforms and unanchored parts are saved where they were placed, not wherever their
+                // motion has them now
+                const platform = platformOf(obj);
+                const body = bodyOf(obj);
+                let pos = obj.position;
+                let rot = obj.rotation;
+                if (platform && platform.origin) {
+                    pos = platform.origin;
+                    rot = platform.originRotation;
+                } else if (body && body.origin) {
+                    pos = body.origin;
+                    rot = new THREE.Euler().setFromQuaternion(body.originQuat);
+                }
+                const entry = {
                     type: s.type,
-                    x: obj.position.x,
-                    y: obj.position.y,
-                    z: obj.position.z,
+                    x: pos.x,
+                    y: pos.y,
+                    z: pos.z,
                     w: s.w, h: s.h, d: s.d, // Dimensions (if baked)
                     sx: obj.scale.x, // Scale (if not baked)
                     sy: obj.scale.y,
                     sz: obj.scale.z,
-                    rx: obj.rotation.x,
-                    ry: obj.rotation.y,
-                    rz: obj.rotation.z,
+                    rx: rot.x,
+                    ry: rot.y,
+                    rz: rot.z,
                     color: s.color, // integer
                     flags: s.flags
-                });
+                };
+                if (s.platform) entry.platform = s.platform;
+                data.push(entry);
             }
         });
         return data;
@@ -160,17 +193,19 @@ export class World {
         if (!Array.isArray(data)) return;
         
         data.forEach(d => {
+            let mesh = null;
             if (d.type === 'meta_bgm') {
                 this.bgm = d.url;
             } else if (d.type === 'block' || d.type === 'box') {
-                const mesh = this.createBlock(d.x, d.y, d.z, d.w, d.h, d.d, d.color, d.flags);
+                mesh = this.createBlock(d.x, d.y, d.z, d.w, d.h, d.d, d.color, d.flags);
                 mesh.rotation.set(d.rx || 0, d.ry || 0, d.rz || 0);
                 mesh.scale.set(d.sx || 1, d.sy || 1, d.sz || 1);
             } else if (d.type === 'sphere' || d.type === 'cylinder' || d.type === 'wedge') {
-                const mesh = this.createPart(d.type, d.x, d.y, d.z, {x:d.w, y:d.h, z:d.d}, d.color, d.flags);
+                mesh = this.createPart(d.type, d.x, d.y, d.z, {x:d.w, y:d.h, z:d.d}, d.color, d.flags);
                 mesh.rotation.set(d.rx || 0, d.ry || 0, d.rz || 0);
                 mesh.scale.set(d.sx || 1, d.sy || 1, d.sz || 1);
             }
+            if (mesh && d.platform && typeof d.platform === 'object') this.makePlatform(mesh, d.platform);
         });
     }
 
@@ -181,6 +216,94 @@ export class World {
         if (types.includes('kill')) this.killBricks.push(mesh);
         if (types.includes('launch')) this.launchPads.push(mesh);
         if (types.includes('teleport')) this.teleporters.push(mesh);
+        const indexed = types.filter(t => this.partIndex[t]);
+        if (indexed.length) this._unindexedParts.set(mesh, indexed);
+        if (types.includes('unanchored')) this.physics.add(mesh);
+        // A copy of a platform part (studio duplicate) moves like the original
+        const serial = mesh.userData && mesh.userData.serial;
+        if (serial && serial.platform && !platformOf(mesh)) this.makePlatform(mesh, serial.platform);
+    }
+
+    // Parts of one type ('static', 'kill', 'launch' or 'teleport') whose bounds overlap `box`, as
+    // { object, box } entries with a cached world-space box. Entries are live; don't keep or modify them.
+    queryParts(type, box, out = []) {
+        const grid = this.partIndex[type];
+        if (!grid) return out;
+        if (this._unindexedParts.size) {
+            this._unindexedParts.forEach((types, mesh) => types.forEach(t => this.partIndex[t].insert(mesh)));
+            this._unindexedParts.clear();
+        }
+        return grid.query(box, out);
+    }
+
+    // Call after moving, rotating or resizing a part so queries see its new bounds
+    refreshPart(mesh) {
+        Object.values(this.partIndex).forEach(grid => grid.update(mesh));
+    }
+
+    // refreshPart for parts moved by script (platforms, animations). Unanchored parts resting against the
+    // part where it was or where it is now are woken, so they ride it, fall off it or get shoved by it
+    _refreshMovedPart(mesh) {
+        const entry = this.partIndex.static.entries.get(mesh);
+        if (entry) this.physics.wakeTouching(entry.box);
+        this.refreshPart(mesh);
+        if (entry) this.physics.wakeTouching(entry.box);
+    }
+
+    // Turns a part into a kinematic platform that follows `motion` (see world/platforms.js) and carries
+    // players, vehicles and pets standing on it. The definition is saved with the part by serialize().
+    makePlatform(mesh, motion) {
+        const platform = new KinematicPlatform(mesh, motion);
+        if (mesh.userData.serial) mesh.userData.serial.platform = platform.motion;
+        this.platforms.push(platform);
+        return platform;
+    }
+
+    // Anchored parts never move; unanchored ones are simulated rigid bodies (see world/rigidBodies.js).
+    // Kept in the part's flags, so it's saved with the part
+    setAnchored(mesh, anchored) {
+        const serial = mesh.userData.serial;
+        if (serial) {
+            const flags = (serial.flags || []).filter(f => f !== 'unanchored');
+            if (!anchored) flags.push('unanchored');
+            serial.flags = flags;
+        }
+        if (anchored) this.physics.remove(mesh);
+        else this.physics.add(mesh);
+    }
+
+    isAnchored(mesh) {
+        return !bodyOf(mesh);
+    }
+
+    // Puts every platform and unanchored part back where it was placed, e.g. when a studio test ends
+    resetMovingParts() {
+        this.platforms.forEach(p => {
+            p.reset();
+            this.refreshPart(p.mesh);
+        });
+        this.physics.reset();
+        this.physics.bodies.forEach(b => this.refreshPart(b.mesh));
+    }
+
+    // Takes a part added with addToWorld out of the map and every part list
+    removePart(mesh) {
+        // Whatever rested on or against the part has to find new support
+        const entry = this.partIndex.static.entries.get(mesh);
+        this.physics.wakeTouching(entry ? entry.box : new THREE.Box3().setFromObject(mesh), bodyOf(mesh));
+        this.mapGroup.remove(mesh);
+        for (const list of [this.items, this.collidables, this.killBricks, this.launchPads, this.teleporters]) {
+            const i = list.indexOf(mesh);
+            if (i !== -1) list.splice(i, 1);
+        }
+        const platform = platformOf(mesh);
+        if (platform) {
+            platform.detach();
+            this.platforms.splice(this.platforms.indexOf(platform), 1);
+        }
+        Object.values(this.partIndex).forEach(grid => grid.remove(mesh));
+        this._unindexedParts.delete(mesh);
+        this.physics.remove(mesh);
     }
 
     createPart(type, x, y, z, size, color, flags = ['static']) {
@@ -1147,8 +1270,17 @@ export class World {
     }
 
     update(dt) {
-        this.animated.forEach(anim => anim.update(dt, anim));
-        this.vehicles.forEach(v => v.update(dt, this.collidables));
+        // Platforms first so vehicles on them are carried in the same step
+        this.platforms.forEach(p => {
+            p.step(dt);
+            this._refreshMovedPart(p.mesh);
+        });
+        this.animated.forEach(anim => {
+            anim.update(dt, anim);
+            if (anim.mesh) this._refreshMovedPart(anim.mesh);
+        });
+        this.physics.step(dt);
+        this.vehicles.forEach(v => v.update(dt, this));
 
         // Update Rocket Olympics rockets and NPC timers
         if (this._rocketNPCs && this._rocketNPCs.length > 0) {
@@ -1266,7 +1398,16 @@ export class World {
     }
 
     update(dt) {
-        this.animated.forEach(anim => anim.update(dt, anim));
-        this.vehicles.forEach(v => v.update(dt, this.collidables));
+        // Platforms first so vehicles on them are carried in the same step
+        this.platforms.forEach(p => {
+            p.step(dt);
+            this._refreshMovedPart(p.mesh);
+        });
+        this.animated.forEach(anim => {
+            anim.update(dt, anim);
+            if (anim.mesh) this._refreshMovedPart(anim.mesh);
+        });
+        this.physics.step(dt);
+        this.vehicles.forEach(v => v.update(dt, this));
     }
 }
\ No newline at end of file
@@ -1,15 +1,19 @@
+import { apiRequest } from './serverApi.js';
+
+// Bundled fallback for when the catalog server is unreachable (no stats available offline).
+// Keep in sync with OFFICIAL_GAMES in server/games.js.
 export const games = [
-  { id: 'chirpless_puzzles', name: 'Chirpless Puzzles', visits: 284, up: 9, down: 3, thumb: '/DefaultThumb.png', author: 'Chirpless Admin' },
-  { id: 'platform', name: 'Hub', visits: 1100, up: 12, down: 2, thumb: '/DefaultThumb.png', author: 'Chirpless Admin' },
-  { id: 'chirpless_hunt', name: 'Chirpless Hunt 2026', visits: 720, up: 7, down: 3, thumb: '/DefaultThumb.png', author: 'Chirpless Admin' },
-  { id: 'lucky_world', name: 'Lucky World', visits: 950, up: 13, down: 2, thumb: '/DefaultThumb.png', author: 'Chirpless Admin' },
-  { id: 'sillyville', name: 'SillyVille V1', visits: 330, up: 6, down: 4, thumb: '/DefaultThumb.png', author: 'Chirpless Admin' },
-  { id: 'chirpcity', name: 'ChirpCity 1.1V', visits: 1080, up: 11, down: 3, thumb: '/DefaultThumb.png', author: 'Chirpless Admin' },
-  { id: 'memories', name: 'Memories', visits: 270, up: 5, down: 2, thumb: '/DefaultThumb.png', author: 'Chirpless Admin' },
-  { id: 'easter_2026', name: 'Easter 2026', visits: 540, up: 8, down: 3, thumb: '/DefaultThumb.png', author: 'Chirpless Admin' },
-  { id: 'blocks', name: 'Blocks', visits: 920, up: 10, down: 4, thumb: '/DefaultThumb.png', author: 'Chirpless Admin' },
-  { id: 'rocket_olympics', name: 'Rocket Olympics', visits: 680, up: 4, down: 2, thumb: '/DefaultThumb.png', author: 'Chirpless Admin' },
-  { id: 'home', name: 'Home', visits: 430, up: 3, down: 2, thumb: '/DefaultThumb.png', author: 'Chirpless Admin' }
+  { id: 'chirpless_puzzles', name: 'Chirpless Puzzles', visits: 0, up: 0, down: 0, thumb: '/DefaultThumb.png', author: 'Chirpless Admin', official: true },
+  { id: 'platform', name: 'Hub', visits: 0, up: 0, down: 0, thumb: '/DefaultThumb.png', author: 'Chirpless Admin', official: true },
+  { id: 'chirpless_hunt', name: 'Chirpless Hunt 2026', visits: 0, up: 0, down: 0, thumb: '/DefaultThumb.png', author: 'Chirpless Admin', official: true },
+  { id: 'lucky_world', name: 'Lucky World', visits: 0, up: 0, down: 0, thumb: '/DefaultThumb.png', author: 'Chirpless Admin', official: true },
+  { id: 'sillyville', name: 'SillyVille V1', visits: 0, up: 0, down: 0, thumb: '/DefaultThumb.png', author: 'Chirpless Admin', official: true },
+  { id: 'chirpcity', name: 'ChirpCity 1.1V', visits: 0, up: 0, down: 0, thumb: '/DefaultThumb.png', author: 'Chirpless Admin', official: true },
+  { id: 'memories', name: 'Memories', visits: 0, up: 0, down: 0, thumb: '/DefaultThumb.png', author: 'Chirpless Admin', official: true },
+  { id: 'easter_2026', name: 'Easter 2026', visits: 0, up: 0, down: 0, thumb: '/DefaultThumb.png', author: 'Chirpless Admin', official: true },
+  { id: 'blocks', name: 'Blocks', visits: 0, up: 0, down: 0, thumb: '/DefaultThumb.png', author: 'Chirpless Admin', official: true },
+  { id: 'rocket_olympics', name: 'Rocket Olympics', visits: 0, up: 0, down: 0, thumb: '/DefaultThumb.png', author: 'Chirpless Admin', official: true },
+  { id: 'home', name: 'Home', visits: 0, up: 0, down: 0, thumb: '/DefaultThumb.png', author: 'Chirpless Admin', official: true }
 ];
 
 // Compute like percentage (0..100) from up/down; if no votes, show 100% by default (or 0 if both zero)
@@ -21,8 +25,8 @@ export function likePercentage(g) {
   return Math.round((up / total) * 100);
 }
 
-// Sorting helpers
-export function getFilteredGames({ filter = 'popular', search = '' } = {}) {
+// Same search/sort as the server, applied to the bundled list
+function filterBundled({ filter, search, page, limit }) {
   const q = (search || '').trim().toLowerCase();
   let list = games.slice();
 
@@ -45,5 +49,18 @@ export function getFilteredGames({ filter = 'popular', search = '' } = {}) {
       list.sort((a,b) => (b.visits - a.visits) || (b.up - a.up));
       break;
   }
-  return list;
-}
\ No newline at end of file
+  return { games: list.slice((page - 1) * limit, page * limit), total: list.length, page, limit, offline: true };
+}
+
+// Queries the server catalog; resolves to { games, total, page, limit, offline }.
+// Falls back to the bundled list (offline: true) when the server can't be reached.
+export async function getFilteredGames({ filter = 'popular', search = '', page = 1, limit = 20 } = {}) {
+  const params = new URLSearchParams({ sort: filter, search: (search || '').trim(), page: String(page), limit: String(limit) });
+  try {
+    // Signed in, the server also tells us our own vote on each game (myVote)
+    const res = await apiRequest(`/games?${params}`, { auth: true });
+    return Object.assign(res, { offline: false });
+  } catch (e) {
+    return filterBundled({ filter, search, page, limit });
+  }
+}
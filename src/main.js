@@ -7,6 +7,10 @@ import { Player, createPlayerMesh } from './Player.js';
 import { RemotePlayer } from './RemotePlayer.js';
 import { InputManager } from './InputManager.js';
 import { boxUnwrapUVs, surfaceManager, createFaceTexture, createTorsoTexture } from './utils.js';
+import { diffPresence, decodePresenceFrame } from './presenceCodec.js';
+import { apiRequest } from './serverApi.js';
+import { PetGroup, PET_LOOKS } from './pets.js';
+import { FixedTimestep, TransformInterpolator } from './FixedTimestep.js';
 
 /*
   TOMBSTONE / REFACTOR NOTE
@@ -25,56 +29,120 @@ import { boxUnwrapUVs, surfaceManager, createFaceTexture, createTorsoTexture } f
 /*
   WebSocket-backed presence client to talk to the simple presence server (server.js).
   Provides a minimal subset of the original room API used in the app:
-    - initialize(): opens WS and sends join
-    - updatePresence(obj): broadcasts presence_update to peers via server
-    - subscribePresence(cb): receives presence updates from peers
+    - initialize(): opens WS, authenticates with the saved session token and sends join
+    - setUsername(name): asks the server to rename the account (resolves with the accepted name)
+    - joinMap(map, instance): joins an instance of a map chosen by the server (resolves with { room, instance, ... })
+    - joinLobby(): returns to the unsharded menu room
+    - updatePresence(obj): merges into local presence; changed fields are flushed once per server tick
+    - subscribePresence(cb): receives presence updates from peers (batched presence_delta / binary frames)
 */
 function generateClientId() {
+    // Provisional id until the server assigns an account id. Older clients keyed friends by this id,
+    // so it is offered to the server as legacyClientId when creating the account.
+    try {
+        const saved = localStorage.getItem('chirpless_client_id');
+        if (saved) return saved;
+    } catch (e) {}
     // simple random id
-    return 'c-' + Math.random().toString(36).slice(2, 10);
+    const id = 'c-' + Math.random().toString(36).slice(2, 10);
+    try { localStorage.setItem('chirpless_client_id', id); } catch (e) {}
+    return id;
 }
 
 const room = (function() {
     let ws = null;
-    const clientId = generateClientId();
+    // Replaced by the account id once the server accepts our session
+    let clientId = generateClientId();
+    const legacyClientId = clientId;
+    let pendingRename = null; // { resolve, reject } while a set_username is in flight
+    let pendingJoin = null; // { resolve, reject } while a join_map is in flight
     const presence = {}; // map clientId -> presence
     const roomState = {};
     const peers = {}; // minimal: clientId -> { username, avatarUrl }
-    let onmessage = (ev) => {};
     const presenceCallbacks = new Set();
     const roomStateCallbacks = new Set();
     const presenceUpdateRequestCallbacks = new Set();
+    // Outgoing presence pipeline: what the server last got from us, and the flush timer
+    let lastSentPresence = {};
+    let presenceTimer = null;
+    // Binary frames reference players by per-room slot; JSON frames tell us which slot is whom
+    let slotToId = {};
+    // Server tick length; presence frames carry a tick number which becomes the snapshot time
+    let tickMs = 1000 / 15;
+    const presenceTimes = {}; // clientId -> server time (ms) of the last change received
 
     async function initialize(opts = {}) {
         // Connect to same origin server using ws protocol (fallback to location host)
         // Prefer explicit ws(s) scheme to avoid http->ws replacement oddities (handles https properly)
         const host = (opts.url) ? opts.url : ((location.protocol === 'https:' ? 'wss://' : 'ws://') + location.host);
+        // Retrying after a failed sign-in replaces the old socket
+        if (ws) { try { ws.close(); } catch (e) {} }
         return new Promise((resolve, reject) => {
             try {
-                ws = new WebSocket(host);
+                const socket = ws = new WebSocket(host);
+                ws.binaryType = 'arraybuffer';
+                // 'binary' keeps position/rotation/anim traffic compact; 'json' is easier to debug
+                const encoding = opts.presenceEncoding || 'binary';
+                let joined = false;
                 ws.addEventListener('open', () => {
-                    // Join default "global" room
-                    const roomName = opts.room || 'global';
-                    ws.send(JSON.stringify({ type: 'join', room: roomName, clientId }));
-                    // Announce initial presence (basic)
-                    sendPresence({ username: (localStorage.getItem('nblox_username') || 'Guest'), map: 'MENU', age: parseInt(localStorage.getItem('nblox_age')||'18',10) });
-                    resolve();
+                    // Handshake first: the server answers with a 'session' carrying our account id
+                    let token = null;
+                    try { token = localStorage.getItem('chirpless_session'); } catch(e) {}
+                    ws.send(JSON.stringify({ type: 'auth', token, username: (localStorage.getItem('nblox_username') || 'Guest'), legacyClientId }));
                 });
                 ws.addEventListener('message', (evt) => {
+                    if (evt.data instanceof ArrayBuffer) {
+                        applyBinaryFrame(evt.data);
+                        return;
+                    }
                     let data = null;
                     try { data = JSON.parse(evt.data); } catch(e) { return; }
+                    if (data.type === 'session') {
+                        applySession(data);
+                        if (pendingRename) {
+                            pendingRename.resolve(data.username);
+                            pendingRename = null;
+                        }
+                        if (!joined) {
+                            joined = true;
+                            tickMs = 1000 / (data.presenceTickHz || 15);
+                            startPresenceTimer(data.presenceTickHz || 15);
+                            // Join default "global" room
+                            const roomName = opts.room || 'global';
+                            ws.send(JSON.stringify({ type: 'join', room: roomName, encoding }));
+                            // Announce initial presence (basic)
+                            sendPresence({ username: data.username, map: 'MENU', age: parseInt(localStorage.getItem('nblox_age')||'18',10) });
+                            resolve();
+                        }
+                    } else if (data.type === 'username_error' && pendingRename) {
+                        pendingRename.reject(new Error(data.reason || 'rename_failed'));
+                        pendingRename = null;
+                    } else if (data.type === 'auth_error' && !joined) {
+                        reject(new Error(data.reason || 'auth_failed'));
+                    } else if (data.type === 'joined') {
+                        updateRoomState({ room: data.room, map: data.map, instance: data.instance, maxPlayers: data.maxPlayers });
+                        if (pendingJoin) { pendingJoin.resolve(data); pendingJoin = null; }
+                    } else if (data.type === 'join_error' && pendingJoin) {
+                        pendingJoin.reject(new Error(data.reason || 'join_failed'));
+                        pendingJoin = null;
+                    } else if (data.type === 'error') {
+                        // The server failed to handle one of our messages; settle whatever was waiting on it
+                        const err = new Error(data.reason || 'server_error');
+                        if (data.for === 'join_map' && pendingJoin) { pendingJoin.reject(err); pendingJoin = null; }
+                        else if (data.for === 'set_username' && pendingRename) { pendingRename.reject(err); pendingRename = null; }
+                    }
                     // Built-in server presence_count event keeps running counts; forward to handlers as onmessage
-                    if (onmessage) {
-                        try { onmessage({ data, clientId: data.clientId }); } catch(e) {}
+                    // (read from the public api so handlers assigned via room.onmessage are honoured)
+                    if (api.onmessage) {
+                        try { api.onmessage({ data, clientId: data.clientId }); } catch(e) { console.warn('onmessage handler failed', e); }
                     }
-                    // Handle presence_update relays from server
-                    if (data.type === 'presence_update' && data.clientId) {
-                        // update presence map
-                        presence[data.clientId] = data.presence || {};
-                        // update peers table minimally
-                        peers[data.clientId] = { username: presence[data.clientId].username || 'Guest', avatarUrl: presence[data.clientId].avatarUrl || '/Roblox-logo.png', id: data.clientId };
-                        // notify subscribers
-                        presenceCallbacks.forEach(cb => { try { cb(Object.assign({}, presence)); } catch(e){} });
+                    // Direct presence update requests addressed to this client
+                    if (data.type === 'presence_request' && data.to === clientId) {
+                        presenceUpdateRequestCallbacks.forEach(cb => { try { cb(data.update || {}, data.from); } catch(e){} });
+                    }
+                    // Handle batched presence from the server
+                    if (data.type === 'presence_delta') {
+                        applyPresenceDelta(data);
                     } else if (data.type === 'presence_count') {
                         // expose in roomState for simple UI uses
                         roomState.presence_count = data.count;
@@ -83,6 +151,11 @@ const room = (function() {
                     }
                 });
                 ws.addEventListener('close', () => {
+                    if (!joined) reject(new Error('offline'));
+                    if (ws !== socket) return; // Replaced by a retry
+                    if (presenceTimer) { clearInterval(presenceTimer); presenceTimer = null; }
+                    lastSentPresence = {};
+                    slotToId = {};
                     // clear presence for all peers on close
                     // keep local presence empty; notify callbacks
                     for (const k in presence) delete presence[k];
@@ -97,18 +170,111 @@ const room = (function() {
         });
     }
 
+    function applySession(data) {
+        try { localStorage.setItem('chirpless_session', data.token); } catch(e) {}
+        try { localStorage.setItem('nblox_username', data.username); } catch(e) {}
+        if (data.accountId && data.accountId !== clientId) {
+            // Carry our local presence entry over to the account id
+            if (presence[clientId]) {
+                presence[data.accountId] = presence[clientId];
+                delete presence[clientId];
+            }
+            clientId = data.accountId;
+            api.clientId = clientId;
+        }
+        api.username = data.username;
+        // Only the handshake reports admin status; a rename's "session" leaves it unchanged
+        if ('admin' in data) api.admin = !!data.admin;
+        if (presence[clientId]) presence[clientId].username = data.username;
+    }
+
+    function setUsername(name) {
+        if (!ws || ws.readyState !== WebSocket.OPEN) return Promise.reject(new Error('offline'));
+        if (pendingRename) pendingRename.reject(new Error('superseded'));
+        return new Promise((resolve, reject) => {
+            pendingRename = { resolve, reject };
+            ws.send(JSON.stringify({ type: 'set_username', username: name }));
+        });
+    }
+
+    function joinMap(map, instance = null) {
+        if (!ws || ws.readyState !== WebSocket.OPEN) return Promise.reject(new Error('offline'));
+        if (pendingJoin) pendingJoin.reject(new Error('superseded'));
+        return new Promise((resolve, reject) => {
+            pendingJoin = { resolve, reject };
+            ws.send(JSON.stringify({ type: 'join_map', map, instance }));
+        });
+    }
+
+    function joinLobby() {
+        updateRoomState({ room: 'global', map: null, instance: null });
+        if (ws && ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ type: 'join', room: 'global' }));
+    }
+
+    function notifyPresence() {
+        presenceCallbacks.forEach(cb => { try { cb(Object.assign({}, presence)); } catch(e){} });
+    }
+
+    function mergePeer(id, fields, serverTime) {
+        if (id === clientId) return;
+        presence[id] = Object.assign(presence[id] || {}, fields);
+        presenceTimes[id] = serverTime;
+        // update peers table minimally
+        peers[id] = { username: presence[id].username || 'Guest', avatarUrl: presence[id].avatarUrl || '/Roblox-logo.png', id };
+    }
+
+    function applyPresenceDelta(data) {
+        if (data.full) {
+            // Whole-room snapshot (on join or after we fell behind): drop peers that aren't in it
+            for (const id in presence) {
+                if (id !== clientId && !data.entries[id]) { delete presence[id]; delete peers[id]; delete presenceTimes[id]; }
+            }
+            slotToId = {};
+        }
+        for (const id in (data.slots || {})) slotToId[data.slots[id]] = id;
+        for (const id in (data.entries || {})) mergePeer(id, data.entries[id], data.tick * tickMs);
+        (data.removed || []).forEach(id => {
+            if (id === clientId) return;
+            delete presence[id];
+            delete peers[id];
+            delete presenceTimes[id];
+        });
+        notifyPresence();
+    }
+
+    function applyBinaryFrame(buffer) {
+        const frame = decodePresenceFrame(buffer);
+        if (!frame) return;
+        frame.entries.forEach(e => {
+            const id = slotToId[e.slot];
+            if (id) mergePeer(id, e.fields, frame.tick * tickMs);
+        });
+        if (frame.entries.length) notifyPresence();
+    }
+
+    // Sends only the fields that changed (after quantization) since the last flush
+    function flushPresence() {
+        if (!ws || ws.readyState !== WebSocket.OPEN || !presence[clientId]) return;
+        const changed = diffPresence(lastSentPresence, presence[clientId]);
+        if (!changed) return;
+        try {
+            ws.send(JSON.stringify({ type: 'presence_update', presence: changed }));
+        } catch (e) {
+            console.warn('Failed to send presence', e);
+        }
+    }
+
+    function startPresenceTimer(hz) {
+        if (presenceTimer) clearInterval(presenceTimer);
+        presenceTimer = setInterval(flushPresence, Math.round(1000 / Math.max(1, hz)));
+    }
+
     function sendPresence(p) {
-        // Merge local presence and broadcast
+        // Merge local presence; the tick timer sends what changed
         presence[clientId] = { ...(presence[clientId] || {}), ...p };
-        if (ws && ws.readyState === WebSocket.OPEN) {
-            try {
-                ws.send(JSON.stringify({ type: 'presence_update', clientId, presence: presence[clientId] }));
-            } catch (e) {
-                console.warn('Failed to send presence', e);
-            }
-        } else {
+        if (!ws || ws.readyState !== WebSocket.OPEN) {
             // If not connected, still update local map and notify subscribers
-            presenceCallbacks.forEach(cb => { try { cb(Object.assign({}, presence)); } catch(e){} });
+            notifyPresence();
         }
     }
 
@@ -118,7 +284,7 @@ const room = (function() {
     }
 
     function requestPresenceUpdate(targetClientId, update) {
-        // Send a direct presence update request via server broadcast (best-effort)
+        // Send a direct presence update request; the server routes it to the target only and acks us
         if (ws && ws.readyState === WebSocket.OPEN) {
             ws.send(JSON.stringify({ type: 'presence_request', from: clientId, to: targetClientId, update }));
         }
@@ -140,12 +306,18 @@ const room = (function() {
         return () => presenceUpdateRequestCallbacks.delete(cb);
     }
 
-    return {
+    const api = {
         presence,
+        presenceTimes,
         roomState,
         peers,
         clientId,
+        username: null,
+        admin: false,
         initialize,
+        setUsername,
+        joinMap,
+        joinLobby,
         updatePresence: sendPresence,
         updateRoomState,
         requestPresenceUpdate,
@@ -166,6 +338,7 @@ const room = (function() {
         },
         onmessage: (e) => {}
     };
+    return api;
 })();
 
 const UI_ZOOM = 1.0; // Avoid CSS zoom mismatch; use 1:1 coordinates for mouse/UI
@@ -826,78 +999,174 @@ menuGroup.position.set(3.5, 1.5, 8);
 const player = new Player(scene);
 const remotePlayers = {}; // Changed to Object for ID mapping
 
- // Lucky World local state: coins and pets
-let playerCoins = 0;
-let playerPets = []; // { id, mesh }
-const petCatalog = [
-    { id: 'pet-bunny', name: 'Bunny', price: 5, color: 0xff99cc },
-    { id: 'pet-drake', name: 'Drake', price: 12, color: 0x66ccff },
-    { id: 'pet-fox', name: 'Lucky Fox', price: 20, color: 0xffaa33 }
-];
+// Our equipped pets follow us on every map; the inventory lives on the server (GET /pets) and pets are
+// bought from the avatar shop catalog (type 'pet')
+const playerPets = new PetGroup(scene);
+let petInventory = { catalog: [], pets: [], maxEquipped: 0 };
 
-// SillyVille state: planted seeds and points
+// SillyVille state: planted seeds and points (sillyPoints is what the server paid this visit for claims)
 let sillyPoints = 0;
+let sillyUnclaimed = 0; // earned but not yet claimed from the server
+let sillyClaimAcc = 0; // seconds since the last seed_harvest claim
 let sillySeedParts = []; // planted seed meshes
 let sillySeedTypes = ['Strawberry', 'Banana', 'Blueberry', 'Apple', 'Cherry', 'Pumpkin'];
 let sillyNextSeedIndex = 0; // cycle through types for planting
 let sillyPointsAcc = 0; // fractional accumulator for per-second awarding
 
-function showPetShop() {
-    const shop = document.getElementById('pet-shop');
+function equippedPetKinds() {
+    return petInventory.pets
+        .filter(p => p.equipped)
+        .sort((a, b) => new Date(a.equippedAt) - new Date(b.equippedAt))
+        .map(p => p.kind);
+}
+
+function petName(pet) {
+    const entry = petInventory.catalog.find(c => c.id === pet.itemId);
+    return entry ? entry.name : pet.kind;
+}
+
+// Fetches the inventory and shows our equipped pets. Guests who never connected simply have none.
+function loadPets() {
+    return apiRequest('/pets', { auth: true }).then((data) => {
+        petInventory.pets = data.pets;
+        petInventory.maxEquipped = data.maxEquipped;
+        if (gameState === 'PLAYING') playerPets.setKinds(equippedPetKinds());
+    }).catch((err) => {
+        if (err.code !== 'offline' && err.status !== 401) console.warn('Failed to load pets', err);
+    });
+}
+
+// Resolves to true once the server has taken the change
+function setPetEquipped(pet, equipped) {
+    return apiRequest(`/pets/${encodeURIComponent(pet.id)}/${equipped ? 'equip' : 'unequip'}`, { method: 'POST', auth: true }).then((data) => {
+        petInventory.pets = data.pets;
+        if (gameState === 'PLAYING') playerPets.setKinds(equippedPetKinds());
+        return true;
+    }).catch((err) => {
+        if (err.code === 'equip_limit') alert(`You can only have ${petInventory.maxEquipped} pets out at once.`);
+        else alert('Could not change that pet right now.');
+        return false;
+    });
+}
+
+function petSwatch(kind) {
+    const swatch = document.createElement('div');
+    const look = PET_LOOKS[kind];
+    swatch.style.width = '36px';
+    swatch.style.height = '24px';
+    swatch.style.borderRadius = '6px';
+    swatch.style.flexShrink = '0';
+    swatch.style.background = '#' + new THREE.Color(look ? look.color : 0xcccccc).getHexString();
+    return swatch;
+}
+
+function petRow(kind, title, subtitle, button) {
+    const row = document.createElement('div');
+    row.style.display = 'flex';
+    row.style.justifyContent = 'space-between';
+    row.style.alignItems = 'center';
+    row.style.gap = '8px';
+    const info = document.createElement('div');
+    info.style.display = 'flex';
+    info.style.alignItems = 'center';
+    info.style.gap = '8px';
+    const text = document.createElement('div');
+    const b = document.createElement('b');
+    b.textContent = title;
+    const sub = document.createElement('div');
+    sub.style.fontSize = '12px';
+    sub.style.color = '#666';
+    sub.textContent = subtitle;
+    text.appendChild(b);
+    text.appendChild(sub);
+    info.appendChild(petSwatch(kind));
+    info.appendChild(text);
+    row.appendChild(info);
+    button.className = 'menu-btn';
+    button.style.width = '90px';
+    row.appendChild(button);
+    return row;
+}
+
+function renderPetShop() {
     const list = document.getElementById('pet-list');
-    shop.style.display = 'block';
     list.innerHTML = '';
-    petCatalog.forEach(p => {
-        const row = document.createElement('div');
-        row.style.display = 'flex';
-        row.style.justifyContent = 'space-between';
-        row.style.alignItems = 'center';
-        row.style.gap = '8px';
-        row.innerHTML = `<div style="display:flex;align-items:center;gap:8px;">
-            <div style="width:36px;height:24px;background:${'#' + new THREE.Color(p.color).getHexString()}; border-radius:6px;"></div>
-            <div><b>${p.name}</b><div style="font-size:12px;color:#666;">${p.price} coins</div></div>
-        </div>`;
+    petInventory.catalog.forEach(c => {
         const buy = document.createElement('button');
-        buy.className = 'menu-btn';
         buy.textContent = 'Buy';
-        buy.style.width = '80px';
         buy.addEventListener('click', () => {
-            if (playerCoins < p.price) {
-                alert('Not enough coins.');
-                return;
-            }
-            playerCoins -= p.price;
-            updateCoinUI();
-            spawnPetForPlayer(p);
-            addChatMessage('System', `You bought ${p.name}!`);
+            buy.disabled = true;
+            buyCatalogItem(c).then((ok) => {
+                if (!ok) {
+                    buy.disabled = false;
+                    return;
+                }
+                addSystemMessage(`You bought ${c.name}! Equip it below to have it follow you.`);
+                return loadPets().then(renderPetShop);
+            });
+        });
+        list.appendChild(petRow(c.data.kind, c.name, catalogPriceText(c), buy));
+    });
+
+    const equippedCount = petInventory.pets.filter(p => p.equipped).length;
+    const heading = document.createElement('div');
+    heading.style.fontWeight = 'bold';
+    heading.style.color = '#000080';
+    heading.style.marginTop = '8px';
+    heading.textContent = petInventory.pets.length
+        ? `Your Pets (${equippedCount}/${petInventory.maxEquipped} equipped)`
+        : 'Your Pets: none yet';
+    list.appendChild(heading);
+
+    petInventory.pets.forEach(p => {
+        const toggle = document.createElement('button');
+        toggle.textContent = p.equipped ? 'Unequip' : 'Equip';
+        toggle.disabled = !p.equipped && equippedCount >= petInventory.maxEquipped;
+        toggle.addEventListener('click', () => {
+            toggle.disabled = true;
+            setPetEquipped(p, !p.equipped).then((ok) => {
+                if (ok) renderPetShop();
+                else toggle.disabled = false;
+            });
         });
-        row.appendChild(buy);
-        list.appendChild(row);
+        list.appendChild(petRow(p.kind, petName(p), p.equipped ? 'Following you' : 'Resting', toggle));
+    });
+}
+
+function showPetShop() {
+    const shop = document.getElementById('pet-shop');
+    const list = document.getElementById('pet-list');
+    shop.style.display = 'block';
+    list.textContent = 'Loading...';
+    Promise.all([
+        apiRequest('/catalog?type=pet').then((data) => { petInventory.catalog = data.items; }).catch(() => {}),
+        loadPets()
+    ]).then(() => {
+        if (!petInventory.catalog.length) list.textContent = 'The pet shop is unavailable right now.';
+        else renderPetShop();
     });
 }
 
 function updateCoinUI() {
     const el = document.getElementById('coin-count');
-    if (el) el.textContent = String(playerCoins);
+    if (el) el.textContent = String(wallet.coins);
 }
 
-function spawnPetForPlayer(pet) {
-    // Simple pet: small colored sphere that follows player
-    const geo = new THREE.SphereGeometry(0.7, 12, 12);
-    const mat = new THREE.MeshStandardMaterial({ color: pet.color, emissive: pet.color * 0.2 });
-    const mesh = new THREE.Mesh(geo, mat);
-    mesh.name = pet.id;
-    mesh.userData = { petFor: room.clientId || 'local' };
-    // Start near player
-    mesh.position.copy(player.mesh.position).add(new THREE.Vector3(Math.random()*2-1, 1.5, Math.random()*2-1));
-    scene.add(mesh);
-    playerPets.push({ id: pet.id + '-' + Date.now(), mesh: mesh });
+// Initialize Multiplayer. A failed sign-in isn't fatal: the menu shows why, with a Retry button
+function connectMultiplayer() {
+    document.getElementById('connect-status').style.display = 'none';
+    room.initialize().then(() => {
+        console.log("Multiplayer connected");
+    }).catch((e) => {
+        console.warn('Multiplayer sign-in failed:', e);
+        document.getElementById('connect-status-msg').textContent = e.message === 'offline'
+            ? "Couldn't reach the server."
+            : "Couldn't sign in right now.";
+        document.getElementById('connect-status').style.display = 'flex';
+    });
 }
-
-// Initialize Multiplayer
-room.initialize().then(() => {
-    console.log("Multiplayer connected");
-});
+document.getElementById('btn-retry-connect').addEventListener('click', connectMultiplayer);
+connectMultiplayer();
 
 room.subscribePresence((presence) => {
     // Sync remote players
@@ -911,7 +1180,7 @@ room.subscribePresence((presence) => {
             const leftName = remotePlayers[id] && remotePlayers[id].name ? remotePlayers[id].name : "Player";
             remotePlayers[id].dispose();
             delete remotePlayers[id];
-            addChatMessage("System", `${leftName} left.`);
+            addSystemMessage(`${leftName} left.`);
             continue;
         }
         
@@ -941,11 +1210,11 @@ room.subscribePresence((presence) => {
                 presence: pData
             });
             remotePlayers[id] = rp;
-            addChatMessage("System", `${username} joined.`);
+            addSystemMessage(`${username} joined.`);
         }
         
         // Update
-        remotePlayers[id].updateData(pData);
+        remotePlayers[id].updateData(pData, room.presenceTimes[id]);
     });
 
     // 3. Update UI
@@ -964,47 +1233,49 @@ room.onmessage = (evt) => {
     const data = evt.data;
     if (data.type === 'chat') {
         const id = evt.clientId;
+        if (isIgnored(id)) return;
         const msg = data.message || '';
         // Prefer the in-game username included in the chat event; fallback to presence username; never use websim peer username
         const username = data.username || (room.presence && room.presence[id] && room.presence[id].username) || "Player";
-        
-        // Moderation: detect predatory chat from claimed-13 accounts mentioning dating
-        const datingPattern = /\b(date|dating|meet up|meetup|kissing|relationship|romantic)\b/i;
-        const senderPresence = (room.presence && room.presence[id]) ? room.presence[id] : {};
-        const senderAge = senderPresence.age !== undefined ? Number(senderPresence.age) : null;
-
-        // If sender claims age 13 and message matches dating keywords -> impose 5-day ban locally and remove them from view
-        if (senderAge === 13 && datingPattern.test(msg)) {
-            const fiveDaysMs = 5 * 24 * 60 * 60 * 1000;
-            const until = Date.now() + fiveDaysMs;
-            try {
-                // Store peer-specific ban so this client treats them as banned
-                localStorage.setItem(`nblox_ban_peer_${id}`, String(until));
-            } catch (e) {
-                console.warn('Failed to persist peer ban:', e);
-            }
-            // Remove remote player locally if present
-            if (remotePlayers[id]) {
-                const pname = remotePlayers[id].name || 'Player';
-                remotePlayers[id].dispose();
-                delete remotePlayers[id];
-                addChatMessage('System', `${pname} was banned for predatory behavior.`);
-            } else {
-                addChatMessage('System', `A predatory account was detected and banned locally.`);
-            }
-            // Optionally inform peers (best-effort event)
-            try {
-                room.send({ type: 'moderation_notice', targetId: id, reason: 'predatory_chat', until: until });
-            } catch (e) {}
-            return; // Do not show the offending message
-        }
 
-        addChatMessage(username, msg);
+        // Chat arrives already filtered by the server; the id lets players report this exact line
+        addChatMessage(username, msg, {
+            report: id !== room.clientId ? { clientId: id, messageId: data.id } : null,
+            channel: data.channel === 'team' ? 'team' : 'room',
+            id: data.id
+        });
         
-        if (remotePlayers[id]) {
+        if (remotePlayers[id] && data.channel !== 'team') {
             remotePlayers[id].chat(msg);
         }
     }
+    if (data.type === 'whisper') {
+        if (isIgnored(data.clientId)) return;
+        lastWhisperFrom = data.username;
+        addChatMessage(data.username, data.message, { report: { clientId: data.clientId, messageId: data.id }, channel: 'whisper_in' });
+    }
+    if (data.type === 'whisper_sent') {
+        addChatMessage(data.to, data.message, { channel: 'whisper_out' });
+    }
+    // Recent room chat sent by the server when we join, oldest first
+    if (data.type === 'chat_backlog') {
+        const lines = (data.lines || []).filter(l => !shownChatIds.has(l.id) && !isIgnored(l.clientId));
+        if (lines.length) {
+            addSystemMessage('Earlier in this server:');
+            lines.forEach(l => addChatMessage(l.username || 'Player', l.message, {
+                report: l.clientId !== room.clientId ? { clientId: l.clientId, messageId: l.id } : null,
+                id: l.id,
+                at: l.at
+            }));
+        }
+    }
+    if (data.type === 'team') {
+        chatTeam = data.team;
+    }
+    // Notices from the server itself; player chat can never arrive with this type
+    if (data.type === 'system') {
+        addSystemMessage(data.message);
+    }
     // Friend system events
     if (data.type === 'friend_request') {
         // Someone invited a target to be friends
@@ -1015,28 +1286,111 @@ room.onmessage = (evt) => {
             // Incoming request for this client
             const accept = confirm(`${fromName} sent you a friend request. Accept?`);
             if (accept) {
-                // Persist locally
-                addFriend(fromId, fromName);
-                // Notify sender
-                try { room.send({ type: 'friend_accept', targetId: fromId, username: document.getElementById('input-username').value || 'Guest' }); } catch(e){}
-                addChatMessage('System', `You accepted ${fromName}'s friend request.`);
+                // Server records the friendship and notifies the sender
+                sendFriendOp('friend_accept', fromId);
+                addSystemMessage(`You accepted ${fromName}'s friend request.`);
             } else {
-                addChatMessage('System', `You declined ${fromName}'s friend request.`);
+                sendFriendOp('friend_decline', fromId);
+                addSystemMessage(`You declined ${fromName}'s friend request.`);
             }
-            updatePlayerList();
         }
     }
     if (data.type === 'friend_accept') {
         const fromId = evt.clientId; // who accepted
         const toId = data.targetId; // original sender of request
         const fromName = data.username || (room.presence && room.presence[fromId] && room.presence[fromId].username) || 'Player';
-        // If this client was the original requester, add the accepter to friends
+        // If this client was the original requester, the server has already stored the friendship
         if (toId === room.clientId) {
-            addFriend(fromId, fromName);
-            addChatMessage('System', `${fromName} accepted your friend request.`);
+            addSystemMessage(`${fromName} accepted your friend request.`);
+        }
+    }
+    // Session established or renewed: the server may have assigned a different name (e.g. if ours was taken)
+    if (data.type === 'session') {
+        try { inputUsername.value = data.username; } catch(e){}
+        // Moderation console for admin accounts (served by the presence server, see server/admin.html)
+        const adminBtn = document.getElementById('btn-admin-console');
+        if (adminBtn) adminBtn.style.display = room.admin ? '' : 'none';
+    }
+    if (data.type === 'session_replaced') {
+        addSystemMessage('You signed in from another tab or device, so this session was disconnected.');
+    }
+    // Friends graph pushed by the server after every change
+    if (data.type === 'friends_list') {
+        setFriendsState(data);
+    }
+    // Server-side chat moderation (see server/chatFilter.js and server/moderation.js)
+    if (data.type === 'chat_error') {
+        const until = data.until ? new Date(data.until).toLocaleString() : '';
+        if (data.reason === 'muted') addSystemMessage(`You are muted until ${until}.`);
+        else if (data.reason === 'banned') addSystemMessage(`You are banned from chat until ${until}.`);
+        else if (data.reason === 'no_team') addSystemMessage("You aren't on a team. Use /team join <name> first.");
+        else if (data.reason === 'not_online') addSystemMessage(`${data.to || 'That player'} isn't online.`);
+        else if (data.reason === 'whisper_self') addSystemMessage("You can't whisper to yourself.");
+        else addSystemMessage('Your message was blocked by the chat filter.');
+    }
+    if (data.type === 'moderation') {
+        if (data.action === 'warn') {
+            addSystemMessage('Warning: keep chat friendly. Repeated violations lead to mutes and bans.');
+        } else if (data.action === 'mute') {
+            addSystemMessage(`You have been muted until ${new Date(data.until).toLocaleString()}.`);
+        } else if (data.action === 'ban') {
+            applyBan(data.until, data.reason);
+        } else if (data.action === 'kick') {
+            alert(`You were kicked by a moderator${data.reason ? `: ${data.reason}` : '.'} Reload to reconnect.`);
+            if (gameState === 'PLAYING' || gameState === 'TEST') {
+                try { btnExit.click(); } catch (e) {}
+            }
+        } else if (data.action === 'unmute') {
+            addSystemMessage('You are no longer muted.');
+        } else if (data.action === 'unban') {
+            addSystemMessage('Your ban was lifted. Reload to play again.');
+        }
+    }
+    if (data.type === 'report_ack') {
+        if (data.ok) addSystemMessage(data.duplicate ? 'You already reported this player; moderators will review it.' : 'Thanks, your report was sent to the moderators.');
+        else addSystemMessage(data.reason === 'own_content' ? "You can't report yourself." : 'Your report could not be sent.');
+    }
+    // Balances pushed by the server on login and after every change
+    if (data.type === 'wallet') {
+        applyWallet(data);
+    }
+    // Trades (see requestTrade / renderTradeWindow)
+    if (data.type === 'trade_update') {
+        handleTradeUpdate(data.trade);
+    }
+    if (data.type === 'trade_closed') {
+        handleTradeClosed(data);
+    }
+    if (data.type === 'trade_error') {
+        addSystemMessage(TRADE_ERROR_TEXT[data.reason] || "That trade didn't go through.");
+        // Put back the offer the server still holds
+        renderTradeWindow();
+    }
+    if (data.type === 'award_error') {
+        console.warn('Award refused:', data.rule, data.reason);
+    }
+    // Live vote tallies for games we're showing (see watchGameVotes)
+    if (data.type === 'game_votes') {
+        applyGameVotes(data);
+    }
+    if (data.type === 'friend_presence') {
+        const entry = friendsState.friends.find(f => f.id === data.id);
+        if (entry) {
+            entry.online = !!data.online;
             updatePlayerList();
         }
     }
+    // Server delivery receipts for addressed messages (friend requests etc.)
+    if (data.type === 'ack' && (data.for === 'friend_request' || data.for === 'friend_accept')) {
+        const targetName = (remotePlayers[data.to] && remotePlayers[data.to].name) || (room.peers[data.to] && room.peers[data.to].username) || 'Player';
+        if (data.status === 'queued') {
+            addSystemMessage(`${targetName} is offline; they will get your ${data.for === 'friend_request' ? 'friend request' : 'reply'} when they return.`);
+        } else if (data.status === 'failed' && data.reason === 'already_friends') {
+            addSystemMessage(`You are already friends with ${targetName}.`);
+        } else if (data.status === 'failed') {
+            addSystemMessage(`Could not deliver your ${data.for === 'friend_request' ? 'friend request' : 'reply'} to ${targetName}.`);
+        }
+    }
 };
 
 // --- Window Dragging & Resizing Logic ---
@@ -1134,7 +1488,8 @@ document.querySelectorAll('.menu-popup, .xp-window, .sidebar').forEach(win => {
 
 // Load Saved Character
 try {
-    const savedApp = localStorage.getItem('chirpless_appearance');
+    // The avatar editor saves under nblox_appearance; older builds used chirpless_appearance
+    const savedApp = localStorage.getItem('nblox_appearance') || localStorage.getItem('chirpless_appearance');
     if (savedApp) {
         player.deserializeAppearance(JSON.parse(savedApp));
         // Update customize menu inputs to match
@@ -1165,17 +1520,9 @@ try {
     if (savedLimit !== null) nameChangesLeft = parseInt(savedLimit);
 } catch(e) {}
 
- // Points system (local simulation): websim points stored in localStorage 'nblox_points'
-let websimPoints = 0;
-let candyCount = 0; // halloween candy tally (local)
-try {
-    websimPoints = parseInt(localStorage.getItem('chirpless_points') || '0', 10);
-    if (isNaN(websimPoints)) websimPoints = 0;
-    candyCount = parseInt(localStorage.getItem('chirpless_candy') || '0', 10) || 0;
-} catch (e) {
-    websimPoints = 0;
-    candyCount = 0;
-}
+ // Wallet: balances are kept by the server and pushed as {"type":"wallet"} (see server/wallet.js).
+ // Points, coins and candy are earned through server-checked awards, never saved locally.
+const wallet = { points: 0, coins: 0, candy: 0, chirps: 0 };
 
  // Load Saved Username & Age
  const savedUsername = localStorage.getItem('nblox_username') || "Guest";
@@ -1188,19 +1535,19 @@ try {
 
 
 
-// Simple local ban enforcement: if a ban is set and not expired, keep player out of play
-const banUntil = parseInt(localStorage.getItem('nblox_ban_until') || '0', 10);
-if (banUntil && Date.now() < banUntil) {
-    // Disable play/start actions and show notice
-    const remaining = Math.ceil((banUntil - Date.now()) / (1000 * 60 * 60 * 24));
-    alert(`Your account is banned for violating chat rules. Ban expires in ${remaining} day(s).`);
-    // Ensure menus reflect banned state: prevent PLAY and STUDIO entry
-    const _btnPlay = document.getElementById('btn-play');
-    const _btnStudio = document.getElementById('btn-studio');
-    if (_btnPlay) _btnPlay.disabled = true;
-    if (_btnStudio) _btnStudio.disabled = true;
-    if (_btnPlay) _btnPlay.title = 'Banned until: ' + new Date(banUntil).toLocaleString();
-    if (_btnStudio) _btnStudio.title = 'Banned until: ' + new Date(banUntil).toLocaleString();
+// Bans come from the server (see the 'moderation' message): keep the player out of play until it expires
+function applyBan(until, reason) {
+    const label = 'Banned until: ' + new Date(until).toLocaleString();
+    ['btn-play', 'btn-studio'].forEach((id) => {
+        const btn = document.getElementById(id);
+        if (!btn) return;
+        btn.disabled = true;
+        btn.title = label;
+    });
+    alert(`You are banned for violating chat rules${reason ? ` (${reason})` : ''}. ${label}.`);
+    if (gameState === 'PLAYING' || gameState === 'TEST') {
+        try { btnExit.click(); } catch (e) {}
+    }
 }
 
 const lblNameMsg = getEl('name-limit-msg');
@@ -1228,13 +1575,44 @@ const candyHud = document.getElementById('candy-hud') || _safeElem();
 const candyDisplay = document.getElementById('candy-count') || _safeTextNode();
 
 function updateChirpUI() {
-    // Chirps removed; keep function as no-op for compatibility
+    if (chirpDisplay) chirpDisplay.textContent = String(wallet.chirps);
 }
 function updateCandyUI() {
-    if (candyDisplay) candyDisplay.textContent = String(candyCount);
-    try { localStorage.setItem('chirpless_candy', String(candyCount)); } catch(e){}
+    if (candyDisplay) candyDisplay.textContent = String(wallet.candy);
+}
+
+// Messages for awards the player should hear about (coins and seed harvests just tick the HUD)
+const WALLET_CHANGE_MESSAGES = {
+    playtime: (n) => currentMapName === 'rocket_olympics' ? `Rocket Olympics: +${n} points for surviving!` : `You earned ${n} point${n === 1 ? '' : 's'} for playing!`,
+    egg_found: () => 'You found an Egg! +1 Point.',
+    puzzle_complete: (n) => `+${n} points for completing every puzzle!`
+};
+
+function applyWallet(data) {
+    Object.assign(wallet, data.balances || {});
+    if (pointsDisplay) pointsDisplay.textContent = String(wallet.points);
+    updateChirpUI();
+    updateCandyUI();
+    updateCoinUI();
+    const change = data.change;
+    if (change && change.reason === 'seed_harvest') {
+        sillyPoints += change.amount;
+        const disp = document.getElementById('silly-points-display');
+        if (disp) disp.textContent = String(sillyPoints);
+    }
+    if (change && change.amount > 0 && WALLET_CHANGE_MESSAGES[change.reason]) {
+        addSystemMessage(WALLET_CHANGE_MESSAGES[change.reason](change.amount));
+    }
+}
+
+// Claims an award from the server, which checks it against the map we're in (see AWARD_RULES)
+function claimAward(rule, extra = {}) {
+    room.send(Object.assign({ type: 'award', rule }, extra));
 }
 
+// Rounded position, used as the ref that makes a pickup claimable once per visit
+const pickupRef = (obj) => `${Math.round(obj.position.x)},${Math.round(obj.position.y)},${Math.round(obj.position.z)}`;
+
 // Update UI showing remaining name changes and points
 function updateNameUI() {
     lblUsername.textContent = `Username (${nameChangesLeft} left):`;
@@ -1246,7 +1624,7 @@ function updateNameUI() {
         lblNameMsg.textContent = "";
         document.getElementById('btn-save-name').disabled = false;
     }
-    if (pointsDisplay) pointsDisplay.textContent = String(websimPoints);
+    if (pointsDisplay) pointsDisplay.textContent = String(wallet.points);
     updateChirpUI();
     updateCandyUI();
 }
@@ -1272,47 +1650,33 @@ document.getElementById('btn-save-name').onclick = () => {
         return;
     }
 
-    // Prevent duplicates: check current presence for any matching in-game username
-    try {
-        const pres = room.presence || {};
-        for (const id in pres) {
-            if (!pres[id]) continue;
-            if (pres[id].username && pres[id].username === newName) {
-                alert("That username is already taken by someone in the game. Choose another.");
-                return;
-            }
-        }
-    } catch (e) {
-        console.warn("Username uniqueness check failed:", e);
-    }
-
-    const savedUsernameLocal = localStorage.getItem('nblox_username') || "Guest";
-    if (newName && newName !== savedUsernameLocal) {
-        nameChangesLeft--;
-        localStorage.setItem('nblox_name_changes', nameChangesLeft);
-        localStorage.setItem('nblox_username', newName);
-        updateNameUI();
-        alert(`Name saved! You have ${nameChangesLeft} changes left.`);
-    }
-
     // Persist age locally and publish it in presence
     try {
         localStorage.setItem('nblox_age', String(newAge));
     } catch (e) {
         console.warn('Failed to persist age locally', e);
     }
+    try { room.updatePresence({ age: newAge }); } catch (e) {}
 
+    const savedUsernameLocal = room.username || localStorage.getItem('nblox_username') || "Guest";
+    if (newName === savedUsernameLocal) return;
 
-
-    // Immediately push presence update so others see your chosen in-game username and age
-    try {
-        room.updatePresence({
-            username: newName,
-            age: newAge
-        });
-    } catch (e) {
-        console.warn("Failed to update presence with username/age:", e);
-    }
+    // Names belong to the account, so the server checks them and stamps them on everything we send
+    room.setUsername(newName).then((acceptedName) => {
+        nameChangesLeft--;
+        localStorage.setItem('nblox_name_changes', nameChangesLeft);
+        inputUsername.value = acceptedName;
+        updateNameUI();
+        // Re-announce presence so others see the new name right away
+        try { room.updatePresence({ username: acceptedName }); } catch (e) {}
+        alert(`Name saved! You have ${nameChangesLeft} changes left.`);
+    }).catch((err) => {
+        const reason = err && err.message;
+        if (reason === 'name_taken') alert("That username is already taken. Choose another.");
+        else if (reason === 'invalid_name') alert("Usernames must be 3-20 letters, numbers, spaces or underscores.");
+        else alert("Could not change your name right now. Please try again.");
+        inputUsername.value = savedUsernameLocal;
+    });
 };
 
 // Studio Controls
@@ -1339,6 +1703,8 @@ transformControl.addEventListener('dragging-changed', (event) => {
 transformControl.addEventListener('change', () => {
     // Live update properties panel while dragging (optional, might be heavy)
     if (input.isDraggingGizmo && studioSelected) {
+        // Keep the collision index in step so players collide with the part where it now is
+        world.refreshPart(studioSelected);
         updateStudioPropertiesUI();
     }
 });
@@ -1367,6 +1733,7 @@ function bakeScale(mesh) {
         
         // Reset scale
         mesh.scale.set(1, 1, 1);
+        world.refreshPart(mesh);
         
         // Update serial data
         mesh.userData.serial.w = newW;
@@ -1396,6 +1763,8 @@ scene.add(selectionHelper);
 let studioSelected = null;
 let activeTool = 'select'; // 'select', 'move', 'scale', 'rotate'
 let editingGameName = null;
+let editingGameId = null; // server id of the published game being edited, if any
+let editingGameVersion = null;
 let isRemixMode = false;
 
 const studioCamPos = new THREE.Vector3(0, 20, 30);
@@ -1507,9 +1876,6 @@ const tryPlayBGM = () => {
     }
 };
 
-// POINTS: accumulator for awarding points while playing (1 point per 10s)
-let playSecondsAcc = 0;
-websimPoints = websimPoints || 0; // ensure variable exists (fallback merged with earlier load)
 
 // WebAudio for UI Sounds to prevent delay
 const uiAudioCtx = new (window.AudioContext || window.webkitAudioContext)();
@@ -1756,7 +2122,7 @@ function updateStudioPropertiesUI() {
         safeSet(propInputs.rx, Math.round(THREE.MathUtils.radToDeg(m?.rotation?.x || 0)));
         safeSet(propInputs.ry, Math.round(THREE.MathUtils.radToDeg(m?.rotation?.y || 0)));
         safeSet(propInputs.rz, Math.round(THREE.MathUtils.radToDeg(m?.rotation?.z || 0)));
-        safeSetChecked(propInputs.anchored, m?.userData?.anchored);
+        safeSetChecked(propInputs.anchored, !m || world.isAnchored(m));
         return;
     }
 
@@ -1804,7 +2170,7 @@ function updateStudioPropertiesUI() {
     safeSet(propInputs.rz, Math.round(THREE.MathUtils.radToDeg(Number.isFinite(m.rotation.z) ? m.rotation.z : 0)));
 
     // Behavior
-    safeSetChecked(propInputs.anchored, !!m.userData?.anchored);
+    safeSetChecked(propInputs.anchored, world.isAnchored(m));
 }
 
 // Bind Property Inputs
@@ -1853,6 +2219,12 @@ const onPropChange = () => {
     if (Array.isArray(m.material)) m.material.forEach(mat => mat.color = col);
     else m.material.color = col;
     if (m.userData.serial) m.userData.serial.color = col.getHex();
+
+    // Behavior
+    if (propInputs.anchored && propInputs.anchored.checked !== world.isAnchored(m)) {
+        world.setAnchored(m, propInputs.anchored.checked);
+    }
+    world.refreshPart(m);
 };
 
 // Tool Switching Logic
@@ -1907,38 +2279,45 @@ document.getElementById('tool-publish').onclick = () => {
         return;
     }
 
-    const username = document.getElementById('input-username').value || "Guest";
     const data = world.serialize();
-    const saveObj = {
-        name: mapName,
-        author: username,
-        date: Date.now(),
-        data: data
-    };
-    
-    // Get existing
-    let saves = [];
-    try {
-        const raw = localStorage.getItem('nblox_maps');
-        if (raw) saves = JSON.parse(raw);
-    } catch(e) {}
-
-    // Overwrite if exists (by name? usually ID is better but name works for simple)
-    const idx = saves.findIndex(s => s.name === mapName);
-    if (idx >= 0) saves[idx] = saveObj;
-    else saves.push(saveObj);
-    
-    try {
-        localStorage.setItem('nblox_maps', JSON.stringify(saves));
-        
-        // Update current editing context to the new name so subsequent saves default correctly
-        editingGameName = mapName;
+    // Publishing over our own game adds a version; a remix (or a game we don't own) becomes a new game
+    const updating = !!editingGameId && !isRemixMode;
+
+    const onPublished = (game) => {
+        // Update current editing context so subsequent saves default correctly
+        editingGameName = game.name;
+        editingGameId = game.id;
+        editingGameVersion = game.version;
         isRemixMode = false; // Once saved, it's no longer a pending remix, it's your game
-        
-        alert("Game Published Successfully!");
-    } catch (e) {
-        alert("Failed to save! Game size is too large (likely the music). Try a smaller song.");
+        alert(`Game Published Successfully! (version ${game.version})`);
+    };
+    const onFailed = (err) => {
+        if (err.code === 'too_large') alert("Failed to publish! Game size is too large (likely the music). Try a smaller song.");
+        else if (err.code === 'auth_required') alert("Failed to publish: you are not signed in to the server yet. Try again in a moment.");
+        else if (err.code === 'offline') alert("Failed to publish: the server can't be reached.");
+        else alert(`Failed to publish: ${err.message}`);
+    };
+    const publishNew = () => apiRequest('/games', { method: 'POST', auth: true, body: { name: mapName, data } })
+        .then(onPublished, onFailed);
+
+    if (!updating) {
+        publishNew();
+        return;
     }
+    apiRequest(`/games/${encodeURIComponent(editingGameId)}`, {
+        method: 'PUT', auth: true, body: { name: mapName, data, baseVersion: editingGameVersion }
+    }).then(onPublished, (err) => {
+        if (err.code === 'version_conflict') {
+            // Someone (probably us in another tab) published since this copy was loaded
+            if (!confirm(`This game was updated elsewhere (now version ${err.data && err.data.version}). Overwrite it with your copy?`)) return;
+            apiRequest(`/games/${encodeURIComponent(editingGameId)}`, { method: 'PUT', auth: true, body: { name: mapName, data } })
+                .then(onPublished, onFailed);
+        } else if (err.code === 'forbidden' || err.code === 'not_found') {
+            if (confirm("You can't update this game (it was deleted or belongs to someone else). Publish it as a new game?")) publishNew();
+        } else {
+            onFailed(err);
+        }
+    });
 };
 
 document.getElementById('tool-select').onclick = () => setStudioTool('select');
@@ -2064,12 +2443,8 @@ function spawnPart(type) {
 document.getElementById('tool-delete').onclick = () => {
     if (studioSelected) {
         transformControl.detach();
-        world.mapGroup.remove(studioSelected);
-        // Remove from world lists
-        const idxI = world.items.indexOf(studioSelected);
-        if (idxI > -1) world.items.splice(idxI, 1);
-        const idxC = world.collidables.indexOf(studioSelected);
-        if (idxC > -1) world.collidables.splice(idxC, 1);
+        // Remove from the map, world lists and collision index
+        world.removePart(studioSelected);
         
         if (studioSelected.geometry) studioSelected.geometry.dispose();
         studioSelected = null;
@@ -2332,6 +2707,8 @@ document.getElementById('btn-studio').onclick = () => {
     addStudioLights();
 
     editingGameName = null;
+    editingGameId = null;
+    editingGameVersion = null;
     isRemixMode = false;
 
     world.loadMap('baseplate');
@@ -2361,6 +2738,7 @@ btnPlaySolo.onclick = () => {
 btnStopTest.onclick = () => {
     playSwitch();
     gameState = 'STUDIO';
+    world.resetMovingParts(); // Back where they were placed, so editing and saving see the placed layout
     player.mesh.visible = false;
     btnStopTest.style.display = 'none';
     studioGui.style.display = 'flex';
@@ -2389,29 +2767,92 @@ document.getElementById('btn-studio-exit').onclick = () => {
 
 // Menu UI Logic
 
-// Functionality: persistent local friend storage and helpers
-function getFriends() {
-    try {
-        return JSON.parse(localStorage.getItem('chirpless_friends') || '{}');
-    } catch (e) { return {}; }
+// Friends graph mirrored from the presence server. The server is the source of truth and pushes
+// 'friends_list' whenever it changes; these helpers only read the cached copy or send operations.
+const friendsState = { friends: [], incoming: [], outgoing: [], blocked: [] };
+// Friendships used to live in localStorage keyed by per-load ids; those entries can't be migrated
+try { localStorage.removeItem('chirpless_friends'); } catch(e){}
+
+function setFriendsState(list) {
+    friendsState.friends = Array.isArray(list.friends) ? list.friends : [];
+    friendsState.incoming = Array.isArray(list.incoming) ? list.incoming : [];
+    friendsState.outgoing = Array.isArray(list.outgoing) ? list.outgoing : [];
+    friendsState.blocked = Array.isArray(list.blocked) ? list.blocked : [];
+    updatePlayerList();
 }
-function saveFriends(obj) {
-    try { localStorage.setItem('chirpless_friends', JSON.stringify(obj)); } catch(e){}
+// 'friend' | 'incoming' | 'outgoing' | 'blocked' | null
+function friendStatus(id) {
+    for (const key of ['friends', 'incoming', 'outgoing', 'blocked']) {
+        if (friendsState[key].some(f => f.id === id)) return key === 'friends' ? 'friend' : key;
+    }
+    return null;
 }
-function addFriend(id, name) {
-    const f = getFriends();
-    f[id] = { id: id, name: name, added: Date.now() };
-    saveFriends(f);
+function sendFriendOp(type, targetId) {
+    try {
+        room.send({ type, targetId, username: document.getElementById('input-username').value || 'Guest' });
+    } catch (e) {
+        console.warn('Failed to send friend operation:', type, e);
+    }
 }
-function removeFriend(id) {
-    const f = getFriends();
-    if (f[id]) {
-        delete f[id];
-        saveFriends(f);
+
+function makePlayerRow(name, online, avatarUrl) {
+    const row = document.createElement('div');
+    row.style.display = 'flex';
+    row.style.alignItems = 'center';
+    row.style.gap = '8px';
+    row.style.padding = '6px';
+    row.style.borderRadius = '6px';
+    row.style.background = '#fff';
+    row.style.marginBottom = '4px';
+    const dot = document.createElement('div');
+    dot.style.width = '8px';
+    dot.style.height = '8px';
+    dot.style.borderRadius = '50%';
+    dot.style.flexShrink = '0';
+    dot.style.background = online ? '#00cc00' : '#999';
+    dot.style.boxShadow = online ? '0 0 2px #0f0' : 'none';
+    dot.title = online ? 'Online' : 'Offline';
+    row.appendChild(dot);
+    if (avatarUrl) {
+        const img = document.createElement('img');
+        img.src = avatarUrl;
+        img.style.width = '28px';
+        img.style.height = '28px';
+        img.style.borderRadius = '4px';
+        row.appendChild(img);
     }
+    const label = document.createElement('div');
+    label.style.flex = '1';
+    label.style.overflow = 'hidden';
+    label.style.textOverflow = 'ellipsis';
+    label.textContent = name;
+    row.appendChild(label);
+    return row;
+}
+
+function makeRowButton(text, onClick) {
+    const b = document.createElement('button');
+    b.className = 'menu-btn btn-friend';
+    b.textContent = text;
+    b.style.width = 'auto';
+    b.style.padding = '2px 6px';
+    b.style.fontSize = '11px';
+    b.addEventListener('click', (e) => {
+        e.stopPropagation();
+        playSwitch();
+        onClick();
+    });
+    return b;
 }
-function isFriend(id) {
-    return !!getFriends()[id];
+
+function makeSectionHeader(text) {
+    const h = document.createElement('div');
+    h.textContent = text;
+    h.style.fontWeight = 'bold';
+    h.style.fontSize = '12px';
+    h.style.margin = '8px 0 4px';
+    h.style.color = '#333';
+    return h;
 }
 
 // Function to handle player list updates
@@ -2424,269 +2865,414 @@ function updatePlayerList() {
     const titleBar = playerList.querySelector('.xp-title-bar span');
     if (titleBar) titleBar.textContent = `Players (${totalPlayers})`;
 
-    // Build friend set
-    const friends = getFriends();
+    const listEl = playerListContent;
+    if (!listEl || typeof listEl.appendChild !== 'function' || !('innerHTML' in listEl)) return;
+    listEl.innerHTML = '';
 
-    // Rebuild List (include friend buttons)
-    let html = `<div style="display:flex; align-items:center; gap:5px; margin-bottom: 5px;">
-        <div style="width:8px; height:8px; background:#00cc00; border-radius:50%; box-shadow: 0 0 2px #0f0;"></div>
-        <b>${username}</b>
-    </div>`;
+    // Local player row
+    const youRow = makePlayerRow(`${username} (you)`, true, '/Roblox-logo.png');
+    youRow.lastChild.style.fontWeight = 'bold';
+    listEl.appendChild(youRow);
 
+    // Players in this room, with friend controls
     rKeys.forEach(key => {
         const p = remotePlayers[key];
-        const friendLabel = friends[key] ? 'Unfriend' : 'Add Friend';
-        const friendClass = friends[key] ? 'friend-yes' : 'friend-no';
-        const star = friends[key] ? '★' : '☆';
-        html += `<div style="display:flex; align-items:center; gap:8px; margin-bottom: 5px; justify-content:space-between;">
-            <div style="display:flex; align-items:center; gap:5px;">
-                <div style="width:8px; height:8px; background:#00cc00; border-radius:50%; box-shadow: 0 0 2px #0f0;"></div>
-                <span style="font-weight:600;">${p.name}</span>
-                <span style="color:#aa0; margin-left:6px;">${star}</span>
-            </div>
-            <div style="display:flex; gap:6px;">
-                <button data-peer="${key}" class="menu-btn btn-friend" style="width:110px; padding:4px 6px; font-size:12px;">${friendLabel}</button>
-            </div>
-        </div>`;
+        const status = friendStatus(key);
+        const row = makePlayerRow(`${p.name}${status === 'friend' ? ' ★' : ''}`, true, (p && p.avatarUrl) ? p.avatarUrl : '/Roblox-logo.png');
+        if (status === 'friend') {
+            row.appendChild(makeRowButton('Unfriend', () => {
+                sendFriendOp('unfriend', key);
+                addSystemMessage(`You unfriended ${p.name}.`);
+            }));
+        } else if (status === 'incoming') {
+            row.appendChild(makeRowButton('Accept', () => sendFriendOp('friend_accept', key)));
+        } else if (status === 'outgoing') {
+            const pending = makeRowButton('Pending', () => {});
+            pending.disabled = true;
+            row.appendChild(pending);
+        } else if (status !== 'blocked') {
+            row.appendChild(makeRowButton('Add Friend', () => {
+                sendFriendOp('friend_request', key);
+                addSystemMessage(`Friend request sent to ${p.name}.`);
+            }));
+        }
+        if (status !== 'blocked') row.appendChild(makeRowButton('Trade', () => requestTrade(key, p.name)));
+        row.appendChild(makeRowButton('Report', () => reportPlayer(key, p.name)));
+        if (status === 'blocked') {
+            row.appendChild(makeRowButton('Unblock', () => sendFriendOp('unblock', key)));
+        } else {
+            row.appendChild(makeRowButton('Block', () => {
+                if (!confirm(`Block ${p.name}? They won't be able to send you friend requests.`)) return;
+                sendFriendOp('block', key);
+                addSystemMessage(`You blocked ${p.name}.`);
+            }));
+        }
+        listEl.appendChild(row);
     });
 
-    playerListContent.innerHTML = html;
-
-    // Also populate the fixed left-side leaderbar with icon + username rows
-    try {
-        const listEl = document.getElementById('plist-content');
-        const countEl = document.getElementById('player-count');
-        if (listEl) {
-            listEl.innerHTML = '';
-            // Local player row
-            const username = document.getElementById('input-username').value || "Guest";
-            const youRow = document.createElement('div');
-            youRow.style.display = 'flex';
-            youRow.style.alignItems = 'center';
-            youRow.style.gap = '8px';
-            youRow.style.padding = '6px';
-            youRow.style.borderRadius = '6px';
-            youRow.style.background = '#fff';
-            youRow.innerHTML = `<img src="/Roblox-logo.png" style="width:28px;height:28px;border-radius:4px;"> <div style="flex:1;font-weight:bold;">${username} (you)</div>`;
-            listEl.appendChild(youRow);
-
-            // Remote players
-            Object.keys(remotePlayers).forEach(key => {
-                const p = remotePlayers[key];
-                const row = document.createElement('div');
-                row.style.display = 'flex';
-                row.style.alignItems = 'center';
-                row.style.gap = '8px';
-                row.style.padding = '6px';
-                row.style.borderRadius = '6px';
-                row.style.background = '#fff';
-                row.innerHTML = `<img src="${(p && p.avatarUrl) ? p.avatarUrl : '/Roblox-logo.png'}" style="width:28px;height:28px;border-radius:4px;"> <div style="flex:1;">${p.name}</div>`;
-                listEl.appendChild(row);
-            });
-        }
-        if (countEl) countEl.textContent = String(1 + Object.keys(remotePlayers).length);
-    } catch(e){}
+    // Incoming requests from players who aren't in this room
+    const incoming = friendsState.incoming.filter(f => !remotePlayers[f.id]);
+    if (incoming.length) {
+        listEl.appendChild(makeSectionHeader(`Friend Requests (${incoming.length})`));
+        incoming.forEach(f => {
+            const row = makePlayerRow(f.name, false, null);
+            row.appendChild(makeRowButton('Accept', () => sendFriendOp('friend_accept', f.id)));
+            row.appendChild(makeRowButton('Decline', () => sendFriendOp('friend_decline', f.id)));
+            listEl.appendChild(row);
+        });
+    }
 
-    // Attach handlers to friend buttons
-    const btns = playerListContent.querySelectorAll('.btn-friend');
-    btns.forEach(b => {
-        b.addEventListener('click', (e) => {
-            const peerId = b.getAttribute('data-peer');
-            const rp = remotePlayers[peerId];
-            if (!rp) return;
-            if (isFriend(peerId)) {
-                // Unfriend locally
-                removeFriend(peerId);
-                addChatMessage('System', `You unfriended ${rp.name}.`);
-                updatePlayerList();
-            } else {
-                // Send friend request to peer (they will be prompted)
-                try {
-                    room.send({ type: 'friend_request', targetId: peerId, username: document.getElementById('input-username').value || 'Guest' });
-                    addChatMessage('System', `Friend request sent to ${rp.name}.`);
-                } catch (e) {
-                    console.warn('Failed to send friend request:', e);
-                    addChatMessage('System', `Failed to send friend request to ${rp.name}.`);
-                }
-            }
+    // Friends elsewhere (other maps or offline) with their online status from the server
+    const elsewhere = friendsState.friends.filter(f => !remotePlayers[f.id]);
+    if (elsewhere.length) {
+        const onlineCount = elsewhere.filter(f => f.online).length;
+        listEl.appendChild(makeSectionHeader(`Friends (${onlineCount}/${elsewhere.length} online)`));
+        elsewhere.forEach(f => {
+            const row = makePlayerRow(f.name, !!f.online, null);
+            row.appendChild(makeRowButton('Unfriend', () => {
+                if (!confirm(`Remove ${f.name} from your friends?`)) return;
+                sendFriendOp('unfriend', f.id);
+            }));
+            listEl.appendChild(row);
         });
-    });
+    }
+
+    // Keep the left-side leaderbar count updated (if present)
+    const countEl = document.getElementById('player-count');
+    if (countEl) countEl.textContent = String(totalPlayers);
 }
 
 
 
-// Reviews System
-const getReviews = (mapName) => {
-    try {
-        const store = JSON.parse(localStorage.getItem('chirpless_reviews') || '{}');
-        return store[mapName] || [];
-    } catch (e) { return []; }
-};
+// Reviews System (stored on the server per game; replies thread under reviews and other replies)
+const REVIEW_PAGE_SIZE = 20;
+let reviewsShownFor = null;
+let reviewsPage = 1;
 
-const saveReviews = (mapName, reviews) => {
-    try {
-        const store = JSON.parse(localStorage.getItem('nblox_reviews') || '{}');
-        store[mapName] = reviews;
-        localStorage.setItem('nblox_reviews', JSON.stringify(store));
-    } catch (e) {}
-};
+const reviewsUrl = (mapName, suffix = '') => `/games/${encodeURIComponent(mapName)}/reviews${suffix}`;
 
-const renderReviews = (mapName) => {
-    const list = document.getElementById('gd-reviews-list');
-    list.innerHTML = '';
-    let reviews = getReviews(mapName);
-
-    // Human name pool to make reviews feel varied
-    const humanNames = ['Maya','Tom','Ava','Ben','Skyler','Jules','Rin','Noah','Lina','Omar','Zoe','Kai','Priya','Luca','Mina','Eli','Sasha','Ivy','Mason'];
-
-    // If no reviews exist, seed a few human-like example reviews for common maps
-    if (!reviews || reviews.length === 0) {
-        const seedBase = {
-            'platform': [
-                { text: 'Nice chill hub — great to meet friends here.', ago: 1 },
-                { text: 'Could use a few more spawn points but overall good.', ago: 0.04 }
-            ],
-            'sillyville': [
-                { text: 'Loved planting seeds! Cute and relaxing.', ago: 0.08 },
-                { text: 'Wish the plants grew faster, but fun loop.', ago: 0.4 }
-            ],
-            'lucky_world': [
-                { text: 'Coins are everywhere and pets are adorable, 10/10!', ago: 0.02 }
-            ],
-            'chirpcity': [
-                { text: 'City is huge and fun to explore, a few places felt empty though.', ago: 0.05 }
-            ],
-            'blocks': [
-                { text: 'Made this park—hope you enjoy the mini-golf!', ago: 0.01 },
-                { text: 'Benches are a cute touch. Sat and watched people play.', ago: 0.003 }
-            ],
-            'home': [
-                { text: 'Creepy in a good way — ghost teleporting gave me a jump scare.', ago: 0.06 },
-                { text: 'Loved the atmosphere and subtle scares.', ago: 0.0025 }
-            ]
-        };
-        const seed = seedBase[mapName] || [{ text: 'Nice place to visit!', ago: 0.1 }];
-        reviews = seed.map(s => ({
-            author: humanNames[Math.floor(Math.random() * humanNames.length)],
-            text: s.text,
-            date: Date.now() - Math.floor(s.ago * 24 * 60 * 60 * 1000),
-            replies: []
-        }));
-        saveReviews(mapName, reviews);
-    }
+const reviewActionLink = (label, onClick) => {
+    const link = document.createElement('a');
+    link.textContent = label;
+    link.style.fontSize = '10px';
+    link.style.color = '#666';
+    link.style.textDecoration = 'underline';
+    link.style.cursor = 'pointer';
+    link.style.marginLeft = '5px';
+    link.onclick = onClick;
+    return link;
+};
 
-    if (!reviews || reviews.length === 0) {
-        list.innerHTML = '<div style="color: #666; font-style: italic;">No reviews yet. Be the first!</div>';
-        return;
-    }
+const reviewFailed = (err) => {
+    if (err.code === 'auth_required') alert('You need to be connected to the game server to do that.');
+    else if (err.code === 'invalid_rating') alert('Pick a star rating for your review.');
+    else if (err.code === 'own_content') alert("You can't report your own post.");
+    else alert(`Something went wrong: ${err.message}`);
+};
 
-    reviews.forEach((rev, index) => {
-        const div = document.createElement('div');
+// One review or reply with its actions and nested replies
+const renderReviewEntry = (mapName, rev, depth) => {
+    const div = document.createElement('div');
+    if (depth === 0) {
         div.style.marginBottom = '8px';
         div.style.borderBottom = '1px dashed #ccc';
         div.style.paddingBottom = '4px';
+    } else {
+        div.style.fontSize = '11px';
+        div.style.marginTop = '2px';
+    }
 
-        const header = document.createElement('div');
-        header.style.color = 'blue';
-        header.style.fontWeight = 'bold';
-        header.textContent = rev.author + ' says:';
-        div.appendChild(header);
+    const header = document.createElement('div');
+    header.style.color = depth === 0 ? 'blue' : '#008';
+    header.style.fontWeight = 'bold';
+    if (rev.deleted) {
+        header.style.color = '#999';
+        header.textContent = '[deleted]';
+    } else {
+        const stars = rev.rating ? ' ' + '★'.repeat(rev.rating) + '☆'.repeat(5 - rev.rating) : '';
+        header.textContent = depth === 0 ? `${rev.author} says:${stars}` : `${rev.author}:`;
+        const when = document.createElement('span');
+        when.style.fontWeight = 'normal';
+        when.style.color = '#888';
+        when.style.fontSize = '10px';
+        when.style.marginLeft = '6px';
+        when.textContent = new Date(rev.createdAt).toLocaleDateString();
+        header.appendChild(when);
+        if (rev.reportCount) {
+            const flag = document.createElement('span');
+            flag.style.color = '#c00';
+            flag.style.fontSize = '10px';
+            flag.style.marginLeft = '6px';
+            flag.textContent = `(${rev.reportCount} reports)`;
+            header.appendChild(flag);
+        }
+    }
+    div.appendChild(header);
 
+    if (!rev.deleted) {
         const body = document.createElement('div');
         body.textContent = rev.text;
         body.style.marginLeft = '5px';
         div.appendChild(body);
 
-        // Reply Button
-        const replyBtn = document.createElement('a');
-        replyBtn.textContent = 'Reply';
-        replyBtn.style.fontSize = '10px';
-        replyBtn.style.color = '#666';
-        replyBtn.style.textDecoration = 'underline';
-        replyBtn.style.cursor = 'pointer';
-        replyBtn.style.marginLeft = '5px';
-        replyBtn.onclick = () => {
+        div.appendChild(reviewActionLink('Reply', () => {
             const replyText = prompt("Reply to " + rev.author + ":");
-            if (replyText) {
-                rev.replies.push({
-                    author: document.getElementById('input-username').value || "Guest",
-                    text: replyText
-                });
-                saveReviews(mapName, reviews);
-                renderReviews(mapName);
-            }
-        };
-        div.appendChild(replyBtn);
-
-        // Render Replies
-        if (rev.replies && rev.replies.length > 0) {
-            const repliesDiv = document.createElement('div');
-            repliesDiv.style.marginLeft = '15px';
-            repliesDiv.style.marginTop = '4px';
-            repliesDiv.style.borderLeft = '2px solid #ccc';
-            repliesDiv.style.paddingLeft = '5px';
-            
-            rev.replies.forEach(rep => {
-                const rDiv = document.createElement('div');
-                rDiv.style.fontSize = '11px';
-                rDiv.style.marginTop = '2px';
-                rDiv.innerHTML = `<span style="color:#008; font-weight:bold;">${rep.author}</span>: ${rep.text}`;
-                repliesDiv.appendChild(rDiv);
-            });
-            div.appendChild(repliesDiv);
+            if (!replyText || !replyText.trim()) return;
+            apiRequest(reviewsUrl(mapName), { method: 'POST', auth: true, body: { text: replyText.trim(), parentId: rev.id } })
+                .then(() => renderReviews(mapName, reviewsPage))
+                .catch(reviewFailed);
+        }));
+        if (rev.authorId !== room.clientId) {
+            div.appendChild(reviewActionLink('Report', () => {
+                const reason = prompt(`Why are you reporting this post by ${rev.author}?`);
+                if (reason === null) return;
+                apiRequest(reviewsUrl(mapName, `/${encodeURIComponent(rev.id)}/report`), { method: 'POST', auth: true, body: { reason } })
+                    .then(() => alert('Thanks, a moderator will take a look.'))
+                    .catch(reviewFailed);
+            }));
         }
-
-        list.appendChild(div);
-    });
-};
-
-function updateGameDetailPlayerCount() {
-    const el = document.getElementById('gd-player-count');
-    if (!el || gameDetailMenu.style.display === 'none' || !pendingGameStart) return;
-    
-    const targetMap = pendingGameStart.name;
-    let count = 0;
-    
-    // Count players (including self if playing) with matching map
-    const presences = room.presence || {};
-    for (const id in presences) {
-        const p = presences[id];
-        if (p && p.map === targetMap) {
-            count++;
+        if (rev.canDelete) {
+            div.appendChild(reviewActionLink('Delete', () => {
+                if (!confirm('Delete this post?')) return;
+                apiRequest(reviewsUrl(mapName, `/${encodeURIComponent(rev.id)}`), { method: 'DELETE', auth: true })
+                    .then(() => renderReviews(mapName, reviewsPage))
+                    .catch(reviewFailed);
+            }));
         }
     }
-    
-    el.textContent = `${count} Players Online`;
-}
 
-document.getElementById('btn-post-review').onclick = () => {
-    if (!pendingGameStart) return;
-    const input = document.getElementById('gd-review-input');
-    const text = input.value.trim();
+    if (rev.replies && rev.replies.length > 0) {
+        const repliesDiv = document.createElement('div');
+        repliesDiv.style.marginLeft = depth < 4 ? '15px' : '0';
+        repliesDiv.style.marginTop = '4px';
+        repliesDiv.style.borderLeft = '2px solid #ccc';
+        repliesDiv.style.paddingLeft = '5px';
+        rev.replies.forEach(reply => repliesDiv.appendChild(renderReviewEntry(mapName, reply, depth + 1)));
+        div.appendChild(repliesDiv);
+    }
+    return div;
+};
+
+const renderReviews = (mapName, page = 1) => {
+    const list = document.getElementById('gd-reviews-list');
+    if (!list) return;
+    reviewsShownFor = mapName;
+    reviewsPage = page;
+    apiRequest(`${reviewsUrl(mapName)}?page=${page}&limit=${REVIEW_PAGE_SIZE}`, { auth: true })
+        .then(data => {
+            if (reviewsShownFor !== mapName) return; // another game was opened meanwhile
+            list.innerHTML = '';
+            if (data.rating && data.rating.count) {
+                const summary = document.createElement('div');
+                summary.style.fontWeight = 'bold';
+                summary.style.marginBottom = '6px';
+                summary.textContent = `★ ${data.rating.average} / 5 from ${data.rating.count} review${data.rating.count === 1 ? '' : 's'}`;
+                list.appendChild(summary);
+            }
+            if (!data.reviews || data.reviews.length === 0) {
+                list.innerHTML += '<div style="color: #666; font-style: italic;">No reviews yet. Be the first!</div>';
+                return;
+            }
+            data.reviews.forEach(rev => list.appendChild(renderReviewEntry(mapName, rev, 0)));
+
+            // Pager
+            const pages = Math.ceil(data.total / data.limit);
+            if (pages > 1) {
+                const pager = document.createElement('div');
+                pager.style.textAlign = 'center';
+                pager.style.fontSize = '11px';
+                if (page > 1) pager.appendChild(reviewActionLink('« Newer', () => renderReviews(mapName, page - 1)));
+                const label = document.createElement('span');
+                label.style.margin = '0 6px';
+                label.textContent = `Page ${page} of ${pages}`;
+                pager.appendChild(label);
+                if (page < pages) pager.appendChild(reviewActionLink('Older »', () => renderReviews(mapName, page + 1)));
+                list.appendChild(pager);
+            }
+        })
+        .catch(() => {
+            if (reviewsShownFor !== mapName) return;
+            list.innerHTML = '<div style="color: #666; font-style: italic;">Reviews are unavailable right now.</div>';
+        });
+};
+
+// Live instance list for the game detail page, fetched from the presence server (throttled because
+// this is called on every presence change)
+let gdInstancesFetchedAt = 0;
+let gdInstancesMap = null;
+
+function renderGameInstances(data) {
+    const box = document.getElementById('gd-instances');
+    if (!box || !('innerHTML' in box)) return;
+    box.innerHTML = '';
+    if (!data.instances || data.instances.length === 0) {
+        box.style.display = 'none';
+        return;
+    }
+    box.style.display = 'block';
+    data.instances.forEach(inst => {
+        const row = document.createElement('div');
+        row.style.display = 'flex';
+        row.style.alignItems = 'center';
+        row.style.justifyContent = 'space-between';
+        row.style.gap = '6px';
+        row.style.padding = '2px 4px';
+        row.style.borderBottom = '1px dashed #ccc';
+        const label = document.createElement('span');
+        label.textContent = `Server #${inst.instance} — ${inst.players}/${data.maxPlayers} players`;
+        if (inst.names && inst.names.length) label.title = inst.names.join(', ');
+        row.appendChild(label);
+        const join = document.createElement('button');
+        join.className = 'menu-btn';
+        join.textContent = inst.full ? 'Full' : 'Join';
+        join.disabled = !!inst.full;
+        join.style.width = 'auto';
+        join.style.padding = '1px 8px';
+        join.style.fontSize = '11px';
+        join.style.margin = '0';
+        join.addEventListener('click', () => {
+            if (!pendingGameStart) return;
+            pendingGameStart.instance = inst.id;
+            document.getElementById('btn-gd-play').click();
+        });
+        row.appendChild(join);
+        box.appendChild(row);
+    });
+}
+
+function updateGameDetailPlayerCount(force = false) {
+    const el = document.getElementById('gd-player-count');
+    if (!el || gameDetailMenu.style.display === 'none' || !pendingGameStart) return;
+    
+    const targetMap = pendingGameStart.name;
+    if (!force && targetMap === gdInstancesMap && Date.now() - gdInstancesFetchedAt < 3000) return;
+    gdInstancesFetchedAt = Date.now();
+    gdInstancesMap = targetMap;
+
+    fetch(`/instances/${encodeURIComponent(targetMap)}`)
+        .then(res => res.ok ? res.json() : null)
+        .then(data => {
+            if (!data || !pendingGameStart || pendingGameStart.name !== targetMap) return;
+            el.textContent = `${data.players} Players Online`;
+            renderGameInstances(data);
+        })
+        .catch(() => {
+            // Server unreachable: fall back to counting players we can see with a matching map
+            let count = 0;
+            const presences = room.presence || {};
+            for (const id in presences) {
+                const p = presences[id];
+                if (p && p.map === targetMap) count++;
+            }
+            el.textContent = `${count} Players Online`;
+        });
+}
+// Keep the instance list fresh while the detail page is open
+setInterval(() => { try { updateGameDetailPlayerCount(true); } catch(e){} }, 5000);
+
+document.getElementById('btn-post-review').onclick = () => {
+    if (!pendingGameStart) return;
+    const input = document.getElementById('gd-review-input');
+    const text = input.value.trim();
     if (!text) return;
+    const rating = parseInt(document.getElementById('gd-review-rating').value, 10);
     
     playSwitch();
     
     const mapName = pendingGameStart.name;
-    const reviews = getReviews(mapName);
-    
-    reviews.push({
-        author: document.getElementById('input-username').value || "Guest",
-        text: text,
-        date: Date.now(),
-        replies: []
-    });
-    
-    saveReviews(mapName, reviews);
-    input.value = '';
-    renderReviews(mapName);
+    // Posting again replaces your earlier review of this game
+    apiRequest(reviewsUrl(mapName), { method: 'POST', auth: true, body: { text, rating } })
+        .then(() => {
+            input.value = '';
+            renderReviews(mapName);
+        })
+        .catch(reviewFailed);
     updateGameDetailPlayerCount();
 };
 
+// --- Game votes ---
+// Every vote widget on screen registers its game id; the server pushes "game_votes" tallies for the ids we
+// report with watch_games. Widgets that have left the DOM are dropped on the next sync.
+const gameVoteViews = new Map(); // gameId -> Set of { el, render }
+let watchGamesTimer = null;
+
+function syncWatchedGames() {
+    watchGamesTimer = null;
+    for (const [id, views] of gameVoteViews) {
+        views.forEach(v => { if (!v.el.isConnected) views.delete(v); });
+        if (views.size === 0) gameVoteViews.delete(id);
+    }
+    room.send({ type: 'watch_games', ids: Array.from(gameVoteViews.keys()) });
+}
+
+function watchGameVotes(id, el, render) {
+    if (!gameVoteViews.has(id)) gameVoteViews.set(id, new Set());
+    gameVoteViews.get(id).add({ el, render });
+    // Batch the many widgets of one catalog page into a single watch_games message
+    if (!watchGamesTimer) watchGamesTimer = setTimeout(syncWatchedGames, 0);
+}
+
+function applyGameVotes(tally) {
+    const views = gameVoteViews.get(tally.id);
+    if (views) views.forEach(v => { try { v.render(tally); } catch(e){} });
+}
+
+// ▲/▼ buttons for one game (highlighting our own vote), optionally also updating a like-percentage element
+function makeVoteWidget(g, percentEl = null) {
+    const state = { up: g.up || 0, down: g.down || 0, myVote: g.myVote || null };
+    const wrap = document.createElement('div');
+    wrap.style.display = 'flex';
+    wrap.style.alignItems = 'center';
+    wrap.style.gap = '6px';
+
+    const upBtn = document.createElement('button');
+    upBtn.className = 'menu-btn';
+    upBtn.style.padding = '4px 8px';
+    upBtn.style.width = 'auto';
+    const downBtn = document.createElement('button');
+    downBtn.className = 'menu-btn';
+    downBtn.style.padding = '4px 8px';
+    downBtn.style.width = 'auto';
+
+    const render = (t) => {
+        state.up = t.up || 0;
+        state.down = t.down || 0;
+        // Pushed tallies don't carry our own vote; only our vote responses do
+        if ('myVote' in t) state.myVote = t.myVote;
+        upBtn.textContent = `▲ ${state.up}`;
+        downBtn.textContent = `▼ ${state.down}`;
+        upBtn.style.outline = state.myVote === 'up' ? '2px solid #2a8a2a' : 'none';
+        downBtn.style.outline = state.myVote === 'down' ? '2px solid #b33' : 'none';
+        if (percentEl) percentEl.textContent = `${likePercentage(state)}%`;
+    };
+
+    const vote = (choice) => {
+        playSwitch();
+        // Clicking your current vote again retracts it
+        const next = state.myVote === choice ? null : choice;
+        apiRequest(`/games/${encodeURIComponent(g.id)}/vote`, { method: 'PUT', auth: true, body: { vote: next } })
+            .then(applyGameVotes)
+            .catch(err => {
+                if (err.code === 'auth_required') alert('You need to be connected to the game server to vote.');
+                else alert(`Vote failed: ${err.message}`);
+            });
+    };
+    upBtn.addEventListener('click', () => vote('up'));
+    downBtn.addEventListener('click', () => vote('down'));
+
+    wrap.appendChild(upBtn);
+    wrap.appendChild(downBtn);
+    render(state);
+    watchGameVotes(g.id, wrap, render);
+    return wrap;
+}
+
 // Game Launching
-let pendingGameStart = null; // { name, data }
+let pendingGameStart = null; // { name, data, instance, published }
 
-const openGameDetail = (title, mapName, mapData = null) => {
+// game: the catalog entry, if opened from the catalog. Published (non-official) games are fetched when play starts.
+const openGameDetail = (title, mapName, mapData = null, game = null) => {
+    const published = !!(game && !game.official);
     playSwitch();
     try { if (playMenu) playMenu.style.display = 'none'; } catch(e){}
     try { if (gameDetailMenu) gameDetailMenu.style.display = 'block'; } catch(e){}
@@ -2699,15 +3285,41 @@ const openGameDetail = (title, mapName, mapData = null) => {
 
     // Don't display or inject any author/credit line for game detail (author intentionally hidden).
     // Remember where we came from so Back can restore playing session if applicable
-    pendingGameStart = { name: mapName, data: mapData };
+    pendingGameStart = { name: mapName, data: mapData, instance: null, published };
     try { prevGameState = gameState; } catch(e) {}
     
     // Load reviews and update player count only if appropriate elements exist
     try { renderReviews(mapName); } catch(e){}
-    try { updateGameDetailPlayerCount(); } catch(e){}
+    try { renderGameInstances({ instances: [] }); } catch(e){}
+    try {
+        const votesBox = document.getElementById('gd-votes');
+        if ('innerHTML' in votesBox) {
+            votesBox.innerHTML = '';
+            if (game) votesBox.appendChild(makeVoteWidget(game));
+        }
+    } catch(e){}
+    try { updateGameDetailPlayerCount(true); } catch(e){}
 };
 
-function startGame(mapName, mapData = null) {
+// Starts the game shown on the detail page, downloading a published game's world first
+function startPendingGame() {
+    const pending = pendingGameStart;
+    if (!pending) return;
+    if (pending.data || !pending.published) {
+        startGame(pending.name, pending.data, pending.instance || null);
+        return;
+    }
+    apiRequest(`/games/${encodeURIComponent(pending.name)}`)
+        .then(game => {
+            pending.data = game.data;
+            if (pendingGameStart === pending) startGame(pending.name, pending.data, pending.instance || null);
+        })
+        .catch(err => {
+            alert(err.code === 'not_found' ? 'This game is no longer available.' : "Couldn't download this game. Please try again.");
+        });
+}
+
+function startGame(mapName, mapData = null, instanceId = null) {
     playSwitch();
 
     // Create simple loading overlay like 2006 Roblox (reused/created)
@@ -2832,14 +3444,13 @@ function startGame(mapName, mapData = null) {
         player.forcedAnim = null;
 
         const username = document.getElementById('input-username').value || "Guest";
-        addChatMessage("System", `${username} has joined the game.`);
+        addSystemMessage(`${username} has joined the game.`);
 
         playerList.style.display = 'flex';
         updatePlayerList();
 
         // map specific UI/hud handling
         if (mapNameLocal === 'lucky_world') {
-            playerCoins = 0;
             updateCoinUI();
             document.getElementById('lucky-hud').style.display = 'block';
         } else {
@@ -2859,6 +3470,7 @@ function startGame(mapName, mapData = null) {
 
         if (world.mapGroup) world.mapGroup.visible = true;
         player.respawn(world);
+        loadPets();
 
         // Auto-lock mouse on start
         setTimeout(() => {
@@ -2867,20 +3479,29 @@ function startGame(mapName, mapData = null) {
             }
         }, 100);
 
-        // Make server treat this client as joining the map-specific room so presence/chat only goes to players in this map.
+        // Make server treat this client as joining an instance of this map so presence/chat only goes to players in it.
         try {
-            // Ask server to remove us from the default/global room (best-effort) then join the map room.
-            try { room.send({ type: 'leave', room: 'global', clientId: room.clientId }); } catch(e){}
-            try { room.send({ type: 'join', room: mapNameLocal, clientId: room.clientId }); } catch(e){}
+            // The server moves us out of the global room and picks (or spills over to) an instance with space
+            room.joinMap(mapNameLocal, instanceId).then((info) => {
+                if (info.spilled) addSystemMessage(`That server was full, so you joined server #${info.instance}.`);
+                else addSystemMessage(`Joined server #${info.instance}.`);
+            }).catch((e) => {
+                // A ban is reported separately by the 'moderation' message, which also sends us back to the menu
+                if (e.message === 'banned') return;
+                console.warn('Failed to join map instance:', e);
+                if (e.message === 'server_error') addSystemMessage("Couldn't join a server for this game right now; other players won't see you.");
+            });
 
             room.updatePresence({
                 username: document.getElementById('input-username').value || "Guest",
-                appearance: player.serializeAppearance(),
+                appearance: player.serializeAppearance(appearanceAssetId),
                 map: mapNameLocal,
                 position: player.position,
                 rotation: player.mesh.rotation.y,
                 animState: 'idle'
             });
+            // Shirts and faces not uploaded yet follow once they are
+            publishAppearance();
         } catch (e) {
             console.warn("Failed to send initial presence / join room:", e);
         }
@@ -3065,6 +3686,7 @@ function startGame(mapName, mapData = null) {
                 feedback.textContent = 'Correct! Level complete.';
                 if (level >= maxLevel) {
                     // Win
+                    claimAward('puzzle_complete');
                     setTimeout(() => {
                         feedback.textContent = 'You completed all puzzles! Well done!';
                         btnNext.style.display = 'none';
@@ -3189,6 +3811,7 @@ document.getElementById('btn-play').onclick = () => {
             <option value="popular">Popular</option>
             <option value="most_upvoted">Most Upvoted</option>
             <option value="most_downvoted">Most Downvoted</option>
+            <option value="newest">Newest</option>
         `;
 
         controls.appendChild(search);
@@ -3204,160 +3827,165 @@ document.getElementById('btn-play').onclick = () => {
         rows.style.maxHeight = '62vh';
         tabContent.appendChild(rows);
 
-        const render = () => {
-            const fil = document.getElementById('game-filter').value;
-            const q = document.getElementById('game-search').value || '';
-            const items = getFilteredGames({ filter: fil, search: q });
-
-            rows.innerHTML = '';
-            items.forEach(g => {
-                const votesKey = `nblox_votes_${g.id}`;
-                let stored = null;
-                try { stored = JSON.parse(localStorage.getItem(votesKey) || 'null'); } catch(e){ stored = null; }
-                if (!stored) {
-                    stored = { up: g.up || 0, down: g.down || 0, user: null };
-                    try { localStorage.setItem(votesKey, JSON.stringify(stored)); } catch(e){}
-                }
-
-                const vKeyVisits = `nblox_visits_${g.id}`;
-                let visits = parseInt(sessionStorage.getItem(vKeyVisits) || '0', 10);
-                if (!visits) {
-                    visits = g.visits || (1000 + Math.floor(Math.random() * 50000));
-                    sessionStorage.setItem(vKeyVisits, String(visits));
-                }
-
-                const container = document.createElement('div');
-                container.style.display = 'flex';
-                container.style.alignItems = 'center';
-                container.style.gap = '12px';
-                container.style.padding = '8px';
-                container.style.background = '#fff';
-                container.style.border = '2px solid #ddd';
-                container.style.borderRadius = '6px';
-
-                const thumb = document.createElement('img');
-                thumb.src = g.thumb || '/null_plainsky512_ft.jpg';
-                thumb.style.width = '160px';
-                thumb.style.height = '96px';
-                thumb.style.objectFit = 'cover';
-                thumb.style.border = '1px solid #bbb';
-                container.appendChild(thumb);
-
-                const meta = document.createElement('div');
-                meta.style.flex = '1';
-                meta.style.display = 'flex';
-                meta.style.flexDirection = 'column';
-                meta.style.gap = '6px';
-
-                const titleRow = document.createElement('div');
-                titleRow.style.display = 'flex';
-                titleRow.style.justifyContent = 'space-between';
-                titleRow.style.alignItems = 'center';
-
-                const title = document.createElement('div');
-                title.style.fontWeight = 'bold';
-                title.style.fontSize = '18px';
-                title.textContent = g.name;
-                titleRow.appendChild(title);
-
-                const stats = document.createElement('div');
-                stats.style.fontSize = '13px';
-                stats.style.color = '#666';
-                stats.style.display = 'flex';
-                stats.style.alignItems = 'center';
-                stats.style.gap = '8px';
-
-                const visitsText = visits >= 1000 ? `${Math.round(visits/100)/10}K visits` : `${visits} visits`;
-                const up = stored.up || 0;
-                const down = stored.down || 0;
-                const percent = likePercentage({ up, down }) || 0;
-
-                // Like icon (clean) replacing emoji
-                const likeWrap = document.createElement('div');
-                likeWrap.style.display = 'flex';
-                likeWrap.style.alignItems = 'center';
-                likeWrap.style.gap = '6px';
-                likeWrap.innerHTML = `<svg width="16" height="16" viewBox="0 0 24 24" fill="#ff6b6b" xmlns="http://www.w3.org/2000/svg"><path d="M12 21s-7.5-4.6-9.3-7.1C1.1 11.8 3 7.4 6.6 6.3 8.3 5.8 10 6.5 11 7.7c1-1.2 2.7-1.9 4.4-1.4 3.6 1.1 5.5 5.5 3.9 7.6C19.5 16.4 12 21 12 21z"/></svg><span style="font-weight:700;">${percent}%</span>`;
-                
-                const visitsEl = document.createElement('div');
-                visitsEl.textContent = visitsText;
-
-                stats.appendChild(visitsEl);
-                stats.appendChild(likeWrap);
-
-                titleRow.appendChild(stats);
-                meta.appendChild(titleRow);
-
-                const descRow = document.createElement('div');
-                descRow.style.display = 'flex';
-                descRow.style.justifyContent = 'space-between';
-                descRow.style.alignItems = 'center';
-
-                const playBtn = document.createElement('button');
-                playBtn.className = 'menu-btn';
-                playBtn.textContent = 'Play';
-                playBtn.style.width = '120px';
-                playBtn.onclick = () => openGameDetail(g.name, g.id);
-
-                const voteWrap = document.createElement('div');
-                voteWrap.style.display = 'flex';
-                voteWrap.style.alignItems = 'center';
-                voteWrap.style.gap = '6px';
-
-                const upBtn = document.createElement('button');
-                upBtn.className = 'menu-btn';
-                upBtn.textContent = `▲ ${stored.up}`;
-                upBtn.style.padding = '4px 8px';
-                const downBtn = document.createElement('button');
-                downBtn.className = 'menu-btn';
-                downBtn.textContent = `▼ ${stored.down}`;
-                downBtn.style.padding = '4px 8px';
-
-                const refreshVotes = () => {
-                    upBtn.textContent = `▲ ${stored.up}`;
-                    downBtn.textContent = `▼ ${stored.down}`;
-                    const p = likePercentage({ up: stored.up, down: stored.down });
-                    stats.innerHTML = `${visitsText} • 👍 ${p}%`;
-                };
-
-                upBtn.addEventListener('click', () => {
+        const makeGameRow = (g) => {
+            const visits = g.visits || 0;
+
+            const container = document.createElement('div');
+            container.style.display = 'flex';
+            container.style.alignItems = 'center';
+            container.style.gap = '12px';
+            container.style.padding = '8px';
+            container.style.background = '#fff';
+            container.style.border = '2px solid #ddd';
+            container.style.borderRadius = '6px';
+
+            const thumb = document.createElement('img');
+            thumb.src = g.thumb || '/null_plainsky512_ft.jpg';
+            thumb.style.width = '160px';
+            thumb.style.height = '96px';
+            thumb.style.objectFit = 'cover';
+            thumb.style.border = '1px solid #bbb';
+            container.appendChild(thumb);
+
+            const meta = document.createElement('div');
+            meta.style.flex = '1';
+            meta.style.display = 'flex';
+            meta.style.flexDirection = 'column';
+            meta.style.gap = '6px';
+
+            const titleRow = document.createElement('div');
+            titleRow.style.display = 'flex';
+            titleRow.style.justifyContent = 'space-between';
+            titleRow.style.alignItems = 'center';
+
+            const title = document.createElement('div');
+            title.style.fontWeight = 'bold';
+            title.style.fontSize = '18px';
+            title.textContent = g.name;
+            if (!g.official && g.author) {
+                const byline = document.createElement('div');
+                byline.style.fontSize = '12px';
+                byline.style.fontWeight = 'normal';
+                byline.style.color = '#666';
+                byline.textContent = `by ${g.author}`;
+                title.appendChild(byline);
+            }
+            titleRow.appendChild(title);
+
+            const stats = document.createElement('div');
+            stats.style.fontSize = '13px';
+            stats.style.color = '#666';
+            stats.style.display = 'flex';
+            stats.style.alignItems = 'center';
+            stats.style.gap = '8px';
+
+            const visitsText = visits >= 1000 ? `${Math.round(visits/100)/10}K visits` : `${visits} visits`;
+            const percent = likePercentage(g) || 0;
+
+            // Like icon (clean) replacing emoji
+            const likeWrap = document.createElement('div');
+            likeWrap.style.display = 'flex';
+            likeWrap.style.alignItems = 'center';
+            likeWrap.style.gap = '6px';
+            likeWrap.innerHTML = `<svg width="16" height="16" viewBox="0 0 24 24" fill="#ff6b6b" xmlns="http://www.w3.org/2000/svg"><path d="M12 21s-7.5-4.6-9.3-7.1C1.1 11.8 3 7.4 6.6 6.3 8.3 5.8 10 6.5 11 7.7c1-1.2 2.7-1.9 4.4-1.4 3.6 1.1 5.5 5.5 3.9 7.6C19.5 16.4 12 21 12 21z"/></svg><span style="font-weight:700;">${percent}%</span>`;
+            const percentEl = likeWrap.querySelector('span');
+            
+            const visitsEl = document.createElement('div');
+            visitsEl.textContent = visitsText;
+
+            stats.appendChild(visitsEl);
+            stats.appendChild(likeWrap);
+
+            titleRow.appendChild(stats);
+            meta.appendChild(titleRow);
+
+            const descRow = document.createElement('div');
+            descRow.style.display = 'flex';
+            descRow.style.justifyContent = 'space-between';
+            descRow.style.alignItems = 'center';
+
+            const playBtn = document.createElement('button');
+            playBtn.className = 'menu-btn';
+            playBtn.textContent = 'Play';
+            playBtn.style.width = '120px';
+            playBtn.onclick = () => openGameDetail(g.name, g.id, null, g);
+
+            const voteWrap = makeVoteWidget(g, percentEl);
+
+            descRow.appendChild(playBtn);
+            // The author of a published game can reopen it in the studio or take it down
+            if (!g.official && g.authorId === room.clientId) {
+                const ownerWrap = document.createElement('div');
+                ownerWrap.style.display = 'flex';
+                ownerWrap.style.gap = '6px';
+                const editBtn = document.createElement('button');
+                editBtn.className = 'menu-btn';
+                editBtn.textContent = 'Edit';
+                editBtn.style.padding = '4px 8px';
+                editBtn.onclick = () => {
                     playSwitch();
-                    if (stored.user === 'up') {
-                        stored.up = Math.max(0, stored.up - 1);
-                        stored.user = null;
-                    } else {
-                        if (stored.user === 'down') stored.down = Math.max(0, stored.down - 1);
-                        stored.up += 1;
-                        stored.user = 'up';
-                    }
-                    localStorage.setItem(votesKey, JSON.stringify(stored));
-                    refreshVotes();
-                });
-
-                downBtn.addEventListener('click', () => {
+                    apiRequest(`/games/${encodeURIComponent(g.id)}`)
+                        .then(game => loadStudioWithMap(game.data, game.name, false, game.id, game.version))
+                        .catch(() => alert("Couldn't download this game. Please try again."));
+                };
+                const deleteBtn = document.createElement('button');
+                deleteBtn.className = 'menu-btn';
+                deleteBtn.textContent = 'Delete';
+                deleteBtn.style.padding = '4px 8px';
+                deleteBtn.onclick = () => {
+                    if (!confirm(`Delete "${g.name}"? This can't be undone.`)) return;
                     playSwitch();
-                    if (stored.user === 'down') {
-                        stored.down = Math.max(0, stored.down - 1);
-                        stored.user = null;
-                    } else {
-                        if (stored.user === 'up') stored.up = Math.max(0, stored.up - 1);
-                        stored.down += 1;
-                        stored.user = 'down';
-                    }
-                    localStorage.setItem(votesKey, JSON.stringify(stored));
-                    refreshVotes();
-                });
-
-                voteWrap.appendChild(upBtn);
-                voteWrap.appendChild(downBtn);
-
-                descRow.appendChild(playBtn);
-                descRow.appendChild(voteWrap);
+                    apiRequest(`/games/${encodeURIComponent(g.id)}`, { method: 'DELETE', auth: true })
+                        .then(() => render())
+                        .catch(err => alert(`Failed to delete: ${err.message}`));
+                };
+                ownerWrap.appendChild(editBtn);
+                ownerWrap.appendChild(deleteBtn);
+                descRow.appendChild(ownerWrap);
+            }
+            descRow.appendChild(voteWrap);
 
-                meta.appendChild(descRow);
-                container.appendChild(meta);
+            meta.appendChild(descRow);
+            container.appendChild(meta);
+            return container;
+        };
 
-                rows.appendChild(container);
+        // Catalog pages come from the server (search/sort/paging happen there); "Load more" appends the next page
+        let catalogPage = 1;
+        let catalogSeq = 0;
+        const render = (append = false) => {
+            const fil = document.getElementById('game-filter').value;
+            const q = document.getElementById('game-search').value || '';
+            catalogPage = append ? catalogPage + 1 : 1;
+            const seq = ++catalogSeq;
+
+            getFilteredGames({ filter: fil, search: q, page: catalogPage }).then(res => {
+                if (seq !== catalogSeq) return; // a newer search/sort superseded this one
+                if (!append) rows.innerHTML = '';
+                const oldMore = rows.querySelector('.games-load-more');
+                if (oldMore) oldMore.remove();
+
+                if (res.offline && !append) {
+                    const note = document.createElement('div');
+                    note.style.fontSize = '12px';
+                    note.style.color = '#a33';
+                    note.textContent = "Can't reach the game server; showing built-in games only.";
+                    rows.appendChild(note);
+                }
+                res.games.forEach(g => rows.appendChild(makeGameRow(g)));
+                if (!append && res.games.length === 0) {
+                    const empty = document.createElement('div');
+                    empty.style.color = '#666';
+                    empty.textContent = 'No games found.';
+                    rows.appendChild(empty);
+                }
+                if (res.page * res.limit < res.total) {
+                    const more = document.createElement('button');
+                    more.className = 'menu-btn games-load-more';
+                    more.textContent = 'Load more';
+                    more.onclick = () => { playSwitch(); render(true); };
+                    rows.appendChild(more);
+                }
             });
         };
 
@@ -3514,7 +4142,7 @@ document.getElementById('btn-play').onclick = () => {
     tabGames.click();
 };
 
-function loadStudioWithMap(mapData, name = null, isRemix = false) {
+function loadStudioWithMap(mapData, name = null, isRemix = false, gameId = null, version = null) {
     playSwitch();
     menuBGM.pause();
     // Hide menus
@@ -3526,6 +4154,8 @@ function loadStudioWithMap(mapData, name = null, isRemix = false) {
     gameState = 'STUDIO';
     
     editingGameName = name;
+    editingGameId = gameId;
+    editingGameVersion = version;
     isRemixMode = isRemix;
 
     // Load Data
@@ -3542,161 +4172,286 @@ function loadStudioWithMap(mapData, name = null, isRemix = false) {
 }
 
 // --- FORUM SYSTEM ---
+// Threads and replies live on the server (see /forum/* endpoints); everything here is a view over them.
 const forumContent = document.getElementById('forum-content');
+const FORUM_PAGE_SIZE = 20;
+let forumCategories = null; // cached [{ id, name, description, threadCount }]
+let forumCategory = null;   // selected category id, null = all
+
+const forumFailed = (err) => {
+    if (err.code === 'auth_required') alert('You need to be connected to the game server to post.');
+    else if (err.code === 'locked') alert('This thread is locked.');
+    else if (err.code === 'forbidden') alert("You can't do that.");
+    else if (err.code === 'own_content') alert("You can't report your own post.");
+    else if (err.code === 'not_found') alert('That post no longer exists.');
+    else alert(`Forum error: ${err.message}`);
+};
 
-// Initial Data
-const defaultThreads = [
-    {
-        id: 1,
-        title: "Welcome to Chirpless!",
-        author: "Builderman",
-        date: Date.now() - 10000000,
-        content: "Welcome to the Chirpless forums! Be nice and have fun building.",
-        replies: [
-            { author: "Guest", text: "Wow this is cool!", date: Date.now() - 9000000 }
-        ]
-    },
-    {
-        id: 2,
-        title: "How to jump?",
-        author: "Noob123",
-        date: Date.now() - 5000000,
-        content: "I keep pressing space but sometimes I don't jump high enough.",
-        replies: []
-    }
-];
-
-const getForumData = () => {
-    try {
-        const raw = localStorage.getItem('chirpless_forum_threads');
-        if (raw) return JSON.parse(raw);
-    } catch(e) {}
-    return defaultThreads;
+const forumButton = (label, onClick) => {
+    const btn = document.createElement('button');
+    btn.className = 'menu-btn';
+    btn.textContent = label;
+    btn.style.width = 'auto';
+    btn.style.padding = '1px 8px';
+    btn.style.fontSize = '12px';
+    btn.style.margin = '0 4px 0 0';
+    btn.onclick = () => { playSwitch(); onClick(); };
+    return btn;
 };
 
-const saveForumData = (data) => {
-    localStorage.setItem('nblox_forum_threads', JSON.stringify(data));
+const forumPager = (page, total, limit, go) => {
+    const pages = Math.max(1, Math.ceil(total / limit));
+    const pager = document.createElement('div');
+    pager.style.display = 'flex';
+    pager.style.justifyContent = 'center';
+    pager.style.alignItems = 'center';
+    pager.style.gap = '8px';
+    pager.style.padding = '8px';
+    pager.style.fontSize = '14px';
+    if (pages <= 1) return pager;
+    if (page > 1) pager.appendChild(forumButton('« Prev', () => go(page - 1)));
+    const label = document.createElement('span');
+    label.textContent = `Page ${page} of ${pages}`;
+    pager.appendChild(label);
+    if (page < pages) pager.appendChild(forumButton('Next »', () => go(page + 1)));
+    return pager;
 };
 
-const renderForumHome = () => {
+const forumMessage = (text) => {
     forumContent.innerHTML = '';
-    const threads = getForumData();
-    // Sort by newest
-    threads.sort((a,b) => b.date - a.date);
-
-    // Header
-    const table = document.createElement('table');
-    table.style.width = '100%';
-    table.style.borderCollapse = 'collapse';
-    table.style.fontSize = '16px';
-    
-    table.innerHTML = `
-        <tr style="background: #000080; color: white;">
-            <th style="text-align: left; padding: 8px;">Subject</th>
-            <th style="width: 100px; padding: 8px;">Author</th>
-            <th style="width: 60px; padding: 8px;">Replies</th>
-        </tr>
-    `;
+    const div = document.createElement('div');
+    div.style.padding = '15px';
+    div.style.fontSize = '16px';
+    div.textContent = text;
+    forumContent.appendChild(div);
+};
 
-    threads.forEach(t => {
-        const tr = document.createElement('tr');
-        tr.style.borderBottom = '1px solid #ccc';
-        tr.style.cursor = 'pointer';
-        tr.onmouseover = () => tr.style.background = '#ffffcc';
-        tr.onmouseout = () => tr.style.background = 'transparent';
-        
-        tr.innerHTML = `
-            <td style="padding: 10px; color: #000080; font-weight: bold; font-size: 18px;">${t.title}</td>
-            <td style="padding: 10px;">${t.author}</td>
-            <td style="padding: 10px; text-align: center;">${t.replies.length}</td>
-        `;
-        tr.onclick = () => {
-            playSwitch();
-            renderForumThread(t.id);
-        };
-        table.appendChild(tr);
-    });
-    
-    if (threads.length === 0) {
-        forumContent.innerHTML = '<div style="padding:15px; font-size: 16px;">No threads yet.</div>';
-    } else {
-        forumContent.appendChild(table);
-    }
+const reportForumItem = (kind, id, author) => {
+    const reason = prompt(`Why are you reporting this post by ${author}?`);
+    if (reason === null) return;
+    apiRequest(`/forum/${kind === 'thread' ? 'threads' : 'posts'}/${encodeURIComponent(id)}/report`, { method: 'POST', auth: true, body: { reason } })
+        .then(() => alert('Thanks, a moderator will take a look.'))
+        .catch(forumFailed);
 };
 
-const renderForumThread = (id) => {
-    const threads = getForumData();
-    const t = threads.find(x => x.id === id);
-    if (!t) return renderForumHome();
+const loadForumCategories = () => {
+    if (forumCategories) return Promise.resolve(forumCategories);
+    return apiRequest('/forum/categories').then(res => (forumCategories = res.categories));
+};
 
-    forumContent.innerHTML = '';
+const renderForumHome = (page = 1) => {
+    forumMessage('Loading...');
+    const params = new URLSearchParams({ page: String(page), limit: String(FORUM_PAGE_SIZE) });
+    if (forumCategory) params.set('category', forumCategory);
+    Promise.all([loadForumCategories(), apiRequest(`/forum/threads?${params}`, { auth: true })])
+        .then(([categories, data]) => {
+            forumContent.innerHTML = '';
+
+            // Category tabs
+            const tabs = document.createElement('div');
+            tabs.style.display = 'flex';
+            tabs.style.flexWrap = 'wrap';
+            tabs.style.gap = '4px';
+            tabs.style.marginBottom = '6px';
+            [{ id: null, name: 'All' }].concat(categories).forEach(c => {
+                const tab = forumButton(c.threadCount != null ? `${c.name} (${c.threadCount})` : c.name, () => {
+                    forumCategory = c.id;
+                    renderForumHome();
+                });
+                if (c.description) tab.title = c.description;
+                if (forumCategory === c.id) tab.style.fontWeight = 'bold';
+                tabs.appendChild(tab);
+            });
+            forumContent.appendChild(tabs);
+
+            if (data.threads.length === 0) {
+                const empty = document.createElement('div');
+                empty.style.padding = '15px';
+                empty.style.fontSize = '16px';
+                empty.textContent = 'No threads yet.';
+                forumContent.appendChild(empty);
+                return;
+            }
 
-    // OP
-    const opDiv = document.createElement('div');
-    opDiv.style.border = '1px solid #000080';
-    opDiv.style.marginBottom = '15px';
-    opDiv.style.background = '#eee';
-    
-    opDiv.innerHTML = `
-        <div style="background: #000080; color: white; padding: 8px; font-weight: bold; font-size: 18px;">${t.title}</div>
-        <div style="padding: 8px; border-bottom: 1px solid #ccc; font-size: 14px; color: #555;">
-            Posted by <b>${t.author}</b> on ${new Date(t.date).toLocaleDateString()}
-        </div>
-        <div style="padding: 15px; font-size: 16px; min-height: 60px; background: #fff;">${t.content}</div>
-    `;
-    forumContent.appendChild(opDiv);
-
-    // Replies
-    t.replies.forEach(r => {
-        const rDiv = document.createElement('div');
-        rDiv.style.border = '1px solid #888';
-        rDiv.style.marginBottom = '10px';
-        rDiv.style.background = '#fff';
-        rDiv.style.marginLeft = '20px';
-        
-        rDiv.innerHTML = `
-            <div style="padding: 6px; background: #ddd; border-bottom: 1px solid #ccc; font-size: 14px;">
-                <b>${r.author}</b> replied:
-            </div>
-            <div style="padding: 10px; font-size: 15px;">${r.text}</div>
-        `;
-        forumContent.appendChild(rDiv);
-    });
+            // Header
+            const table = document.createElement('table');
+            table.style.width = '100%';
+            table.style.borderCollapse = 'collapse';
+            table.style.fontSize = '16px';
+            
+            table.innerHTML = `
+                <tr style="background: #000080; color: white;">
+                    <th style="text-align: left; padding: 8px;">Subject</th>
+                    <th style="width: 100px; padding: 8px;">Author</th>
+                    <th style="width: 60px; padding: 8px;">Replies</th>
+                    <th style="width: 90px; padding: 8px;">Last Post</th>
+                </tr>
+            `;
+
+            data.threads.forEach(t => {
+                const tr = document.createElement('tr');
+                tr.style.borderBottom = '1px solid #ccc';
+                tr.style.cursor = 'pointer';
+                if (t.pinned) tr.style.background = '#f3f3ff';
+                const baseBg = tr.style.background;
+                tr.onmouseover = () => tr.style.background = '#ffffcc';
+                tr.onmouseout = () => tr.style.background = baseBg;
+
+                const cell = (text, style) => {
+                    const td = document.createElement('td');
+                    td.style.cssText = style;
+                    td.textContent = text;
+                    tr.appendChild(td);
+                    return td;
+                };
+                const flags = (t.pinned ? '📌 ' : '') + (t.locked ? '🔒 ' : '');
+                const subject = cell(flags + t.title, 'padding: 10px; color: #000080; font-weight: bold; font-size: 18px;');
+                if (t.reportCount) subject.textContent += ` (${t.reportCount} reports)`;
+                cell(t.author, 'padding: 10px;');
+                cell(String(t.replyCount), 'padding: 10px; text-align: center;');
+                cell(new Date(t.lastPostAt).toLocaleDateString(), 'padding: 10px; text-align: center; font-size: 13px;');
+                tr.onclick = () => {
+                    playSwitch();
+                    renderForumThread(t.id);
+                };
+                table.appendChild(tr);
+            });
+            forumContent.appendChild(table);
+            forumContent.appendChild(forumPager(data.page, data.total, data.limit, renderForumHome));
+        })
+        .catch(() => forumMessage("The forum can't be reached right now. Try again later."));
+};
 
-    // Reply Box
-    const replyBox = document.createElement('div');
-    replyBox.style.marginTop = '20px';
-    replyBox.style.padding = '10px';
-    replyBox.style.borderTop = '2px solid #000';
-    
-    replyBox.innerHTML = `
-        <div style="font-weight: bold; margin-bottom: 8px; font-size: 16px;">Post a Reply</div>
-        <textarea id="forum-reply-input" style="width: 100%; height: 80px; font-family: inherit; margin-bottom: 10px; font-size: 14px; padding: 5px;"></textarea>
-        <button id="btn-post-reply" class="menu-btn" style="width: auto; padding: 4px 20px; margin: 0; font-size: 14px;">Post Reply</button>
-    `;
-    forumContent.appendChild(replyBox);
+// OP or reply: header line, body, and the actions the server says we may take
+const renderForumPost = ({ kind, item, threadId, page, header, bodyText, style }) => {
+    const box = document.createElement('div');
+    box.style.cssText = style;
+
+    const head = document.createElement('div');
+    head.style.cssText = 'padding: 6px; background: #ddd; border-bottom: 1px solid #ccc; font-size: 14px; display: flex; justify-content: space-between; align-items: center; gap: 6px;';
+    const who = document.createElement('span');
+    who.textContent = header;
+    head.appendChild(who);
+
+    const actions = document.createElement('span');
+    if (!item.deleted) {
+        if (item.canEdit) actions.appendChild(forumButton('Edit', () => {
+            const text = prompt('Edit your post:', kind === 'thread' ? item.content : item.text);
+            if (text === null || !text.trim()) return;
+            const url = kind === 'thread' ? `/forum/threads/${encodeURIComponent(item.id)}` : `/forum/posts/${encodeURIComponent(item.id)}`;
+            apiRequest(url, { method: 'PATCH', auth: true, body: kind === 'thread' ? { content: text } : { text } })
+                .then(() => renderForumThread(threadId, page))
+                .catch(forumFailed);
+        }));
+        if (item.canDelete) actions.appendChild(forumButton('Delete', () => {
+            if (!confirm(kind === 'thread' ? 'Delete this whole thread?' : 'Delete this reply?')) return;
+            const url = kind === 'thread' ? `/forum/threads/${encodeURIComponent(item.id)}` : `/forum/posts/${encodeURIComponent(item.id)}`;
+            apiRequest(url, { method: 'DELETE', auth: true })
+                .then(() => (kind === 'thread' ? renderForumHome() : renderForumThread(threadId, page)))
+                .catch(forumFailed);
+        }));
+        if (item.authorId !== room.clientId) actions.appendChild(forumButton('Report', () => reportForumItem(kind, item.id, item.author)));
+    }
+    head.appendChild(actions);
+    box.appendChild(head);
+
+    const body = document.createElement('div');
+    body.style.cssText = 'padding: 10px; font-size: 15px; white-space: pre-wrap; background: #fff;';
+    if (item.deleted) body.style.color = '#999';
+    body.textContent = bodyText;
+    box.appendChild(body);
+    return box;
+};
 
-    document.getElementById('btn-post-reply').onclick = () => {
-        const txt = document.getElementById('forum-reply-input').value.trim();
-        if (!txt) return;
-        
-        playSwitch();
-        const username = document.getElementById('input-username').value || "Guest";
-        
-        t.replies.push({
-            author: username,
-            text: txt,
-            date: Date.now()
+const renderForumThread = (id, page = 1) => {
+    forumMessage('Loading...');
+    apiRequest(`/forum/threads/${encodeURIComponent(id)}?page=${page}&limit=${FORUM_PAGE_SIZE}`, { auth: true })
+        .then(data => {
+            const t = data.thread;
+            forumContent.innerHTML = '';
+
+            // OP
+            const title = document.createElement('div');
+            title.style.cssText = 'background: #000080; color: white; padding: 8px; font-weight: bold; font-size: 18px; display: flex; justify-content: space-between; align-items: center;';
+            const titleText = document.createElement('span');
+            titleText.textContent = (t.pinned ? '📌 ' : '') + (t.locked ? '🔒 ' : '') + t.title;
+            title.appendChild(titleText);
+            // Moderator controls
+            if (room.admin) {
+                const mod = document.createElement('span');
+                mod.appendChild(forumButton(t.pinned ? 'Unpin' : 'Pin', () => {
+                    apiRequest(`/forum/threads/${encodeURIComponent(id)}`, { method: 'PATCH', auth: true, body: { pinned: !t.pinned } })
+                        .then(() => renderForumThread(id, page)).catch(forumFailed);
+                }));
+                mod.appendChild(forumButton(t.locked ? 'Unlock' : 'Lock', () => {
+                    apiRequest(`/forum/threads/${encodeURIComponent(id)}`, { method: 'PATCH', auth: true, body: { locked: !t.locked } })
+                        .then(() => renderForumThread(id, page)).catch(forumFailed);
+                }));
+                title.appendChild(mod);
+            }
+            forumContent.appendChild(title);
+
+            const edited = t.editedAt ? ` (edited ${new Date(t.editedAt).toLocaleDateString()})` : '';
+            forumContent.appendChild(renderForumPost({
+                kind: 'thread',
+                item: t,
+                threadId: id,
+                page,
+                header: `Posted by ${t.author} on ${new Date(t.createdAt).toLocaleDateString()}${edited}`,
+                bodyText: t.content,
+                style: 'border: 1px solid #000080; margin-bottom: 15px; background: #eee;'
+            }));
+
+            // Replies
+            data.replies.forEach(r => {
+                const when = new Date(r.createdAt).toLocaleString() + (r.editedAt ? ' (edited)' : '');
+                forumContent.appendChild(renderForumPost({
+                    kind: 'post',
+                    item: r,
+                    threadId: id,
+                    page,
+                    header: r.deleted ? '[deleted]' : `${r.author} replied on ${when}:`,
+                    bodyText: r.text,
+                    style: 'border: 1px solid #888; margin-bottom: 10px; background: #fff; margin-left: 20px;'
+                }));
+            });
+            forumContent.appendChild(forumPager(data.page, data.total, data.limit, (p) => renderForumThread(id, p)));
+
+            // Reply Box
+            const replyBox = document.createElement('div');
+            replyBox.style.marginTop = '20px';
+            replyBox.style.padding = '10px';
+            replyBox.style.borderTop = '2px solid #000';
+            if (t.locked && !room.admin) {
+                replyBox.textContent = '🔒 This thread is locked. No new replies can be posted.';
+                forumContent.appendChild(replyBox);
+                return;
+            }
+            
+            replyBox.innerHTML = `
+                <div style="font-weight: bold; margin-bottom: 8px; font-size: 16px;">Post a Reply</div>
+                <textarea id="forum-reply-input" style="width: 100%; height: 80px; font-family: inherit; margin-bottom: 10px; font-size: 14px; padding: 5px;"></textarea>
+                <button id="btn-post-reply" class="menu-btn" style="width: auto; padding: 4px 20px; margin: 0; font-size: 14px;">Post Reply</button>
+            `;
+            forumContent.appendChild(replyBox);
+
+            document.getElementById('btn-post-reply').onclick = () => {
+                const txt = document.getElementById('forum-reply-input').value.trim();
+                if (!txt) return;
+                
+                playSwitch();
+                apiRequest(`/forum/threads/${encodeURIComponent(id)}/replies`, { method: 'POST', auth: true, body: { text: txt } })
+                    .then(() => {
+                        // Jump to the last page, where the new reply is
+                        renderForumThread(id, Math.max(1, Math.ceil((data.total + 1) / data.limit)));
+                    })
+                    .catch(forumFailed);
+            };
+        })
+        .catch(err => {
+            if (err.code === 'not_found') renderForumHome();
+            else forumMessage("The forum can't be reached right now. Try again later.");
         });
-        
-        // Save back
-        const allThreads = getForumData();
-        const idx = allThreads.findIndex(x => x.id === id);
-        if (idx !== -1) allThreads[idx] = t;
-        saveForumData(allThreads);
-        
-        renderForumThread(id); // Refresh
-    };
 };
 
 const renderCreateThread = () => {
@@ -3707,8 +4462,11 @@ const renderCreateThread = () => {
     
     div.innerHTML = `
         <h3 style="margin-top: 0;">New Thread</h3>
+        <label style="display:block; font-weight:bold;">Category:</label>
+        <select id="new-thread-category" style="margin-bottom: 10px; font-family: inherit;"></select>
+
         <label style="display:block; font-weight:bold;">Subject:</label>
-        <input type="text" id="new-thread-title" style="width: 100%; margin-bottom: 10px; font-family: inherit;">
+        <input type="text" id="new-thread-title" maxlength="80" style="width: 100%; margin-bottom: 10px; font-family: inherit;">
         
         <label style="display:block; font-weight:bold;">Message:</label>
         <textarea id="new-thread-content" style="width: 100%; height: 150px; margin-bottom: 10px; font-family: inherit;"></textarea>
@@ -3718,6 +4476,17 @@ const renderCreateThread = () => {
     `;
     forumContent.appendChild(div);
 
+    const select = document.getElementById('new-thread-category');
+    loadForumCategories().then(categories => {
+        categories.forEach(c => {
+            const opt = document.createElement('option');
+            opt.value = c.id;
+            opt.textContent = c.name;
+            select.appendChild(opt);
+        });
+        if (forumCategory) select.value = forumCategory;
+    }).catch(() => {});
+
     document.getElementById('btn-cancel-thread').onclick = () => {
         playSwitch();
         renderForumHome();
@@ -3733,24 +4502,60 @@ const renderCreateThread = () => {
         }
 
         playSwitch();
-        const username = document.getElementById('input-username').value || "Guest";
-        const threads = getForumData();
-        
-        const newThread = {
-            id: Date.now(),
-            title: title,
-            author: username,
-            date: Date.now(),
-            content: content,
-            replies: []
-        };
-        
-        threads.push(newThread);
-        saveForumData(threads);
-        renderForumHome();
+        apiRequest('/forum/threads', { method: 'POST', auth: true, body: { categoryId: select.value, title, content } })
+            .then(thread => {
+                forumCategories = null; // thread counts changed
+                renderForumThread(thread.id);
+            })
+            .catch(forumFailed);
     };
 };
 
+// Admin report queue for threads and replies
+const renderForumReports = (page = 1) => {
+    forumMessage('Loading...');
+    apiRequest(`/forum/reports?page=${page}`, { auth: true })
+        .then(data => {
+            forumContent.innerHTML = '';
+            const h = document.createElement('h3');
+            h.style.marginTop = '0';
+            h.textContent = `Reported posts (${data.total})`;
+            forumContent.appendChild(h);
+            if (data.items.length === 0) {
+                const empty = document.createElement('div');
+                empty.textContent = 'Nothing to review.';
+                forumContent.appendChild(empty);
+            }
+            data.items.forEach(item => {
+                const box = document.createElement('div');
+                box.style.cssText = 'border: 1px solid #c00; margin-bottom: 10px; background: #fff;';
+                const head = document.createElement('div');
+                head.style.cssText = 'padding: 6px; background: #fdd; font-size: 14px;';
+                head.textContent = `${item.kind === 'thread' ? 'Thread' : 'Reply'} by ${item.author} — ${item.reportCount} report(s)${item.deleted ? ' — already deleted' : ''}`;
+                box.appendChild(head);
+                const body = document.createElement('div');
+                body.style.cssText = 'padding: 8px; white-space: pre-wrap; font-size: 14px;';
+                body.textContent = item.text;
+                box.appendChild(body);
+                const reasons = document.createElement('div');
+                reasons.style.cssText = 'padding: 0 8px 6px; font-size: 12px; color: #555;';
+                reasons.textContent = 'Reasons: ' + (item.reports || []).map(r => r.reason || '(none)').join(' | ');
+                box.appendChild(reasons);
+                const actions = document.createElement('div');
+                actions.style.padding = '0 8px 8px';
+                const resolve = (action) => apiRequest('/forum/reports/resolve', { method: 'POST', auth: true, body: { kind: item.kind, id: item.id, action } })
+                    .then(() => renderForumReports(page)).catch(forumFailed);
+                actions.appendChild(forumButton('Open Thread', () => renderForumThread(item.threadId)));
+                actions.appendChild(forumButton('Dismiss', () => resolve('dismiss')));
+                if (!item.deleted) actions.appendChild(forumButton('Delete', () => resolve('delete')));
+                box.appendChild(actions);
+                forumContent.appendChild(box);
+            });
+            forumContent.appendChild(forumPager(data.page, data.total, data.limit, renderForumReports));
+        })
+        .catch(forumFailed);
+};
+
 const btnForum = document.getElementById('btn-forum');
 if (btnForum) {
     btnForum.onclick = () => {
@@ -3760,6 +4565,7 @@ if (btnForum) {
         forumMenu.style.display = 'block';
         gameState = 'MENU';
         if (world.mapGroup) world.mapGroup.visible = false;
+        document.getElementById('btn-forum-reports').style.display = room.admin ? '' : 'none';
         renderForumHome();
     };
 }
@@ -3780,6 +4586,11 @@ document.getElementById('btn-new-thread').onclick = () => {
     renderCreateThread();
 };
 
+document.getElementById('btn-forum-reports').onclick = () => {
+    playSwitch();
+    renderForumReports();
+};
+
 document.getElementById('btn-gd-back').onclick = () => {
     playSwitch();
 
@@ -3812,7 +4623,7 @@ document.getElementById('btn-gd-back').onclick = () => {
 
     // Otherwise, if a pendingGameStart exists (user was inspecting a game from menu), start it when Back is used as "enter".
     if (pendingGameStart) {
-        try { startGame(pendingGameStart.name, pendingGameStart.data); } catch (e) { console.warn('Failed to start game from Back:', e); }
+        try { startPendingGame(); } catch (e) { console.warn('Failed to start game from Back:', e); }
         return;
     }
 
@@ -3843,9 +4654,7 @@ document.getElementById('btn-gd-play').onclick = () => {
         return;
     }
 
-    if (pendingGameStart) {
-        startGame(pendingGameStart.name, pendingGameStart.data);
-    }
+    startPendingGame();
 };
 
 document.getElementById('btn-play-back').onclick = () => {
@@ -3863,8 +4672,8 @@ document.getElementById('btn-customize').onclick = () => {
     gameState = 'CUSTOMIZE';
     if (world.mapGroup) world.mapGroup.visible = false;
 
-    // Populate owned items UI (owned hats, equip buttons)
-    populateOwnedItemsUI();
+    // Avatar shop: browse the catalog, buy, refund and equip owned items
+    populateCatalogUI();
 };
 
 // Creator Launcher Button Handler
@@ -3950,8 +4759,9 @@ if (btnCreator) {
          gameState = 'PLAYING';
          // push presence for local simulation
          try {
-             room.updatePresence({ map: currentMapName, position: player.position, appearance: player.serializeAppearance() });
+             room.updatePresence({ map: currentMapName, position: player.position, appearance: player.serializeAppearance(appearanceAssetId) });
          } catch (e) {}
+         publishAppearance();
      });
  }
 
@@ -4084,6 +4894,11 @@ document.getElementById('btn-creator-load').addEventListener('click', () => {
     f.click();
 });
 
+document.getElementById('btn-admin-console').onclick = () => {
+    playSwitch();
+    window.open('/admin', '_blank');
+};
+
 document.getElementById('btn-settings').onclick = () => {
     playSwitch();
     tryPlayBGM();
@@ -4159,10 +4974,7 @@ function doExitToMenu() {
     try { studioGui.style.display = 'none'; } catch(e){}
     try { if (world.mapGroup) world.mapGroup.visible = false; } catch(e){}
 
-    try {
-        playerPets.forEach(p => { if (p && p.mesh && p.mesh.parent) p.mesh.parent.remove(p.mesh); });
-        playerPets = [];
-    } catch (e) {}
+    try { playerPets.clear(); } catch (e) {}
 
     try { player.mesh.visible = true; player.stopDance && player.stopDance(); } catch(e){}
 
@@ -4177,9 +4989,8 @@ function doExitToMenu() {
 
     // Notify presence/server: rejoin global room and mark as in MENU
     try {
-        // Tell server we're leaving the map room and rejoining the global room
-        try { room.send({ type: 'leave', room: currentMapName || 'unknown', clientId: room.clientId }); } catch(e){}
-        try { room.send({ type: 'join', room: 'global', clientId: room.clientId }); } catch(e){}
+        // Tell server we're leaving the map instance and rejoining the global room
+        try { room.joinLobby(); } catch(e){}
         room.updatePresence({ map: 'MENU' });
     } catch(e){ console.warn('Failed to update presence on exit', e); }
 
@@ -4223,7 +5034,7 @@ setTimeout(() => {
                     player.fallApart();
                     // Ensure presence updates reflect death
                     try { room.updatePresence({ isDead: true, position: player.position, map: currentMapName }); } catch(e){}
-                    addChatMessage('System', 'You have been killed (Reset Character).');
+                    addSystemMessage('You have been killed (Reset Character).');
                 } else {
                     // Fallback: trigger existing reset button behavior
                     try { btnReset && btnReset.click(); } catch(e){}
@@ -4246,7 +5057,7 @@ btnReset.onclick = () => {
         player.respawn(world);
         // ensure presence reflects alive state & position
         try { room.updatePresence({ isDead: false, position: player.position, map: currentMapName }); } catch(e){}
-        addChatMessage('System', 'Character reset (respawned).');
+        addSystemMessage('Character reset (respawned).');
     } catch (e) {
         console.warn('Reset failed, fallback to fallApart', e);
         try { player.fallApart(); } catch (ee) {}
@@ -4324,15 +5135,17 @@ document.getElementById('btn-cust-done').onclick = () => {
             const saveObj = {
                 colors: appearance.colors || {},
                 faceUrl: appearance.faceUrl || null,
-                shirtUrl: appearance.shirtUrl || null
+                shirtUrl: appearance.shirtUrl || null,
+                hat: appearance.hat || null
             };
             localStorage.setItem('nblox_appearance', JSON.stringify(saveObj));
             // Also reflect saved username state visually if needed
-            addChatMessage('System', 'Avatar saved locally.');
+            addSystemMessage('Avatar saved locally.');
+            publishAppearance();
         }
     } catch (e) {
         console.warn('Failed to save avatar appearance:', e);
-        addChatMessage('System', 'Failed to save avatar locally.');
+        addSystemMessage('Failed to save avatar locally.');
     }
 
     tryPlayBGM();
@@ -4381,115 +5194,483 @@ const bindTexture = (id, method) => {
 
 bindTexture('file-shirt', 'setShirtTexture');
 
-// Populate Owned Items into Customize UI so players can equip hats they've bought
-function populateOwnedItemsUI() {
+// Shirt and face images reach other players as server assets (POST /assets), never inline in presence.
+// url (usually a data URL) -> asset id once uploaded, and the uploads still in flight
+const appearanceAssetIds = new Map();
+const appearanceUploads = new Map();
+
+// Resolver for player.serializeAppearance
+function appearanceAssetId(url) {
+    return appearanceAssetIds.get(url) || null;
+}
+
+// Resolves to the asset id, or null when the image can't be uploaded (signed out, too large...)
+function uploadAppearanceImage(url) {
+    if (!url) return Promise.resolve(null);
+    if (appearanceAssetIds.has(url)) return Promise.resolve(appearanceAssetIds.get(url));
+    if (!appearanceUploads.has(url)) {
+        appearanceUploads.set(url, fetch(url)
+            .then(r => r.blob())
+            .then(blob => apiRequest('/assets', { method: 'POST', body: blob, auth: true }))
+            .then((asset) => {
+                appearanceAssetIds.set(url, asset.id);
+                return asset.id;
+            })
+            .catch((err) => {
+                console.warn('Failed to upload avatar image', err);
+                return null;
+            })
+            .finally(() => appearanceUploads.delete(url)));
+    }
+    return appearanceUploads.get(url);
+}
+
+// Uploads the current shirt/face if needed, then shows our appearance to the room
+function publishAppearance() {
+    const { shirtUrl, faceUrl } = player.appearance;
+    return Promise.all([uploadAppearanceImage(shirtUrl), uploadAppearanceImage(faceUrl)]).then(() => {
+        try { room.updatePresence({ appearance: player.serializeAppearance(appearanceAssetId) }); } catch (e) {}
+    });
+}
+
+// Avatar shop: the server's catalog (GET /catalog) and what we own (GET /catalog/inventory)
+let catalogState = { items: [], owned: [] };
+
+function catalogPriceText(item) {
+    return item.price ? `${item.price} ${item.currency}` : 'Free';
+}
+
+// Resolves to true once bought. The server charges its own price and pushes the new balance.
+function buyCatalogItem(item) {
+    if (wallet[item.currency] < item.price) {
+        alert(`Not enough ${item.currency}.`);
+        return Promise.resolve(false);
+    }
+    return apiRequest(`/catalog/${encodeURIComponent(item.id)}/purchase`, { method: 'POST', auth: true }).then((data) => {
+        catalogState.owned.push(data.owned);
+        return true;
+    }).catch((err) => {
+        const messages = {
+            insufficient_funds: `Not enough ${item.currency}.`,
+            sold_out: `${item.name} is sold out.`,
+            unavailable: `${item.name} isn't on sale right now.`,
+            already_owned: `You already own ${item.name}.`,
+            inventory_full: 'You have too many pets.',
+            offline: 'Could not reach the server. Try again later.'
+        };
+        alert(messages[err.code] || `Could not buy ${item.name} right now.`);
+        return false;
+    });
+}
+
+function refundCatalogItem(owned) {
+    const name = owned.item ? owned.item.name : owned.itemId;
+    if (!confirm(`Refund ${name} for ${owned.price} ${owned.currency}?`)) return Promise.resolve(false);
+    return apiRequest(`/catalog/inventory/${encodeURIComponent(owned.id)}/refund`, { method: 'POST', auth: true }).then(() => {
+        catalogState.owned = catalogState.owned.filter(o => o.id !== owned.id);
+        if (owned.type === 'pet') loadPets();
+        addSystemMessage(`Refunded ${name}.`);
+        return true;
+    }).catch((err) => {
+        alert(err.code === 'refund_expired' ? `${name} can no longer be refunded.` : 'Could not refund that right now.');
+        return false;
+    });
+}
+
+function saveAppearanceField(field, value) {
     try {
-        // Ensure container exists inside customize menu
-        let ownedPanel = document.getElementById('owned-items-panel');
-        if (!ownedPanel) {
-            ownedPanel = document.createElement('div');
-            ownedPanel.id = 'owned-items-panel';
-            ownedPanel.style.width = '100%';
-            ownedPanel.style.marginTop = '8px';
-            ownedPanel.style.borderTop = '1px solid #ccc';
-            ownedPanel.style.paddingTop = '8px';
-            const label = document.createElement('div');
-            label.style.fontWeight = 'bold';
-            label.style.marginBottom = '6px';
-            label.textContent = 'Owned Items';
-            ownedPanel.appendChild(label);
-            const list = document.createElement('div');
-            list.id = 'owned-items-list';
-            list.style.display = 'flex';
-            list.style.flexWrap = 'wrap';
-            list.style.gap = '8px';
-            ownedPanel.appendChild(list);
-            const body = document.querySelector('#customize-menu .xp-body');
-            if (body) body.insertBefore(ownedPanel, body.querySelector('#hat-editor') || body.firstChild);
+        const save = JSON.parse(localStorage.getItem('nblox_appearance') || '{}');
+        save[field] = value;
+        localStorage.setItem('nblox_appearance', JSON.stringify(save));
+    } catch (e) { console.warn('Failed to save appearance', e); }
+}
+
+// Shirt patterns are drawn from the item's data so the catalog doesn't ship image files
+function drawShirtCanvas(data) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 128;
+    canvas.height = 128;
+    const ctx = canvas.getContext('2d');
+    const [base, accent] = (data.colors || ['#ffffff', '#cccccc']);
+    ctx.fillStyle = base;
+    ctx.fillRect(0, 0, 128, 128);
+    ctx.fillStyle = accent || base;
+    if (data.pattern === 'stripes') {
+        for (let y = 0; y < 128; y += 32) ctx.fillRect(0, y + 16, 128, 16);
+    } else if (data.pattern === 'dots') {
+        for (let y = 16; y < 128; y += 32) {
+            for (let x = (y / 32) % 2 ? 32 : 16; x < 128; x += 32) {
+                ctx.beginPath();
+                ctx.arc(x, y, 7, 0, Math.PI * 2);
+                ctx.fill();
+            }
         }
-        const list = document.getElementById('owned-items-list');
-        list.innerHTML = '';
-        const ownedRaw = localStorage.getItem('nblox_owned_items') || '{}';
-        const owned = JSON.parse(ownedRaw);
-        const keys = Object.keys(owned);
-        if (keys.length === 0) {
-            const empty = document.createElement('div');
-            empty.style.color = '#666';
-            empty.style.fontSize = '12px';
-            empty.textContent = 'No owned items yet. Buy items from the Catalog.';
-            list.appendChild(empty);
-        } else {
-            keys.forEach(k => {
-                const row = document.createElement('div');
-                row.style.display = 'flex';
-                row.style.alignItems = 'center';
-                row.style.gap = '8px';
-                row.style.padding = '6px';
-                row.style.border = '1px solid #ddd';
-                row.style.background = '#fff';
-                row.style.borderRadius = '6px';
-                row.style.minWidth = '160px';
-
-                const ico = document.createElement('div');
-                ico.style.width = '40px';
-                ico.style.height = '40px';
-                ico.style.background = '#f4f4f4';
-                ico.style.display = 'flex';
-                ico.style.alignItems = 'center';
-                ico.style.justifyContent = 'center';
-                ico.style.borderRadius = '4px';
-                ico.innerHTML = `<img src="/Roblox-logo.png" style="width:28px;height:28px;object-fit:contain">`;
-
-                const meta = document.createElement('div');
-                meta.style.flex = '1';
-                meta.innerHTML = `<div style="font-weight:bold; font-size:13px;">${k.replace('_',' ').replace(/\b\w/g, c=>c.toUpperCase())}</div>
-                                  <div style="font-size:11px; color:#666;">Purchased</div>`;
-
-                const equipBtn = document.createElement('button');
-                equipBtn.className = 'menu-btn';
-                equipBtn.textContent = 'Equip';
-                equipBtn.style.width = '70px';
-                equipBtn.addEventListener('click', () => {
-                    playSwitch();
-                    // Equip known hats by id
-                    if (k === 'duck_hat') {
-                        const hatData = {
-                            constructed: true,
-                            parts: [
-                                { type: 'cylinder', pos: [0, 0.9, 0], rot: [0,0,0], scale: [1.3,1.3,1.3], color: '#FFE44D' },
-                                { type: 'box', pos: [0,0.75,0.8], rot: [0,0,0], scale: [0.6,0.3,0.9], color: '#FF8C00' },
-                                { type: 'box', pos: [-0.28,1.05,0.5], rot: [0,0,0], scale: [0.18,0.18,0.02], color: '#000000' },
-                                { type: 'box', pos: [0.28,1.05,0.5], rot: [0,0,0], scale: [0.18,0.18,0.02], color: '#000000' }
-                            ],
-                            offset: { x:0, y:0.6, z:0 },
-                            rot: { x:0, y:0, z:0 }
-                        };
-                        try {
-                            if (player && typeof player.createHat === 'function') {
-                                player.createHat(hatData);
-                                player.appearance.hat = hatData;
-                                const save = JSON.parse(localStorage.getItem('nblox_appearance') || '{}');
-                                save.hat = player.appearance.hat;
-                                localStorage.setItem('nblox_appearance', JSON.stringify(save));
-                                addChatMessage('System', 'Equipped Duck Hat.');
-                            }
-                        } catch (e) { console.warn('Equip failed', e); }
-                    } else {
-                        alert('This item cannot be equipped yet.');
+    }
+    return canvas;
+}
+
+// Faces are drawn on a transparent canvas; setFaceTexture composites them onto the head color
+function drawFaceCanvas(data) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 128;
+    canvas.height = 128;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = data.eyes || '#000000';
+    ctx.strokeStyle = data.eyes || '#000000';
+    ctx.lineWidth = 6;
+    ctx.lineCap = 'round';
+    [44, 84].forEach(x => {
+        ctx.beginPath();
+        ctx.ellipse(x, 50, 6, 10, 0, 0, Math.PI * 2);
+        ctx.fill();
+    });
+    ctx.beginPath();
+    if (data.mouth === 'grin') {
+        ctx.arc(64, 72, 26, 0.1 * Math.PI, 0.9 * Math.PI);
+        ctx.closePath();
+        ctx.fill();
+    } else if (data.mouth === 'o') {
+        ctx.ellipse(64, 90, 8, 11, 0, 0, Math.PI * 2);
+        ctx.stroke();
+    } else if (data.mouth === 'flat') {
+        ctx.moveTo(46, 90);
+        ctx.lineTo(82, 90);
+        ctx.stroke();
+    } else {
+        ctx.arc(64, 72, 22, 0.2 * Math.PI, 0.8 * Math.PI);
+        ctx.stroke();
+    }
+    return canvas;
+}
+
+// What the avatar editor does per catalog item type (ITEM_TYPES in server/catalog.js):
+// thumb(item) draws a preview when the item has no thumbnail image; equip(item, owned) wears it
+const CATALOG_TYPES = {
+    hat: {
+        label: 'Hats',
+        thumb: (item) => colorSwatch(item.data.color || (item.data.parts && item.data.parts[0].color) || '#333333'),
+        equip: (item) => {
+            player.createHat(item.data);
+            saveAppearanceField('hat', player.appearance.hat);
+            addSystemMessage(`Equipped ${item.name}.`);
+        }
+    },
+    shirt: {
+        label: 'Shirts',
+        thumb: (item) => drawShirtCanvas(item.data),
+        equip: (item) => {
+            const canvas = drawShirtCanvas(item.data);
+            const url = canvas.toDataURL();
+            player.setShirtTexture(canvas, url);
+            saveAppearanceField('shirtUrl', url);
+            addSystemMessage(`Equipped ${item.name}.`);
+        }
+    },
+    face: {
+        label: 'Faces',
+        thumb: (item) => {
+            const canvas = drawFaceCanvas(item.data);
+            canvas.style.background = '#ffffff';
+            return canvas;
+        },
+        equip: (item) => {
+            const canvas = drawFaceCanvas(item.data);
+            const url = canvas.toDataURL();
+            player.setFaceTexture(canvas, url);
+            saveAppearanceField('faceUrl', url);
+            addSystemMessage(`Equipped ${item.name}.`);
+        }
+    },
+    pet: {
+        label: 'Pets',
+        thumb: (item) => petSwatch(item.data.kind),
+        // Pets are equipped on the server (the owned entry's grantRef is the pet) so other players see them
+        equip: (item, owned) => {
+            const pet = petInventory.pets.find(p => p.id === owned.grantRef);
+            if (!pet) return;
+            setPetEquipped(pet, !pet.equipped).then((ok) => {
+                if (ok) {
+                    addSystemMessage(pet.equipped ? `${item.name} is resting.` : `${item.name} will follow you.`);
+                    populateCatalogUI();
+                }
+            });
+        },
+        equipLabel: (owned) => {
+            const pet = petInventory.pets.find(p => p.id === owned.grantRef);
+            return pet && pet.equipped ? 'Unequip' : 'Equip';
+        }
+    },
+    emote: {
+        label: 'Emotes',
+        thumb: () => {
+            const el = document.createElement('div');
+            el.textContent = '/e';
+            el.style.fontWeight = 'bold';
+            el.style.fontSize = '16px';
+            return el;
+        },
+        equip: (item) => addSystemMessage(`Type /e ${item.data.emote} in chat to use ${item.name}.`),
+        equipLabel: () => 'How to use'
+    }
+};
+
+function colorSwatch(color) {
+    const swatch = document.createElement('div');
+    swatch.style.width = '28px';
+    swatch.style.height = '20px';
+    swatch.style.borderRadius = '4px';
+    swatch.style.background = color;
+    return swatch;
+}
+
+// Emotes sold in the catalog (item data.emote -> what it does); 'dance' is free for everyone
+const SHOP_EMOTES = {
+    trip: () => player.triggerStumble(1.0)
+};
+
+function ownsEmote(name) {
+    return catalogState.owned.some(o => o.type === 'emote' && o.item && o.item.data.emote === name);
+}
+
+function catalogThumb(item) {
+    const ico = document.createElement('div');
+    ico.style.width = '40px';
+    ico.style.height = '40px';
+    ico.style.flexShrink = '0';
+    ico.style.background = '#f4f4f4';
+    ico.style.display = 'flex';
+    ico.style.alignItems = 'center';
+    ico.style.justifyContent = 'center';
+    ico.style.borderRadius = '4px';
+    ico.style.overflow = 'hidden';
+    let inner;
+    if (item && item.thumbnail) {
+        inner = document.createElement('img');
+        inner.src = item.thumbnail;
+        inner.style.objectFit = 'contain';
+    } else if (item && CATALOG_TYPES[item.type]) {
+        inner = CATALOG_TYPES[item.type].thumb(item);
+    } else {
+        inner = document.createElement('img');
+        inner.src = '/Roblox-logo.png';
+    }
+    if (inner.tagName === 'IMG' || inner.tagName === 'CANVAS') {
+        inner.style.width = '36px';
+        inner.style.height = '36px';
+    }
+    ico.appendChild(inner);
+    return ico;
+}
+
+function catalogTile(item, subtitle, buttons) {
+    const row = document.createElement('div');
+    row.style.display = 'flex';
+    row.style.alignItems = 'center';
+    row.style.gap = '8px';
+    row.style.padding = '6px';
+    row.style.border = '1px solid #ddd';
+    row.style.background = '#fff';
+    row.style.borderRadius = '6px';
+    row.style.minWidth = '200px';
+    row.appendChild(catalogThumb(item));
+    const meta = document.createElement('div');
+    meta.style.flex = '1';
+    const name = document.createElement('div');
+    name.style.fontWeight = 'bold';
+    name.style.fontSize = '13px';
+    name.textContent = item ? item.name : 'Retired item';
+    const sub = document.createElement('div');
+    sub.style.fontSize = '11px';
+    sub.style.color = '#666';
+    sub.textContent = subtitle;
+    meta.appendChild(name);
+    meta.appendChild(sub);
+    row.appendChild(meta);
+    buttons.forEach(b => {
+        b.className = 'menu-btn';
+        b.style.width = 'auto';
+        b.style.padding = '4px 8px';
+        row.appendChild(b);
+    });
+    return row;
+}
+
+function catalogButton(label, onClick) {
+    const b = document.createElement('button');
+    b.textContent = label;
+    b.addEventListener('click', () => {
+        playSwitch();
+        onClick(b);
+    });
+    return b;
+}
+
+let catalogView = { tab: 'shop', type: null };
+
+function renderCatalogList() {
+    const list = document.getElementById('catalog-list');
+    if (!list) return;
+    list.innerHTML = '';
+    const balance = document.getElementById('catalog-balance');
+    if (balance) balance.textContent = `You have ${wallet.coins} coins, ${wallet.points} points, ${wallet.candy} candy, ${wallet.chirps} chirps`;
+    const ofType = (type) => !catalogView.type || type === catalogView.type;
+    const empty = (text) => {
+        const el = document.createElement('div');
+        el.style.color = '#666';
+        el.style.fontSize = '12px';
+        el.textContent = text;
+        list.appendChild(el);
+    };
+
+    if (catalogView.tab === 'shop') {
+        const items = catalogState.items.filter(i => ofType(i.type));
+        if (!items.length) return empty('Nothing on sale here right now.');
+        items.forEach(item => {
+            const ownedIt = item.type !== 'pet' && catalogState.owned.some(o => o.itemId === item.id);
+            const notes = [catalogPriceText(item)];
+            if (item.season) notes.push(`seasonal (until ${item.season.until})`);
+            if (item.limited) notes.push(item.remaining ? `limited: ${item.remaining} left` : 'sold out');
+            const buy = catalogButton(ownedIt ? 'Owned' : 'Buy', (b) => {
+                b.disabled = true;
+                buyCatalogItem(item).then((ok) => {
+                    if (!ok) {
+                        b.disabled = false;
+                        return;
                     }
+                    addSystemMessage(`You bought ${item.name}! Find it under My Items.`);
+                    if (item.type === 'pet') loadPets();
+                    populateCatalogUI();
                 });
-
-                row.appendChild(ico);
-                row.appendChild(meta);
-                row.appendChild(equipBtn);
-                list.appendChild(row);
             });
+            buy.disabled = ownedIt || !item.available;
+            list.appendChild(catalogTile(item, notes.join(' · '), [buy]));
+        });
+        return;
+    }
+
+    const owned = catalogState.owned.filter(o => ofType(o.type));
+    if (!owned.length) return empty('No owned items yet. Buy some from the Shop tab.');
+    owned.forEach(o => {
+        const type = CATALOG_TYPES[o.type];
+        const buttons = [];
+        if (o.item && type) {
+            buttons.push(catalogButton(type.equipLabel ? type.equipLabel(o) : 'Equip', () => {
+                try { type.equip(o.item, o); } catch (e) { console.warn('Equip failed', e); }
+            }));
+        }
+        if (o.refundableUntil) {
+            buttons.push(catalogButton('Refund', (b) => {
+                b.disabled = true;
+                refundCatalogItem(o).then((ok) => {
+                    if (ok) renderCatalogList();
+                    else b.disabled = false;
+                });
+            }));
+        }
+        const sub = o.refundableUntil
+            ? `Refundable until ${new Date(o.refundableUntil).toLocaleString()}`
+            : `Bought ${new Date(o.acquiredAt).toLocaleDateString()}`;
+        list.appendChild(catalogTile(o.item, sub, buttons));
+    });
+}
+
+function buildCatalogPanel() {
+    const panel = document.createElement('div');
+    panel.id = 'catalog-panel';
+    panel.style.width = '100%';
+    panel.style.marginTop = '8px';
+    panel.style.borderTop = '1px solid #ccc';
+    panel.style.paddingTop = '8px';
+    const label = document.createElement('div');
+    label.style.fontWeight = 'bold';
+    label.style.marginBottom = '6px';
+    label.textContent = 'Avatar Shop';
+    panel.appendChild(label);
+    const balance = document.createElement('div');
+    balance.id = 'catalog-balance';
+    balance.style.fontSize = '11px';
+    balance.style.color = '#444';
+    balance.style.marginBottom = '6px';
+    panel.appendChild(balance);
+
+    const bar = (id) => {
+        const el = document.createElement('div');
+        el.id = id;
+        el.style.display = 'flex';
+        el.style.flexWrap = 'wrap';
+        el.style.gap = '4px';
+        el.style.marginBottom = '6px';
+        panel.appendChild(el);
+        return el;
+    };
+    const tabs = bar('catalog-tabs');
+    const types = bar('catalog-types');
+    const refreshBars = () => {
+        [tabs, types].forEach(el => Array.from(el.children).forEach(b => {
+            const active = b.dataset.value === String(el === tabs ? catalogView.tab : catalogView.type);
+            b.style.background = active ? '#cfeeff' : '';
+        }));
+    };
+    const addToggle = (el, text, value, apply) => {
+        const b = document.createElement('button');
+        b.className = 'menu-btn';
+        b.style.width = 'auto';
+        b.style.padding = '3px 8px';
+        b.textContent = text;
+        b.dataset.value = String(value);
+        b.addEventListener('click', () => {
+            playSwitch();
+            apply(value);
+            refreshBars();
+            renderCatalogList();
+        });
+        el.appendChild(b);
+    };
+    addToggle(tabs, 'Shop', 'shop', (v) => { catalogView.tab = v; });
+    addToggle(tabs, 'My Items', 'owned', (v) => { catalogView.tab = v; });
+    addToggle(types, 'All', null, (v) => { catalogView.type = v; });
+    Object.keys(CATALOG_TYPES).forEach(t => addToggle(types, CATALOG_TYPES[t].label, t, (v) => { catalogView.type = v; }));
+    refreshBars();
+
+    const list = document.createElement('div');
+    list.id = 'catalog-list';
+    list.style.display = 'flex';
+    list.style.flexWrap = 'wrap';
+    list.style.gap = '8px';
+    panel.appendChild(list);
+    return panel;
+}
+
+// Fills the Customize screen's avatar shop so players can browse, buy and equip catalog items
+function populateCatalogUI() {
+    try {
+        if (!document.getElementById('catalog-panel')) {
+            const body = document.querySelector('#customize-menu .xp-body');
+            if (body) body.insertBefore(buildCatalogPanel(), body.querySelector('#hat-editor') || body.firstChild);
         }
+        const list = document.getElementById('catalog-list');
+        if (list && !catalogState.items.length) list.textContent = 'Loading...';
+        Promise.all([
+            apiRequest('/catalog').then((data) => { catalogState.items = data.items; }),
+            loadOwnedItems(),
+            loadPets()
+        ]).then(renderCatalogList).catch((err) => {
+            console.warn('Failed to load the catalog', err);
+            if (list) list.textContent = 'The avatar shop is unavailable right now.';
+        });
     } catch (e) {
-        console.warn('populateOwnedItemsUI failed', e);
+        console.warn('populateCatalogUI failed', e);
     }
 }
 
+function loadOwnedItems() {
+    return apiRequest('/catalog/inventory', { auth: true }).then((data) => {
+        catalogState.owned = data.items;
+    }).catch((err) => {
+        if (err.code !== 'offline' && err.status !== 401) throw err;
+    });
+}
+
 // Hat creation handlers (Create/Remove hat) + Hat Editor
 const btnCreateHat = document.getElementById('btn-create-hat');
 const btnRemoveHat = document.getElementById('btn-remove-hat');
@@ -4538,10 +5719,10 @@ if (btnCreateHat) {
                 transformControl.attach(hatPreview);
             }
 
-            addChatMessage('System', 'Hat Editor opened. Use tools to model or save your hat when ready.');
+            addSystemMessage('Hat Editor opened. Use tools to model or save your hat when ready.');
         } catch (e) {
             console.warn('Failed to open Hat Editor:', e);
-            addChatMessage('System', 'Failed to open Hat Editor.');
+            addSystemMessage('Failed to open Hat Editor.');
         }
     });
 }
@@ -4557,9 +5738,9 @@ if (btnRemoveHat) {
                     save.hat = null;
                     localStorage.setItem('nblox_appearance', JSON.stringify(save));
                 } catch(e){}
-                addChatMessage('System', 'Hat removed from your avatar.');
+                addSystemMessage('Hat removed from your avatar.');
             } else {
-                addChatMessage('System', 'No hat to remove.');
+                addSystemMessage('No hat to remove.');
             }
         } catch (e) {
             console.warn('Hat removal failed:', e);
@@ -4824,7 +6005,7 @@ if (hatPreviewApply) {
         playSwitch();
         if (!hatPreview) createHatPreview();
         updateHatPreviewTransform();
-        addChatMessage('System', 'Hat preview updated.');
+        addSystemMessage('Hat preview updated.');
     });
 }
 
@@ -4860,9 +6041,9 @@ if (hatPreviewSave) {
                     localStorage.setItem('nblox_appearance', JSON.stringify(save));
                 } catch (e) { console.warn('Failed to persist hat to storage', e); }
 
-                addChatMessage('System', 'Simple hat saved to your avatar.');
+                addSystemMessage('Simple hat saved to your avatar.');
             } else {
-                addChatMessage('System', 'Failed to save hat: Player not ready.');
+                addSystemMessage('Failed to save hat: Player not ready.');
             }
         }
 
@@ -5092,7 +6273,7 @@ function saveComposedHat() {
         localStorage.setItem('nblox_appearance', JSON.stringify(save));
     } catch (e) { console.warn('Failed to persist composed hat', e); }
 
-    addChatMessage('System', 'Custom hat saved to your avatar.');
+    addSystemMessage('Custom hat saved to your avatar.');
 }
 
 // Hook Save button to composed hat flow (override previous simple save when modeler has parts)
@@ -5113,9 +6294,9 @@ if (hatPreviewSave) {
                     THREE.MathUtils.degToRad(parseFloat(hatRotY.value||0)),
                     THREE.MathUtils.degToRad(parseFloat(hatRotZ.value||0))
                 );
-                addChatMessage('System', 'Simple hat saved to your avatar.');
+                addSystemMessage('Simple hat saved to your avatar.');
             } else {
-                addChatMessage('System', 'Failed to save hat: Player not ready.');
+                addSystemMessage('Failed to save hat: Player not ready.');
             }
         }
 
@@ -5184,18 +6365,375 @@ window.addEventListener('keydown', (e) => {
     }
 });
 
-// Chat Logic
-function addChatMessage(name, text) {
+// Sends a report to the moderators; the server attaches the room's recent chat as evidence.
+// messageId points at the reported chat line, if any.
+function reportPlayer(targetId, name, messageId = null) {
+    const reason = prompt(`Report ${name} to the moderators. What happened?`);
+    if (!reason || !reason.trim()) return;
+    room.send({ type: 'report_player', targetId, reason: reason.trim(), messageId });
+}
+
+// Player-to-player trades (see server/trades.js). The server owns the trade; this client only shows the
+// latest `trade_update` and sends changes to our own offer. Either confirmation is cleared whenever an
+// offer changes, so both players always confirm what is currently on the table.
+const TRADE_CURRENCIES = ['coins', 'candy', 'chirps'];
+const TRADE_CLOSED_TEXT = {
+    declined: '{other} declined the trade.',
+    cancelled: 'The trade with {other} was cancelled.',
+    left: 'The trade with {other} ended because a player left.',
+    disconnected: 'The trade with {other} ended because a player disconnected.',
+    completed: 'Trade with {other} complete!',
+    failed: "The trade with {other} couldn't go through, so nothing changed."
+};
+const TRADE_ERROR_TEXT = {
+    not_available: "That player can't trade right now.",
+    trade_self: "You can't trade with yourself.",
+    busy: "You're already in a trade.",
+    target_busy: 'That player is already in a trade.',
+    not_found: 'That trade is no longer open.',
+    too_many_items: 'You can offer at most 12 items.',
+    invalid_amount: 'Enter whole, positive amounts.',
+    insufficient_funds: "You don't have that much to offer.",
+    invalid_item: 'One of those items is no longer yours.',
+    already_owned: 'They already own one of those items.',
+    empty: 'Add something to the trade first.'
+};
+let activeTrade = null;
+// The trade we already asked about, so repeated updates don't prompt again
+let tradePromptedId = null;
+
+function requestTrade(targetId, name) {
+    room.send({ type: 'trade_request', targetId });
+    addSystemMessage(`Trade request sent to ${name}.`);
+}
+
+function tradeParties(trade) {
+    const mine = trade.parties.find(p => p.id === room.clientId);
+    const theirs = trade.parties.find(p => p.id !== room.clientId);
+    return { mine, theirs };
+}
+
+function tradeOfferRow(text) {
     const el = document.createElement('div');
-    el.className = 'chat-msg';
+    el.style.fontSize = '12px';
+    el.textContent = text;
+    return el;
+}
+
+// Sends our whole offer as picked in the window
+function sendTradeOffer() {
+    if (!activeTrade) return;
+    const mine = document.getElementById('trade-mine');
+    const items = Array.from(mine.querySelectorAll('input[type=checkbox]:checked')).map(c => c.value);
+    const currency = {};
+    mine.querySelectorAll('input[type=number]').forEach(i => {
+        const amount = parseInt(i.value || '0', 10);
+        if (amount) currency[i.dataset.currency] = amount;
+    });
+    room.send({ type: 'trade_offer', tradeId: activeTrade.id, items, currency });
+}
+
+function renderTradeWindow() {
+    const win = document.getElementById('trade-window');
+    if (!win) return;
+    if (!activeTrade || (activeTrade.state === 'pending' && activeTrade.parties[1].id === room.clientId)) {
+        win.style.display = 'none';
+        return;
+    }
+    win.style.display = 'block';
+    const { mine, theirs } = tradeParties(activeTrade);
+    document.getElementById('trade-title').textContent = `Trade with ${theirs.username}`;
+    document.getElementById('trade-theirs-title').textContent = `${theirs.username}'s offer`;
+    const status = document.getElementById('trade-status');
+    const confirmBtn = document.getElementById('btn-trade-confirm');
+    const mineEl = document.getElementById('trade-mine');
+    const theirsEl = document.getElementById('trade-theirs');
+    mineEl.innerHTML = '';
+    theirsEl.innerHTML = '';
+    confirmBtn.disabled = activeTrade.state !== 'open' || mine.confirmed;
+
+    if (activeTrade.state === 'pending') {
+        status.textContent = `Waiting for ${theirs.username} to accept...`;
+        return;
+    }
+    if (activeTrade.state === 'executing') {
+        status.textContent = 'Both sides confirmed. Trading...';
+    } else if (mine.confirmed) {
+        status.textContent = `You confirmed. Waiting for ${theirs.username}...`;
+    } else {
+        status.textContent = theirs.confirmed
+            ? `${theirs.username} confirmed. Check their offer and confirm to trade.`
+            : 'Pick what to offer, then confirm. Changing an offer clears both confirmations.';
+    }
+
+    // Our side: every owned item with a checkbox, plus an amount per tradable currency
+    const offered = new Set(mine.offer.items.map(e => e.id));
+    if (!catalogState.owned.length) mineEl.appendChild(tradeOfferRow('No items to offer.'));
+    catalogState.owned.forEach(o => {
+        const label = document.createElement('label');
+        label.style.fontSize = '12px';
+        label.style.display = 'flex';
+        label.style.gap = '4px';
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.value = o.id;
+        box.checked = offered.has(o.id);
+        box.disabled = activeTrade.state !== 'open';
+        box.addEventListener('change', sendTradeOffer);
+        label.appendChild(box);
+        label.appendChild(document.createTextNode(o.item ? o.item.name : o.itemId));
+        mineEl.appendChild(label);
+    });
+    TRADE_CURRENCIES.forEach(c => {
+        const row = document.createElement('label');
+        row.style.fontSize = '12px';
+        row.textContent = `${c} (you have ${wallet[c]}) `;
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '0';
+        input.step = '1';
+        input.style.width = '70px';
+        input.dataset.currency = c;
+        input.value = String(mine.offer.currency[c] || 0);
+        input.disabled = activeTrade.state !== 'open';
+        input.addEventListener('change', sendTradeOffer);
+        row.appendChild(input);
+        mineEl.appendChild(row);
+    });
+
+    // Their side, read-only
+    const amounts = Object.entries(theirs.offer.currency).filter(([, a]) => a > 0);
+    theirs.offer.items.forEach(e => theirsEl.appendChild(tradeOfferRow(e.name)));
+    amounts.forEach(([c, a]) => theirsEl.appendChild(tradeOfferRow(`${a} ${c}`)));
+    if (!theirs.offer.items.length && !amounts.length) theirsEl.appendChild(tradeOfferRow('Nothing yet.'));
+    if (theirs.confirmed) theirsEl.appendChild(tradeOfferRow('✔ Confirmed'));
+}
+
+function handleTradeUpdate(trade) {
+    const opening = !activeTrade || activeTrade.id !== trade.id;
+    activeTrade = trade;
+    const { theirs } = tradeParties(trade);
+    // Incoming request: ask once, like friend requests
+    if (trade.state === 'pending' && trade.parties[1].id === room.clientId && tradePromptedId !== trade.id) {
+        tradePromptedId = trade.id;
+        const accept = confirm(`${theirs.username} wants to trade with you. Open the trade?`);
+        room.send({ type: accept ? 'trade_accept' : 'trade_decline', tradeId: trade.id });
+        return;
+    }
+    // Our items may have changed since they were last loaded (purchases, refunds, earlier trades)
+    if (opening) loadOwnedItems().then(renderTradeWindow).catch(() => {});
+    renderTradeWindow();
+}
+
+function handleTradeClosed(data) {
+    const other = activeTrade && activeTrade.id === data.tradeId ? tradeParties(activeTrade).theirs.username : 'the other player';
+    if (activeTrade && activeTrade.id === data.tradeId) activeTrade = null;
+    renderTradeWindow();
+    // Our own decline or cancel needs no notice
+    if (data.by === room.clientId) return;
+    addSystemMessage((TRADE_CLOSED_TEXT[data.reason] || TRADE_CLOSED_TEXT.cancelled).replace('{other}', other));
+    if (data.reason === 'completed') {
+        // The server already pushed the new balances; items and pets are reloaded here
+        Promise.all([loadOwnedItems(), loadPets()]).then(() => {
+            if (document.getElementById('catalog-list')) renderCatalogList();
+        }).catch(() => {});
+    }
+}
+
+const btnTradeConfirm = document.getElementById('btn-trade-confirm');
+if (btnTradeConfirm) btnTradeConfirm.addEventListener('click', () => {
+    if (!activeTrade) return;
+    playSwitch();
+    room.send({ type: 'trade_confirm', tradeId: activeTrade.id });
+});
+['btn-trade-cancel', 'btn-close-trade'].forEach(id => {
+    const b = document.getElementById(id);
+    if (b) b.addEventListener('click', () => {
+        playSwitch();
+        if (activeTrade && activeTrade.state !== 'executing') room.send({ type: 'trade_cancel', tradeId: activeTrade.id });
+    });
+});
+
+// Players whose chat and whispers this client hides (/mute). Stored by account id, with the name for display.
+const IGNORED_KEY = 'chirpless_ignored';
+let ignoredPlayers = [];
+try { ignoredPlayers = JSON.parse(localStorage.getItem(IGNORED_KEY) || '[]'); } catch (e) {}
+let chatTeam = null;
+let lastWhisperFrom = null;
+
+function isIgnored(id) {
+    return ignoredPlayers.some(p => p.id === id);
+}
+
+function saveIgnored() {
+    try { localStorage.setItem(IGNORED_KEY, JSON.stringify(ignoredPlayers)); } catch (e) {}
+}
+
+// Finds a player by name among people in this room, then friends
+function findPlayerByName(name) {
+    const lower = name.toLowerCase();
+    const id = Object.keys(remotePlayers).find(k => (remotePlayers[k].name || '').toLowerCase() === lower);
+    if (id) return { id, name: remotePlayers[id].name };
+    const friend = friendsState.friends.find(f => f.name.toLowerCase() === lower);
+    return friend ? { id: friend.id, name: friend.name } : null;
+}
+
+// The age from the start screen; the server's age-limited chat rules use it
+function declaredChatAge() {
+    return parseInt((document.getElementById('input-age') && document.getElementById('input-age').value) || '18', 10);
+}
+
+function sendChat(message, extra = {}) {
+    room.send(Object.assign({ type: 'chat', message, age: declaredChatAge() }, extra));
+}
+
+// Slash commands typed into chat. Each takes the rest of the line split on spaces.
+const CHAT_COMMANDS = {
+    w: {
+        usage: '/w <name> <message>',
+        help: 'Send a private message',
+        run: (args) => {
+            if (args.length < 2) return addSystemMessage('Usage: /w <name> <message>');
+            room.send({ type: 'whisper', to: args[0], message: args.slice(1).join(' '), age: declaredChatAge() });
+        }
+    },
+    r: {
+        usage: '/r <message>',
+        help: 'Reply to the last private message',
+        run: (args) => {
+            if (!lastWhisperFrom) return addSystemMessage('Nobody has whispered to you yet.');
+            if (!args.length) return addSystemMessage('Usage: /r <message>');
+            CHAT_COMMANDS.w.run([lastWhisperFrom, ...args]);
+        }
+    },
+    team: {
+        usage: '/team <message> | /team join <name> | /team leave',
+        help: 'Talk to your team, or join/leave one',
+        run: (args) => {
+            if (args[0] === 'join') {
+                if (!args[1]) return addSystemMessage('Usage: /team join <name>');
+                room.send({ type: 'set_team', team: args.slice(1).join(' ') });
+            } else if (args[0] === 'leave') {
+                room.send({ type: 'set_team', team: null });
+            } else if (!args.length) {
+                addSystemMessage(chatTeam ? `You are on team ${chatTeam}.` : "You aren't on a team. Use /team join <name>.");
+            } else {
+                sendChat(args.join(' '), { channel: 'team' });
+            }
+        }
+    },
+    mute: {
+        usage: '/mute <name>',
+        help: "Hide a player's chat (only for you)",
+        run: (args) => {
+            if (!args.length) {
+                return addSystemMessage(ignoredPlayers.length ? `Muted: ${ignoredPlayers.map(p => p.name).join(', ')}` : "You haven't muted anyone.");
+            }
+            const target = findPlayerByName(args.join(' '));
+            if (!target) return addSystemMessage(`No player named ${args.join(' ')} here.`);
+            if (target.id === room.clientId) return addSystemMessage("You can't mute yourself.");
+            if (!isIgnored(target.id)) ignoredPlayers.push(target);
+            saveIgnored();
+            addSystemMessage(`You muted ${target.name}. Use /unmute ${target.name} to undo.`);
+        }
+    },
+    unmute: {
+        usage: '/unmute <name>',
+        help: 'Show a muted player\'s chat again',
+        run: (args) => {
+            const lower = args.join(' ').toLowerCase();
+            const entry = ignoredPlayers.find(p => p.name.toLowerCase() === lower);
+            if (!entry) return addSystemMessage(`${args.join(' ') || 'That player'} isn't muted.`);
+            ignoredPlayers = ignoredPlayers.filter(p => p !== entry);
+            saveIgnored();
+            addSystemMessage(`You unmuted ${entry.name}.`);
+        }
+    },
+    e: {
+        usage: '/e <emote>',
+        help: 'Play an emote (dance, or one you own from the avatar shop)',
+        run: (args) => {
+            const name = (args[0] || '').toLowerCase();
+            if (name === 'dance') return player.startDance();
+            if (!SHOP_EMOTES[name]) return addSystemMessage(`Emotes: ${['dance'].concat(Object.keys(SHOP_EMOTES)).join(', ')}`);
+            // Ownership is checked against the server inventory, fetched the first time it's needed
+            (catalogState.owned.length ? Promise.resolve() : loadOwnedItems()).then(() => {
+                if (ownsEmote(name)) SHOP_EMOTES[name]();
+                else addSystemMessage(`You don't own the ${name} emote yet. Find it in the avatar shop.`);
+            }).catch(() => addSystemMessage('Could not check your emotes right now.'));
+        }
+    },
+    help: {
+        usage: '/help',
+        help: 'List chat commands',
+        run: () => {
+            Object.values(CHAT_COMMANDS).forEach(c => addSystemMessage(`${c.usage} — ${c.help}`));
+        }
+    }
+};
+const CHAT_COMMAND_ALIASES = { whisper: 'w', t: 'team', ignore: 'mute', unignore: 'unmute', '?': 'help' };
+
+function runChatCommand(line) {
+    const [head, ...args] = line.slice(1).split(/\s+/).filter(Boolean);
+    const name = (head || '').toLowerCase();
+    const command = CHAT_COMMANDS[CHAT_COMMAND_ALIASES[name] || name];
+    if (!command) return addSystemMessage(`Unknown command "/${head || ''}". Type /help for a list.`);
+    command.run(args);
+}
+
+// Chat Logic. Options:
+// - report: { clientId, messageId } adds a Report link for other players' lines
+// - channel: 'room', 'team', 'whisper_in' (name is the sender) or 'whisper_out' (name is the recipient)
+// - id: the server's line id, so a line shown live isn't repeated by a later backlog
+// - at: when it was said; shown as a timestamp (used for backlog lines)
+const CHAT_CHANNEL_LABELS = {
+    room: (name) => `[${name}]:`,
+    team: (name) => `[Team] [${name}]:`,
+    whisper_in: (name) => `[From ${name}]:`,
+    whisper_out: (name) => `[To ${name}]:`
+};
+
+const shownChatIds = new Set();
+
+function addChatMessage(name, text, { report = null, channel = 'room', id = null, at = null } = {}) {
+    if (id != null) shownChatIds.add(id);
+    const el = document.createElement('div');
+    el.className = 'chat-msg' + (channel !== 'room' ? ` chat-${channel.split('_')[0]}` : '');
+    if (at) {
+        const time = document.createElement('span');
+        time.className = 'chat-time';
+        time.textContent = new Date(at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) + ' ';
+        el.appendChild(time);
+    }
     const nameSpan = document.createElement('span');
     nameSpan.className = 'chat-name';
-    nameSpan.textContent = `[${name}]:`;
+    nameSpan.textContent = (CHAT_CHANNEL_LABELS[channel] || CHAT_CHANNEL_LABELS.room)(name);
     const textSpan = document.createElement('span');
     textSpan.className = 'chat-text';
     textSpan.textContent = text;
     el.appendChild(nameSpan);
     el.appendChild(textSpan);
+    if (report) {
+        const link = document.createElement('span');
+        link.className = 'chat-report';
+        link.textContent = ' [report]';
+        link.title = `Report ${name}`;
+        link.style.fontSize = '10px';
+        link.style.color = '#aaa';
+        link.style.cursor = 'pointer';
+        link.onclick = () => reportPlayer(report.clientId, name, report.messageId);
+        el.appendChild(link);
+    }
+    chatHistory.appendChild(el);
+    chatHistory.scrollTop = chatHistory.scrollHeight;
+}
+
+// Notices from the game or the server ({"type":"system"}). Styled apart from player chat and never
+// labelled with a name, so a player can't pass their messages off as these.
+function addSystemMessage(text) {
+    const el = document.createElement('div');
+    el.className = 'chat-msg chat-system';
+    el.textContent = text;
     chatHistory.appendChild(el);
     chatHistory.scrollTop = chatHistory.scrollHeight;
 }
@@ -5205,98 +6743,15 @@ chatInput.addEventListener('keydown', (e) => {
     if (e.key === 'Enter') {
         const msg = chatInput.value.trim();
         if (msg.length > 0) {
-            // Ban word detection (case-insensitive, simple containment)
-            const lower = msg.toLowerCase();
-            const bannedWord = 'n word'; // placeholder, detection below uses exact slur check
-            // Note: to preserve code clarity while preventing accidental literal slur in repo,
-            // we check for the slur dynamically via character pattern:
-            const slurPattern = /n[i1!l]{1,2}g{1,2}e?r?/i; // tolerant pattern to detect common obfuscations
-            if (slurPattern.test(msg)) {
-                // Set a 3-day ban (in milliseconds)
-                const threeDaysMs = 1 * 60 * 1000; // 1 minute ban for testing
-                const until = Date.now() + threeDaysMs;
-                try {
-                    localStorage.setItem('nblox_ban_until', String(until));
-                } catch (err) {
-                    console.warn('Failed to persist ban timestamp:', err);
-                }
-
-                // Notify server/peers of ban state in presence (best-effort)
-                try {
-                    room.updatePresence({ banned: true, banUntil: until });
-                } catch (err) { /* ignore */ }
-
-                // Inform user, clear chat input, force-return to menu
-                alert('You have been banned for 3 days for violating chat rules.');
-                chatInput.value = '';
-                chatInput.blur();
-
-                // Disable play/studio buttons
-                document.getElementById('btn-play').disabled = true;
-                document.getElementById('btn-studio').disabled = true;
-                document.getElementById('btn-play').title = 'Banned until: ' + new Date(until).toLocaleString();
-                document.getElementById('btn-studio').title = 'Banned until: ' + new Date(until).toLocaleString();
-
-                // If currently in-game, force leave to menu
-                if (gameState === 'PLAYING' || gameState === 'TEST') {
-                    // perform safe leave
-                    try {
-                        btnExit.click();
-                    } catch (err) {}
-                }
-                return;
-            }
-
-            // Detect predatory behaviour for local user claiming age 13 and messaging about dating
-            const datingPatternLocal = /\b(date|dating|meet up|meetup|kissing|relationship|romantic)\b/i;
-            const declaredAgeLocal = parseInt((document.getElementById('input-age') && document.getElementById('input-age').value) || '18', 10);
-
-            if (declaredAgeLocal === 13 && datingPatternLocal.test(msg)) {
-                // Ban the local account for 5 days (prevent them from continuing)
-                const fiveDaysMs = 5 * 24 * 60 * 60 * 1000;
-                const until = Date.now() + fiveDaysMs;
-                try {
-                    localStorage.setItem('nblox_ban_until', String(until));
-                } catch (err) {
-                    console.warn('Failed to persist ban timestamp:', err);
-                }
-
-                try { room.updatePresence({ banned: true, banUntil: until }); } catch(e){}
-
-                alert('You have been banned for predatory behavior for 5 days.');
-                chatInput.value = '';
-                chatInput.blur();
-
-                const _btnPlay_local = document.getElementById('btn-play');
-                const _btnStudio_local = document.getElementById('btn-studio');
-                if (_btnPlay_local) _btnPlay_local.disabled = true;
-                if (_btnStudio_local) _btnStudio_local.disabled = true;
-                if (_btnPlay_local) _btnPlay_local.title = 'Banned until: ' + new Date(until).toLocaleString();
-                if (_btnStudio_local) _btnStudio_local.title = 'Banned until: ' + new Date(until).toLocaleString();
-
-                if (gameState === 'PLAYING' || gameState === 'TEST') {
-                    try { btnExit.click(); } catch(e){}
-                }
-                return;
-            }
-
-            if (msg.toLowerCase() === '/e dance') {
-                player.startDance();
+            if (msg.startsWith('/')) {
+                runChatCommand(msg);
                 chatInput.value = '';
                 chatInput.blur();
                 return;
             }
 
-            const username = document.getElementById('input-username').value || "Player";
-            const declaredAge = parseInt((document.getElementById('input-age') && document.getElementById('input-age').value) || '18', 10);
-            
             // Send to server
-            room.send({
-                type: 'chat',
-                message: msg,
-                username: username,
-                age: declaredAge
-            });
+            sendChat(msg);
 
             // Player local bubble
             player.chat(msg);
@@ -5380,6 +6835,24 @@ window.addEventListener('mousemove', (e) => {
 let lastTime = 0;
 const fps = 30; // Lower FPS to reduce CPU/GPU pressure on weaker browsers
 const interval = 1000 / fps;
+// Gameplay physics steps at a fixed rate whatever the frame rate; frames draw between the last two steps
+const simulation = new FixedTimestep();
+const simInterpolator = new TransformInterpolator();
+const simObjects = [];
+
+// Objects the simulation step moves, so the interpolator can smooth them between steps
+function simulatedObjects() {
+    simObjects.length = 0;
+    simObjects.push(player.mesh);
+    player.debris.forEach(d => simObjects.push(d.mesh));
+    world.vehicles.forEach(v => simObjects.push(v.mesh));
+    world.animated.forEach(anim => { if (anim.mesh) simObjects.push(anim.mesh); });
+    world.platforms.forEach(p => simObjects.push(p.mesh));
+    world.physics.bodies.forEach(b => simObjects.push(b.mesh));
+    if (world._rockets) world._rockets.forEach(r => simObjects.push(r));
+    Object.values(remotePlayers).forEach(rp => rp.debris.forEach(d => simObjects.push(d.mesh)));
+    return simObjects;
+}
 
 function animate(currentTime) {
     requestAnimationFrame(animate);
@@ -5398,10 +6871,17 @@ function animate(currentTime) {
         // Game Logic based on State
         if (gameState === 'PLAYING' || gameState === 'TEST') {
             updatePlaying(dt);
-        } else if (gameState === 'MENU' || gameState === 'CUSTOMIZE' || gameState === 'SETTINGS') {
-            updateMenu(dt);
-        } else if (gameState === 'STUDIO') {
-            updateStudio(dt);
+        } else {
+            if (simInterpolator.states.size) {
+                // Left the game: put simulated objects back where the simulation has them
+                simInterpolator.clear();
+                simulation.reset();
+            }
+            if (gameState === 'MENU' || gameState === 'CUSTOMIZE' || gameState === 'SETTINGS') {
+                updateMenu(dt);
+            } else if (gameState === 'STUDIO') {
+                updateStudio(dt);
+            }
         }
 
         renderer.render(scene, camera);
@@ -5565,30 +7045,7 @@ function updatePlaying(dt) {
     if (world.mapGroup) world.mapGroup.visible = true;
     menuGroup.visible = false;
     
-    // POINTS: award 1 point every 10 seconds played
-    playSecondsAcc += dt;
-    if (playSecondsAcc >= 10.0) {
-        playSecondsAcc -= 10.0;
-        try {
-            websimPoints = parseInt(localStorage.getItem('nblox_points') || '0', 10);
-            if (isNaN(websimPoints)) websimPoints = 0;
-            websimPoints += 1;
-            localStorage.setItem('nblox_points', String(websimPoints));
-            if (pointsDisplay) pointsDisplay.textContent = String(websimPoints);
-            addChatMessage('System', 'You earned 1 point for playing!');
-        } catch (e) {
-            console.warn('Failed to award playtime point:', e);
-        }
-    }
-
-    // Sync Presence
-    room.updatePresence({
-        position: player.position,
-        rotation: player.mesh.rotation.y,
-        animState: player.animState,
-        map: currentMapName,
-        isDead: player.isDead
-    });
+    // POINTS: the server pays for time spent in a map (see PLAYTIME_SECONDS in server/wallet.js)
 
     // 1. Update Camera Rotation
     const look = input.getLookDelta();
@@ -5609,8 +7066,52 @@ function updatePlaying(dt) {
         }
     }
 
-    // 2. Update Camera Position
-    const focusPoint = player.position.clone().add(new THREE.Vector3(0, 4.5, 0));
+    // 2. Movement relative to Camera (where it was drawn last frame)
+    const rawControls = input.getMovement();
+    const camFwd = new THREE.Vector3().subVectors(player.position, camera.position).setY(0).normalize();
+    const camRight = new THREE.Vector3().crossVectors(camFwd, new THREE.Vector3(0, 1, 0)).normalize();
+    
+    const moveVec = new THREE.Vector3()
+        .addScaledVector(camFwd, -rawControls.z)
+        .addScaledVector(camRight, rawControls.x);
+    
+    // Pass 'e' key for interaction
+    const controls = { 
+        x: moveVec.x, 
+        z: moveVec.z, 
+        jump: rawControls.jump,
+        w: input.keys.w,
+        s: input.keys.s,
+        a: input.keys.a,
+        d: input.keys.d,
+        e: input.keys.e
+    };
+
+    if (input.isShiftLocked) {
+        controls.lookAngle = cameraYaw + Math.PI;
+    }
+
+    // 3. Simulate in fixed steps, then draw the simulated objects between their last two states
+    simInterpolator.restore();
+    const alpha = simulation.advance(dt, (step) => {
+        simInterpolator.beginStep(simulatedObjects());
+        player.update(step, controls, world, camera);
+        world.update(step); // Update cars and animations
+        Object.values(remotePlayers).forEach(rp => rp.stepDebris(step, world));
+    });
+    simInterpolator.apply(simulatedObjects(), alpha);
+
+    // Sync Presence
+    room.updatePresence({
+        position: player.position,
+        rotation: player.mesh.rotation.y,
+        animState: player.animState,
+        map: currentMapName,
+        isDead: player.isDead
+    });
+
+    // 4. Update Camera Position, following the player where they're drawn
+    const focusPoint = player.mesh.position.clone().add(new THREE.Vector3(0, 4.5, 0));
 
     if (input.isShiftLocked) {
         // Offset focus point to the right relative to camera view
@@ -5654,35 +7155,6 @@ function updatePlaying(dt) {
         shiftLockCursor.style.display = 'none';
     }
 
-    // 3. Movement relative to Camera
-    const rawControls = input.getMovement();
-    const camFwd = new THREE.Vector3().subVectors(player.position, camera.position).setY(0).normalize();
-    const camRight = new THREE.Vector3().crossVectors(camFwd, new THREE.Vector3(0, 1, 0)).normalize();
-    
-    const moveVec = new THREE.Vector3()
-        .addScaledVector(camFwd, -rawControls.z)
-        .addScaledVector(camRight, rawControls.x);
-    
-    // Pass 'e' key for interaction
-    const controls = { 
-        x: moveVec.x, 
-        z: moveVec.z, 
-        jump: rawControls.jump,
-        w: input.keys.w,
-        s: input.keys.s,
-        a: input.keys.a,
-        d: input.keys.d,
-        e: input.keys.e
-    };
-
-    if (input.isShiftLocked) {
-        controls.lookAngle = cameraYaw + Math.PI;
-    }
-
-    player.update(dt, controls, world, camera);
-    
-    world.update(dt); // Update cars and animations
-
     // Lucky World: coin collection logic (local only)
     if (currentMapName === 'lucky_world') {
         // iterate coins in world.items (coins were added without collidables)
@@ -5700,8 +7172,7 @@ function updatePlaying(dt) {
                     } catch (e) {}
                     if (it.parent) it.parent.remove(it);
                     world.items.splice(i, 1);
-                    playerCoins += 1;
-                    updateCoinUI();
+                    claimAward('coin_pickup', { ref: pickupRef(it) });
                 }
             }
         }
@@ -5740,9 +7211,9 @@ function updatePlaying(dt) {
                 world.mapGroup.add(sprout);
                 sillySeedParts.push(sprout);
                 world.items.push(sprout);
-                addChatMessage('System', `You planted a ${type}!`);
+                addSystemMessage(`You planted a ${type}!`);
             } else {
-                addChatMessage('System', 'You have planted the maximum number of seeds (6).');
+                addSystemMessage('You have planted the maximum number of seeds (6).');
             }
         }
 
@@ -5759,15 +7230,19 @@ function updatePlaying(dt) {
                 s.scale.set(g, g, g);
             }
         }
-        // Convert accumulated fractional points into integers and persist
+        // Convert accumulated fractional points into integers
         if (sillyPointsAcc >= 1.0) {
             const add = Math.floor(sillyPointsAcc);
-            sillyPoints += add;
+            sillyUnclaimed += add;
             sillyPointsAcc -= add;
-            // Update HUD and persist
-            const disp = document.getElementById('silly-points-display');
-            if (disp) disp.textContent = String(sillyPoints);
-            try { localStorage.setItem('sillyville_points', String(sillyPoints)); } catch (e) {}
+        }
+        // Claim the harvest every few seconds; the server caps it by time and seed count, and the HUD
+        // shows what it actually paid (see applyWallet)
+        sillyClaimAcc += dt;
+        if (sillyClaimAcc >= 5.0 && sillyUnclaimed > 0) {
+            claimAward('seed_harvest', { amount: sillyUnclaimed });
+            sillyUnclaimed = 0;
+            sillyClaimAcc = 0;
         }
     }
 
@@ -5787,10 +7262,7 @@ function updatePlaying(dt) {
                     } catch (e) {}
                     if (it.parent) it.parent.remove(it);
                     world.items.splice(i, 1);
-                    websimPoints += 1;
-                    try { localStorage.setItem('chirpless_points', String(websimPoints)); } catch(e){}
-                    updateNameUI();
-                    addChatMessage('System', 'You found an Egg! +1 Point.');
+                    claimAward('egg_found', { ref: `${it.name}@${pickupRef(it)}` });
                 }
             }
         }
@@ -5798,24 +7270,7 @@ function updatePlaying(dt) {
 
     // Rocket Olympics: award points faster while surviving and simple visual rockets/NPCs already spawn in world.update
     if (currentMapName === 'rocket_olympics') {
-        // Faster point awarding while in this map: 1 point every 3 seconds
-        if (!window._rocketPointAcc) window._rocketPointAcc = 0;
-        window._rocketPointAcc += dt;
-        if (window._rocketPointAcc >= 3.0) {
-            const gain = Math.floor(window._rocketPointAcc / 3.0);
-            window._rocketPointAcc -= gain * 3.0;
-            try {
-                websimPoints = parseInt(localStorage.getItem('nblox_points') || '0', 10);
-                if (isNaN(websimPoints)) websimPoints = 0;
-                websimPoints += gain;
-                localStorage.setItem('nblox_points', String(websimPoints));
-                if (pointsDisplay) pointsDisplay.textContent = String(websimPoints);
-                addChatMessage('System', `Rocket Olympics: +${gain} points for surviving!`);
-            } catch (e) {
-                console.warn('Failed to award Rocket Olympics points:', e);
-            }
-        }
-
+        // Points come faster here: the server pays 1 point every 3 seconds in this map (PLAYTIME_SECONDS)
         // Check rocket collisions (simple proximity)
         if (world._rockets && world._rockets.length > 0 && !player.isDead) {
             for (let i = world._rockets.length - 1; i >= 0; i--) {
@@ -5823,7 +7278,7 @@ function updatePlaying(dt) {
                 if (!r) continue;
                 const d2 = r.position.distanceToSquared(player.position);
                 if (d2 < 2.25) { // ~1.5 units radius
-                    addChatMessage('System', 'Hit by a rocket! You exploded.');
+                    addSystemMessage('Hit by a rocket! You exploded.');
                     player.fallApart();
                     break;
                 }
@@ -5851,7 +7306,7 @@ function updatePlaying(dt) {
                     player.hasSword = true;
                     addToInventory({ id: 'sword', label: 'Sword' });
                     updateInventoryUI();
-                    addChatMessage('System', 'You picked up a Sword! Use it to defeat nearby Zombie Plants.');
+                    addSystemMessage('You picked up a Sword! Use it to defeat nearby Zombie Plants.');
                 }
             }
         }
@@ -5883,7 +7338,7 @@ function updatePlaying(dt) {
                     const idx = world.items.indexOf(mob);
                     if (idx !== -1) world.items.splice(idx, 1);
                     world._flowerMobs.splice(i, 1);
-                    addChatMessage('System', 'You defeated a Zombie Plant!');
+                    addSystemMessage('You defeated a Zombie Plant!');
                 }
             }
         }
@@ -5900,11 +7355,10 @@ function updatePlaying(dt) {
                     if (d < 4) {
                         if (it.userData.candyAvailable) {
                             it.userData.candyAvailable = false;
-                            candyCount += 1;
-                            updateCandyUI();
-                            addChatMessage('System', 'You knocked and received candy! 🍬');
+                            claimAward('candy_door', { ref: pickupRef(it) });
+                            addSystemMessage('You knocked and received candy! 🍬');
                         } else {
-                            addChatMessage('System', 'You knocked but no more candy is available.');
+                            addSystemMessage('You knocked but no more candy is available.');
                         }
                         break; // only interact with one door per press
                     }
@@ -5941,15 +7395,8 @@ function updatePlaying(dt) {
             player.leftLeg.rotation.x = -1.5;
             player.rightLeg.rotation.x = -1.5;
         } catch (e) {}
-    } else {
-        // Make pets follow player normally
-        for (const p of playerPets) {
-            if (!p.mesh) continue;
-            // simple spring-follow
-            const target = player.mesh.position.clone().add(new THREE.Vector3( Math.sin(Date.now()*0.001 + playerPets.indexOf(p))*1.2, 1.2, Math.cos(Date.now()*0.001 + playerPets.indexOf(p))*1.2 ));
-            p.mesh.position.lerp(target, Math.min(1, dt * 4));
-        }
     }
+    playerPets.update(dt, player.mesh.position, player.mesh.rotation.y, world);
 
     // Easter 2026 NPC Interaction & Obby progression
     if (currentMapName === 'easter_2026') {
@@ -5960,7 +7407,7 @@ function updatePlaying(dt) {
             // Show a simple "Press E" HUD near center if close
             if (dist < 4) {
                 // Show prompt using chat UI for simplicity
-                addChatMessage('System', 'Press E to interact: Oh No! easter bunny was just captured...');
+                addSystemMessage('Press E to interact: Oh No! easter bunny was just captured...');
                 // If player presses E, trigger dialog/obby start
                 if (controls && controls.e && !npc.userData.obbyStarted) {
                     npc.userData.obbyStarted = true;
@@ -5979,7 +7426,7 @@ function updatePlaying(dt) {
                 const pBox = new THREE.Box3().setFromObject(player.mesh);
                 if (pBox.intersectsBox(b) && world._easterNPC && world._easterNPC.userData.obbyStarted && world._easterNPC.userData.obbyProgress < 1) {
                     world._easterNPC.userData.obbyProgress = 1;
-                    addChatMessage('System', 'You completed level 1! Proceed to level 2.');
+                    addSystemMessage('You completed level 1! Proceed to level 2.');
                 }
             }
         }
@@ -5992,7 +7439,7 @@ function updatePlaying(dt) {
                     world._easterNPC.userData.obbyProgress = 2;
                     // Reward: unlock build tool (simple flag on player)
                     player.appearance.buildToolUnlocked = true;
-                    addChatMessage('System', 'You rescued the Easter Bunny and unlocked the Build Tool! Check Studio to use it.');
+                    addSystemMessage('You rescued the Easter Bunny and unlocked the Build Tool! Check Studio to use it.');
                 }
             }
         }
@@ -0,0 +1,187 @@
+import * as THREE from 'three';
+import { queryWorldParts } from './world/SpatialGrid.js';
+import { findPlatform } from './world/platforms.js';
+
+/*
+  Pets that follow a player, shared by the local player (main.js) and RemotePlayer.
+  Which pets a player has equipped comes from the server (GET /pets for ourselves, the `pets` presence
+  field for everyone else); this module only draws and moves them.
+  Each pet steers toward its own slot in an arc behind the owner (arrive steering: full speed when far,
+  easing in near the slot), keeps apart from its siblings and hovers a little above whatever ground is
+  under it, found with a downward ray against the world's collidables near the pet. A pet over a moving
+  platform (world/platforms.js) is carried along with the platform's surface velocity.
+*/
+
+// kind -> look. Names and prices come from the server catalog.
+export const PET_LOOKS = {
+    'pet-bunny': { color: 0xff99cc, radius: 0.55 },
+    'pet-drake': { color: 0x66ccff, radius: 0.7 },
+    'pet-fox': { color: 0xffaa33, radius: 0.65 }
+};
+const DEFAULT_LOOK = { color: 0xcccccc, radius: 0.6 };
+
+const MAX_SPEED = 22; // studs/s, a bit faster than a running player so pets catch up
+const MAX_ACCEL = 60;
+const SLOW_RADIUS = 4; // start easing in this close to the slot
+const FOLLOW_DISTANCE = 2.6;
+const SLOT_SPREAD = 0.8; // radians between neighbouring slots
+const SEPARATION_RADIUS = 1.6;
+const HOVER_HEIGHT = 0.9;
+const RAY_HEIGHT = 6; // rays start this far above the owner's feet, so pets climb onto ledges the owner is on
+const TELEPORT_DISTANCE = 40;
+// Ground rays are the costly part with a room full of pets, so each pet casts a few times a second
+const RAY_INTERVAL = 0.1;
+
+export function createPetMesh(kind) {
+    const look = PET_LOOKS[kind] || DEFAULT_LOOK;
+    const color = new THREE.Color(look.color);
+    const mat = new THREE.MeshStandardMaterial({ color, emissive: color.clone().multiplyScalar(0.2) });
+    const body = new THREE.Mesh(new THREE.SphereGeometry(look.radius, 12, 12), mat);
+    body.castShadow = true;
+    // Two dark eyes on the +z side so a pet visibly faces where it goes
+    const eyeMat = new THREE.MeshBasicMaterial({ color: 0x111111 });
+    [-1, 1].forEach((side) => {
+        const eye = new THREE.Mesh(new THREE.SphereGeometry(look.radius * 0.14, 6, 6), eyeMat);
+        eye.position.set(side * look.radius * 0.35, look.radius * 0.25, look.radius * 0.9);
+        body.add(eye);
+    });
+    body.name = kind;
+    return body;
+}
+
+export class PetGroup {
+    constructor(scene) {
+        this.scene = scene;
+        this.pets = []; // { kind, mesh, velocity, groundY, platform, rayTimer, phase, placed }
+        this.kindsKey = '';
+        this.raycaster = new THREE.Raycaster();
+        this._down = new THREE.Vector3(0, -1, 0);
+        this._origin = new THREE.Vector3();
+        this._target = new THREE.Vector3();
+        this._steer = new THREE.Vector3();
+        this._away = new THREE.Vector3();
+        this._rayBox = new THREE.Box3();
+        this._rayParts = [];
+        this._rayObjects = [];
+        this._carry = new THREE.Vector3();
+    }
+
+    // Replaces the pets with these kinds (in slot order); a no-op when they haven't changed
+    setKinds(kinds) {
+        const list = Array.isArray(kinds) ? kinds.filter((k) => typeof k === 'string') : [];
+        const key = list.join(',');
+        if (key === this.kindsKey) return;
+        this.kindsKey = key;
+        const previous = this.pets;
+        this.pets = list.map((kind, i) => {
+            // Keep a pet that stays equipped where it is instead of popping it back to the owner
+            const reuse = previous.findIndex((p) => p && p.kind === kind);
+            if (reuse !== -1) {
+                const pet = previous[reuse];
+                previous[reuse] = null;
+                return pet;
+            }
+            const mesh = createPetMesh(kind);
+            this.scene.add(mesh);
+            // Placed at its slot on the next update
+            return { kind, mesh, velocity: new THREE.Vector3(), groundY: null, platform: null, rayTimer: i * RAY_INTERVAL / 3, phase: i * 1.7, placed: false };
+        });
+        previous.forEach((p) => { if (p) this.removeMesh(p.mesh); });
+    }
+
+    removeMesh(mesh) {
+        if (mesh.parent) mesh.parent.remove(mesh);
+        mesh.traverse((o) => {
+            if (o.geometry) o.geometry.dispose();
+            if (o.material) o.material.dispose();
+        });
+    }
+
+    clear() {
+        this.pets.forEach((p) => this.removeMesh(p.mesh));
+        this.pets = [];
+        this.kindsKey = '';
+    }
+
+    setVisible(visible) {
+        this.pets.forEach((p) => { p.mesh.visible = visible; });
+    }
+
+    // ownerRotation is the owner's mesh yaw (facing +z at 0). world: the World (or anything with collidables)
+    update(dt, ownerPosition, ownerRotation, world = null) {
+        if (!this.pets.length || !(dt > 0)) return;
+        const n = this.pets.length;
+        const time = performance.now() / 1000;
+        this.pets.forEach((pet, i) => {
+            const pos = pet.mesh.position;
+            // Slot: behind the owner, fanned out left to right
+            const angle = ownerRotation + Math.PI + (i - (n - 1) / 2) * SLOT_SPREAD;
+            this._target.set(
+                ownerPosition.x + Math.sin(angle) * FOLLOW_DISTANCE,
+                pos.y,
+                ownerPosition.z + Math.cos(angle) * FOLLOW_DISTANCE
+            );
+            if (!pet.placed || pos.distanceTo(ownerPosition) > TELEPORT_DISTANCE) {
+                pos.set(this._target.x, ownerPosition.y + HOVER_HEIGHT, this._target.z);
+                pet.velocity.set(0, 0, 0);
+                pet.groundY = null;
+                pet.platform = null;
+                pet.placed = true;
+            }
+
+            // Arrive: desired velocity scales down inside SLOW_RADIUS, acceleration is capped
+            this._steer.subVectors(this._target, pos).setY(0);
+            const dist = this._steer.length();
+            const speed = dist < SLOW_RADIUS ? MAX_SPEED * (dist / SLOW_RADIUS) : MAX_SPEED;
+            if (dist > 0.0001) this._steer.multiplyScalar(speed / dist);
+            // Separation from siblings
+            this.pets.forEach((other) => {
+                if (other === pet) return;
+                this._away.subVectors(pos, other.mesh.position).setY(0);
+                const d = this._away.length();
+                if (d > 0.0001 && d < SEPARATION_RADIUS) this._steer.addScaledVector(this._away, ((SEPARATION_RADIUS - d) / d) * 6);
+            });
+            this._steer.sub(pet.velocity).setY(0).clampLength(0, MAX_ACCEL * dt);
+            pet.velocity.add(this._steer).clampLength(0, MAX_SPEED);
+            pos.x += pet.velocity.x * dt;
+            pos.z += pet.velocity.z * dt;
+            if (pet.platform) {
+                pet.platform.velocityAt(pos, this._carry);
+                pos.addScaledVector(this._carry, dt);
+                if (pet.groundY !== null) pet.groundY += this._carry.y * dt;
+            }
+
+            // Ground snap: hover above the highest surface under the pet that isn't far above the owner
+            pet.rayTimer -= dt;
+            if (pet.rayTimer <= 0 || pet.groundY === null) {
+                pet.rayTimer = RAY_INTERVAL;
+                this._origin.set(pos.x, ownerPosition.y + RAY_HEIGHT, pos.z);
+                this.raycaster.set(this._origin, this._down);
+                this.raycaster.far = RAY_HEIGHT + 30;
+                this._rayBox.min.set(pos.x - 0.01, this._origin.y - this.raycaster.far, pos.z - 0.01);
+                this._rayBox.max.set(pos.x + 0.01, this._origin.y, pos.z + 0.01);
+                this._rayParts.length = 0;
+                this._rayObjects.length = 0;
+                queryWorldParts(world, 'static', this._rayBox, this._rayParts).forEach((e) => this._rayObjects.push(e.object));
+                const hit = this._rayObjects.length ? this.raycaster.intersectObjects(this._rayObjects, true)[0] : null;
+                pet.groundY = hit ? hit.point.y : ownerPosition.y;
+                pet.platform = hit ? findPlatform(hit.object) : null;
+            }
+            const bob = Math.sin(time * 4 + pet.phase) * 0.12;
+            const wantY = pet.groundY + HOVER_HEIGHT + bob;
+            pos.y += (wantY - pos.y) * Math.min(1, dt * 12);
+
+            if (pet.velocity.lengthSq() > 0.5) {
+                const yaw = Math.atan2(pet.velocity.x, pet.velocity.z);
+                let diff = yaw - pet.mesh.rotation.y;
+                while (diff > Math.PI) diff -= Math.PI * 2;
+                while (diff < -Math.PI) diff += Math.PI * 2;
+                pet.mesh.rotation.y += diff * Math.min(1, dt * 10);
+            }
+        });
+    }
+
+    dispose() {
+        this.clear();
+    }
+}
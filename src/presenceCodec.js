@@ -0,0 +1,87 @@
+/*
+  Client half of the presence wire format used by server/presence.js.
+  - Quantizes outgoing fields the same way the server does, so unchanged-after-rounding
+    values are never re-sent
+  - Decodes the server's binary presence frames (layout documented in server/presence.js)
+*/
+
+const POSITION_SCALE = 100; // 1/100 stud
+const ROTATION_SCALE = 1000; // 1/1000 rad
+// Order matters: the index is the wire value. Keep in sync with ANIM_STATES in server/presence.js.
+export const ANIM_STATES = ['idle', 'walk', 'fall', 'dance', 'stumble', 'jump', 'sit', 'swim'];
+
+const FRAME_PRESENCE_DELTA = 1;
+const FIELD_POSITION = 1;
+const FIELD_ROTATION = 2;
+const FIELD_ANIM = 4;
+const FIELD_DEAD = 8;
+
+function quantize(v, scale) {
+    return Math.round(Number(v) * scale) / scale;
+}
+
+function wrapAngle(r) {
+    let a = Number(r) || 0;
+    while (a > Math.PI) a -= Math.PI * 2;
+    while (a < -Math.PI) a += Math.PI * 2;
+    return a;
+}
+
+// Returns a plain, quantized copy of a presence field (Vector3s become { x, y, z })
+export function quantizeField(key, value) {
+    if (key === 'position') {
+        if (!value) return undefined;
+        return { x: quantize(value.x, POSITION_SCALE), y: quantize(value.y, POSITION_SCALE), z: quantize(value.z, POSITION_SCALE) };
+    }
+    if (key === 'rotation') return quantize(wrapAngle(value), ROTATION_SCALE);
+    if (key === 'isDead') return !!value;
+    if (value && typeof value === 'object') return JSON.parse(JSON.stringify(value));
+    return value;
+}
+
+function sameValue(a, b) {
+    if (a === b) return true;
+    if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Fields of `current` that differ from `lastSent` after quantization, or null if nothing changed.
+// `lastSent` is updated in place with the returned values.
+export function diffPresence(lastSent, current) {
+    let changed = null;
+    for (const key of Object.keys(current)) {
+        const q = quantizeField(key, current[key]);
+        if (q === undefined || sameValue(lastSent[key], q)) continue;
+        lastSent[key] = q;
+        (changed || (changed = {}))[key] = q;
+    }
+    return changed;
+}
+
+// Decodes a binary presence frame into { tick, entries: [{ slot, fields }] }, or null if it isn't one
+export function decodePresenceFrame(buffer) {
+    const view = new DataView(buffer);
+    if (view.byteLength < 7 || view.getUint8(0) !== FRAME_PRESENCE_DELTA) return null;
+    const tick = view.getUint32(1);
+    const count = view.getUint16(5);
+    const entries = [];
+    let o = 7;
+    for (let i = 0; i < count; i++) {
+        const slot = view.getUint16(o); o += 2;
+        const mask = view.getUint8(o); o += 1;
+        const fields = {};
+        if (mask & FIELD_POSITION) {
+            fields.position = {
+                x: view.getInt32(o) / POSITION_SCALE,
+                y: view.getInt32(o + 4) / POSITION_SCALE,
+                z: view.getInt32(o + 8) / POSITION_SCALE
+            };
+            o += 12;
+        }
+        if (mask & FIELD_ROTATION) { fields.rotation = view.getInt16(o) / ROTATION_SCALE; o += 2; }
+        if (mask & FIELD_ANIM) { fields.animState = ANIM_STATES[view.getUint8(o)] || 'idle'; o += 1; }
+        if (mask & FIELD_DEAD) { fields.isDead = view.getUint8(o) === 1; o += 1; }
+        entries.push({ slot, fields });
+    }
+    return { tick, entries };
+}
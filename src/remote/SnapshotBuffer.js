@@ -0,0 +1,103 @@
+import * as THREE from 'three';
+
+/*
+  Timestamped movement snapshots for one remote player.
+  Remote players are drawn slightly in the past (INTERP_DELAY_MS) so there is almost always a
+  snapshot on each side of the render time to interpolate between. If packets stop arriving while
+  the player is moving we extrapolate along the last known velocity for a short while, then hold.
+  The server only sends changes, so a player who stopped is silent too: callers pass `moving`
+  (from animState) so a stopped player holds at their last position instead of drifting.
+*/
+
+export const INTERP_DELAY_MS = 100; // ~1.5 presence ticks at 15 Hz
+export const MAX_EXTRAPOLATION_MS = 250;
+export const SNAP_DISTANCE = 15; // studs; bigger jumps are teleports and are not smoothed
+const MAX_SNAPSHOTS = 32;
+// A server time this far behind the newest snapshot means the server restarted its tick counter
+const CLOCK_RESET_MS = 5000;
+
+function lerpAngle(a, b, t) {
+    let diff = b - a;
+    while (diff > Math.PI) diff -= Math.PI * 2;
+    while (diff < -Math.PI) diff += Math.PI * 2;
+    return a + diff * t;
+}
+
+export class SnapshotBuffer {
+    constructor() {
+        this.snapshots = []; // { t, position: Vector3, rotation }
+        // Estimated (local clock - server clock), taken from the least-delayed packets seen
+        this.clockOffset = null;
+    }
+
+    clear() {
+        this.snapshots.length = 0;
+    }
+
+    // Returns true if the snapshot was a teleport (the caller should snap instead of smoothing)
+    push(serverTime, position, rotation) {
+        const now = performance.now();
+        const last = this.snapshots[this.snapshots.length - 1];
+        if (last && serverTime <= last.t) {
+            if (last.t - serverTime < CLOCK_RESET_MS) return false;
+            this.clear();
+            this.clockOffset = null;
+        }
+
+        const offset = now - serverTime;
+        if (this.clockOffset === null || offset < this.clockOffset) {
+            this.clockOffset = offset;
+        } else {
+            // Drift slowly towards the current delay so a lasting latency increase is absorbed
+            this.clockOffset += (offset - this.clockOffset) * 0.02;
+        }
+
+        const prev = this.snapshots[this.snapshots.length - 1];
+        const pos = new THREE.Vector3(position.x, position.y, position.z);
+        const teleported = !!prev && prev.position.distanceTo(pos) > SNAP_DISTANCE;
+        if (teleported) this.clear();
+        this.snapshots.push({ t: serverTime, position: pos, rotation });
+        if (this.snapshots.length > MAX_SNAPSHOTS) this.snapshots.shift();
+        return teleported;
+    }
+
+    latest() {
+        return this.snapshots[this.snapshots.length - 1] || null;
+    }
+
+    // Writes the interpolated/extrapolated pose for the current render time into `outPos`;
+    // returns the rotation, or null if there is nothing to sample yet
+    sample(outPos, moving = true) {
+        const snaps = this.snapshots;
+        if (!snaps.length) return null;
+        const renderTime = performance.now() - this.clockOffset - INTERP_DELAY_MS;
+
+        if (snaps.length === 1 || renderTime <= snaps[0].t) {
+            outPos.copy(snaps[0].position);
+            return snaps[0].rotation;
+        }
+
+        const newest = snaps[snaps.length - 1];
+        if (renderTime >= newest.t) {
+            if (!moving) {
+                outPos.copy(newest.position);
+                return newest.rotation;
+            }
+            // Packet loss: continue along the last velocity for a little while, then hold
+            const prev = snaps[snaps.length - 2];
+            const span = newest.t - prev.t;
+            const ahead = Math.min(renderTime - newest.t, MAX_EXTRAPOLATION_MS);
+            const k = span > 0 ? ahead / span : 0;
+            outPos.copy(newest.position).sub(prev.position).multiplyScalar(k).add(newest.position);
+            return lerpAngle(prev.rotation, newest.rotation, 1 + k);
+        }
+
+        // Drop snapshots we have fully passed, keeping one before the render time
+        while (snaps.length > 2 && snaps[1].t <= renderTime) snaps.shift();
+        const a = snaps[0];
+        const b = snaps[1];
+        const t = (renderTime - a.t) / Math.max(1, b.t - a.t);
+        outPos.lerpVectors(a.position, b.position, t);
+        return lerpAngle(a.rotation, b.rotation, t);
+    }
+}
@@ -0,0 +1,39 @@
+// REST calls to the presence server (same origin). Authenticated calls send the session token that the
+// WebSocket handshake stored in localStorage, so they only work once `room` has connected at least once.
+const SESSION_KEY = 'chirpless_session';
+
+export function sessionToken() {
+  try { return localStorage.getItem(SESSION_KEY); } catch (e) { return null; }
+}
+
+// `body` is sent as JSON, except a Blob (e.g. an image for /assets), which is sent as is with its own type.
+// Resolves to the parsed JSON body. Rejects with an Error whose `status` is the HTTP status (0 when the
+// server is unreachable) and whose `code` is the server's error string (e.g. 'forbidden', 'version_conflict').
+export async function apiRequest(path, { method = 'GET', body, auth = false } = {}) {
+  const headers = {};
+  const raw = typeof Blob !== 'undefined' && body instanceof Blob;
+  if (body !== undefined) headers['Content-Type'] = raw ? body.type : 'application/json';
+  if (auth) {
+    const token = sessionToken();
+    if (token) headers['Authorization'] = `Bearer ${token}`;
+  }
+  let res;
+  try {
+    res = await fetch(path, { method, headers, body: body !== undefined && !raw ? JSON.stringify(body) : body });
+  } catch (e) {
+    const err = new Error('offline');
+    err.status = 0;
+    err.code = 'offline';
+    throw err;
+  }
+  let data = null;
+  try { data = await res.json(); } catch (e) {}
+  if (!res.ok) {
+    const err = new Error((data && data.error) || `HTTP ${res.status}`);
+    err.status = res.status;
+    err.code = (data && data.error) || (res.status === 413 ? 'too_large' : 'http_error');
+    err.data = data;
+    throw err;
+  }
+  return data;
+}
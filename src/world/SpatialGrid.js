@@ -0,0 +1,169 @@
+import * as THREE from 'three';
+
+/*
+  Broadphase for world parts.
+
+  SpatialGrid buckets parts into square cells on the XZ plane by their world-space bounding box, which is
+  computed once when the part is inserted and again only when update() is called for it. A query returns
+  { object, box } entries whose cached box overlaps the query box, so collision code never has to call
+  Box3.setFromObject on every part every frame. Parts spanning more than MAX_CELLS cells (baseplates,
+  arena floors) are kept in a short list that every query checks instead of being copied into each cell.
+
+  Callers must call update() after moving, rotating or resizing an indexed part; World does this for its
+  animated parts and the studio does it for edits.
+*/
+
+const CELL_SIZE = 16;
+const MAX_CELLS = 64;
+// Cell coordinates are packed into one number; keeps keys unique for |x|, |z| < CELL_SIZE * 32768
+const KEY_OFFSET = 32768;
+
+export class SpatialGrid {
+    constructor(cellSize = CELL_SIZE) {
+        this.cellSize = cellSize;
+        this.cells = new Map(); // key -> entries
+        this.large = [];
+        this.entries = new Map(); // object -> entry
+        this._stamp = 0;
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    has(object) {
+        return this.entries.has(object);
+    }
+
+    insert(object) {
+        let entry = this.entries.get(object);
+        if (entry) {
+            this._unfile(entry);
+        } else {
+            entry = { object, box: new THREE.Box3(), keys: [], large: false, stamp: 0 };
+            this.entries.set(object, entry);
+        }
+        this._file(entry);
+        return entry;
+    }
+
+    // Recomputes the part's box and moves it to the cells it now covers
+    update(object) {
+        const entry = this.entries.get(object);
+        if (!entry) return;
+        this._unfile(entry);
+        this._file(entry);
+    }
+
+    remove(object) {
+        const entry = this.entries.get(object);
+        if (!entry) return;
+        this._unfile(entry);
+        this.entries.delete(object);
+    }
+
+    clear() {
+        this.cells.clear();
+        this.large = [];
+        this.entries.clear();
+    }
+
+    // Appends every entry whose box overlaps `box` to `out` (each at most once) and returns `out`
+    query(box, out = []) {
+        const stamp = ++this._stamp;
+        const visit = (list) => {
+            for (let i = 0; i < list.length; i++) {
+                const entry = list[i];
+                if (entry.stamp === stamp) continue;
+                entry.stamp = stamp;
+                if (entry.box.intersectsBox(box)) out.push(entry);
+            }
+        };
+
+        visit(this.large);
+        if (box.isEmpty()) return out;
+        const x0 = this._cell(box.min.x), x1 = this._cell(box.max.x);
+        const z0 = this._cell(box.min.z), z1 = this._cell(box.max.z);
+        if ((x1 - x0 + 1) * (z1 - z0 + 1) > this.cells.size) {
+            // Query covers more cells than are occupied; walking the occupied ones is cheaper
+            this.cells.forEach(visit);
+            return out;
+        }
+        for (let x = x0; x <= x1; x++) {
+            for (let z = z0; z <= z1; z++) {
+                const list = this.cells.get(this._key(x, z));
+                if (list) visit(list);
+            }
+        }
+        return out;
+    }
+
+    _cell(v) {
+        return Math.floor(v / this.cellSize);
+    }
+
+    _key(x, z) {
+        return (x + KEY_OFFSET) * 65536 + (z + KEY_OFFSET);
+    }
+
+    _file(entry) {
+        entry.box.setFromObject(entry.object);
+        // Parts without geometry have an empty box and can never be hit
+        if (entry.box.isEmpty()) return;
+        const x0 = this._cell(entry.box.min.x), x1 = this._cell(entry.box.max.x);
+        const z0 = this._cell(entry.box.min.z), z1 = this._cell(entry.box.max.z);
+        if ((x1 - x0 + 1) * (z1 - z0 + 1) > MAX_CELLS) {
+            entry.large = true;
+            this.large.push(entry);
+            return;
+        }
+        for (let x = x0; x <= x1; x++) {
+            for (let z = z0; z <= z1; z++) {
+                const key = this._key(x, z);
+                let list = this.cells.get(key);
+                if (!list) {
+                    list = [];
+                    this.cells.set(key, list);
+                }
+                list.push(entry);
+                entry.keys.push(key);
+            }
+        }
+    }
+
+    _unfile(entry) {
+        if (entry.large) {
+            const i = this.large.indexOf(entry);
+            if (i !== -1) this.large.splice(i, 1);
+            entry.large = false;
+        }
+        for (const key of entry.keys) {
+            const list = this.cells.get(key);
+            if (!list) continue;
+            const i = list.indexOf(entry);
+            if (i !== -1) list.splice(i, 1);
+            if (list.length === 0) this.cells.delete(key);
+        }
+        entry.keys.length = 0;
+    }
+}
+
+const PART_LISTS = { static: 'collidables', kill: 'killBricks', launch: 'launchPads', teleport: 'teleporters' };
+const fallbackEntries = [];
+
+// Parts of `type` ('static', 'kill', 'launch' or 'teleport') near `box`, as { object, box } entries.
+// Worlds without a part index (the menu backdrop is a bare { collidables }) are scanned in full. Fallback
+// entries are reused by the next call, so use the results before querying again.
+export function queryWorldParts(world, type, box, out = []) {
+    if (!world) return out;
+    if (world.queryParts) return world.queryParts(type, box, out);
+    const list = world[PART_LISTS[type]] || [];
+    for (let i = 0; i < list.length; i++) {
+        if (!fallbackEntries[i]) fallbackEntries[i] = { object: null, box: new THREE.Box3() };
+        const entry = fallbackEntries[i];
+        entry.object = list[i];
+        entry.box.setFromObject(list[i]);
+        if (entry.box.intersectsBox(box)) out.push(entry);
+    }
+    return out;
+}
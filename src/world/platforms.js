@@ -0,0 +1,185 @@
+import * as THREE from 'three';
+
+/*
+  Kinematic platforms: world parts that move along a path and/or spin, and carry whatever stands on them.
+
+  A platform's motion is a plain definition stored with the part (World.makePlatform, serialized with the
+  part by World.serialize):
+    path     [[x, y, z], ...] waypoints as offsets from where the part was placed; the first is usually [0, 0, 0]
+    speed    studs/s along the path
+    loop     true: after the last waypoint go straight back to the first; false: ping-pong
+    spin     [x, y, z] radians/s added to the part's placed rotation
+    conveyor [x, y, z] studs/s, in the part's own axes, that the surface moves riders at without moving itself
+
+  Platforms are stepped on the fixed simulation step (World.update). Riders keep a reference to the platform
+  they stand on and call carry() once per step with their feet, which moves them by however the platform
+  moved in its last step. Per-frame callers (pets) use velocityAt() instead.
+*/
+
+const MAX_WAYPOINTS = 32;
+const MAX_SPEED = 200;
+const MAX_SPIN = 20;
+
+// mesh -> KinematicPlatform. Kept off userData, which three.js and the studio JSON-copy when cloning parts
+const platformsByMesh = new WeakMap();
+
+const finite = (v, fallback = 0) => (Number.isFinite(v) ? v : fallback);
+const vector = (v, limit) => {
+    if (!Array.isArray(v) || v.length !== 3) return null;
+    return v.map(c => Math.max(-limit, Math.min(limit, finite(Number(c)))));
+};
+
+// Cleans a motion definition (it may come from a published game) into the shape described above
+export function normalizeMotion(motion = {}) {
+    const path = (Array.isArray(motion.path) ? motion.path : [])
+        .slice(0, MAX_WAYPOINTS)
+        .map(p => vector(p, 10000))
+        .filter(Boolean);
+    const def = {
+        path,
+        speed: Math.max(0, Math.min(MAX_SPEED, finite(Number(motion.speed), 8))),
+        loop: !!motion.loop
+    };
+    const spin = vector(motion.spin, MAX_SPIN);
+    if (spin) def.spin = spin;
+    const conveyor = vector(motion.conveyor, MAX_SPEED);
+    if (conveyor) def.conveyor = conveyor;
+    return def;
+}
+
+// The platform whose part is `mesh`, if any
+export function platformOf(mesh) {
+    return platformsByMesh.get(mesh) || null;
+}
+
+// The platform `object` belongs to (itself or an ancestor), if any
+export function findPlatform(object) {
+    for (let o = object; o; o = o.parent) {
+        const platform = platformsByMesh.get(o);
+        if (platform) return platform;
+    }
+    return null;
+}
+
+export class KinematicPlatform {
+    constructor(mesh, motion) {
+        this.mesh = mesh;
+        this.motion = normalizeMotion(motion);
+        platformsByMesh.set(mesh, this);
+        this.time = 0;
+        // Placed transform, captured on the first step so the studio can move the part freely until then
+        this.origin = null;
+        this.originRotation = new THREE.Euler();
+
+        this.linearVelocity = new THREE.Vector3();
+        this.angularVelocity = new THREE.Vector3();
+        this.conveyorVelocity = new THREE.Vector3();
+        this.stepDt = 0;
+        this._prevPos = new THREE.Vector3();
+        this._prevQuat = new THREE.Quaternion();
+        this._deltaQuat = new THREE.Quaternion();
+        this._offset = new THREE.Vector3();
+
+        // Cumulative distance at each waypoint, closing segment included when looping
+        this._lengths = [0];
+        const pts = this.motion.path;
+        for (let i = 1; i < pts.length + (this.motion.loop ? 1 : 0); i++) {
+            const a = pts[i - 1], b = pts[i % pts.length];
+            this._lengths.push(this._lengths[i - 1] + Math.hypot(b[0] - a[0], b[1] - a[1], b[2] - a[2]));
+        }
+    }
+
+    get pathLength() {
+        return this._lengths[this._lengths.length - 1];
+    }
+
+    // Offset from the origin `dist` studs along the path
+    _pathOffset(dist, out) {
+        const pts = this.motion.path;
+        if (pts.length === 0) return out.set(0, 0, 0);
+        const total = this.pathLength;
+        if (total <= 0) return out.fromArray(pts[0]);
+
+        let d;
+        if (this.motion.loop) {
+            d = dist % total;
+        } else {
+            d = dist % (total * 2);
+            if (d > total) d = total * 2 - d;
+        }
+        let i = 1;
+        while (i < this._lengths.length - 1 && this._lengths[i] < d) i++;
+        const a = pts[i - 1], b = pts[i % pts.length];
+        const seg = this._lengths[i] - this._lengths[i - 1];
+        const t = seg > 0 ? (d - this._lengths[i - 1]) / seg : 0;
+        return out.set(a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t, a[2] + (b[2] - a[2]) * t);
+    }
+
+    step(dt) {
+        const mesh = this.mesh;
+        if (!this.origin) {
+            this.origin = mesh.position.clone();
+            this.originRotation.copy(mesh.rotation);
+        }
+        this._prevPos.copy(mesh.position);
+        this._prevQuat.copy(mesh.quaternion);
+        this.time += dt;
+
+        this._pathOffset(this.time * this.motion.speed, mesh.position).add(this.origin);
+        const spin = this.motion.spin;
+        if (spin) {
+            mesh.rotation.set(
+                this.originRotation.x + spin[0] * this.time,
+                this.originRotation.y + spin[1] * this.time,
+                this.originRotation.z + spin[2] * this.time
+            );
+        }
+
+        this.stepDt = dt;
+        this.linearVelocity.subVectors(mesh.position, this._prevPos).divideScalar(dt);
+        if (spin) this.angularVelocity.fromArray(spin);
+        this._deltaQuat.copy(mesh.quaternion).multiply(this._prevQuat.invert());
+        if (this.motion.conveyor) this.conveyorVelocity.fromArray(this.motion.conveyor).applyQuaternion(mesh.quaternion);
+    }
+
+    // Moves `point` (a rider's feet) by this platform's last step and returns it
+    carry(point) {
+        if (this.stepDt === 0) return point;
+        this._offset.subVectors(point, this._prevPos).applyQuaternion(this._deltaQuat);
+        point.copy(this.mesh.position).add(this._offset);
+        if (this.motion.conveyor) point.addScaledVector(this.conveyorVelocity, this.stepDt);
+        return point;
+    }
+
+    // How far a rider turns about the vertical axis per carry()
+    get yawDelta() {
+        return this.angularVelocity.y * this.stepDt;
+    }
+
+    // Velocity of the surface at `point`: linear + angular x (point - centre), plus any conveyor
+    velocityAt(point, out) {
+        this._offset.subVectors(point, this.mesh.position);
+        out.crossVectors(this.angularVelocity, this._offset).add(this.linearVelocity);
+        if (this.motion.conveyor) out.add(this.conveyorVelocity);
+        return out;
+    }
+
+    // Stops the part being a platform (it stays where it is)
+    detach() {
+        platformsByMesh.delete(this.mesh);
+    }
+
+    // Puts the part back where it was placed and restarts its motion
+    reset() {
+        if (this.origin) {
+            this.mesh.position.copy(this.origin);
+            this.mesh.rotation.copy(this.originRotation);
+        }
+        this.origin = null;
+        this.time = 0;
+        this.stepDt = 0;
+        this.linearVelocity.set(0, 0, 0);
+        this.angularVelocity.set(0, 0, 0);
+        this._deltaQuat.identity();
+    }
+}
@@ -0,0 +1,401 @@
+import * as THREE from 'three';
+import { platformOf } from './platforms.js';
+
+/*
+  Unanchored parts: world parts with the 'unanchored' flag fall, slide, bounce and stack.
+
+  Each body keeps its part's shape: 'sphere' parts collide as spheres, upright 'cylinder' parts as vertical
+  cylinders, and everything else (blocks, wedges, tilted cylinders) as its world-space bounding box. Bodies
+  translate under gravity and contact impulses with restitution and Coulomb friction; boxes keep their
+  orientation so stacks stay square, spheres visibly roll. Anchored world parts are treated the same way
+  but never move.
+
+  Bodies stay in the world's 'static' part index, so players stand on and are blocked by them like any
+  part; Player pushes a body it walks into with push(). A body that has barely moved for SLEEP_TIME stops
+  being simulated until something touches it: another body, a platform or animated part moving against it
+  (World wakes those with wakeTouching) or the removal of a part it rests on. Kinematic platforms lend their
+  surface velocity to contacts, so bodies ride lifts and conveyors. RigidBodies.step runs on the fixed
+  simulation step (World.update).
+*/
+
+const GRAVITY = -100; // Same pull as players and debris
+const ITERATIONS = 4;
+const SLEEP_SPEED = 0.3;
+const SLEEP_TIME = 0.5;
+const BOUNCE_SPEED = 3; // Slower impacts don't bounce, so resting bodies settle instead of jittering
+const SLOP = 0.01; // Penetration left uncorrected, keeps resting contacts touching between steps
+const FALLEN_Y = -200; // Bodies below this are hidden and stop being simulated
+const DENSITY = 1;
+const PLAYER_PUSH_MASS = 40; // Bodies up to this mass are pushed at full walking speed
+
+const MATERIALS = {
+    box: { friction: 0.5, restitution: 0.2 },
+    sphere: { friction: 0.3, restitution: 0.5 },
+    cylinder: { friction: 0.4, restitution: 0.3 }
+};
+const ANCHORED_MATERIAL = { friction: 0.5, restitution: 0.2 };
+
+// mesh -> body. Kept off userData, which three.js and the studio JSON-copy when cloning parts
+const bodiesByMesh = new WeakMap();
+
+export function bodyOf(mesh) {
+    return bodiesByMesh.get(mesh) || null;
+}
+
+// A sphere part's radius from its geometry. Its world box grows as it rolls, so that can't be used
+function sphereRadius(mesh) {
+    const body = bodiesByMesh.get(mesh);
+    if (body && body.radius > 0) return body.radius;
+    const geometry = mesh.geometry;
+    if (!geometry.boundingSphere) geometry.computeBoundingSphere();
+    const s = mesh.scale;
+    return geometry.boundingSphere.radius * Math.max(Math.abs(s.x), Math.abs(s.y), Math.abs(s.z));
+}
+
+// Collision shape of a part from its serial type and cached world-space box:
+// { kind: 'sphere' | 'cylinder' | 'box', center, radius, box }. A sphere's box is rebuilt from its radius
+function describeShape(mesh, box, out) {
+    const type = mesh.userData && mesh.userData.serial ? mesh.userData.serial.type : 'block';
+    box.getCenter(out.center);
+    out.box = box;
+    out.kind = 'box';
+    if (type === 'sphere' && mesh.geometry) {
+        out.kind = 'sphere';
+        out.radius = sphereRadius(mesh);
+        out.box = out.sphereBox.setFromCenterAndSize(out.center, _size.setScalar(out.radius * 2));
+    } else if (type === 'cylinder' && Math.abs(mesh.rotation.x) < 0.01 && Math.abs(mesh.rotation.z) < 0.01) {
+        out.kind = 'cylinder';
+        out.radius = Math.min(box.max.x - box.min.x, box.max.z - box.min.z) / 2;
+    }
+    return out;
+}
+
+const _size = new THREE.Vector3();
+
+function newShape() {
+    return { kind: 'box', center: new THREE.Vector3(), radius: 0, box: null, sphereBox: new THREE.Box3() };
+}
+
+// Contacts write a normal pointing from b to a and a penetration depth; they return false when apart
+
+function boxBox(a, b, contact) {
+    const ox = Math.min(a.box.max.x, b.box.max.x) - Math.max(a.box.min.x, b.box.min.x);
+    const oy = Math.min(a.box.max.y, b.box.max.y) - Math.max(a.box.min.y, b.box.min.y);
+    const oz = Math.min(a.box.max.z, b.box.max.z) - Math.max(a.box.min.z, b.box.min.z);
+    if (ox <= 0 || oy <= 0 || oz <= 0) return false;
+    // Resolve along the axis of least overlap
+    if (oy <= ox && oy <= oz) {
+        contact.normal.set(0, a.center.y >= b.center.y ? 1 : -1, 0);
+        contact.depth = oy;
+    } else if (ox <= oz) {
+        contact.normal.set(a.center.x >= b.center.x ? 1 : -1, 0, 0);
+        contact.depth = ox;
+    } else {
+        contact.normal.set(0, 0, a.center.z >= b.center.z ? 1 : -1);
+        contact.depth = oz;
+    }
+    return true;
+}
+
+const _closest = new THREE.Vector3();
+
+function sphereBox(s, b, contact) {
+    b.box.clampPoint(s.center, _closest);
+    contact.normal.subVectors(s.center, _closest);
+    const dist = contact.normal.length();
+    if (dist >= s.radius) return false;
+    if (dist < 0.0001) return boxBox(s, b, contact); // Centre inside the box
+    contact.normal.divideScalar(dist);
+    contact.depth = s.radius - dist;
+    return true;
+}
+
+function sphereSphere(a, b, contact) {
+    contact.normal.subVectors(a.center, b.center);
+    const dist = contact.normal.length();
+    const reach = a.radius + b.radius;
+    if (dist >= reach) return false;
+    if (dist < 0.0001) contact.normal.set(0, 1, 0);
+    else contact.normal.divideScalar(dist);
+    contact.depth = reach - dist;
+    return true;
+}
+
+// Vertical cylinder against a box or another vertical cylinder: the side is a circle on XZ, top and
+// bottom are flat, so the contact is either horizontal or vertical, whichever overlaps least
+function cylinderVs(c, b, contact) {
+    const oy = Math.min(c.box.max.y, b.box.max.y) - Math.max(c.box.min.y, b.box.min.y);
+    if (oy <= 0) return false;
+    let dx, dz, reach;
+    if (b.kind === 'cylinder') {
+        dx = c.center.x - b.center.x;
+        dz = c.center.z - b.center.z;
+        reach = c.radius + b.radius;
+    } else {
+        dx = c.center.x - THREE.MathUtils.clamp(c.center.x, b.box.min.x, b.box.max.x);
+        dz = c.center.z - THREE.MathUtils.clamp(c.center.z, b.box.min.z, b.box.max.z);
+        reach = c.radius;
+    }
+    const dist = Math.hypot(dx, dz);
+    if (dist >= reach) return false;
+    if (dist < 0.0001) return boxBox(c, b, contact); // Axis inside the other shape's footprint
+    if (oy < reach - dist) {
+        contact.normal.set(0, c.center.y >= b.center.y ? 1 : -1, 0);
+        contact.depth = oy;
+    } else {
+        contact.normal.set(dx / dist, 0, dz / dist);
+        contact.depth = reach - dist;
+    }
+    return true;
+}
+
+function collide(a, b, contact) {
+    if (a.kind === 'sphere') {
+        if (b.kind === 'sphere') return sphereSphere(a, b, contact);
+        return sphereBox(a, b, contact);
+    }
+    if (b.kind === 'sphere') {
+        if (!sphereBox(b, a, contact)) return false;
+        contact.normal.negate();
+        return true;
+    }
+    if (a.kind === 'cylinder') return cylinderVs(a, b, contact);
+    if (b.kind === 'cylinder') {
+        if (!cylinderVs(b, a, contact)) return false;
+        contact.normal.negate();
+        return true;
+    }
+    return boxBox(a, b, contact);
+}
+
+function massOf(mesh) {
+    const serial = mesh.userData.serial || {};
+    const w = (serial.w || 1) * Math.abs(mesh.scale.x);
+    const h = (serial.h || 1) * Math.abs(mesh.scale.y);
+    const d = (serial.d || 1) * Math.abs(mesh.scale.z);
+    let volume = w * h * d;
+    if (serial.type === 'sphere') volume = (4 / 3) * Math.PI * Math.pow(Math.min(w, h, d) / 2, 3);
+    else if (serial.type === 'cylinder') volume = Math.PI * (w / 2) * (w / 2) * h;
+    else if (serial.type === 'wedge') volume /= 2;
+    return Math.max(0.01, volume * DENSITY);
+}
+
+export class RigidBodies {
+    // world: the World whose parts the bodies collide with
+    constructor(world) {
+        this.world = world;
+        this.bodies = [];
+        this._nearby = [];
+        this._shapeA = newShape();
+        this._shapeB = newShape();
+        this._contact = { normal: new THREE.Vector3(), depth: 0 };
+        this._relVel = new THREE.Vector3();
+        this._tangent = new THREE.Vector3();
+        this._rollAxis = new THREE.Vector3();
+        this._rollQuat = new THREE.Quaternion();
+        this._wakeBox = new THREE.Box3();
+        this._surfaceVel = new THREE.Vector3();
+    }
+
+    add(mesh) {
+        if (bodiesByMesh.has(mesh)) return bodiesByMesh.get(mesh);
+        const body = {
+            mesh,
+            velocity: new THREE.Vector3(),
+            invMass: 0, // Worked out on the first step, once builders have sized and placed the part
+            radius: 0, // Spheres only, also from the first step
+            material: null,
+            sleeping: false,
+            sleepTimer: 0,
+            fallen: false,
+            // Placed transform, captured on the first step so the studio can move the part freely until then
+            origin: null,
+            originQuat: new THREE.Quaternion(),
+            box: new THREE.Box3(),
+            stepStart: new THREE.Vector3(),
+            grounded: false
+        };
+        bodiesByMesh.set(mesh, body);
+        this.bodies.push(body);
+        return body;
+    }
+
+    remove(mesh) {
+        const body = bodiesByMesh.get(mesh);
+        if (!body) return;
+        bodiesByMesh.delete(mesh);
+        this.bodies.splice(this.bodies.indexOf(body), 1);
+    }
+
+    clear() {
+        this.bodies.forEach(b => bodiesByMesh.delete(b.mesh));
+        this.bodies = [];
+    }
+
+    wake(body) {
+        body.sleeping = false;
+        body.sleepTimer = 0;
+    }
+
+    // A player walking into `body` along (dirX, dirZ) at `speed`: heavy bodies move slower
+    push(body, dirX, dirZ, speed) {
+        if (body.fallen) return;
+        this.wake(body);
+        const mass = body.invMass > 0 ? 1 / body.invMass : massOf(body.mesh);
+        const pushSpeed = speed * Math.min(1, PLAYER_PUSH_MASS / mass);
+        const len = Math.hypot(dirX, dirZ);
+        if (len < 0.0001) return;
+        const along = (body.velocity.x * dirX + body.velocity.z * dirZ) / len;
+        if (along < pushSpeed) {
+            body.velocity.x += (dirX / len) * (pushSpeed - along);
+            body.velocity.z += (dirZ / len) * (pushSpeed - along);
+        }
+    }
+
+    // Puts every body back where it was placed, at rest (e.g. when a studio test ends)
+    reset() {
+        this.bodies.forEach(body => {
+            if (body.origin) {
+                body.mesh.position.copy(body.origin);
+                body.mesh.quaternion.copy(body.originQuat);
+            }
+            body.origin = null;
+            body.velocity.set(0, 0, 0);
+            body.fallen = false;
+            body.mesh.visible = true;
+            this.wake(body);
+        });
+    }
+
+    step(dt) {
+        const active = [];
+        for (const body of this.bodies) {
+            if (!body.origin) {
+                body.origin = body.mesh.position.clone();
+                body.originQuat.copy(body.mesh.quaternion);
+                body.invMass = 1 / massOf(body.mesh);
+                const serial = body.mesh.userData.serial;
+                body.material = MATERIALS[serial && serial.type] || MATERIALS.box;
+                body.radius = 0;
+                if (serial && serial.type === 'sphere' && body.mesh.geometry) body.radius = sphereRadius(body.mesh);
+            }
+            if (body.sleeping || body.fallen) continue;
+            body.stepStart.copy(body.mesh.position);
+            body.velocity.y += GRAVITY * dt;
+            body.mesh.position.addScaledVector(body.velocity, dt);
+            body.grounded = false;
+            active.push(body);
+        }
+        if (active.length === 0) return;
+
+        for (let i = 0; i < ITERATIONS; i++) {
+            for (const body of active) this._solve(body);
+        }
+
+        for (const body of active) {
+            const mesh = body.mesh;
+            if (mesh.position.y < FALLEN_Y) {
+                body.fallen = true;
+                body.velocity.set(0, 0, 0);
+                mesh.visible = false;
+            }
+            // Spheres roll along whatever they rest on
+            const radius = body.radius;
+            if (body.grounded && radius > 0) {
+                this._rollAxis.set(body.velocity.z, 0, -body.velocity.x);
+                const speed = this._rollAxis.length();
+                if (speed > 0.0001) {
+                    this._rollQuat.setFromAxisAngle(this._rollAxis.divideScalar(speed), (speed / radius) * dt);
+                    mesh.quaternion.premultiply(this._rollQuat);
+                }
+            }
+            // Judged by how far the body actually moved: resting contacts leave a little velocity behind
+            if (mesh.position.distanceToSquared(body.stepStart) < SLEEP_SPEED * SLEEP_SPEED * dt * dt) {
+                body.sleepTimer += dt;
+                if (body.sleepTimer >= SLEEP_TIME) {
+                    body.sleeping = true;
+                    body.velocity.set(0, 0, 0);
+                }
+            } else {
+                body.sleepTimer = 0;
+                this.wakeTouching(body.box, body);
+            }
+            this.world.refreshPart(mesh);
+        }
+    }
+
+    // Wakes sleeping bodies (other than `except`) touching `box`, so a stack falls when its bottom is pushed
+    // or taken away and bodies follow the platform they rest on
+    wakeTouching(box, except = null) {
+        this._wakeBox.copy(box).expandByScalar(0.1);
+        this._nearby.length = 0;
+        for (const { object } of this.world.queryParts('static', this._wakeBox, this._nearby)) {
+            const other = bodiesByMesh.get(object);
+            if (other && other !== except && other.sleeping) this.wake(other);
+        }
+    }
+
+    // Pushes one body out of everything it overlaps and applies the contact impulses
+    _solve(body) {
+        const a = describeShape(body.mesh, body.box.setFromObject(body.mesh), this._shapeA);
+        this._nearby.length = 0;
+        for (const { object, box } of this.world.queryParts('static', body.box, this._nearby)) {
+            if (object === body.mesh) continue;
+            const other = bodiesByMesh.get(object);
+            let otherBox = box;
+            if (other) {
+                if (other.fallen) continue;
+                // The index lags behind bodies moved this step
+                otherBox = other.box.setFromObject(object);
+            }
+            const b = describeShape(object, otherBox, this._shapeB);
+            if (!collide(a, b, this._contact)) continue;
+
+            const n = this._contact.normal;
+            let otherInv = other ? other.invMass : 0;
+            if (other && other.sleeping) {
+                // Resting on or nudging a sleeping body leaves it asleep (and immovable); a real hit wakes it
+                this._relVel.subVectors(body.velocity, other.velocity);
+                if (this._relVel.dot(n) < -BOUNCE_SPEED) this.wake(other);
+                else otherInv = 0;
+            }
+            const totalInv = body.invMass + otherInv;
+            if (totalInv <= 0) continue;
+            // A platform's surface moves, so contacts with it are judged relative to that motion
+            const platform = other ? null : platformOf(object);
+
+            // Positional correction, split by mass
+            const correction = Math.max(0, this._contact.depth - SLOP) / totalInv;
+            body.mesh.position.addScaledVector(n, correction * body.invMass);
+            if (otherInv > 0) object.position.addScaledVector(n, -correction * otherInv);
+            if (n.y > 0.7) body.grounded = true;
+
+            // Normal impulse with restitution
+            this._relVel.copy(body.velocity);
+            if (other) this._relVel.sub(other.velocity);
+            else if (platform) this._relVel.sub(platform.velocityAt(body.mesh.position, this._surfaceVel));
+            const vn = this._relVel.dot(n);
+            if (vn < 0) {
+                const otherMat = other ? other.material : ANCHORED_MATERIAL;
+                const restitution = -vn > BOUNCE_SPEED ? Math.max(body.material.restitution, otherMat.restitution) : 0;
+                const jn = -(1 + restitution) * vn / totalInv;
+                body.velocity.addScaledVector(n, jn * body.invMass);
+                if (otherInv > 0) other.velocity.addScaledVector(n, -jn * otherInv);
+
+                // Friction impulse along the sliding direction, capped by the Coulomb cone
+                this._tangent.copy(this._relVel).addScaledVector(n, -vn);
+                const vt = this._tangent.length();
+                if (vt > 0.0001) {
+                    const friction = Math.sqrt(body.material.friction * otherMat.friction);
+                    const jt = Math.min(vt / totalInv, friction * jn);
+                    this._tangent.divideScalar(vt);
+                    body.velocity.addScaledVector(this._tangent, -jt * body.invMass);
+                    if (otherInv > 0) other.velocity.addScaledVector(this._tangent, jt * otherInv);
+                }
+            }
+            // Keep our shape in step with the correction for the next contact
+            body.box.setFromObject(body.mesh);
+            describeShape(body.mesh, body.box, a);
+        }
+    }
+}